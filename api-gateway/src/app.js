@@ -57,6 +57,15 @@ const proxy = (target, pathRewrite = {}) =>
 
 // Route to upstream services (container DNS names)
 
+// Service-to-service endpoints are only reachable inside the cluster network
+app.use('/auth/internal', (req, res) => {
+    res.status(404).json({
+        error: 'Endpoint not found',
+        path: req.originalUrl,
+        method: req.method
+    })
+})
+
 app.use(
     '/auth',
     proxy(process.env.AUTH_SERVICE_URL || 'http://auth-service:3004')
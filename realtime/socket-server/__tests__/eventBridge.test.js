@@ -0,0 +1,100 @@
+const { createEventHandler } = require('../src/eventBridge');
+
+describe('event bridge', () => {
+  let gpsTracker;
+  let backlog;
+  let pushRideStatus;
+  let seq;
+
+  beforeEach(() => {
+    seq = 0;
+    gpsTracker = {
+      redis: { set: jest.fn().mockResolvedValue('OK'), del: jest.fn().mockResolvedValue(1) },
+      getRideTracking: jest.fn().mockResolvedValue(null),
+      startRideTracking: jest.fn().mockResolvedValue(),
+      broadcastToUser: jest.fn().mockResolvedValue()
+    };
+    backlog = {
+      add: jest.fn(async (userId, type, data) => ({ seq: ++seq, type, data }))
+    };
+    pushRideStatus = jest.fn().mockResolvedValue();
+  });
+
+  const handlerFor = (routingKey) => createEventHandler(routingKey, { gpsTracker, backlog, pushRideStatus });
+
+  it('pushes ride.assigned to passenger and driver and starts tracking the new driver', async () => {
+    await handlerFor('ride.assigned')({
+      eventId: 'evt_1',
+      type: 'RideAssigned',
+      rideId: 'ride_1',
+      userId: 'user_1',
+      driverId: 'driver_1',
+      pickup: { address: '123 Main St' }
+    });
+
+    expect(gpsTracker.startRideTracking).toHaveBeenCalledWith('ride_1', 'driver_1', 'user_1');
+    expect(pushRideStatus).toHaveBeenCalledWith('ride_1', 'driver_assigned', { driverId: 'driver_1' });
+    expect(backlog.add).toHaveBeenCalledTimes(2);
+    expect(gpsTracker.broadcastToUser).toHaveBeenCalledWith('user_1', 'push', expect.objectContaining({
+      type: 'ride.assigned',
+      data: expect.objectContaining({ rideId: 'ride_1', driverId: 'driver_1' })
+    }));
+    expect(gpsTracker.broadcastToUser).toHaveBeenCalledWith('driver_1', 'push', expect.objectContaining({ type: 'ride.assigned' }));
+  });
+
+  it('looks up the driver from ride tracking when the event does not carry one', async () => {
+    gpsTracker.getRideTracking.mockResolvedValue({ driverId: 'driver_1', isActive: false });
+
+    await handlerFor('payment.succeeded')({
+      paymentId: 'pay_1',
+      rideId: 'ride_1',
+      userId: 'user_1',
+      amount: 150000,
+      currency: 'VND'
+    });
+
+    expect(pushRideStatus).not.toHaveBeenCalled();
+    expect(backlog.add).toHaveBeenCalledWith('user_1', 'payment.succeeded', expect.objectContaining({ paymentId: 'pay_1' }));
+    expect(backlog.add).toHaveBeenCalledWith('driver_1', 'payment.succeeded', expect.objectContaining({ amount: 150000 }));
+  });
+
+  it('pushes the final status for a cancellation without a driver', async () => {
+    await handlerFor('ride.cancelled')({
+      eventId: 'evt_2',
+      rideId: 'ride_2',
+      userId: 'user_2',
+      cancelledBy: 'system',
+      reason: 'no_driver_found'
+    });
+
+    expect(pushRideStatus).toHaveBeenCalledWith('ride_2', 'cancelled', { driverId: null });
+    expect(backlog.add).toHaveBeenCalledTimes(1);
+    expect(backlog.add).toHaveBeenCalledWith('user_2', 'ride.cancelled', {
+      rideId: 'ride_2',
+      cancelledBy: 'system',
+      reason: 'no_driver_found'
+    });
+  });
+
+  it('skips events that were already pushed', async () => {
+    gpsTracker.redis.set.mockResolvedValue(null);
+
+    await handlerFor('ride.completed')({ eventId: 'evt_3', rideId: 'ride_3', userId: 'user_3', driverId: 'driver_3' });
+
+    expect(gpsTracker.redis.set).toHaveBeenCalledWith('push_event:ride.completed:evt_3', '1', 'EX', 3600, 'NX');
+    expect(pushRideStatus).not.toHaveBeenCalled();
+    expect(backlog.add).not.toHaveBeenCalled();
+  });
+
+  it('releases the dedupe key when the push fails so a redelivery goes out', async () => {
+    backlog.add.mockRejectedValueOnce(new Error('Redis unavailable'));
+    const event = { eventId: 'evt_4', rideId: 'ride_4', userId: 'user_4', driverId: 'driver_4' };
+
+    await expect(handlerFor('ride.started')(event)).rejects.toThrow('Redis unavailable');
+    expect(gpsTracker.redis.del).toHaveBeenCalledWith('push_event:ride.started:evt_4');
+
+    await handlerFor('ride.started')(event);
+    expect(backlog.add).toHaveBeenCalledWith('user_4', 'ride.started', expect.objectContaining({ rideId: 'ride_4' }));
+    expect(gpsTracker.broadcastToUser).toHaveBeenCalledWith('user_4', 'push', expect.objectContaining({ type: 'ride.started' }));
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Two socket nodes sharing one Redis: rooms, ride tracking and user broadcasts must cross nodes.
+ * Needs a local Redis (REDIS_URL, defaults to redis://localhost:6379/15); skipped when none answers.
+ */
+process.env.REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/15';
+
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { io: connectClient } = require('socket.io-client');
+const GPSTracker = require('../src/gpsTracker');
+const { KEYS } = require('../src/gpsTracker');
+const { createSocketServer } = require('../src/socketServer');
+const { KEYS: PUSH_KEYS } = require('../src/pushBacklog');
+const { createEventHandler } = require('../src/eventBridge');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Checked up front in a child process: jest can't choose describe or describe.skip asynchronously
+const redisReachable = () => {
+  const probe = `
+    const { Redis } = require('ioredis');
+    const redis = new Redis(process.argv[1], { lazyConnect: true, retryStrategy: () => null, maxRetriesPerRequest: 0 });
+    redis.connect().then(() => redis.ping()).then(() => process.exit(0), () => process.exit(1));
+  `;
+  try {
+    execFileSync(process.execPath, ['-e', probe, process.env.REDIS_URL], {
+      cwd: path.join(__dirname, '..'),
+      stdio: 'ignore',
+      timeout: 5000
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const describeWithRedis = redisReachable() ? describe : describe.skip;
+
+// Identity comes straight from the handshake instead of the auth service
+const authenticate = (socket, next) => {
+  const { userId, role } = socket.handshake.auth;
+  socket.data.user = { userId, role };
+  socket.data.token = 'test-token';
+  next();
+};
+
+const startNode = async (rides) => {
+  const gpsTracker = new GPSTracker();
+  let close = null;
+
+  try {
+    await gpsTracker.initialize();
+
+    const httpServer = http.createServer();
+    const server = createSocketServer(httpServer, { gpsTracker, rides, authenticate });
+    close = server.close;
+    await new Promise(resolve => httpServer.listen(0, resolve));
+
+    return {
+      gpsTracker,
+      pushRideStatus: server.pushRideStatus,
+      backlog: server.backlog,
+      url: `http://localhost:${httpServer.address().port}`,
+      stop: async () => {
+        try {
+          await close();
+        } finally {
+          await gpsTracker.cleanup();
+        }
+      }
+    };
+  } catch (error) {
+    await close?.().catch(() => {});
+    await gpsTracker.cleanup();
+    throw error;
+  }
+};
+
+const connect = (url, auth) => new Promise((resolve, reject) => {
+  const socket = connectClient(url, { auth, transports: ['websocket'], reconnection: false });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+const nextEvent = (socket, event, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+  socket.once(event, (data) => {
+    clearTimeout(timer);
+    resolve(data);
+  });
+});
+
+const collectEvents = (socket, event, count, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const received = [];
+  const timer = setTimeout(() => reject(new Error(`Got ${received.length}/${count} ${event} events`)), timeoutMs);
+  const listener = (data) => {
+    received.push(data);
+    if (received.length === count) {
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(received);
+    }
+  };
+  socket.on(event, listener);
+});
+
+describeWithRedis('multi-node realtime tier', () => {
+  const suffix = Date.now();
+  const ride = {
+    rideId: `ride_multi_${suffix}`,
+    userId: `passenger_${suffix}`,
+    driverId: `driver_${suffix}`,
+    status: 'driver_assigned'
+  };
+  const rides = { getRide: async (rideId) => (rideId === ride.rideId ? { ...ride } : null) };
+
+  let nodeA;
+  let nodeB;
+  let passenger;
+  let driver;
+
+  beforeAll(async () => {
+    nodeA = await startNode(rides);
+    nodeB = await startNode(rides);
+
+    passenger = await connect(nodeA.url, { userId: ride.userId, role: 'customer' });
+    driver = await connect(nodeB.url, { userId: ride.driverId, role: 'driver' });
+  });
+
+  afterAll(async () => {
+    passenger?.disconnect();
+    driver?.disconnect();
+
+    try {
+      const redis = nodeA?.gpsTracker.redis;
+      if (redis) {
+        await redis.del(
+          KEYS.rideTracking(ride.rideId),
+          KEYS.rideRoute(ride.rideId),
+          KEYS.driverRides(ride.driverId),
+          KEYS.connections(ride.userId),
+          KEYS.connections(ride.driverId),
+          KEYS.locationHistory(`driver_${ride.driverId}`),
+          `driver_location:${ride.driverId}`,
+          PUSH_KEYS.seq(ride.userId),
+          PUSH_KEYS.backlog(ride.userId),
+          PUSH_KEYS.seq(ride.driverId),
+          PUSH_KEYS.backlog(ride.driverId),
+          `push_event:ride.started:evt_started_${suffix}`,
+          `push_event:payment.succeeded:pay_${suffix}`
+        );
+        await redis.srem(KEYS.activeRides, ride.rideId);
+        await redis.zrem('drivers_geo', ride.driverId);
+      }
+    } finally {
+      try {
+        await nodeA?.stop();
+      } finally {
+        await nodeB?.stop();
+      }
+    }
+  });
+
+  it('shares ride tracking state through Redis', async () => {
+    const joined = await passenger.emitWithAck('ride:join', { rideId: ride.rideId });
+    expect(joined).toEqual({ ok: true, rideId: ride.rideId, status: 'driver_assigned' });
+
+    const tracking = await nodeB.gpsTracker.getRideTracking(ride.rideId);
+    expect(tracking).toMatchObject({ driverId: ride.driverId, passengerId: ride.userId, isActive: true });
+    expect(await nodeB.gpsTracker.getDriverRides(ride.driverId)).toEqual([ride.rideId]);
+  });
+
+  it('delivers a driver fix sent to one node to the passenger on the other', async () => {
+    const received = nextEvent(passenger, 'driver:location');
+
+    const ack = await driver.emitWithAck('location:update', { lat: 10.7626, lng: 106.6601, speed: 8 });
+    expect(ack).toEqual({ ok: true, rides: 1 });
+
+    const location = await received;
+    expect(location).toMatchObject({
+      rideId: ride.rideId,
+      driverId: ride.driverId,
+      coordinates: { lat: 10.7626, lng: 106.6601 },
+      speed: 8
+    });
+  });
+
+  it('reaches a user from any node with broadcastToUser', async () => {
+    const received = nextEvent(passenger, 'ride_message');
+
+    await nodeB.gpsTracker.broadcastToUser(ride.userId, 'ride_message', { text: 'Driver is outside' });
+
+    expect(await received).toEqual({ text: 'Driver is outside' });
+  });
+
+  it('reaches a ride room from any node with broadcastToRide', async () => {
+    const received = nextEvent(passenger, 'ride_notice');
+
+    await nodeB.gpsTracker.broadcastToRide(ride.rideId, 'ride_notice', { rideId: ride.rideId });
+
+    expect(await received).toEqual({ rideId: ride.rideId });
+  });
+
+  it('tracks presence per socket across nodes', async () => {
+    expect(await nodeB.gpsTracker.isUserOnline(ride.userId)).toBe(true);
+    expect(await nodeA.gpsTracker.isUserOnline(ride.driverId)).toBe(true);
+  });
+
+  it('replays unacknowledged pushes when the client reconnects to another node', async () => {
+    const deps = { gpsTracker: nodeB.gpsTracker, backlog: nodeB.backlog, pushRideStatus: nodeB.pushRideStatus };
+
+    const live = nextEvent(passenger, 'push');
+    await createEventHandler('ride.started', deps)({
+      eventId: `evt_started_${suffix}`,
+      rideId: ride.rideId,
+      userId: ride.userId,
+      driverId: ride.driverId
+    });
+    const started = await live;
+    expect(started).toMatchObject({ type: 'ride.started', data: { rideId: ride.rideId } });
+
+    // Missed while offline
+    passenger.disconnect();
+    await createEventHandler('payment.succeeded', deps)({
+      paymentId: `pay_${suffix}`,
+      rideId: ride.rideId,
+      userId: ride.userId,
+      amount: 150000,
+      currency: 'VND'
+    });
+
+    // Nothing was acked, so both come back, in order
+    passenger = connectClient(nodeB.url, {
+      auth: { userId: ride.userId, role: 'customer' },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    const replayed = await collectEvents(passenger, 'push', 2);
+    expect(replayed.map(push => push.type)).toEqual(['ride.started', 'payment.succeeded']);
+    expect(replayed[1].seq).toBe(started.seq + 1);
+
+    const ack = await passenger.emitWithAck('push:ack', { seq: replayed[1].seq });
+    expect(ack).toEqual({ ok: true, seq: replayed[1].seq });
+    expect(await nodeB.backlog.pending(ride.userId)).toEqual([]);
+
+    // The driver has not acked either push, so both stay in their backlog
+    expect((await nodeA.backlog.pending(ride.driverId)).map(push => push.type)).toEqual(['ride.started', 'payment.succeeded']);
+
+    await passenger.emitWithAck('ride:join', { rideId: ride.rideId });
+  });
+
+  it('stops tracking everywhere when one node pushes a final status', async () => {
+    const received = nextEvent(passenger, 'ride:status');
+
+    await nodeB.pushRideStatus(ride.rideId, 'completed');
+
+    expect(await received).toMatchObject({ rideId: ride.rideId, status: 'completed' });
+    expect(await nodeA.gpsTracker.getRideTracking(ride.rideId)).toMatchObject({ isActive: false });
+    expect(await nodeA.gpsTracker.getDriverRides(ride.driverId)).toEqual([]);
+
+    const ack = await driver.emitWithAck('location:update', { lat: 10.7627, lng: 106.6602 });
+    expect(ack).toEqual({ ok: true, rides: 0 });
+  });
+});
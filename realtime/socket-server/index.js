@@ -1,10 +1,49 @@
+const http = require('http');
 const app = require('./src/index');
+const GPSTracker = require('./src/gpsTracker');
+const { createSocketServer } = require('./src/socketServer');
+const { connectRabbitMQ } = require('./src/rabbitmq');
+const { startEventBridge } = require('./src/eventBridge');
 
 const PORT = process.env.PORT || 3011;
 
-const server = app.listen(PORT, () => {
-  console.log(`🔌 Real-time Socket Server running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+const gpsTracker = new GPSTracker();
+const server = http.createServer(app);
+
+const startServer = async () => {
+  await gpsTracker.initialize();
+
+  const rabbitMQClient = await connectRabbitMQ();
+
+  const { pushRideStatus, backlog, close } = createSocketServer(server, { gpsTracker, rabbitMQClient });
+  app.locals.gpsTracker = gpsTracker;
+
+  if (rabbitMQClient) {
+    await startEventBridge(rabbitMQClient, { gpsTracker, backlog, pushRideStatus });
+  }
+
+  server.listen(PORT, () => {
+    console.log(`🔌 Real-time Socket Server running on port ${PORT}`);
+    console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+  });
+
+  const shutdown = async () => {
+    console.log('🛑 Shutting down Real-time Socket Server...');
+    await close();
+    if (rabbitMQClient) {
+      await rabbitMQClient.disconnect();
+    }
+    await gpsTracker.cleanup();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+};
+
+startServer().catch(error => {
+  console.error('❌ Failed to start Real-time Socket Server:', error);
+  process.exit(1);
 });
 
-module.exports = server;
\ No newline at end of file
+module.exports = server;
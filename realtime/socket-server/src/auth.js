@@ -0,0 +1,85 @@
+/**
+ * Socket handshake authentication
+ * Tokens are checked against the auth service's validate-token contract
+ * (same as the API gateway), so revoked tokens are rejected too.
+ */
+
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3004';
+const AUTH_TIMEOUT_MS = parseInt(process.env.AUTH_TIMEOUT_MS, 10) || 5000;
+
+/**
+ * Build an error Socket.IO sends to the client as `connect_error`
+ */
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Read the token from `auth.token`, the Authorization header or `?token=`
+ */
+const extractToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token.replace(/^Bearer /, '');
+  }
+
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  return handshake.query && handshake.query.token ? handshake.query.token : null;
+};
+
+/**
+ * Validate a token with the auth service
+ * @returns {Promise<Object>} { userId, email, role }
+ */
+const validateToken = async (token) => {
+  let response;
+  try {
+    response = await fetch(`${AUTH_SERVICE_URL}/auth/validate-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+      signal: AbortSignal.timeout(AUTH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw authError('Authentication service unavailable', 'AUTH_SERVICE_UNAVAILABLE');
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.valid !== true || !body.user) {
+    throw authError(body.error || 'Invalid token', body.code || 'INVALID_TOKEN');
+  }
+
+  return body.user;
+};
+
+/**
+ * Socket.IO middleware: reject the handshake unless the token is valid
+ * Sets socket.data.user and socket.data.token (used to call other services as the user)
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = extractToken(socket.handshake);
+  if (!token) {
+    return next(authError('Access token is required', 'MISSING_TOKEN'));
+  }
+
+  try {
+    const user = await validateToken(token);
+    socket.data.user = { userId: String(user.userId), role: user.role, email: user.email };
+    socket.data.token = token;
+    next();
+  } catch (error) {
+    console.warn(`🔒 Socket handshake rejected: ${error.message}`);
+    next(error.data ? error : authError('Invalid token', 'INVALID_TOKEN'));
+  }
+};
+
+module.exports = {
+  authenticateSocket,
+  validateToken,
+  extractToken
+};
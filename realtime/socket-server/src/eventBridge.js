@@ -0,0 +1,141 @@
+/**
+ * Event Bridge
+ * Turns ride and payment events from RabbitMQ into pushes to the passenger's and driver's sockets
+ */
+
+const { EXCHANGES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+// Shared by every socket node: each event is consumed once and reaches other nodes through the Redis adapter
+const BRIDGE_QUEUE = 'realtime-socket-queue';
+
+const DEDUPE_TTL_SECONDS = 60 * 60;
+
+/**
+ * Bridged routing keys
+ * status: ride status pushed to the ride room as ride:status
+ * data: payload sent to each recipient
+ */
+const BRIDGED_EVENTS = {
+  [ROUTING_KEYS.RIDE_ASSIGNED]: {
+    exchange: EXCHANGES.RIDE_EVENTS,
+    status: 'driver_assigned',
+    data: (event) => ({
+      rideId: event.rideId,
+      driverId: event.driverId,
+      driverDetails: event.driverDetails || null,
+      pickup: event.pickup
+    })
+  },
+  [ROUTING_KEYS.RIDE_STARTED]: {
+    exchange: EXCHANGES.RIDE_EVENTS,
+    status: 'started',
+    data: (event) => ({
+      rideId: event.rideId,
+      driverId: event.driverId,
+      startLocation: event.startLocation || null
+    })
+  },
+  [ROUTING_KEYS.RIDE_COMPLETED]: {
+    exchange: EXCHANGES.RIDE_EVENTS,
+    status: 'completed',
+    data: (event) => ({
+      rideId: event.rideId,
+      driverId: event.driverId,
+      finalFare: event.finalFare,
+      distance: event.distance,
+      duration: event.duration
+    })
+  },
+  [ROUTING_KEYS.RIDE_CANCELLED]: {
+    exchange: EXCHANGES.RIDE_EVENTS,
+    status: 'cancelled',
+    data: (event) => ({
+      rideId: event.rideId,
+      cancelledBy: event.cancelledBy,
+      reason: event.reason
+    })
+  },
+  [ROUTING_KEYS.PAYMENT_SUCCEEDED]: {
+    exchange: EXCHANGES.PAYMENT_EVENTS,
+    data: (event) => ({
+      paymentId: event.paymentId,
+      rideId: event.rideId || null,
+      bookingId: event.bookingId,
+      amount: event.amount,
+      currency: event.currency
+    })
+  }
+};
+
+/**
+ * Build the handler for one bridged routing key
+ * @param {string} routingKey
+ * @param {Object} deps
+ * @param {GPSTracker} deps.gpsTracker
+ * @param {PushBacklog} deps.backlog
+ * @param {Function} deps.pushRideStatus - From createSocketServer
+ */
+const createEventHandler = (routingKey, { gpsTracker, backlog, pushRideStatus }) => {
+  const bridged = BRIDGED_EVENTS[routingKey];
+
+  return async (event) => {
+    // Redelivered or republished events are pushed once
+    const eventId = event.eventId || event.paymentId;
+    const dedupeKey = eventId ? `push_event:${routingKey}:${eventId}` : null;
+    if (dedupeKey) {
+      const first = await gpsTracker.redis.set(dedupeKey, '1', 'EX', DEDUPE_TTL_SECONDS, 'NX');
+      if (!first) return;
+    }
+
+    try {
+      // Payment events and system cancellations don't carry the driver; the ride tracking state does
+      let driverId = event.driverId || null;
+      if (!driverId && event.rideId) {
+        const tracking = await gpsTracker.getRideTracking(event.rideId);
+        driverId = tracking?.driverId || null;
+      }
+
+      if (bridged.status && event.rideId) {
+        if (routingKey === ROUTING_KEYS.RIDE_ASSIGNED) {
+          // Fixes from the new driver start flowing to the ride room without the driver naming the ride
+          await gpsTracker.startRideTracking(event.rideId, driverId, event.userId);
+        }
+        await pushRideStatus(event.rideId, bridged.status, { driverId });
+      }
+
+      const data = bridged.data(event);
+      const recipients = [...new Set([event.userId, driverId].filter(Boolean))];
+      for (const userId of recipients) {
+        const envelope = await backlog.add(userId, routingKey, data);
+        await gpsTracker.broadcastToUser(userId, 'push', envelope);
+      }
+    } catch (error) {
+      // The push didn't go out: release the key so the event can be delivered again
+      if (dedupeKey) {
+        await gpsTracker.redis.del(dedupeKey).catch(() => {});
+      }
+      throw error;
+    }
+  };
+};
+
+/**
+ * Bind one queue per bridged routing key and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {Object} deps - See createEventHandler
+ */
+const startEventBridge = async (rabbitMQClient, deps) => {
+  for (const [routingKey, { exchange }] of Object.entries(BRIDGED_EVENTS)) {
+    const queue = `${BRIDGE_QUEUE}.${routingKey}`;
+    await rabbitMQClient.bindQueue(queue, exchange, routingKey);
+    await rabbitMQClient.subscribeToQueue(queue, createEventHandler(routingKey, deps));
+  }
+
+  console.log('✅ Realtime Socket: bridging ride and payment events to clients');
+};
+
+module.exports = {
+  BRIDGED_EVENTS,
+  createEventHandler,
+  startEventBridge
+};
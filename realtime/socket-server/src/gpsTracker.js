@@ -1,5 +1,39 @@
 const { Redis } = require('ioredis');
 
+// Shared state lives in Redis so every socket node sees the same rides and presence
+const KEYS = {
+  connections: (userId) => `connections:${userId}`, // set of socket ids, across nodes
+  rideTracking: (rideId) => `ride_tracking:${rideId}`, // hash: driverId, passengerId, startTime, isActive, endTime
+  rideRoute: (rideId) => `ride_route:${rideId}`, // list of JSON locations
+  driverRides: (driverId) => `driver_rides:${driverId}`, // set of actively tracked rideIds
+  activeRides: 'active_rides',
+  locationHistory: (entityId) => `location_history:${entityId}`
+};
+
+const CONNECTION_TTL = 300; // 5 minutes, refreshed by the cleanup interval
+const TRACKING_TTL = 24 * 60 * 60; // finished rides and history are kept for 24 hours
+const MAX_ROUTE_POINTS = 100;
+const MAX_HISTORY_POINTS = 1000;
+
+const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Close a Redis client whether or not it ever connected
+ * quit() waits for the server, so it never settles while ioredis is still reconnecting
+ */
+const closeRedis = async (client) => {
+  if (client.status === 'ready') {
+    try {
+      await client.quit();
+      return;
+    } catch (error) {
+      // Fall through and drop the connection
+    }
+  }
+  client.disconnect();
+};
+const rideRoom = (rideId) => `ride_${rideId}`;
+
 /**
  * Real-time GPS Tracker for CAB Booking System
  * Handles location updates, broadcasting, and geospatial queries
@@ -7,10 +41,9 @@ const { Redis } = require('ioredis');
 class GPSTracker {
   constructor() {
     this.redis = null;
-    this.activeConnections = new Map(); // userId -> socket
-    this.driverLocations = new Map(); // driverId -> location
-    this.rideLocations = new Map(); // rideId -> locations array
-    this.locationHistory = new Map(); // entityId -> history array
+    this.io = null;
+    this.activeConnections = new Map(); // userId -> Set of sockets on this node
+    this.intervals = [];
   }
 
   /**
@@ -18,14 +51,21 @@ class GPSTracker {
    */
   async initialize() {
     try {
-      this.redis = new Redis({
-        host: process.env.REDIS_HOST || 'redis',
-        port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASS || undefined,
+      const options = {
         retryDelayOnFailover: 100,
         enableReadyCheck: false,
         maxRetriesPerRequest: 3
-      });
+      };
+
+      // REDIS_URL (docker-compose) takes precedence over host/port settings
+      this.redis = process.env.REDIS_URL
+        ? new Redis(process.env.REDIS_URL, options)
+        : new Redis({
+          host: process.env.REDIS_HOST || 'redis',
+          port: process.env.REDIS_PORT || 6379,
+          password: process.env.REDIS_PASS || undefined,
+          ...options
+        });
 
       this.redis.on('connect', () => console.log('✅ GPS Tracker Redis connected'));
       this.redis.on('error', (err) => console.error('❌ GPS Tracker Redis error:', err));
@@ -33,20 +73,38 @@ class GPSTracker {
       // Start cleanup intervals
       this.startCleanupIntervals();
 
+      return this.redis;
+
     } catch (error) {
       console.error('Failed to initialize GPS Tracker:', error);
       throw error;
     }
   }
 
+  /**
+   * Attach the Socket.IO server used for room broadcasts
+   * With the Redis adapter, room emits reach sockets connected to any node
+   */
+  setServer(io) {
+    this.io = io;
+  }
+
   /**
    * Register user connection
    */
-  registerConnection(userId, socket) {
-    this.activeConnections.set(userId, socket);
+  async registerConnection(userId, socket) {
+    if (!this.activeConnections.has(userId)) {
+      this.activeConnections.set(userId, new Set());
+    }
+    this.activeConnections.get(userId).add(socket);
+    socket.join(userRoom(userId));
 
-    // Set connection status in Redis
-    this.redis.set(`connection:${userId}`, 'online', 'EX', 300); // 5 minutes
+    // Presence is per socket so a user connected to several nodes stays online until the last one leaves
+    const key = KEYS.connections(userId);
+    await this.redis.multi()
+      .sadd(key, socket.id)
+      .expire(key, CONNECTION_TTL)
+      .exec();
 
     console.log(`User ${userId} connected to GPS tracker`);
   }
@@ -54,15 +112,27 @@ class GPSTracker {
   /**
    * Unregister user connection
    */
-  unregisterConnection(userId) {
-    this.activeConnections.delete(userId);
+  async unregisterConnection(userId, socket) {
+    const sockets = this.activeConnections.get(userId);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        this.activeConnections.delete(userId);
+      }
+    }
 
-    // Clear connection status
-    this.redis.del(`connection:${userId}`);
+    await this.redis.srem(KEYS.connections(userId), socket.id);
 
     console.log(`User ${userId} disconnected from GPS tracker`);
   }
 
+  /**
+   * Whether the user has a live socket on any node
+   */
+  async isUserOnline(userId) {
+    return (await this.redis.scard(KEYS.connections(userId))) > 0;
+  }
+
   /**
    * Update driver location
    */
@@ -70,16 +140,6 @@ class GPSTracker {
     try {
       const { coordinates, heading, speed, accuracy, timestamp } = locationData;
 
-      // Store in memory
-      this.driverLocations.set(driverId, {
-        coordinates,
-        heading: heading || 0,
-        speed: speed || 0,
-        accuracy: accuracy || 10,
-        timestamp: timestamp || new Date(),
-        lastUpdate: new Date()
-      });
-
       // Store in Redis with geospatial index
       const key = 'drivers_geo';
       await this.redis.geoadd(key, coordinates.lng, coordinates.lat, driverId);
@@ -100,7 +160,7 @@ class GPSTracker {
       await this.redis.expire(locationKey, 3600); // 1 hour
 
       // Add to location history
-      this.addToLocationHistory(`driver_${driverId}`, coordinates);
+      await this.addToLocationHistory(`driver_${driverId}`, coordinates);
 
       // Broadcast location update to relevant clients
       await this.broadcastDriverLocation(driverId, locationData);
@@ -178,24 +238,65 @@ class GPSTracker {
   /**
    * Start ride tracking
    */
-  startRideTracking(rideId, driverId, passengerId) {
-    this.rideLocations.set(rideId, {
-      driverId,
-      passengerId,
-      locations: [],
-      startTime: new Date(),
-      isActive: true
-    });
+  async startRideTracking(rideId, driverId, passengerId) {
+    const key = KEYS.rideTracking(rideId);
+    const previousDriverId = await this.redis.hget(key, 'driverId');
+
+    const multi = this.redis.multi();
+    // The ride was reassigned: the previous driver's fixes no longer belong to it
+    if (previousDriverId && previousDriverId !== driverId) {
+      multi.srem(KEYS.driverRides(previousDriverId), rideId);
+    }
+    multi
+      .del(key)
+      .hset(key, {
+        driverId: driverId || '',
+        passengerId: passengerId || '',
+        startTime: Date.now(),
+        isActive: '1'
+      })
+      .expire(key, TRACKING_TTL)
+      .sadd(KEYS.activeRides, rideId);
+    if (driverId) {
+      multi.sadd(KEYS.driverRides(driverId), rideId);
+    }
+    await multi.exec();
 
     console.log(`Started tracking ride ${rideId}`);
   }
 
+  /**
+   * Get ride tracking state
+   * @returns {Object|null} { driverId, passengerId, startTime, isActive, endTime }
+   */
+  async getRideTracking(rideId) {
+    const tracking = await this.redis.hgetall(KEYS.rideTracking(rideId));
+    if (!tracking || Object.keys(tracking).length === 0) {
+      return null;
+    }
+
+    return {
+      driverId: tracking.driverId || null,
+      passengerId: tracking.passengerId || null,
+      startTime: new Date(parseInt(tracking.startTime)),
+      isActive: tracking.isActive === '1',
+      endTime: tracking.endTime ? new Date(parseInt(tracking.endTime)) : null
+    };
+  }
+
+  /**
+   * Rides the driver is actively tracked on
+   */
+  async getDriverRides(driverId) {
+    return this.redis.smembers(KEYS.driverRides(driverId));
+  }
+
   /**
    * Update ride location
    */
   async updateRideLocation(rideId, locationData) {
     try {
-      const rideTracking = this.rideLocations.get(rideId);
+      const rideTracking = await this.getRideTracking(rideId);
       if (!rideTracking || !rideTracking.isActive) {
         return;
       }
@@ -207,18 +308,21 @@ class GPSTracker {
         heading: locationData.heading || 0
       };
 
-      rideTracking.locations.push(location);
-
       // Keep only last 100 locations to prevent memory issues
-      if (rideTracking.locations.length > 100) {
-        rideTracking.locations = rideTracking.locations.slice(-100);
-      }
+      const routeKey = KEYS.rideRoute(rideId);
+      await this.redis.multi()
+        .rpush(routeKey, JSON.stringify(location))
+        .ltrim(routeKey, -MAX_ROUTE_POINTS, -1)
+        .expire(routeKey, TRACKING_TTL)
+        .exec();
 
       // Broadcast to passenger
-      await this.broadcastToUser(rideTracking.passengerId, 'ride_location_update', {
-        rideId,
-        location
-      });
+      if (rideTracking.passengerId) {
+        await this.broadcastToUser(rideTracking.passengerId, 'ride_location_update', {
+          rideId,
+          location
+        });
+      }
 
       return location;
 
@@ -231,11 +335,18 @@ class GPSTracker {
   /**
    * Stop ride tracking
    */
-  stopRideTracking(rideId) {
-    const rideTracking = this.rideLocations.get(rideId);
+  async stopRideTracking(rideId) {
+    const rideTracking = await this.getRideTracking(rideId);
     if (rideTracking) {
-      rideTracking.isActive = false;
-      rideTracking.endTime = new Date();
+      const multi = this.redis.multi()
+        .hset(KEYS.rideTracking(rideId), { isActive: '0', endTime: Date.now() })
+        .srem(KEYS.activeRides, rideId)
+        .expire(KEYS.rideTracking(rideId), TRACKING_TTL)
+        .expire(KEYS.rideRoute(rideId), TRACKING_TTL);
+      if (rideTracking.driverId) {
+        multi.srem(KEYS.driverRides(rideTracking.driverId), rideId);
+      }
+      await multi.exec();
 
       console.log(`Stopped tracking ride ${rideId}`);
     }
@@ -244,9 +355,9 @@ class GPSTracker {
   /**
    * Get ride route
    */
-  getRideRoute(rideId) {
-    const rideTracking = this.rideLocations.get(rideId);
-    return rideTracking ? rideTracking.locations : [];
+  async getRideRoute(rideId) {
+    const route = await this.redis.lrange(KEYS.rideRoute(rideId), 0, -1);
+    return route.map(location => JSON.parse(location));
   }
 
   /**
@@ -306,12 +417,11 @@ class GPSTracker {
   }
 
   /**
-   * Broadcast to specific user
+   * Broadcast to specific user, on whichever node their sockets are connected
    */
   async broadcastToUser(userId, event, data) {
-    const socket = this.activeConnections.get(userId);
-    if (socket) {
-      socket.emit(event, data);
+    if (this.io) {
+      this.io.to(userRoom(userId)).emit(event, data);
     }
   }
 
@@ -328,7 +438,7 @@ class GPSTracker {
    * Join ride room (for real-time ride updates)
    */
   joinRideRoom(userId, rideId, socket) {
-    socket.join(`ride_${rideId}`);
+    socket.join(rideRoom(rideId));
     console.log(`User ${userId} joined ride room ${rideId}`);
   }
 
@@ -336,43 +446,38 @@ class GPSTracker {
    * Leave ride room
    */
   leaveRideRoom(userId, rideId, socket) {
-    socket.leave(`ride_${rideId}`);
+    socket.leave(rideRoom(rideId));
     console.log(`User ${userId} left ride room ${rideId}`);
   }
 
   /**
    * Broadcast to ride room
    */
-  async broadcastToRide(rideId, event, data, io) {
-    io.to(`ride_${rideId}`).emit(event, data);
+  async broadcastToRide(rideId, event, data, io = this.io) {
+    if (io) {
+      io.to(rideRoom(rideId)).emit(event, data);
+    }
   }
 
   /**
    * Add location to history
    */
-  addToLocationHistory(entityId, coordinates) {
-    if (!this.locationHistory.has(entityId)) {
-      this.locationHistory.set(entityId, []);
-    }
-
-    const history = this.locationHistory.get(entityId);
-    history.push({
-      coordinates,
-      timestamp: new Date()
-    });
-
+  async addToLocationHistory(entityId, coordinates) {
     // Keep only last 1000 locations
-    if (history.length > 1000) {
-      history.shift();
-    }
+    const key = KEYS.locationHistory(entityId);
+    await this.redis.multi()
+      .rpush(key, JSON.stringify({ coordinates, timestamp: new Date() }))
+      .ltrim(key, -MAX_HISTORY_POINTS, -1)
+      .expire(key, TRACKING_TTL)
+      .exec();
   }
 
   /**
    * Get location history
    */
-  getLocationHistory(entityId, limit = 100) {
-    const history = this.locationHistory.get(entityId) || [];
-    return history.slice(-limit);
+  async getLocationHistory(entityId, limit = 100) {
+    const history = await this.redis.lrange(KEYS.locationHistory(entityId), -limit, -1);
+    return history.map(location => JSON.parse(location));
   }
 
   /**
@@ -393,43 +498,46 @@ class GPSTracker {
 
   /**
    * Get real-time statistics
+   * Connections are this node's; drivers and rides are cluster-wide
    */
-  getStats() {
+  async getStats() {
+    const [trackedDrivers, activeRides] = await Promise.all([
+      this.redis.zcard('drivers_geo'),
+      this.redis.scard(KEYS.activeRides)
+    ]);
+
     return {
       activeConnections: this.activeConnections.size,
-      trackedDrivers: this.driverLocations.size,
-      activeRides: Array.from(this.rideLocations.values()).filter(r => r.isActive).length,
-      totalRides: this.rideLocations.size,
+      trackedDrivers,
+      activeRides,
       timestamp: new Date().toISOString()
     };
   }
 
   /**
    * Start cleanup intervals
+   * Location history and finished rides expire through Redis TTLs
    */
   startCleanupIntervals() {
     // Clean up inactive connections every 5 minutes
-    setInterval(() => {
+    this.intervals.push(setInterval(() => {
       this.cleanupInactiveConnections();
-    }, 5 * 60 * 1000);
-
-    // Clean up old location data every hour
-    setInterval(() => {
-      this.cleanupOldLocationData();
-    }, 60 * 60 * 1000);
+    }, 5 * 60 * 1000));
   }
 
   /**
-   * Clean up inactive connections
+   * Drop disconnected sockets and refresh presence for live ones
    */
   async cleanupInactiveConnections() {
     try {
-      const now = Date.now();
-      const inactiveThreshold = 10 * 60 * 1000; // 10 minutes
-
-      for (const [userId, socket] of this.activeConnections) {
-        if (socket.disconnected || (now - socket.connectedAt) > inactiveThreshold) {
-          this.unregisterConnection(userId);
+      for (const [userId, sockets] of this.activeConnections) {
+        for (const socket of sockets) {
+          if (socket.disconnected) {
+            await this.unregisterConnection(userId, socket);
+          }
+        }
+        if (this.activeConnections.has(userId)) {
+          await this.redis.expire(KEYS.connections(userId), CONNECTION_TTL);
         }
       }
 
@@ -440,59 +548,22 @@ class GPSTracker {
     }
   }
 
-  /**
-   * Clean up old location data
-   */
-  cleanupOldLocationData() {
-    try {
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-      const now = Date.now();
-
-      // Clean location history
-      for (const [entityId, history] of this.locationHistory) {
-        const filteredHistory = history.filter(
-          location => (now - location.timestamp.getTime()) < maxAge
-        );
-        this.locationHistory.set(entityId, filteredHistory);
-      }
-
-      // Clean ride locations
-      for (const [rideId, rideData] of this.rideLocations) {
-        if (!rideData.isActive && rideData.endTime) {
-          const age = now - rideData.endTime.getTime();
-          if (age > maxAge) {
-            this.rideLocations.delete(rideId);
-          }
-        }
-      }
-
-      console.log('Cleaned up old location data');
-
-    } catch (error) {
-      console.error('Error cleaning up old location data:', error);
-    }
-  }
-
   /**
    * Cleanup and close connections
    */
   async cleanup() {
-    try {
-      if (this.redis) {
-        await this.redis.quit();
-      }
+    this.intervals.forEach(clearInterval);
+    this.intervals = [];
+    this.activeConnections.clear();
 
-      this.activeConnections.clear();
-      this.driverLocations.clear();
-      this.rideLocations.clear();
-      this.locationHistory.clear();
-
-      console.log('✅ GPS Tracker cleaned up');
-
-    } catch (error) {
-      console.error('Error during GPS Tracker cleanup:', error);
+    if (this.redis) {
+      await closeRedis(this.redis);
     }
+
+    console.log('✅ GPS Tracker cleaned up');
   }
 }
 
-module.exports = GPSTracker;
\ No newline at end of file
+module.exports = GPSTracker;
+module.exports.KEYS = KEYS;
+module.exports.closeRedis = closeRedis;
\ No newline at end of file
@@ -7,12 +7,23 @@ const app = express();
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*', credentials: true }));
 app.use(express.json({ limit: '10mb' }));
 
-app.get('/health', (req, res) => {
-	res.json({
-		service: 'realtime-socket',
-		status: 'healthy',
-		timestamp: new Date().toISOString()
-	});
+app.get('/health', async (req, res) => {
+	const { gpsTracker } = req.app.locals;
+	try {
+		res.json({
+			service: 'realtime-socket',
+			status: 'healthy',
+			...(gpsTracker ? { stats: await gpsTracker.getStats() } : {}),
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(503).json({
+			service: 'realtime-socket',
+			status: 'unhealthy',
+			error: error.message,
+			timestamp: new Date().toISOString()
+		});
+	}
 });
 
 app.get('/', (req, res) => {
@@ -0,0 +1,68 @@
+/**
+ * Per-user backlog of pushed messages, kept in Redis until the client acknowledges them
+ * Every message gets a per-user sequence number; acks are cumulative
+ * The sequence key never expires so a client's last seen seq stays meaningful after the backlog does
+ */
+
+const BACKLOG_CONFIG = {
+  size: parseInt(process.env.PUSH_BACKLOG_SIZE) || 50,
+  ttlSeconds: parseInt(process.env.PUSH_BACKLOG_TTL_SECONDS) || 60 * 60
+};
+
+const KEYS = {
+  seq: (userId) => `push_seq:${userId}`,
+  backlog: (userId) => `push_backlog:${userId}` // sorted set, score = seq
+};
+
+class PushBacklog {
+  constructor(redis, config = BACKLOG_CONFIG) {
+    this.redis = redis;
+    this.config = config;
+  }
+
+  /**
+   * Store a message for the user and return its envelope
+   * Only the newest `size` messages are kept; older ones are dropped even if unacknowledged
+   */
+  async add(userId, type, data) {
+    const seq = await this.redis.incr(KEYS.seq(userId));
+    const envelope = {
+      seq,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    const key = KEYS.backlog(userId);
+    await this.redis.multi()
+      .zadd(key, seq, JSON.stringify(envelope))
+      .zremrangebyrank(key, 0, -(this.config.size + 1))
+      .expire(key, this.config.ttlSeconds)
+      .exec();
+
+    return envelope;
+  }
+
+  /**
+   * Acknowledge every message up to and including seq
+   */
+  async ack(userId, seq) {
+    const upTo = Number(seq);
+    if (!Number.isInteger(upTo) || upTo < 1) {
+      return 0;
+    }
+    return this.redis.zremrangebyscore(KEYS.backlog(userId), '-inf', upTo);
+  }
+
+  /**
+   * Messages not acknowledged yet, oldest first
+   */
+  async pending(userId) {
+    const entries = await this.redis.zrange(KEYS.backlog(userId), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+}
+
+module.exports = PushBacklog;
+module.exports.BACKLOG_CONFIG = BACKLOG_CONFIG;
+module.exports.KEYS = KEYS;
@@ -0,0 +1,28 @@
+const { RabbitMQClient } = require('@cab-booking/shared');
+
+const rabbitMQClient = new RabbitMQClient();
+
+/**
+ * Connect to RabbitMQ with a few retries
+ * Sockets keep working without the event bus; ride and payment pushes just stop arriving
+ */
+const connectRabbitMQ = async (maxRetries = 3) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await rabbitMQClient.connect();
+      return rabbitMQClient;
+    } catch (error) {
+      console.warn(`⚠️ Realtime Socket: RabbitMQ attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+      if (attempt < maxRetries) {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+    }
+  }
+
+  console.error('❌ Realtime Socket: RabbitMQ unavailable, running without event bridge');
+  return null;
+};
+
+module.exports = {
+  connectRabbitMQ
+};
@@ -0,0 +1,32 @@
+/**
+ * Ride service lookups made on behalf of a connected user
+ * The user's own token is forwarded, so ride-service applies its access rules.
+ */
+
+const RIDE_SERVICE_URL = process.env.RIDE_SERVICE_URL || 'http://ride-service:3009';
+const RIDE_TIMEOUT_MS = parseInt(process.env.RIDE_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+/**
+ * Fetch a ride
+ * @returns {Promise<Object|null>} Ride, or null when it does not exist or the user may not see it
+ */
+const getRide = async (rideId, token) => {
+  const response = await fetch(`${RIDE_SERVICE_URL}/api/rides/${encodeURIComponent(rideId)}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(RIDE_TIMEOUT_MS)
+  });
+
+  if ([403, 404].includes(response.status)) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Ride service responded with ${response.status}`);
+  }
+
+  const body = await response.json();
+  return body.data || null;
+};
+
+module.exports = {
+  getRide
+};
@@ -0,0 +1,278 @@
+const { Server } = require('socket.io');
+const { EXCHANGES, ROUTING_KEYS, EVENT_TYPES } = require('@cab-booking/shared');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { authenticateSocket } = require('./auth');
+const rideClient = require('./rideClient');
+const PushBacklog = require('./pushBacklog');
+const { closeRedis } = require('./gpsTracker');
+
+// Ride statuses after which the driver's position is no longer pushed to the ride room
+const FINAL_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+const rideRoom = (rideId) => `ride_${rideId}`;
+
+/**
+ * Parse and validate a location:update payload
+ * Accepts { lat, lng } or { coordinates: { lat, lng } }
+ * @returns {Object|null} Location data for GPSTracker, null when invalid
+ */
+const parseLocation = (payload = {}) => {
+  const source = payload.coordinates || payload;
+  const lat = Number(source.lat);
+  const lng = Number(source.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return {
+    coordinates: { lat, lng },
+    heading: Number(payload.heading) || 0,
+    speed: Number(payload.speed) || 0,
+    accuracy: Number(payload.accuracy) || 10,
+    timestamp: payload.timestamp ? new Date(payload.timestamp) : new Date()
+  };
+};
+
+const reply = (ack, body) => {
+  if (typeof ack === 'function') ack(body);
+};
+
+/**
+ * Attach the Socket.IO server to an HTTP server
+ * @param {http.Server} httpServer
+ * @param {Object} deps
+ * @param {GPSTracker} deps.gpsTracker - Initialized tracker
+ * @param {Object} [deps.rides] - Ride lookup client (defaults to ride-service over HTTP)
+ * @param {PushBacklog} [deps.backlog] - Unacknowledged pushes, replayed on reconnect
+ * @param {RabbitMQClient} [deps.rabbitMQClient] - Publishes driver fixes for the driver-service GPS history
+ * @param {Function} [deps.authenticate] - Handshake middleware (defaults to auth-service token validation)
+ * @returns {Object} { io, pushRideStatus, backlog, close }
+ */
+const createSocketServer = (httpServer, {
+  gpsTracker,
+  rides = rideClient,
+  backlog = new PushBacklog(gpsTracker.redis),
+  rabbitMQClient = null,
+  authenticate = authenticateSocket
+}) => {
+  const io = new Server(httpServer, {
+    cors: { origin: process.env.CORS_ORIGIN || '*', credentials: true },
+    pingInterval: 10000,
+    pingTimeout: 5000
+  });
+
+  // Rooms are shared between nodes through Redis pub/sub; the subscriber needs its own connection
+  const pubClient = gpsTracker.redis.duplicate();
+  const subClient = gpsTracker.redis.duplicate();
+  io.adapter(createAdapter(pubClient, subClient));
+  gpsTracker.setServer(io);
+
+  io.use(authenticate);
+
+  /**
+   * Push a ride status change to everyone in the ride room
+   */
+  const pushRideStatus = async (rideId, status, details = {}) => {
+    io.to(rideRoom(rideId)).emit('ride:status', {
+      rideId,
+      status,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+
+    if (FINAL_STATUSES.includes(status)) {
+      await gpsTracker.stopRideTracking(rideId);
+    }
+  };
+
+  /**
+   * Make sure the tracker knows the ride's current driver
+   * The passenger may join before a driver is assigned, so the driver is looked up again on demand
+   */
+  const trackRide = async (ride) => {
+    const tracking = await gpsTracker.getRideTracking(ride.rideId);
+    if (!tracking || !tracking.isActive || tracking.driverId !== (ride.driverId || null)) {
+      await gpsTracker.startRideTracking(ride.rideId, ride.driverId || null, ride.userId);
+    }
+  };
+
+  const refreshRideTracking = async (rideId, token) => {
+    const ride = await rides.getRide(rideId, token);
+    if (ride && !FINAL_STATUSES.includes(ride.status)) {
+      await trackRide(ride);
+    }
+    return ride;
+  };
+
+  /**
+   * Hand a driver fix to driver-service, which stores it in the GPS history
+   */
+  const publishLocation = async (driverId, location, rideIds, isMockLocation) => {
+    if (!rabbitMQClient) return;
+
+    await rabbitMQClient.publishEvent(EXCHANGES.DRIVER_EVENTS, ROUTING_KEYS.DRIVER_LOCATION_UPDATED, {
+      type: EVENT_TYPES.DRIVER_LOCATION_UPDATED,
+      driverId,
+      location: location.coordinates,
+      heading: location.heading,
+      speed: location.speed,
+      accuracy: location.accuracy,
+      rideId: rideIds[0] || null,
+      isMockLocation,
+      recordedAt: location.timestamp.toISOString(),
+      source: 'socket'
+    });
+  };
+
+  /**
+   * Resend pushes the client has not acknowledged, e.g. status changes missed while reconnecting
+   * The client may pass the last seq it processed in the handshake (auth.lastSeq), which acks it first
+   */
+  const replayPending = async (socket, userId) => {
+    const { lastSeq } = socket.handshake.auth || {};
+    if (lastSeq !== undefined) {
+      await backlog.ack(userId, lastSeq);
+    }
+
+    const pending = await backlog.pending(userId);
+    for (const envelope of pending) {
+      socket.emit('push', envelope);
+    }
+  };
+
+  io.on('connection', (socket) => {
+    const { userId, role } = socket.data.user;
+
+    gpsTracker.registerConnection(userId, socket).catch(error => {
+      console.error(`Error registering connection for user ${userId}:`, error.message);
+    });
+    replayPending(socket, userId).catch(error => {
+      console.error(`Error replaying pushes for user ${userId}:`, error.message);
+    });
+
+    // Cumulative ack: everything up to seq has been processed and can leave the backlog
+    socket.on('push:ack', async ({ seq } = {}, ack) => {
+      try {
+        await backlog.ack(userId, seq);
+        reply(ack, { ok: true, seq });
+      } catch (error) {
+        console.error(`Error acknowledging pushes for user ${userId}:`, error.message);
+        reply(ack, { ok: false, error: 'Failed to acknowledge' });
+      }
+    });
+
+    // Driver GPS fix: fan out to ride rooms first, persist afterwards, so passengers see it right away
+    socket.on('location:update', async (payload = {}, ack) => {
+      if (role !== 'driver') {
+        return reply(ack, { ok: false, error: 'Only drivers can send location updates' });
+      }
+
+      const location = parseLocation(payload);
+      if (!location) {
+        return reply(ack, { ok: false, error: 'Valid lat and lng are required' });
+      }
+
+      try {
+        let rideIds = await gpsTracker.getDriverRides(userId);
+        if (payload.rideId && !rideIds.includes(payload.rideId)) {
+          await refreshRideTracking(payload.rideId, socket.data.token);
+          rideIds = await gpsTracker.getDriverRides(userId);
+        }
+
+        const message = {
+          driverId: userId,
+          ...location,
+          timestamp: location.timestamp.toISOString()
+        };
+        for (const rideId of rideIds) {
+          io.to(rideRoom(rideId)).emit('driver:location', { rideId, ...message });
+        }
+
+        reply(ack, { ok: true, rides: rideIds.length });
+
+        Promise.all([
+          gpsTracker.updateDriverLocation(userId, location),
+          ...rideIds.map(rideId => gpsTracker.updateRideLocation(rideId, location)),
+          // The device's mock-provider flag feeds driver-service anomaly detection
+          publishLocation(userId, location, rideIds, Boolean(payload.isMockLocation || payload.mocked))
+        ]).catch(error => {
+          console.error(`Error storing location from driver ${userId}:`, error.message);
+        });
+      } catch (error) {
+        console.error(`Error handling location update from driver ${userId}:`, error.message);
+        reply(ack, { ok: false, error: 'Failed to process location update' });
+      }
+    });
+
+    // Passenger (or the assigned driver) subscribes to a ride's live updates
+    socket.on('ride:join', async ({ rideId } = {}, ack) => {
+      if (!rideId) {
+        return reply(ack, { ok: false, error: 'rideId is required' });
+      }
+
+      try {
+        const ride = await rides.getRide(rideId, socket.data.token);
+        const isParticipant = ride && (ride.userId === userId || ride.driverId === userId);
+        if (!ride || (!isParticipant && role !== 'admin')) {
+          return reply(ack, { ok: false, error: 'Ride not found' });
+        }
+
+        if (!FINAL_STATUSES.includes(ride.status)) {
+          await trackRide(ride);
+        }
+        gpsTracker.joinRideRoom(userId, rideId, socket);
+
+        // Current state straight away, without waiting for the next change or GPS fix
+        socket.emit('ride:status', {
+          rideId,
+          status: ride.status,
+          driverId: ride.driverId || null,
+          timestamp: new Date().toISOString()
+        });
+        if (ride.driverId) {
+          const location = await gpsTracker.getDriverLocation(ride.driverId);
+          if (location) {
+            socket.emit('driver:location', { rideId, driverId: ride.driverId, ...location });
+          }
+        }
+
+        reply(ack, { ok: true, rideId, status: ride.status });
+      } catch (error) {
+        console.error(`Error joining ride ${rideId} for user ${userId}:`, error.message);
+        reply(ack, { ok: false, error: 'Unable to join ride' });
+      }
+    });
+
+    socket.on('ride:leave', ({ rideId } = {}, ack) => {
+      if (!rideId) {
+        return reply(ack, { ok: false, error: 'rideId is required' });
+      }
+
+      gpsTracker.leaveRideRoom(userId, rideId, socket);
+      reply(ack, { ok: true, rideId });
+    });
+
+    socket.on('disconnect', (reason) => {
+      // Other sockets of the same user (another tab, another node) stay registered
+      gpsTracker.unregisterConnection(userId, socket).catch(error => {
+        console.error(`Error unregistering connection for user ${userId}:`, error.message);
+      });
+      console.log(`User ${userId} disconnected: ${reason}`);
+    });
+  });
+
+  const close = async () => {
+    try {
+      await new Promise(resolve => io.close(() => resolve()));
+    } finally {
+      await Promise.all([closeRedis(pubClient), closeRedis(subClient)]);
+    }
+  };
+
+  return { io, pushRideStatus, backlog, close };
+};
+
+module.exports = {
+  createSocketServer,
+  parseLocation
+};
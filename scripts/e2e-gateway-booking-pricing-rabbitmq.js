@@ -5,7 +5,7 @@
   1) Authenticate through API Gateway (/auth/register + /auth/login)
   2) Create booking through API Gateway (/api/bookings)
   3) Booking service calls pricing service (/api/pricing/estimate)
-  4) Booking service publishes RabbitMQ event: booking.created (exchange: ride_events)
+  4) Booking service publishes RabbitMQ event: booking.created (exchange: booking-events)
 
   Usage:
     node scripts/e2e-gateway-booking-pricing-rabbitmq.js
@@ -27,6 +27,9 @@ const config = {
   requestTimeoutMs: Number(process.env.REQUEST_TIMEOUT_MS || 12000)
 };
 
+// booking-service publishes booking.* events on this exchange
+const BOOKING_EXCHANGE = 'booking-events';
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -118,7 +121,7 @@ async function ensureRabbitQueue(queueName) {
   }
 
   const bindQueue = await httpJson(
-    `${config.rabbitApiUrl}/bindings/${vhost}/e/${encName('ride_events')}/q/${queue}`,
+    `${config.rabbitApiUrl}/bindings/${vhost}/e/${encName(BOOKING_EXCHANGE)}/q/${queue}`,
     {
       method: 'POST',
       headers: baseHeaders,
@@ -127,10 +130,10 @@ async function ensureRabbitQueue(queueName) {
   );
 
   if (!bindQueue.ok) {
-    throw new Error(`Failed to bind queue ${queueName} to ride_events:booking.created (HTTP ${bindQueue.status})`);
+    throw new Error(`Failed to bind queue ${queueName} to ${BOOKING_EXCHANGE}:booking.created (HTTP ${bindQueue.status})`);
   }
 
-  console.log(`[OK] Rabbit queue bound: ${queueName} -> ride_events (booking.created)`);
+  console.log(`[OK] Rabbit queue bound: ${queueName} -> ${BOOKING_EXCHANGE} (booking.created)`);
 }
 
 async function pullOneMessage(queueName) {
@@ -249,6 +249,28 @@ class AuthController {
     }
   };
 
+  // Internal lookup by phone or email (used by payment-service for fare splitting)
+  lookupUser = async (req, res) => {
+    try {
+      const { phone, email } = req.query;
+
+      if (!phone && !email) {
+        return res.status(400).json({ error: 'phone or email is required' });
+      }
+
+      const user = await this.authService.lookupUser({ phone, email });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      res.json({ user });
+
+    } catch (error) {
+      console.error('Lookup user controller error:', error);
+      res.status(500).json({ error: 'Failed to look up user' });
+    }
+  };
+
   // Health check
   healthCheck = async (req, res) => {
     res.json({
@@ -33,7 +33,7 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     role: {
-      type: DataTypes.ENUM('customer', 'driver', 'admin'),
+      type: DataTypes.ENUM('customer', 'driver', 'admin', 'support'),
       defaultValue: 'customer'
     },
     isVerified: {
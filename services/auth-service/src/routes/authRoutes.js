@@ -25,6 +25,9 @@ router.post('/reset-password', authController.resetPassword);
 router.get('/profile', authController.getProfile);
 router.put('/profile', authController.updateProfile);
 
+// Service-to-service: tra cứu người dùng theo phone/email
+router.get('/internal/users/lookup', authController.lookupUser);
+
 // 🔥 API Gateway gọi endpoint này
 router.post('/validate-token', authController.validateToken);
 
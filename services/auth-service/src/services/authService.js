@@ -401,6 +401,23 @@ class AuthService {
         }
     }
 
+    // Resolve a registered user by phone or email (service-to-service lookup)
+    async lookupUser({ phone, email }) {
+        const user = phone
+            ? await this.userRepository.findByPhone(phone)
+            : await this.userRepository.findByEmail(email);
+        if (!user || !user.isActive) {
+            return null;
+        }
+
+        return {
+            id: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role
+        };
+    }
+
     // Update user profile
     async updateProfile(userId, updateData) {
         try {
@@ -0,0 +1,181 @@
+const bookingScheduler = require('../src/services/BookingScheduler');
+const bookingRepository = require('../src/repositories/BookingRepository');
+const { publishEvent } = require('../src/config/messageBroker');
+const { SCHEDULE_CONFIG } = require('../src/config/schedule');
+
+jest.mock('../src/repositories/BookingRepository', () => ({
+    getBookingsDueForReminder: jest.fn(),
+    markReminderSent: jest.fn(),
+    claimDueScheduledBooking: jest.fn(),
+    claimEscalation: jest.fn(),
+    failUnassignedScheduledBooking: jest.fn()
+}));
+jest.mock('../src/config/messageBroker', () => ({
+    publishEvent: jest.fn()
+}));
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+const minutesBefore = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+const booking = (id, overrides = {}) => ({
+    _id: id,
+    customerId: 'customer_1',
+    pickupLocation: { address: 'Bến Thành', latitude: 10.772, longitude: 106.698 },
+    dropoffLocation: { address: 'Tân Sơn Nhất', latitude: 10.818, longitude: 106.659 },
+    vehicleType: 'standard',
+    estimatedFare: 120000,
+    scheduledPickupAt: new Date('2026-10-19T08:15:00Z'),
+    schedule: { escalationLevel: 0 },
+    ...overrides
+});
+
+// Các sự kiện đã publish theo thứ tự: [eventType, bookingId]
+const published = () => publishEvent.mock.calls.map(([eventType, data]) => [eventType, data.bookingId]);
+
+describe('BookingScheduler', () => {
+    beforeEach(() => {
+        // Mặc định không có booking nào cần xử lý
+        bookingRepository.getBookingsDueForReminder.mockResolvedValue([]);
+        bookingRepository.markReminderSent.mockResolvedValue(true);
+        bookingRepository.claimDueScheduledBooking.mockResolvedValue(null);
+        bookingRepository.claimEscalation.mockResolvedValue(null);
+        bookingRepository.failUnassignedScheduledBooking.mockResolvedValue(null);
+        publishEvent.mockResolvedValue(true);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+    });
+
+    describe('reminders', () => {
+        it('should look up each reminder offset and publish a reminder per booking', async () => {
+            bookingRepository.getBookingsDueForReminder.mockImplementation(async (minutes) =>
+                (minutes === 60 ? [booking('booking_1')] : []));
+
+            await bookingScheduler.tick(NOW);
+
+            expect(bookingRepository.getBookingsDueForReminder.mock.calls).toEqual(
+                SCHEDULE_CONFIG.reminderMinutes.map(minutes => [minutes, NOW, SCHEDULE_CONFIG.batchSize])
+            );
+            expect(bookingRepository.markReminderSent).toHaveBeenCalledWith('booking_1', 60);
+            expect(publishEvent).toHaveBeenCalledWith('booking.reminder', expect.objectContaining({
+                bookingId: 'booking_1',
+                customerId: 'customer_1',
+                minutesBefore: 60,
+                driverId: null
+            }));
+        });
+
+        it('should skip a reminder another instance already claimed', async () => {
+            bookingRepository.getBookingsDueForReminder.mockResolvedValueOnce([booking('booking_1'), booking('booking_2')]);
+            bookingRepository.markReminderSent.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+            expect(await bookingScheduler.sendReminders(NOW)).toBe(1);
+            expect(published()).toEqual([['booking.reminder', 'booking_2']]);
+        });
+    });
+
+    describe('dispatch', () => {
+        it('should request a normal dispatch for every booking it claims', async () => {
+            bookingRepository.claimDueScheduledBooking
+                .mockResolvedValueOnce(booking('booking_1'))
+                .mockResolvedValueOnce(booking('booking_2'));
+
+            await bookingScheduler.tick(NOW);
+
+            expect(bookingRepository.claimDueScheduledBooking).toHaveBeenCalledWith(NOW);
+            expect(published()).toEqual([
+                ['booking.dispatch_requested', 'booking_1'],
+                ['booking.dispatch_requested', 'booking_2']
+            ]);
+            expect(publishEvent).toHaveBeenCalledWith('booking.dispatch_requested', expect.objectContaining({
+                type: 'BookingDispatchRequested',
+                priority: 'normal',
+                escalationLevel: 0,
+                estimatedFare: 120000
+            }));
+        });
+
+        it('should stop after one batch per tick', async () => {
+            bookingRepository.claimDueScheduledBooking.mockImplementation(async () => booking('booking_n'));
+
+            expect(await bookingScheduler.dispatchDueBookings(NOW)).toBe(SCHEDULE_CONFIG.batchSize);
+            expect(bookingRepository.claimDueScheduledBooking).toHaveBeenCalledTimes(SCHEDULE_CONFIG.batchSize);
+        });
+    });
+
+    describe('escalation', () => {
+        it('should re-request dispatch with high priority for bookings still without a driver', async () => {
+            bookingRepository.claimEscalation.mockResolvedValueOnce(booking('booking_1', { schedule: { escalationLevel: 1 } }));
+
+            await bookingScheduler.tick(NOW);
+
+            expect(bookingRepository.claimEscalation).toHaveBeenCalledWith(
+                minutesBefore(SCHEDULE_CONFIG.escalateAfterMinutes),
+                SCHEDULE_CONFIG.maxEscalations,
+                NOW
+            );
+            expect(publishEvent).toHaveBeenCalledWith('booking.dispatch_requested', expect.objectContaining({
+                bookingId: 'booking_1',
+                priority: 'high',
+                escalationLevel: 1
+            }));
+        });
+    });
+
+    describe('no driver found', () => {
+        it('should cancel a booking past its pickup grace period and tell the customer', async () => {
+            bookingRepository.failUnassignedScheduledBooking.mockResolvedValueOnce(booking('booking_1', { schedule: { escalationLevel: 2 } }));
+
+            await bookingScheduler.tick(NOW);
+
+            expect(bookingRepository.failUnassignedScheduledBooking).toHaveBeenCalledWith(
+                minutesBefore(SCHEDULE_CONFIG.noDriverGraceMinutes),
+                NOW
+            );
+            expect(published()).toEqual([
+                ['booking.dispatch_failed', 'booking_1'],
+                ['booking.cancelled', 'booking_1']
+            ]);
+            expect(publishEvent).toHaveBeenCalledWith('booking.dispatch_failed', expect.objectContaining({ escalationLevel: 2 }));
+            expect(publishEvent).toHaveBeenCalledWith('booking.cancelled', expect.objectContaining({ reason: 'no_driver_found' }));
+        });
+
+        it('should cancel overdue bookings before escalating so they are not dispatched again', async () => {
+            await bookingScheduler.tick(NOW);
+
+            const failOrder = bookingRepository.failUnassignedScheduledBooking.mock.invocationCallOrder[0];
+            const escalateOrder = bookingRepository.claimEscalation.mock.invocationCallOrder[0];
+            expect(failOrder).toBeLessThan(escalateOrder);
+        });
+    });
+
+    describe('runOnce', () => {
+        it('should log a failed tick and let the next one run', async () => {
+            bookingRepository.getBookingsDueForReminder.mockRejectedValueOnce(new Error('connection closed'));
+
+            await bookingScheduler.runOnce();
+            await bookingScheduler.runOnce();
+
+            expect(console.error).toHaveBeenCalledWith('❌ Booking scheduler error:', 'connection closed');
+            expect(bookingRepository.claimDueScheduledBooking).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not start a tick while the previous one is still running', async () => {
+            let release;
+            bookingRepository.getBookingsDueForReminder.mockImplementationOnce(() => new Promise(resolve => {
+                release = () => resolve([]);
+            }));
+
+            const first = bookingScheduler.runOnce();
+            await bookingScheduler.runOnce();
+            release();
+            await first;
+
+            expect(bookingRepository.claimDueScheduledBooking).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const bookingService = require('../src/services/BookingService');
+const bookingRepository = require('../src/repositories/BookingRepository');
+const { publishEvent } = require('../src/config/messageBroker');
+
+jest.mock('../src/repositories/BookingRepository', () => ({
+    getBookingById: jest.fn(),
+    updateBooking: jest.fn()
+}));
+jest.mock('../src/config/messageBroker', () => ({
+    publishEvent: jest.fn()
+}));
+
+describe('BookingService', () => {
+    beforeEach(() => {
+        bookingRepository.updateBooking.mockImplementation(async (id, update) => ({ _id: id, ...update }));
+        publishEvent.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe('completeBooking', () => {
+        it('should charge the locked quote fare and credit the assigned driver', async () => {
+            bookingRepository.getBookingById.mockResolvedValue({
+                _id: 'booking_1',
+                driverId: 'driver_1',
+                priceSnapshot: { quoteId: 'quote_1', fare: 95000 }
+            });
+
+            const booking = await bookingService.completeBooking('booking_1', 120000);
+
+            expect(booking).toMatchObject({ status: 'COMPLETED', actualFare: 95000 });
+            expect(publishEvent).toHaveBeenCalledWith('booking.completed', expect.objectContaining({
+                bookingId: 'booking_1',
+                driverId: 'driver_1',
+                actualFare: 95000
+            }));
+        });
+
+        it('should answer 404 for a missing booking', async () => {
+            bookingRepository.getBookingById.mockResolvedValue(null);
+
+            await expect(bookingService.completeBooking('booking_x', 120000))
+                .rejects.toMatchObject({ statusCode: 404, message: 'Booking not found' });
+            expect(bookingRepository.updateBooking).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to complete a booking without a driver', async () => {
+            bookingRepository.getBookingById.mockResolvedValue({ _id: 'booking_1', status: 'PENDING' });
+
+            await expect(bookingService.completeBooking('booking_1', 120000)).rejects.toMatchObject({ statusCode: 409 });
+            expect(publishEvent).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./src/app');
 const { connectDB } = require('./src/config/database');
 const { initMessageBroker } = require('./src/config/messageBroker');
+const bookingScheduler = require('./src/services/BookingScheduler');
 
 const PORT = process.env.PORT || 3003;
 
@@ -15,7 +16,10 @@ const startServer = async () => {
         await initMessageBroker();
         console.log('✅ Message Broker connected');
 
-        // 3. Bật Server (🔥 QUAN TRỌNG)
+        // 3. Scheduler cho booking đặt trước (nhắc giờ đón, tìm tài xế khi tới giờ)
+        bookingScheduler.start();
+
+        // 4. Bật Server (🔥 QUAN TRỌNG)
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 Booking Service đang chạy tại: http://0.0.0.0:${PORT}`);
         });
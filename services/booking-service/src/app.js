@@ -168,6 +168,13 @@ async function handleBookingCreated(event) {
   try {
     console.log('🚕 Processing booking created:', event.bookingId);
 
+    // Booking đặt trước: tới giờ BookingScheduler phát booking.dispatch_requested,
+    // Ride Service tạo ride và tìm tài xế từ sự kiện đó
+    if (event.scheduledPickupAt) {
+      console.log(`⏰ Booking ${event.bookingId} scheduled for ${event.scheduledPickupAt}, dispatch deferred`);
+      return;
+    }
+
     if (rabbitMQClient) {
       await rabbitMQClient.publishEvent(
         EXCHANGES.RIDE_EVENTS,
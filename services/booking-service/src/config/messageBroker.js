@@ -3,7 +3,8 @@ const {
     handleRideCreated,
     handleRideCancelled,
     handlePaymentCompleted,
-    handlePaymentFailed
+    handlePaymentFailed,
+    handlePaymentRefunded
 } = require('../events/eventHandlers');
 
 let channel = null;
@@ -17,6 +18,8 @@ const initMessageBroker = async () => {
         
         // Declare exchanges and queues
         await channel.assertExchange('ride_events', 'topic', { durable: true });
+        await channel.assertExchange('booking-events', 'topic', { durable: true });
+        await channel.assertExchange('payment-events', 'topic', { durable: true });
         await channel.assertQueue('booking_queue', { durable: true });
         
         // Bind queue to exchanges with routing keys
@@ -24,6 +27,8 @@ const initMessageBroker = async () => {
         await channel.bindQueue('booking_queue', 'ride_events', 'ride.cancelled');
         await channel.bindQueue('booking_queue', 'ride_events', 'payment.completed');
         await channel.bindQueue('booking_queue', 'ride_events', 'payment.failed');
+        // Payment Service publish hoàn tiền trên exchange payment-events
+        await channel.bindQueue('booking_queue', 'payment-events', 'payment.refunded');
         
         // Subscribe to messages
         await subscribeToEvents();
@@ -45,7 +50,8 @@ const getChannel = () => {
 const publishEvent = async (eventType, eventData) => {
     try {
         const ch = getChannel();
-        const exchangeName = 'ride_events';
+        // booking.* đi qua exchange booking-events (Payment/Pricing Service lắng nghe ở đó)
+        const exchangeName = eventType.startsWith('booking.') ? 'booking-events' : 'ride_events';
         const routingKey = eventType;
         
         ch.publish(
@@ -87,6 +93,9 @@ const subscribeToEvents = async () => {
                         case 'payment.failed':
                             await handlePaymentFailed(eventData);
                             break;
+                        case 'payment.refunded':
+                            await handlePaymentRefunded(eventData);
+                            break;
                         default:
                             console.log(`⚠️ Unknown event type: ${routingKey}`);
                     }
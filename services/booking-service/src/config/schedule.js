@@ -0,0 +1,36 @@
+// Cấu hình đặt xe trước (scheduled booking)
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Các mốc nhắc khách, tính bằng phút trước giờ đón (ví dụ "1440,60" = trước 1 ngày và 1 giờ)
+const parseReminderMinutes = (value) => {
+    if (!value) return [1440, 60];
+    return value
+        .split(',')
+        .map(item => Number(item.trim()))
+        .filter(minutes => Number.isFinite(minutes) && minutes > 0)
+        .sort((a, b) => b - a);
+};
+
+const SCHEDULE_CONFIG = {
+    // Khoảng thời gian khách được chọn giờ đón
+    minLeadMinutes: toNumber(process.env.SCHEDULED_BOOKING_MIN_LEAD_MINUTES, 30),
+    maxDaysAhead: toNumber(process.env.SCHEDULED_BOOKING_MAX_DAYS_AHEAD, 7),
+    // Bắt đầu tìm tài xế trước giờ đón bao nhiêu phút
+    dispatchLeadMinutes: toNumber(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES, 15),
+    // Chưa có tài xế sau bao lâu thì tìm lại với độ ưu tiên cao, tối đa bao nhiêu lần
+    escalateAfterMinutes: toNumber(process.env.SCHEDULED_ESCALATE_AFTER_MINUTES, 5),
+    maxEscalations: toNumber(process.env.SCHEDULED_MAX_ESCALATIONS, 2),
+    // Quá giờ đón bao lâu mà vẫn chưa có tài xế thì hủy booking
+    noDriverGraceMinutes: toNumber(process.env.SCHEDULED_NO_DRIVER_GRACE_MINUTES, 10),
+    reminderMinutes: parseReminderMinutes(process.env.SCHEDULED_REMINDER_MINUTES),
+    // Giờ đón trong báo giá được lệch tối đa bao nhiêu phút so với giờ đặt
+    quoteTimeToleranceMinutes: toNumber(process.env.SCHEDULED_QUOTE_TIME_TOLERANCE_MINUTES, 15),
+    intervalMs: toNumber(process.env.BOOKING_SCHEDULER_INTERVAL_MS, 30000),
+    batchSize: toNumber(process.env.BOOKING_SCHEDULER_BATCH_SIZE, 50)
+};
+
+module.exports = { SCHEDULE_CONFIG };
@@ -4,13 +4,32 @@ class BookingController {
     // POST /bookings - Tạo yêu cầu đặt xe
     async createBooking(req, res) {
         try {
-            const { customerId, pickupLocation, dropoffLocation, paymentMethod, notes } = req.body;
+            const {
+                customerId,
+                pickupLocation,
+                dropoffLocation,
+                vehicleType,
+                quoteId,
+                quoteToken,
+                promoCode,
+                paymentMethod,
+                notes,
+                scheduledPickupAt
+            } = req.body;
 
-            const booking = await bookingService.createBookingRequest(customerId, {
+            // Người đặt lấy từ JWT đã xác thực, customerId do client gửi chỉ dùng khi không có token
+            const bookerId = req.user && req.user.userId ? req.user.userId : customerId;
+
+            const booking = await bookingService.createBookingRequest(bookerId, {
                 pickupLocation,
                 dropoffLocation,
+                vehicleType,
+                quoteId,
+                quoteToken,
+                promoCode,
                 paymentMethod,
-                notes
+                notes,
+                scheduledPickupAt
             });
 
             res.status(201).json({
@@ -126,7 +145,7 @@ class BookingController {
                 data: booking
             });
         } catch (error) {
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
                 success: false,
                 message: error.message
             });
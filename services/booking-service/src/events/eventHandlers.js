@@ -94,9 +94,47 @@ const handlePaymentFailed = async (eventData) => {
     }
 };
 
+/**
+ * Xử lý sự kiện: Hoàn tiền (toàn phần hoặc một phần)
+ * Ghi thêm vào notes của booking, không ghi đè ghi chú cũ
+ */
+const handlePaymentRefunded = async (eventData) => {
+    try {
+        const { bookingId, refundId, amount, totalRefunded, fullRefund, reason } = eventData;
+
+        console.log(`📨 Received PaymentRefunded event for booking: ${bookingId}`);
+
+        const booking = await bookingRepository.getBookingById(bookingId);
+        if (!booking) {
+            console.warn(`⚠️ Booking ${bookingId} not found, skipping refund note`);
+            return null;
+        }
+
+        // Tin nhắn bị gửi lại thì không ghi trùng
+        if (booking.notes && booking.notes.includes(refundId)) {
+            return booking;
+        }
+
+        const note = `${fullRefund ? 'Full refund' : 'Partial refund'} ${refundId}: ${amount} VND ` +
+            `(total refunded ${totalRefunded} VND, reason: ${reason})`;
+
+        const updated = await bookingRepository.updateBooking(bookingId, {
+            notes: booking.notes ? `${booking.notes}\n${note}` : note
+        });
+
+        console.log(`✅ Booking ${bookingId} refund recorded`);
+
+        return updated;
+    } catch (error) {
+        console.error('❌ Error handling PaymentRefunded event:', error.message);
+        throw error;
+    }
+};
+
 module.exports = {
     handleRideCreated,
     handleRideCancelled,
     handlePaymentCompleted,
-    handlePaymentFailed
+    handlePaymentFailed,
+    handlePaymentRefunded
 };
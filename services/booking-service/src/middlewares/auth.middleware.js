@@ -1,26 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('@cab-booking/shared');
 
-module.exports = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ message: 'Missing Authorization header' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'Missing token' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      audience: 'cab-booking-system',
-      issuer: 'cab-booking-auth-service'
-    });
-
-    req.user = decoded;
-    next();
-  } catch (err) {
-    console.error('JWT error:', err.message);
-    return res.status(401).json({ message: 'Invalid token' });
-  }
+// Xác thực access token dùng chung với các service khác (shared/utils/auth.js)
+module.exports = {
+  authenticateToken: authenticate
 };
@@ -1,5 +1,5 @@
 const validateBookingCreate = (req, res, next) => {
-    const { customerId, pickupLocation, dropoffLocation, paymentMethod } = req.body;
+    const { customerId, pickupLocation, dropoffLocation, paymentMethod, vehicleType, quoteId, quoteToken, promoCode, scheduledPickupAt } = req.body;
 
     // Validate required fields
     if (!customerId) {
@@ -32,6 +32,48 @@ const validateBookingCreate = (req, res, next) => {
         });
     }
 
+    // Validate vehicle type
+    const validVehicleTypes = ['standard', 'premium', 'suv', 'van'];
+    if (vehicleType && !validVehicleTypes.includes(vehicleType)) {
+        return res.status(400).json({
+            success: false,
+            message: `vehicleType must be one of: ${validVehicleTypes.join(', ')}`
+        });
+    }
+
+    // Validate quote ID (nếu khách đặt theo báo giá đã khóa)
+    if (quoteId !== undefined && (typeof quoteId !== 'string' || !quoteId.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: 'quoteId must be a non-empty string'
+        });
+    }
+
+    // Đặt theo báo giá phải kèm token đã ký của báo giá đó
+    if (quoteId !== undefined && (typeof quoteToken !== 'string' || !quoteToken.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: 'quoteToken is required when quoteId is provided'
+        });
+    }
+
+    // Validate promo code (mã khuyến mãi, áp dụng khi đặt không theo báo giá)
+    if (promoCode !== undefined && (typeof promoCode !== 'string' || !promoCode.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: 'promoCode must be a non-empty string'
+        });
+    }
+
+    // Validate giờ đón (đặt xe trước); khoảng thời gian cho phép do BookingService kiểm tra
+    if (scheduledPickupAt !== undefined && scheduledPickupAt !== null &&
+        (typeof scheduledPickupAt !== 'string' || Number.isNaN(new Date(scheduledPickupAt).getTime()))) {
+        return res.status(400).json({
+            success: false,
+            message: 'scheduledPickupAt must be an ISO 8601 date string'
+        });
+    }
+
     // Validate location format (latitude and longitude should be numbers between -180 and 180)
     const isValidCoord = (lat, lng) => {
         return typeof lat === 'number' && typeof lng === 'number' &&
@@ -19,11 +19,42 @@ const bookingSchema = new mongoose.Schema(
         },
         status: {
             type: String,
-            enum: ['PENDING', 'CONFIRMED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+            // SCHEDULED: đặt trước, chưa tới giờ tìm tài xế
+            enum: ['SCHEDULED', 'PENDING', 'CONFIRMED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
             default: 'PENDING'
         },
+        vehicleType: {
+            type: String,
+            enum: ['standard', 'premium', 'suv', 'van'],
+            default: 'standard'
+        },
+        // Giờ đón khách với booking đặt trước; không có = đặt ngay
+        scheduledPickupAt: Date,
+        // Trạng thái điều phối của booking đặt trước (BookingScheduler cập nhật)
+        schedule: {
+            dispatchAt: Date,           // thời điểm bắt đầu tìm tài xế
+            dispatchStartedAt: Date,
+            lastDispatchAt: Date,       // lần gần nhất gửi yêu cầu tìm tài xế
+            escalationLevel: { type: Number, default: 0 },
+            escalatedAt: Date,
+            failedAt: Date,             // hết giờ mà không có tài xế
+            remindersSent: [Number]     // các mốc nhắc (phút trước giờ đón) đã gửi
+        },
         estimatedFare: Number,
         actualFare: Number,
+        // Giá đã khóa từ Pricing Service (price snapshot theo booking)
+        priceSnapshot: {
+            quoteId: String,
+            token: String,
+            fare: Number,
+            currency: String,
+            breakdown: mongoose.Schema.Types.Mixed,
+            quotedAt: Date,
+            expiresAt: Date,
+            lockedAt: Date
+        },
+        // Mã khuyến mãi (Pricing Service giữ lượt dùng khi nhận booking.created)
+        promoCode: String,
         driverId: String,
         rideId: String,
         paymentMethod: {
@@ -44,4 +75,8 @@ const bookingSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+// BookingScheduler quét booking tới giờ tìm tài xế và booking đặt trước chưa có tài xế
+bookingSchema.index({ status: 1, 'schedule.dispatchAt': 1 });
+bookingSchema.index({ status: 1, scheduledPickupAt: 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -64,6 +64,95 @@ class BookingRepository {
         }
     }
 
+    // ===== Booking đặt trước (BookingScheduler) =====
+    // Các thao tác dưới đây đều là compare-and-set để nhiều instance chạy scheduler không xử lý trùng
+
+    // Nhận một booking đã tới giờ tìm tài xế: SCHEDULED -> PENDING
+    async claimDueScheduledBooking(now) {
+        try {
+            return await Booking.findOneAndUpdate(
+                { status: 'SCHEDULED', 'schedule.dispatchAt': { $lte: now } },
+                {
+                    status: 'PENDING',
+                    'schedule.dispatchStartedAt': now,
+                    'schedule.lastDispatchAt': now,
+                    updatedAt: now
+                },
+                { new: true, sort: { 'schedule.dispatchAt': 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error claiming scheduled booking: ${error.message}`);
+        }
+    }
+
+    // Booking đặt trước có giờ đón trong vòng `minutesBefore` phút mà chưa gửi mốc nhắc này
+    async getBookingsDueForReminder(minutesBefore, now, limit) {
+        try {
+            return await Booking.find({
+                status: { $in: ['SCHEDULED', 'PENDING', 'CONFIRMED'] },
+                scheduledPickupAt: { $gt: now, $lte: new Date(now.getTime() + minutesBefore * 60 * 1000) },
+                'schedule.remindersSent': { $ne: minutesBefore }
+            })
+                .sort({ scheduledPickupAt: 1 })
+                .limit(limit);
+        } catch (error) {
+            throw new Error(`Error fetching bookings due for reminder: ${error.message}`);
+        }
+    }
+
+    // Đánh dấu đã gửi mốc nhắc; trả về null nếu instance khác đã gửi trước
+    async markReminderSent(bookingId, minutesBefore) {
+        try {
+            return await Booking.findOneAndUpdate(
+                { _id: bookingId, 'schedule.remindersSent': { $ne: minutesBefore } },
+                { $addToSet: { 'schedule.remindersSent': minutesBefore }, updatedAt: new Date() },
+                { new: true }
+            );
+        } catch (error) {
+            throw new Error(`Error marking reminder sent: ${error.message}`);
+        }
+    }
+
+    // Nhận một booking đặt trước đã tìm tài xế quá lâu mà chưa có ai để tìm lại với mức ưu tiên cao hơn
+    async claimEscalation(staleBefore, maxEscalations, now) {
+        try {
+            return await Booking.findOneAndUpdate(
+                {
+                    status: 'PENDING',
+                    driverId: null,
+                    'schedule.dispatchStartedAt': { $ne: null },
+                    'schedule.lastDispatchAt': { $lte: staleBefore },
+                    'schedule.escalationLevel': { $lt: maxEscalations }
+                },
+                {
+                    $inc: { 'schedule.escalationLevel': 1 },
+                    $set: { 'schedule.lastDispatchAt': now, 'schedule.escalatedAt': now, updatedAt: now }
+                },
+                { new: true, sort: { scheduledPickupAt: 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error claiming booking escalation: ${error.message}`);
+        }
+    }
+
+    // Hủy một booking đặt trước đã quá giờ đón mà vẫn chưa có tài xế
+    async failUnassignedScheduledBooking(pickupBefore, now) {
+        try {
+            return await Booking.findOneAndUpdate(
+                {
+                    status: 'PENDING',
+                    driverId: null,
+                    'schedule.dispatchStartedAt': { $ne: null },
+                    scheduledPickupAt: { $lte: pickupBefore }
+                },
+                { status: 'CANCELLED', 'schedule.failedAt': now, updatedAt: now },
+                { new: true, sort: { scheduledPickupAt: 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error failing scheduled booking: ${error.message}`);
+        }
+    }
+
     // Kiểm tra booking đã tồn tại
     async bookingExists(bookingId) {
         try {
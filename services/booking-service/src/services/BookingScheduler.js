@@ -0,0 +1,165 @@
+const bookingRepository = require('../repositories/BookingRepository');
+const { publishEvent } = require('../config/messageBroker');
+const { SCHEDULE_CONFIG } = require('../config/schedule');
+
+/**
+ * Scheduler cho booking đặt trước
+ * - Gửi nhắc giờ đón qua Notification Service (booking.reminder)
+ * - Tới giờ (giờ đón - dispatchLeadMinutes) thì bắt đầu tìm tài xế (booking.dispatch_requested)
+ * - Chưa có tài xế thì tìm lại với độ ưu tiên cao, quá giờ đón thì hủy (booking.dispatch_failed)
+ */
+class BookingScheduler {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.runOnce(), SCHEDULE_CONFIG.intervalMs);
+        console.log(`⏰ Booking scheduler started (every ${SCHEDULE_CONFIG.intervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Không chạy chồng lượt nếu lượt trước chưa xong
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.tick();
+        } catch (error) {
+            console.error('❌ Booking scheduler error:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async tick(now = new Date()) {
+        await this.sendReminders(now);
+        await this.dispatchDueBookings(now);
+        await this.failUnassignedBookings(now);
+        await this.escalateUnassignedBookings(now);
+    }
+
+    // Gửi mỗi mốc nhắc đúng một lần cho mỗi booking
+    async sendReminders(now) {
+        let sent = 0;
+
+        for (const minutesBefore of SCHEDULE_CONFIG.reminderMinutes) {
+            const bookings = await bookingRepository.getBookingsDueForReminder(
+                minutesBefore,
+                now,
+                SCHEDULE_CONFIG.batchSize
+            );
+
+            for (const booking of bookings) {
+                const claimed = await bookingRepository.markReminderSent(booking._id, minutesBefore);
+                if (!claimed) continue;
+
+                await publishEvent('booking.reminder', {
+                    bookingId: booking._id,
+                    customerId: booking.customerId,
+                    scheduledPickupAt: booking.scheduledPickupAt,
+                    minutesBefore,
+                    pickupLocation: booking.pickupLocation,
+                    dropoffLocation: booking.dropoffLocation,
+                    vehicleType: booking.vehicleType,
+                    driverId: booking.driverId || null,
+                    timestamp: new Date()
+                });
+                sent++;
+            }
+        }
+
+        return sent;
+    }
+
+    // Chuyển booking tới giờ sang PENDING và yêu cầu tìm tài xế như một booking đặt ngay
+    async dispatchDueBookings(now) {
+        let dispatched = 0;
+
+        while (dispatched < SCHEDULE_CONFIG.batchSize) {
+            const booking = await bookingRepository.claimDueScheduledBooking(now);
+            if (!booking) break;
+
+            await this.requestDispatch(booking, 'normal');
+            dispatched++;
+        }
+
+        return dispatched;
+    }
+
+    // Tìm lại với độ ưu tiên cao (Ride Service gửi offer dạng broadcast cho nhiều tài xế)
+    async escalateUnassignedBookings(now) {
+        const staleBefore = new Date(now.getTime() - SCHEDULE_CONFIG.escalateAfterMinutes * 60 * 1000);
+        let escalated = 0;
+
+        while (escalated < SCHEDULE_CONFIG.batchSize) {
+            const booking = await bookingRepository.claimEscalation(staleBefore, SCHEDULE_CONFIG.maxEscalations, now);
+            if (!booking) break;
+
+            console.warn(`⚠️ Scheduled booking ${booking._id} has no driver yet, escalation level ${booking.schedule.escalationLevel}`);
+            await this.requestDispatch(booking, 'high');
+            escalated++;
+        }
+
+        return escalated;
+    }
+
+    // Quá giờ đón + thời gian chờ mà vẫn chưa có tài xế: hủy và báo khách
+    async failUnassignedBookings(now) {
+        const pickupBefore = new Date(now.getTime() - SCHEDULE_CONFIG.noDriverGraceMinutes * 60 * 1000);
+        let failed = 0;
+
+        while (failed < SCHEDULE_CONFIG.batchSize) {
+            const booking = await bookingRepository.failUnassignedScheduledBooking(pickupBefore, now);
+            if (!booking) break;
+
+            console.error(`❌ Scheduled booking ${booking._id} cancelled: no driver found`);
+
+            await publishEvent('booking.dispatch_failed', {
+                bookingId: booking._id,
+                customerId: booking.customerId,
+                scheduledPickupAt: booking.scheduledPickupAt,
+                escalationLevel: booking.schedule.escalationLevel,
+                pickupLocation: booking.pickupLocation,
+                timestamp: new Date()
+            });
+
+            // Payment/Pricing Service trả lại tiền giữ chỗ và lượt khuyến mãi như khi khách hủy
+            await publishEvent('booking.cancelled', {
+                bookingId: booking._id,
+                reason: 'no_driver_found',
+                timestamp: new Date()
+            });
+            failed++;
+        }
+
+        return failed;
+    }
+
+    async requestDispatch(booking, priority) {
+        await publishEvent('booking.dispatch_requested', {
+            type: 'BookingDispatchRequested',
+            bookingId: booking._id,
+            customerId: booking.customerId,
+            pickupLocation: booking.pickupLocation,
+            dropoffLocation: booking.dropoffLocation,
+            vehicleType: booking.vehicleType,
+            estimatedFare: booking.estimatedFare,
+            scheduledPickupAt: booking.scheduledPickupAt,
+            priority,
+            escalationLevel: booking.schedule.escalationLevel,
+            timestamp: new Date()
+        });
+    }
+}
+
+module.exports = new BookingScheduler();
@@ -1,6 +1,10 @@
 const bookingRepository = require('../repositories/BookingRepository');
 const { publishEvent } = require('../config/messageBroker');
 const axios = require('axios');
+const { SCHEDULE_CONFIG } = require('../config/schedule');
+
+// Lỗi kèm HTTP status cho controller (errorHandler cũng đọc err.statusCode)
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
 
 class BookingService {
     // Tạo yêu cầu đặt xe mới
@@ -11,30 +15,71 @@ class BookingService {
                 throw new Error('Missing required fields');
             }
 
-            // Gọi Pricing Service để tính giá
-            const estimatedFare = await this.getEstimatedFare(
-                bookingData.pickupLocation,
-                bookingData.dropoffLocation
-            );
+            const vehicleType = bookingData.vehicleType || 'standard';
+            const scheduledPickupAt = bookingData.scheduledPickupAt
+                ? this.validateScheduledPickup(bookingData.scheduledPickupAt)
+                : null;
+
+            // Nếu khách đã nhận báo giá thì khóa giá theo quote, ngược lại gọi Pricing Service để ước tính
+            // Đặt xe trước luôn khóa giá theo báo giá tại giờ đón (khách biết trước số tiền phải trả)
+            let estimatedFare;
+            let priceSnapshot;
+            if (bookingData.quoteId || scheduledPickupAt) {
+                const quote = bookingData.quoteId
+                    ? await this.getLockedQuote(bookingData.quoteId, { ...bookingData, customerId, vehicleType, scheduledPickupAt })
+                    : await this.requestQuote({ ...bookingData, vehicleType, scheduledPickupAt }, customerId);
+
+                estimatedFare = quote.estimatedFare;
+                priceSnapshot = {
+                    quoteId: quote.quoteId,
+                    token: quote.token,
+                    fare: quote.estimatedFare,
+                    currency: quote.currency,
+                    breakdown: quote.breakdown,
+                    quotedAt: quote.createdAt,
+                    expiresAt: quote.expiresAt,
+                    lockedAt: new Date()
+                };
+            } else {
+                estimatedFare = await this.getEstimatedFare(
+                    bookingData.pickupLocation,
+                    bookingData.dropoffLocation,
+                    vehicleType,
+                    { promoCode: bookingData.promoCode, customerId }
+                );
+            }
 
             // Tạo booking mới
             const newBooking = await bookingRepository.createBooking({
                 customerId,
                 pickupLocation: bookingData.pickupLocation,
                 dropoffLocation: bookingData.dropoffLocation,
+                vehicleType,
                 estimatedFare,
+                priceSnapshot,
+                promoCode: priceSnapshot ? undefined : bookingData.promoCode,
                 paymentMethod: bookingData.paymentMethod || 'CASH',
                 notes: bookingData.notes,
-                status: 'PENDING'
+                status: scheduledPickupAt ? 'SCHEDULED' : 'PENDING',
+                scheduledPickupAt,
+                schedule: scheduledPickupAt ? this.buildSchedule(scheduledPickupAt) : undefined
             });
 
             // Publish event để Ride Service subscribe
             await publishEvent('booking.created', {
+                type: 'BookingCreated',
                 bookingId: newBooking._id,
                 customerId,
                 pickupLocation: newBooking.pickupLocation,
                 dropoffLocation: newBooking.dropoffLocation,
+                vehicleType,
                 estimatedFare,
+                quoteId: priceSnapshot ? priceSnapshot.quoteId : null,
+                promoCode: priceSnapshot ? null : bookingData.promoCode || null,
+                // Payment Service giữ chỗ tiền ví ngay khi đặt xe với WALLET
+                paymentMethod: newBooking.paymentMethod,
+                // Có giờ đón = đặt trước, BookingScheduler sẽ tìm tài xế khi tới giờ
+                scheduledPickupAt,
                 timestamp: new Date()
             });
 
@@ -44,14 +89,49 @@ class BookingService {
         }
     }
 
+    // Kiểm tra giờ đón của booking đặt trước nằm trong khoảng cho phép
+    validateScheduledPickup(value) {
+        const pickupAt = new Date(value);
+        if (Number.isNaN(pickupAt.getTime())) {
+            throw new Error('scheduledPickupAt must be a valid date');
+        }
+
+        const now = Date.now();
+        const earliest = now + SCHEDULE_CONFIG.minLeadMinutes * 60 * 1000;
+        const latest = now + SCHEDULE_CONFIG.maxDaysAhead * 24 * 60 * 60 * 1000;
+        if (pickupAt.getTime() < earliest) {
+            throw new Error(`scheduledPickupAt must be at least ${SCHEDULE_CONFIG.minLeadMinutes} minutes from now`);
+        }
+        if (pickupAt.getTime() > latest) {
+            throw new Error(`scheduledPickupAt must be within ${SCHEDULE_CONFIG.maxDaysAhead} days`);
+        }
+
+        return pickupAt;
+    }
+
+    // Lịch điều phối ban đầu: giờ bắt đầu tìm tài xế, bỏ qua các mốc nhắc đã trôi qua
+    buildSchedule(scheduledPickupAt) {
+        const minutesUntilPickup = (scheduledPickupAt.getTime() - Date.now()) / 60000;
+
+        return {
+            dispatchAt: new Date(scheduledPickupAt.getTime() - SCHEDULE_CONFIG.dispatchLeadMinutes * 60 * 1000),
+            escalationLevel: 0,
+            remindersSent: SCHEDULE_CONFIG.reminderMinutes.filter(minutes => minutes >= minutesUntilPickup)
+        };
+    }
+
     // Lấy giá từ Pricing Service
-    async getEstimatedFare(pickupLocation, dropoffLocation) {
+    // Mã khuyến mãi (nếu có) được Pricing Service trừ thẳng vào giá ước tính
+    async getEstimatedFare(pickupLocation, dropoffLocation, vehicleType = 'standard', { promoCode, customerId } = {}) {
         try {
             const pricingServiceUrl = process.env.PRICING_SERVICE_URL || 'http://pricing-service:3001';
             
             const response = await axios.post(`${pricingServiceUrl}/api/pricing/estimate`, {
                 pickupLocation,
-                dropoffLocation
+                dropoffLocation,
+                vehicleType,
+                promoCode,
+                customerId
             });
 
             return response.data.estimatedFare || 100000; // Default 100k VND
@@ -61,6 +141,123 @@ class BookingService {
         }
     }
 
+    // Xin báo giá từ Pricing Service cho giờ đón của booking đặt trước
+    async requestQuote(bookingData, customerId) {
+        const pricingServiceUrl = process.env.PRICING_SERVICE_URL || 'http://pricing-service:3001';
+
+        try {
+            const response = await axios.post(`${pricingServiceUrl}/api/pricing/quotes`, {
+                pickupLocation: bookingData.pickupLocation,
+                dropoffLocation: bookingData.dropoffLocation,
+                vehicleType: bookingData.vehicleType,
+                pickupTime: bookingData.scheduledPickupAt,
+                promoCode: bookingData.promoCode,
+                customerId
+            });
+            return response.data;
+        } catch (error) {
+            // Không có giá thì không nhận đặt trước, tránh khách bị tính giá khác lúc đón
+            throw new Error(`Unable to quote scheduled booking: ${error.message}`);
+        }
+    }
+
+    // Lấy báo giá đã khóa từ Pricing Service, kiểm tra khớp với booking rồi đánh dấu đã dùng
+    // Mỗi báo giá chỉ dùng cho một booking của đúng khách được báo giá
+    async getLockedQuote(quoteId, bookingData) {
+        const pricingServiceUrl = process.env.PRICING_SERVICE_URL || 'http://pricing-service:3001';
+
+        if (!bookingData.quoteToken) {
+            throw new Error('quoteToken is required when booking with a quote');
+        }
+
+        let quote;
+        try {
+            const response = await axios.get(
+                `${pricingServiceUrl}/api/pricing/quotes/${encodeURIComponent(quoteId)}`
+            );
+            quote = response.data;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 404 || status === 410) {
+                throw new Error('Price quote not found or expired');
+            }
+            throw new Error(`Unable to verify price quote: ${error.message}`);
+        }
+
+        if (new Date(quote.expiresAt).getTime() <= Date.now()) {
+            throw new Error('Price quote has expired');
+        }
+
+        if (bookingData.quoteToken !== quote.token) {
+            throw new Error('Price quote token is invalid');
+        }
+
+        if (!quote.customerId || quote.customerId !== String(bookingData.customerId)) {
+            throw new Error('Price quote belongs to another customer');
+        }
+
+        if (quote.vehicleType !== bookingData.vehicleType) {
+            throw new Error('Price quote does not match vehicle type');
+        }
+
+        if (!this.isSameLocation(quote.pickupLocation, bookingData.pickupLocation) ||
+            !this.isSameLocation(quote.dropoffLocation, bookingData.dropoffLocation)) {
+            throw new Error('Price quote does not match pickup or dropoff location');
+        }
+
+        // Báo giá của booking đặt trước phải tính cho đúng giờ đón (giờ cao điểm, ban đêm...)
+        if (bookingData.scheduledPickupAt) {
+            const toleranceMs = SCHEDULE_CONFIG.quoteTimeToleranceMinutes * 60 * 1000;
+            const quotedPickupAt = quote.pickupTime ? new Date(quote.pickupTime).getTime() : NaN;
+            if (!(Math.abs(quotedPickupAt - bookingData.scheduledPickupAt.getTime()) <= toleranceMs)) {
+                throw new Error('Price quote does not match scheduled pickup time');
+            }
+        }
+
+        // Pricing Service đánh dấu nguyên tử, hai booking cùng một báo giá thì chỉ một cái thành công
+        try {
+            await axios.post(
+                `${pricingServiceUrl}/api/pricing/quotes/${encodeURIComponent(quoteId)}/consume`,
+                { customerId: bookingData.customerId, quoteToken: bookingData.quoteToken }
+            );
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 409) {
+                throw new Error('Price quote has already been used');
+            }
+            if (status === 404 || status === 410) {
+                throw new Error('Price quote not found or expired');
+            }
+            if (status === 403) {
+                throw new Error('Price quote does not belong to this customer');
+            }
+            throw new Error(`Unable to lock price quote: ${error.message}`);
+        }
+
+        return quote;
+    }
+
+    // So sánh 2 vị trí với sai số cho phép (mặc định 100m)
+    isSameLocation(quoted, requested) {
+        if (!quoted || !requested) return false;
+
+        const toleranceMeters = Number(process.env.QUOTE_LOCATION_TOLERANCE_METERS) || 100;
+        const R = 6371000;
+        const lat1 = quoted.lat;
+        const lng1 = quoted.lng;
+        const lat2 = requested.latitude;
+        const lng2 = requested.longitude;
+
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        const distance = R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+        return distance <= toleranceMeters;
+    }
+
     // Xác nhận booking (khi driver chấp nhận)
     async confirmBooking(bookingId, driverId, rideId) {
         try {
@@ -105,20 +302,38 @@ class BookingService {
     // Hoàn thành chuyến đi
     async completeBooking(bookingId, actualFare) {
         try {
+            const existing = await bookingRepository.getBookingById(bookingId);
+            if (!existing) {
+                throw httpError(404, 'Booking not found');
+            }
+            // Thu nhập chuyến được ghi cho tài xế, booking chưa có tài xế thì không hoàn thành được
+            if (!existing.driverId) {
+                throw httpError(409, 'Booking has no assigned driver');
+            }
+
+            // Booking có giá đã khóa thì tính đúng giá khách đã thấy khi đặt
+            const lockedFare = existing.priceSnapshot && existing.priceSnapshot.quoteId
+                ? existing.priceSnapshot.fare
+                : null;
+            const fare = lockedFare !== null ? lockedFare : actualFare;
+
             const booking = await bookingRepository.updateBooking(bookingId, {
                 status: 'COMPLETED',
-                actualFare
+                actualFare: fare
             });
 
             // Publish event để Notification Service gửi notification
             await publishEvent('booking.completed', {
                 bookingId,
-                actualFare,
+                // Payment Service ghi thu nhập chuyến cho tài xế này
+                driverId: existing.driverId,
+                actualFare: fare,
                 timestamp: new Date()
             });
 
             return booking;
         } catch (error) {
+            if (error.statusCode) throw error;
             throw new Error(`Error completing booking: ${error.message}`);
         }
     }
@@ -0,0 +1,201 @@
+const DriverPerformanceService = require('../src/services/driverPerformanceService');
+const { PERFORMANCE_CONFIG } = require('../src/services/driverPerformanceService');
+const Driver = require('../src/models/Driver');
+const DriverPerformance = require('../src/models/DriverPerformance');
+const DriverPerformanceEvent = require('../src/models/DriverPerformanceEvent');
+const DriverPerformanceAlert = require('../src/models/DriverPerformanceAlert');
+const { getRabbitMQClient } = require('../src/config/rabbitmq');
+
+jest.mock('../src/models/Driver');
+jest.mock('../src/models/DriverPerformance');
+jest.mock('../src/models/DriverPerformanceEvent');
+jest.mock('../src/models/DriverPerformanceAlert');
+jest.mock('../src/config/rabbitmq', () => ({
+  getRabbitMQClient: jest.fn()
+}));
+
+// Chainable stand-in for find().select().sort().limit().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+// Aggregate rows: one per event kind with its count in each window
+const counts = (kinds) => Object.entries(kinds).map(([kind, [last7, last30]]) => ({ _id: kind, '7d': last7, '30d': last30 }));
+
+// 7-day window stats as buildWindow produces them
+const stats = (overrides) => ({
+  offered: 0, accepted: 0, rejected: 0, expired: 0, cancelled: 0, completed: 0,
+  acceptanceRate: null, cancellationRate: null, completionRate: null,
+  ...overrides
+});
+
+describe('DriverPerformanceService', () => {
+  let service;
+  let rabbitMQClient;
+
+  beforeEach(() => {
+    service = new DriverPerformanceService();
+    rabbitMQClient = { publishEvent: jest.fn().mockResolvedValue() };
+    getRabbitMQClient.mockReturnValue(rabbitMQClient);
+
+    DriverPerformance.findOneAndUpdate.mockReturnValue(query({ driverId: 'driver_1' }));
+    DriverPerformanceAlert.updateMany.mockResolvedValue({ modifiedCount: 0 });
+    DriverPerformanceAlert.findOneAndUpdate.mockResolvedValue({
+      value: { alertId: 'perf_1' },
+      lastErrorObject: { updatedExisting: false }
+    });
+    Driver.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('computeWindows', () => {
+    it('should derive each rate from its own denominator per window', async () => {
+      DriverPerformanceEvent.aggregate.mockResolvedValue(counts({
+        offered: [10, 20],
+        accepted: [6, 15],
+        rejected: [3, 4],
+        expired: [1, 1],
+        cancelled: [1, 1],
+        completed: [5, 14]
+      }));
+
+      const windows = await service.computeWindows('driver_1');
+
+      expect(windows['7d']).toMatchObject({ acceptanceRate: 0.6, cancellationRate: 0.167, completionRate: 0.833 });
+      expect(windows['30d']).toMatchObject({ acceptanceRate: 0.75, cancellationRate: 0.067, completionRate: 0.933 });
+    });
+
+    it('should leave rates without samples as null', async () => {
+      DriverPerformanceEvent.aggregate.mockResolvedValue(counts({ offered: [2, 2] }));
+
+      const windows = await service.computeWindows('driver_1');
+
+      expect(windows['7d']).toMatchObject({ offered: 2, acceptanceRate: null, cancellationRate: null, completionRate: null });
+    });
+
+    it('should cap a rate at 1 when the window starts after the acceptance it cancels', async () => {
+      DriverPerformanceEvent.aggregate.mockResolvedValue(counts({ accepted: [1, 3], cancelled: [2, 2] }));
+
+      const windows = await service.computeWindows('driver_1');
+
+      expect(windows['7d'].cancellationRate).toBe(1);
+      expect(windows['30d'].cancellationRate).toBe(0.667);
+    });
+  });
+
+  describe('evaluateAlerts', () => {
+    it('should not alert on fewer samples than the minimum', async () => {
+      await service.evaluateAlerts('driver_1', stats({ accepted: 1, rejected: 8, acceptanceRate: 0.111 }));
+
+      expect(DriverPerformanceAlert.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(DriverPerformanceAlert.updateMany).toHaveBeenCalledWith(
+        { driverId: 'driver_1', metric: 'acceptanceRate', status: 'open' },
+        { $set: expect.objectContaining({ status: 'resolved', sampleSize: 9 }) }
+      );
+    });
+
+    it('should treat a rate exactly at the threshold as healthy', async () => {
+      const { acceptanceRate } = PERFORMANCE_CONFIG.thresholds;
+
+      await service.evaluateAlerts('driver_1', stats({ accepted: 6, rejected: 4, acceptanceRate }));
+
+      expect(DriverPerformanceAlert.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should open an alert and publish it when a rate crosses its threshold', async () => {
+      await service.evaluateAlerts('driver_1', stats({ accepted: 5, rejected: 5, acceptanceRate: 0.5 }));
+
+      expect(DriverPerformanceAlert.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(rabbitMQClient.publishEvent).toHaveBeenCalledWith('driver-events', 'driver.performance_alert', expect.objectContaining({
+        alertId: 'perf_1',
+        driverId: 'driver_1',
+        metric: 'acceptanceRate',
+        value: 0.5,
+        sampleSize: 10
+      }));
+    });
+
+    it('should alert when cancellations rise above the threshold', async () => {
+      await service.evaluateAlerts('driver_1', stats({ accepted: 10, cancelled: 2, cancellationRate: 0.2 }));
+
+      expect(DriverPerformanceAlert.findOneAndUpdate).toHaveBeenCalledWith(
+        { driverId: 'driver_1', metric: 'cancellationRate', status: 'open' },
+        expect.anything(),
+        expect.anything()
+      );
+    });
+
+    it('should alert only once while the rate stays below the threshold', async () => {
+      DriverPerformanceAlert.findOneAndUpdate.mockResolvedValue({
+        value: { alertId: 'perf_1' },
+        lastErrorObject: { updatedExisting: true }
+      });
+
+      await service.evaluateAlerts('driver_1', stats({ accepted: 5, rejected: 5, acceptanceRate: 0.5 }));
+
+      expect(rabbitMQClient.publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordEvent', () => {
+    it('should count a redelivered event once', async () => {
+      DriverPerformanceEvent.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      expect(await service.recordEvent('accepted', { driverId: 'driver_1', rideId: 'ride_1' })).toBeNull();
+      expect(DriverPerformanceEvent.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should ignore events without a driver or ride', async () => {
+      expect(await service.recordEvent('accepted', { rideId: 'ride_1' })).toBeNull();
+      expect(DriverPerformanceEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should sync the 30-day completion rate to the driver as a percentage', async () => {
+      DriverPerformanceEvent.create.mockResolvedValue({});
+      DriverPerformanceEvent.aggregate.mockResolvedValue(counts({ completed: [6, 6], cancelled: [1, 1] }));
+
+      await service.recordEvent('completed', { driverId: 'driver_1', rideId: 'ride_1' });
+
+      expect(Driver.updateOne).toHaveBeenCalledWith({ driverId: 'driver_1' }, { $set: { completionRate: 85.7 } });
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    it('should list the worst drivers first for each metric', async () => {
+      DriverPerformance.find.mockReturnValueOnce(query([])).mockReturnValueOnce(query([]));
+
+      await service.getLeaderboard({ metric: 'acceptanceRate' });
+      await service.getLeaderboard({ metric: 'cancellationRate' });
+
+      const sorts = DriverPerformance.find.mock.results.map(result => result.value.sort.mock.calls[0][0]);
+      expect(sorts).toEqual([
+        { 'windows.30d.acceptanceRate': 1, driverId: 1 },
+        { 'windows.30d.cancellationRate': -1, driverId: 1 }
+      ]);
+    });
+
+    it('should leave out drivers with too few samples', async () => {
+      DriverPerformance.find.mockReturnValue(query([]));
+
+      await service.getLeaderboard({ window: '7d', metric: 'completionRate', minSamples: 5 });
+
+      expect(DriverPerformance.find).toHaveBeenCalledWith({
+        'windows.7d.completionRate': { $ne: null },
+        $expr: { $gte: [{ $add: ['$windows.7d.completed', '$windows.7d.cancelled'] }, 5] }
+      });
+    });
+
+    it('should reject an unknown metric or window', async () => {
+      await expect(service.getLeaderboard({ metric: 'rating' })).rejects.toThrow('metric must be one of');
+      await expect(service.getLeaderboard({ window: '90d' })).rejects.toThrow('window must be one of');
+    });
+  });
+});
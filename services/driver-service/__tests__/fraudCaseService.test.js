@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const FraudCaseService = require('../src/services/fraudCaseService');
+const Driver = require('../src/models/Driver');
+const FraudCase = require('../src/models/FraudCase');
+const DriverRepository = require('../src/repositories/driverRepository');
+const { getRabbitMQClient } = require('../src/config/rabbitmq');
+
+jest.mock('../src/models/Driver');
+jest.mock('../src/models/FraudCase');
+jest.mock('../src/repositories/driverRepository');
+jest.mock('../src/config/rabbitmq', () => ({
+  getRabbitMQClient: jest.fn()
+}));
+
+const openCase = (overrides = {}) => ({
+  caseId: 'fraud_1',
+  driverId: 'driver_1',
+  anomaly: 'teleport',
+  status: 'open',
+  save: jest.fn().mockResolvedValue(),
+  toObject() {
+    return { caseId: this.caseId, status: this.status, review: this.review };
+  },
+  ...overrides
+});
+
+describe('FraudCaseService', () => {
+  let service;
+  let repo;
+  let rabbitMQClient;
+  let readyState;
+
+  // The prototype getter isn't configurable, so shadow it on the connection itself
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => readyState });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    service = new FraudCaseService();
+    repo = DriverRepository.mock.instances[DriverRepository.mock.instances.length - 1];
+    rabbitMQClient = { publishEvent: jest.fn().mockResolvedValue() };
+    getRabbitMQClient.mockReturnValue(rabbitMQClient);
+    readyState = 1;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('reviewCase', () => {
+    it('should close an open case with the reviewer and notes', async () => {
+      const fraudCase = openCase();
+      FraudCase.findOne.mockResolvedValue(fraudCase);
+
+      const reviewed = await service.reviewCase('fraud_1', { status: 'dismissed', notes: 'GPS glitch in tunnel', reviewedBy: 'admin_1' });
+
+      expect(reviewed).toMatchObject({
+        status: 'dismissed',
+        review: { reviewedBy: 'admin_1', notes: 'GPS glitch in tunnel', driverSuspended: false }
+      });
+      expect(fraudCase.save).toHaveBeenCalled();
+    });
+
+    it('should reject a status other than confirmed or dismissed', async () => {
+      await expect(service.reviewCase('fraud_1', { status: 'open' })).rejects.toThrow('status must be one of');
+      expect(FraudCase.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return null for an unknown case', async () => {
+      FraudCase.findOne.mockResolvedValue(null);
+
+      expect(await service.reviewCase('fraud_x', { status: 'confirmed' })).toBeNull();
+    });
+
+    it('should refuse to review a case twice', async () => {
+      FraudCase.findOne.mockResolvedValue(openCase({ status: 'confirmed' }));
+
+      await expect(service.reviewCase('fraud_1', { status: 'dismissed' })).rejects.toThrow('Case already confirmed');
+    });
+  });
+
+  describe('suspendDriver', () => {
+    beforeEach(() => {
+      repo.suspendDriver.mockResolvedValue({ driverId: 'driver_1' });
+      Driver.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should take the driver offline, confirm the case and publish the status change', async () => {
+      const fraudCase = openCase();
+      FraudCase.findOne.mockResolvedValue(fraudCase);
+
+      const result = await service.suspendDriver('driver_1', { caseId: 'fraud_1', notes: 'Mock app', suspendedBy: 'admin_1' });
+
+      expect(result).toEqual({ driverId: 'driver_1', status: 'suspended', caseId: 'fraud_1' });
+      expect(repo.setDriverStatus).toHaveBeenCalledWith('driver_1', 'offline');
+      expect(repo.removeDriverLocation).toHaveBeenCalledWith('driver_1');
+      expect(Driver.updateOne).toHaveBeenCalledWith({ driverId: 'driver_1' }, { $set: { status: 'offline', isActive: false } });
+      expect(fraudCase).toMatchObject({
+        status: 'confirmed',
+        review: { reviewedBy: 'admin_1', notes: 'Mock app', driverSuspended: true }
+      });
+      expect(rabbitMQClient.publishEvent).toHaveBeenCalledWith('driver-events', 'driver.status.changed', expect.objectContaining({
+        driverId: 'driver_1',
+        newStatus: 'offline',
+        reason: 'suspended',
+        caseId: 'fraud_1'
+      }));
+    });
+
+    it('should refuse a case raised against another driver before suspending anyone', async () => {
+      FraudCase.findOne.mockResolvedValue(openCase({ driverId: 'driver_2' }));
+
+      await expect(service.suspendDriver('driver_1', { caseId: 'fraud_1' })).rejects.toThrow('Case not found for this driver');
+      expect(repo.suspendDriver).not.toHaveBeenCalled();
+    });
+
+    it('should return null for an unknown driver', async () => {
+      repo.suspendDriver.mockResolvedValue(null);
+
+      expect(await service.suspendDriver('driver_x')).toBeNull();
+      expect(repo.setDriverStatus).not.toHaveBeenCalled();
+      expect(rabbitMQClient.publishEvent).not.toHaveBeenCalled();
+    });
+
+    it('should suspend without a case and skip MongoDB while it is unavailable', async () => {
+      readyState = 0;
+
+      const result = await service.suspendDriver('driver_1');
+
+      expect(result.caseId).toBeNull();
+      expect(Driver.updateOne).not.toHaveBeenCalled();
+      expect(rabbitMQClient.publishEvent).toHaveBeenCalledWith('driver-events', 'driver.status.changed', expect.objectContaining({ caseId: null }));
+    });
+
+    it('should still suspend when the status event cannot be published', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      rabbitMQClient.publishEvent.mockRejectedValue(new Error('channel closed'));
+
+      expect(await service.suspendDriver('driver_1')).toMatchObject({ status: 'suspended' });
+    });
+  });
+});
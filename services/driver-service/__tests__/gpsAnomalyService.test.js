@@ -0,0 +1,245 @@
+const GPSAnomalyService = require('../src/services/gpsAnomalyService');
+const { ANOMALY_CONFIG } = require('../src/services/gpsAnomalyService');
+const FraudCase = require('../src/models/FraudCase');
+const { getRabbitMQClient } = require('../src/config/rabbitmq');
+
+jest.mock('../src/models/FraudCase');
+jest.mock('../src/config/rabbitmq', () => ({
+  getRabbitMQClient: jest.fn()
+}));
+
+const BASE_TIME = Date.parse('2026-01-15T08:00:00Z');
+
+// A GPSTracking document as the ingestion pipeline hands it over
+const point = (seconds, overrides = {}) => ({
+  driverId: 'driver_1',
+  coordinates: { lat: 10.7, lng: 106.7 },
+  speed: 30,
+  distanceFromLast: 80,
+  timeFromLast: 10,
+  isMockLocation: false,
+  createdAt: new Date(BASE_TIME + seconds * 1000),
+  ...overrides
+});
+
+const anomaliesOf = (found) => found.map(anomaly => anomaly.anomaly);
+
+describe('GPSAnomalyService', () => {
+  let service;
+  let rabbitMQClient;
+
+  beforeEach(() => {
+    service = new GPSAnomalyService();
+    rabbitMQClient = { publishEvent: jest.fn().mockResolvedValue() };
+    getRabbitMQClient.mockReturnValue(rabbitMQClient);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('checkPoint', () => {
+    it('should not flag normal driving', () => {
+      expect(service.checkPoint(point(0))).toEqual([]);
+    });
+
+    it('should flag a long jump in a few seconds as a teleport only', () => {
+      const found = service.checkPoint(point(0, { distanceFromLast: 2500, timeFromLast: 10 }));
+
+      expect(anomaliesOf(found)).toEqual(['teleport']);
+      expect(found[0]).toMatchObject({ details: { distanceMeters: 2500, seconds: 10 }, detectedAt: new Date(BASE_TIME) });
+    });
+
+    it('should flag an impossible speed derived from distance over time', () => {
+      // 1.2 km in 20 s is 216 km/h
+      const found = service.checkPoint(point(0, { distanceFromLast: 1200, timeFromLast: 20 }));
+
+      expect(anomaliesOf(found)).toEqual(['impossible_speed']);
+      expect(found[0].details).toEqual({ speedKmh: 216, source: 'derived', maxSpeedKmh: ANOMALY_CONFIG.maxSpeedKmh });
+    });
+
+    it('should flag an impossible speed reported by the device but not one derived at ingestion', () => {
+      expect(service.checkPoint(point(0, { speed: 200 }))[0].details.source).toBe('device');
+      expect(service.checkPoint(point(10, { speed: 200, speedDerived: true }))).toEqual([]);
+    });
+
+    it('should treat the maximum speed itself as possible', () => {
+      // 500 m in 10 s is exactly 180 km/h
+      expect(service.checkPoint(point(0, { distanceFromLast: 500, timeFromLast: 10 }))).toEqual([]);
+    });
+
+    it('should ignore speeds implied by gaps too short to measure', () => {
+      expect(service.checkPoint(point(0, { distanceFromLast: 400, timeFromLast: 2 }))).toEqual([]);
+    });
+
+    it('should flag mock locations', () => {
+      expect(anomaliesOf(service.checkPoint(point(0, { isMockLocation: true })))).toEqual(['mock_location']);
+    });
+
+    it('should flag coordinates frozen while the device reports driving', () => {
+      const frozen = { distanceFromLast: 0, speed: 40 };
+      for (let i = 0; i < ANOMALY_CONFIG.frozenMinPoints - 1; i++) {
+        expect(service.checkPoint(point(i, frozen))).toEqual([]);
+      }
+
+      const found = service.checkPoint(point(ANOMALY_CONFIG.frozenMinPoints - 1, frozen));
+
+      expect(anomaliesOf(found)).toEqual(['frozen_coordinates']);
+      expect(found[0].details).toEqual({ points: 10, seconds: 9, averageSpeedKmh: 40 });
+      expect(found[0].evidence).toHaveLength(10);
+    });
+
+    it('should not treat a parked car as frozen', () => {
+      const found = [];
+      for (let i = 0; i < ANOMALY_CONFIG.frozenMinPoints; i++) {
+        found.push(...service.checkPoint(point(i, { distanceFromLast: 0, speed: 0 })));
+      }
+
+      expect(found).toEqual([]);
+    });
+
+    it('should keep each driver in a separate window', () => {
+      const found = [];
+      for (let i = 0; i < ANOMALY_CONFIG.frozenMinPoints; i++) {
+        const driverId = i % 2 === 0 ? 'driver_1' : 'driver_2';
+        found.push(...service.checkPoint(point(i, { driverId, distanceFromLast: 0, speed: 40 })));
+      }
+
+      expect(found).toEqual([]);
+    });
+  });
+
+  describe('route divergence', () => {
+    const farAway = { coordinates: { lat: 10.8, lng: 106.7 } };
+
+    beforeEach(() => {
+      service.setActiveRoute({
+        rideId: 'ride_1',
+        driverId: 'driver_1',
+        pickup: { coordinates: { lat: 10.7, lng: 106.7 } },
+        destination: { lat: 10.7, lng: 106.75 }
+      });
+    });
+
+    it('should fall back to the straight line with a wider tolerance without a polyline', () => {
+      expect(service.activeRoutes.get('driver_1')).toMatchObject({
+        rideId: 'ride_1',
+        tolerance: ANOMALY_CONFIG.routeDivergenceFallbackMeters
+      });
+    });
+
+    it('should flag consecutive points far from the route and tag the ride', () => {
+      for (let i = 0; i < ANOMALY_CONFIG.routeDivergenceMinPoints - 1; i++) {
+        expect(service.checkPoint(point(i, farAway))).toEqual([]);
+      }
+
+      const found = service.checkPoint(point(ANOMALY_CONFIG.routeDivergenceMinPoints, farAway));
+
+      expect(anomaliesOf(found)).toEqual(['route_divergence']);
+      expect(found[0]).toMatchObject({ rideId: 'ride_1', details: { points: 5, toleranceMeters: 3000 } });
+    });
+
+    it('should start over when a point comes back to the route', () => {
+      const found = [];
+      for (let i = 0; i < ANOMALY_CONFIG.routeDivergenceMinPoints; i++) {
+        const onRoute = i === 2 ? {} : farAway;
+        found.push(...service.checkPoint(point(i, onRoute)));
+      }
+
+      expect(found).toEqual([]);
+    });
+
+    it('should stop checking once the ride ends', () => {
+      service.clearActiveRoute({ rideId: 'ride_other', driverId: 'driver_1' });
+      expect(service.activeRoutes.has('driver_1')).toBe(true);
+
+      service.clearActiveRoute({ rideId: 'ride_1', driverId: 'driver_1' });
+      expect(service.activeRoutes.has('driver_1')).toBe(false);
+    });
+  });
+
+  describe('raiseCase', () => {
+    const anomaly = {
+      driverId: 'driver_1',
+      anomaly: 'teleport',
+      rideId: 'ride_1',
+      details: { distanceMeters: 2500, seconds: 10 },
+      evidence: [],
+      detectedAt: new Date(BASE_TIME)
+    };
+
+    beforeEach(() => {
+      jest.spyOn(service, 'isAvailable').mockReturnValue(true);
+      FraudCase.findOneAndUpdate.mockResolvedValue({
+        value: { caseId: 'fraud_1', severity: 'high' },
+        lastErrorObject: { updatedExisting: false }
+      });
+    });
+
+    it('should open a case and publish it with its severity', async () => {
+      const fraudCase = await service.raiseCase(anomaly);
+
+      expect(fraudCase.caseId).toBe('fraud_1');
+      expect(FraudCase.findOneAndUpdate).toHaveBeenCalledWith(
+        { driverId: 'driver_1', anomaly: 'teleport', status: 'open' },
+        expect.objectContaining({ $setOnInsert: expect.objectContaining({ severity: 'high' }) }),
+        expect.objectContaining({ upsert: true })
+      );
+      expect(rabbitMQClient.publishEvent).toHaveBeenCalledWith('driver-events', 'driver.suspicious_activity', expect.objectContaining({
+        caseId: 'fraud_1',
+        driverId: 'driver_1',
+        anomaly: 'teleport',
+        severity: 'high',
+        rideId: 'ride_1'
+      }));
+    });
+
+    it('should add a repeat detection to the open case without publishing again', async () => {
+      FraudCase.findOneAndUpdate.mockResolvedValue({
+        value: { caseId: 'fraud_1' },
+        lastErrorObject: { updatedExisting: true }
+      });
+
+      expect(await service.raiseCase(anomaly)).toBeNull();
+      expect(rabbitMQClient.publishEvent).not.toHaveBeenCalled();
+    });
+
+    it('should leave a case opened concurrently to the other consumer', async () => {
+      FraudCase.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      expect(await service.raiseCase(anomaly)).toBeNull();
+      expect(rabbitMQClient.publishEvent).not.toHaveBeenCalled();
+    });
+
+    it('should skip cases while MongoDB is unavailable', async () => {
+      service.isAvailable.mockReturnValue(false);
+
+      expect(await service.raiseCase(anomaly)).toBeNull();
+      expect(FraudCase.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('analyze', () => {
+    it('should check a batch in order and keep going when a case fails to save', async () => {
+      jest.spyOn(service, 'raiseCase')
+        .mockRejectedValueOnce(new Error('connection closed'))
+        .mockResolvedValueOnce({ caseId: 'fraud_2' });
+
+      const found = await service.analyze([
+        point(0, { isMockLocation: true }),
+        point(10),
+        point(20, { distanceFromLast: 2500, timeFromLast: 10 })
+      ]);
+
+      expect(anomaliesOf(found)).toEqual(['mock_location', 'teleport']);
+      expect(service.raiseCase).toHaveBeenCalledTimes(2);
+    });
+
+    it('should accept an empty batch', async () => {
+      expect(await service.analyze([])).toEqual([]);
+    });
+  });
+});
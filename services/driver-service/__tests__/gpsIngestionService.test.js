@@ -0,0 +1,183 @@
+const GPSIngestionService = require('../src/services/gpsIngestionService');
+const GPSTracking = require('../src/models/GPSTracking');
+
+jest.mock('../src/models/GPSTracking');
+
+const CONFIG = {
+  batchSize: 3,
+  flushIntervalMs: 1000,
+  maxBufferSize: 5,
+  drivingSpeedKmh: 5,
+  stoppedAfterSeconds: 300
+};
+
+const BASE_TIME = Date.parse('2026-01-15T08:00:00Z');
+
+// A raw update `seconds` after BASE_TIME; 0.001° of latitude is about 111 m
+const update = (seconds, lat, overrides = {}) => ({
+  driverId: 'driver_1',
+  lat,
+  lng: 106.7,
+  recordedAt: new Date(BASE_TIME + seconds * 1000).toISOString(),
+  ...overrides
+});
+
+describe('GPSIngestionService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GPSIngestionService(CONFIG);
+    GPSTracking.aggregate.mockResolvedValue([]);
+    GPSTracking.insertMany.mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('normalizePoint', () => {
+    it('should reject points without a driver or with coordinates out of range', () => {
+      expect(service.normalizePoint({ lat: 10.7, lng: 106.7 })).toBeNull();
+      expect(service.normalizePoint({ driverId: 'driver_1', lat: 91, lng: 106.7 })).toBeNull();
+      expect(service.normalizePoint({ driverId: 'driver_1', coordinates: { lat: 'abc', lng: 106.7 } })).toBeNull();
+    });
+
+    it('should clamp a timestamp from the future to the time it was received', () => {
+      const point = service.normalizePoint(update(0, 10.7, { recordedAt: new Date(Date.now() + 60000).toISOString() }));
+
+      expect(point.recordedAt.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should read mock locations from the Android provider flag', () => {
+      expect(service.normalizePoint(update(0, 10.7, { isFromMockProvider: true })).isMockLocation).toBe(true);
+    });
+  });
+
+  describe('flush', () => {
+    it('should not write anything for an empty batch', async () => {
+      const listener = jest.fn();
+      service.onBatch(listener);
+
+      await service.flush();
+
+      expect(GPSTracking.aggregate).not.toHaveBeenCalled();
+      expect(GPSTracking.insertMany).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should chain out-of-order points in time order', async () => {
+      service.ingest(update(20, 10.702));
+      service.ingest(update(0, 10.7));
+      await service.flush();
+      service.ingest(update(10, 10.701));
+      await service.flush();
+
+      const [first, second] = GPSTracking.insertMany.mock.calls[0][0];
+      const [late] = GPSTracking.insertMany.mock.calls[1][0];
+      expect(first.createdAt).toEqual(new Date(BASE_TIME));
+      expect(first.activity).toBe('stopped');
+      expect(second.timeFromLast).toBe(20);
+      // A point older than the driver's last one never gets a negative gap
+      expect(late.timeFromLast).toBe(0);
+      expect(late.speed).toBeUndefined();
+    });
+
+    it('should derive speed from distance when the device does not report it', async () => {
+      service.ingest(update(0, 10.7));
+      service.ingest(update(10, 10.701));
+      service.ingest(update(20, 10.701, { speed: 0 }));
+      await service.flush();
+
+      const [, moving, parked] = GPSTracking.insertMany.mock.calls[0][0];
+      expect(moving.distanceFromLast).toBeCloseTo(111.2, 1);
+      expect(moving.speed).toBeCloseTo(40, 0);
+      expect(moving).toMatchObject({ speedDerived: true, activity: 'driving' });
+      expect(parked).toMatchObject({ speed: 0, activity: 'idle' });
+      expect(parked.speedDerived).toBeUndefined();
+    });
+
+    it('should continue from the last stored point of a driver not seen since startup', async () => {
+      GPSTracking.aggregate.mockResolvedValue([
+        { _id: 'driver_1', coordinates: { lat: 10.7, lng: 106.7 }, createdAt: new Date(BASE_TIME - 600000) }
+      ]);
+
+      service.ingest(update(0, 10.7));
+      await service.flush();
+      service.ingest(update(5, 10.7));
+      await service.flush();
+
+      expect(GPSTracking.aggregate).toHaveBeenCalledTimes(1);
+      expect(GPSTracking.insertMany.mock.calls[0][0][0]).toMatchObject({ timeFromLast: 600, activity: 'stopped' });
+      expect(GPSTracking.insertMany.mock.calls[1][0][0]).toMatchObject({ timeFromLast: 5, activity: 'idle' });
+    });
+
+    it('should write in batches of the configured size', async () => {
+      for (let i = 0; i < 4; i++) {
+        service.ingest(update(i, 10.7));
+      }
+      await service.flush();
+
+      expect(GPSTracking.insertMany.mock.calls.map(([docs]) => docs.length)).toEqual([3, 1]);
+      expect(GPSTracking.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+    });
+  });
+
+  describe('failures', () => {
+    it('should retry a failed insert without notifying listeners again', async () => {
+      const listener = jest.fn();
+      service.onBatch(listener);
+      GPSTracking.insertMany.mockRejectedValueOnce(new Error('connection closed'));
+
+      service.ingest(update(0, 10.7));
+      await expect(service.flush()).rejects.toThrow('connection closed');
+      await service.flush();
+
+      expect(GPSTracking.insertMany).toHaveBeenCalledTimes(2);
+      expect(GPSTracking.insertMany.mock.calls[1][0]).toHaveLength(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry documents the database rejected', async () => {
+      GPSTracking.insertMany.mockRejectedValueOnce(Object.assign(new Error('validation failed'), { writeErrors: [{}] }));
+
+      service.ingest(update(0, 10.7));
+      await service.flush();
+      await service.flush();
+
+      expect(GPSTracking.insertMany).toHaveBeenCalledTimes(1);
+      expect(service.unsaved).toHaveLength(0);
+    });
+
+    it('should drop the oldest points when the database stays down', async () => {
+      GPSTracking.insertMany.mockRejectedValue(new Error('connection closed'));
+
+      for (let i = 0; i < 2; i++) {
+        service.ingest(update(i, 10.7));
+      }
+      await expect(service.flush()).rejects.toThrow();
+      // A driver not seen yet needs a lookup, which fails too
+      GPSTracking.aggregate.mockRejectedValueOnce(new Error('connection closed'));
+      for (let i = 2; i < 7; i++) {
+        service.buffer.push(service.normalizePoint(update(i, 10.7, { driverId: 'driver_2' })));
+      }
+      await expect(service.flush()).rejects.toThrow();
+
+      expect(service.unsaved).toHaveLength(0);
+      expect(service.buffer.map(point => point.recordedAt.getTime())).toEqual(
+        [2, 3, 4, 5, 6].map(seconds => BASE_TIME + seconds * 1000)
+      );
+    });
+
+    it('should store points even when a batch listener fails', async () => {
+      service.onBatch(jest.fn().mockRejectedValue(new Error('detector down')));
+
+      service.ingest(update(0, 10.7));
+      await service.flush();
+
+      expect(GPSTracking.insertMany).toHaveBeenCalledTimes(1);
+    });
+  });
+});
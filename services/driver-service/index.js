@@ -1,8 +1,57 @@
 const app = require('./src/app');
+const { connectMongoDB } = require('./src/config/mongodb');
+const { connectRabbitMQ } = require('./src/config/rabbitmq');
+const { startRideEventListeners } = require('./src/events/rideEvents');
+const { startLocationEventListeners } = require('./src/events/locationEvents');
+const { startRouteEventListeners } = require('./src/events/routeEvents');
+const DriverPerformanceService = require('./src/services/driverPerformanceService');
+const { gpsIngestionService } = require('./src/services/gpsIngestionService');
+const GPSAnomalyService = require('./src/services/gpsAnomalyService');
 
 const PORT = process.env.PORT || 3007;
 
-app.listen(PORT, () => {
-  console.log(`🚗 Driver Service running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/api/drivers/health`);
-});
\ No newline at end of file
+const performanceService = new DriverPerformanceService();
+const gpsAnomalyService = new GPSAnomalyService();
+
+// Every ingested point, from REST or sockets, goes through the anomaly checks
+gpsIngestionService.onBatch(docs => gpsAnomalyService.analyze(docs));
+
+// Performance metrics, socket GPS history and ride routes come from events; driver APIs still work without them
+const startEventListeners = async () => {
+  const rabbitMQClient = await connectRabbitMQ();
+  if (rabbitMQClient) {
+    await startRideEventListeners(rabbitMQClient, performanceService);
+    await startLocationEventListeners(rabbitMQClient, gpsIngestionService);
+    await startRouteEventListeners(rabbitMQClient, gpsAnomalyService);
+  }
+};
+
+const startServer = async () => {
+  try {
+    await connectMongoDB();
+    startEventListeners().catch(error => {
+      console.error('❌ Driver Service: failed to start event listeners:', error.message);
+    });
+    performanceService.startScheduler();
+    gpsIngestionService.start();
+  } catch (error) {
+    console.error('❌ Driver Service: running without performance metrics and GPS history');
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🚗 Driver Service running on port ${PORT}`);
+    console.log(`📊 Health check available at http://localhost:${PORT}/api/drivers/health`);
+  });
+};
+
+// Buffered GPS points are written before exiting
+const shutdown = async () => {
+  console.log('🛑 Driver Service shutting down...');
+  await gpsIngestionService.stop().catch(() => {});
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+startServer();
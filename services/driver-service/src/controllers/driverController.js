@@ -21,11 +21,15 @@ class DriverController {
   };
 
   updateDriverStatus = async (req, res) => {
-    const result = await this.service.updateDriverStatus(
-      req.params.driverId,
-      req.body.status
-    );
-    res.json(result);
+    try {
+      const result = await this.service.updateDriverStatus(
+        req.params.driverId,
+        req.body.status
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ success: false, error: err.message });
+    }
   };
 
   getDriverStatus = async (req, res) => {
@@ -34,11 +38,12 @@ class DriverController {
   };
 
   updateDriverLocation = async (req, res) => {
-    const { lat, lng } = req.body;
+    const { lat, lng, ...details } = req.body;
     const result = await this.service.updateDriverLocation(
       req.params.driverId,
       lat,
-      lng
+      lng,
+      details
     );
     res.json(result);
   };
@@ -0,0 +1,55 @@
+const FraudCaseService = require('../services/fraudCaseService');
+
+class FraudController {
+  constructor() {
+    this.service = new FraudCaseService();
+  }
+
+  // GET /api/drivers/admin/fraud-cases?status=open|confirmed|dismissed|all&driverId=&anomaly=&limit=
+  listCases = async (req, res) => {
+    const { status, driverId, anomaly, limit } = req.query;
+    const cases = await this.service.listCases({ status, driverId, anomaly, limit });
+    res.json({ success: true, data: cases });
+  };
+
+  // GET /api/drivers/admin/fraud-cases/:caseId
+  getCase = async (req, res) => {
+    const fraudCase = await this.service.getCase(req.params.caseId);
+    if (!fraudCase) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true, data: fraudCase });
+  };
+
+  // PUT /api/drivers/admin/fraud-cases/:caseId/review { status: confirmed|dismissed, notes }
+  reviewCase = async (req, res) => {
+    try {
+      const { status, notes } = req.body;
+      const fraudCase = await this.service.reviewCase(req.params.caseId, {
+        status,
+        notes,
+        reviewedBy: req.user.userId
+      });
+      if (!fraudCase) return res.status(404).json({ error: 'Not found' });
+      res.json({ success: true, data: fraudCase });
+    } catch (err) {
+      res.status(400).json({ success: false, error: err.message });
+    }
+  };
+
+  // POST /api/drivers/admin/suspend/:driverId { caseId?, notes }
+  suspendDriver = async (req, res) => {
+    try {
+      const { caseId, notes } = req.body;
+      const result = await this.service.suspendDriver(req.params.driverId, {
+        caseId,
+        notes,
+        suspendedBy: req.user.userId
+      });
+      if (!result) return res.status(404).json({ error: 'Not found' });
+      res.json({ success: true, data: result });
+    } catch (err) {
+      res.status(400).json({ success: false, error: err.message });
+    }
+  };
+}
+
+module.exports = FraudController;
@@ -0,0 +1,34 @@
+const DriverPerformanceService = require('../services/driverPerformanceService');
+
+class PerformanceController {
+  constructor() {
+    this.service = new DriverPerformanceService();
+  }
+
+  // GET /api/drivers/performance/:driverId
+  getDriverPerformance = async (req, res) => {
+    const performance = await this.service.getDriverPerformance(req.params.driverId);
+    if (!performance) return res.status(404).json({ error: 'Not found' });
+    res.json({ driverId: req.params.driverId, ...performance });
+  };
+
+  // GET /api/drivers/admin/performance/leaderboard?window=7d|30d&metric=&order=&limit=&minSamples=
+  getLeaderboard = async (req, res) => {
+    try {
+      const { window, metric, order, limit, minSamples } = req.query;
+      const leaderboard = await this.service.getLeaderboard({ window, metric, order, limit, minSamples });
+      res.json({ success: true, data: leaderboard });
+    } catch (err) {
+      res.status(400).json({ success: false, error: err.message });
+    }
+  };
+
+  // GET /api/drivers/admin/performance/alerts?status=open|resolved|all&driverId=
+  listAlerts = async (req, res) => {
+    const { status, driverId, limit } = req.query;
+    const alerts = await this.service.listAlerts({ status, driverId, limit });
+    res.json({ success: true, data: alerts });
+  };
+}
+
+module.exports = PerformanceController;
@@ -0,0 +1,34 @@
+/**
+ * Location Event Handlers
+ * Driver GPS fixes streamed through the realtime socket server go into the GPS history
+ */
+
+const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+const GPS_QUEUE = `${QUEUES.DRIVER_SERVICE}.gps`;
+
+/**
+ * Build the handler for driver.location.updated
+ * @param {GPSIngestionService} gpsIngestionService
+ */
+const createLocationEventHandler = (gpsIngestionService) => async (event) => {
+  if (!gpsIngestionService.ingest(event)) {
+    console.warn('Invalid driver location event:', event.eventId || event.driverId);
+  }
+};
+
+/**
+ * Bind the GPS queue to driver location updates and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {GPSIngestionService} gpsIngestionService
+ */
+const startLocationEventListeners = async (rabbitMQClient, gpsIngestionService) => {
+  await rabbitMQClient.bindQueue(GPS_QUEUE, EXCHANGES.DRIVER_EVENTS, ROUTING_KEYS.DRIVER_LOCATION_UPDATED);
+  await rabbitMQClient.subscribeToQueue(GPS_QUEUE, createLocationEventHandler(gpsIngestionService));
+  console.log('✅ Driver Service: listening to driver location updates for GPS history');
+};
+
+module.exports = {
+  startLocationEventListeners,
+  createLocationEventHandler
+};
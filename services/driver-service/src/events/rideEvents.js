@@ -0,0 +1,69 @@
+/**
+ * Ride Event Handlers
+ * Feeds offer and trip outcomes into the driver performance subsystem
+ */
+
+const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+const PERFORMANCE_QUEUE = `${QUEUES.DRIVER_SERVICE}.performance`;
+
+// Ride event type -> performance event kind
+const EVENT_KINDS = {
+  RideOffered: 'offered',
+  RideAssigned: 'accepted',
+  RideDriverRejected: 'rejected',
+  RideOfferExpired: 'expired',
+  RideCancelled: 'cancelled',
+  RideCompleted: 'completed'
+};
+
+/**
+ * Build the handler for ride events
+ * @param {DriverPerformanceService} performanceService
+ */
+const createRideEventHandler = (performanceService) => async (event) => {
+  const kind = EVENT_KINDS[event.type];
+  if (!kind) {
+    console.log('Unknown ride event type:', event.type);
+    return;
+  }
+
+  // Only cancellations by the driver count against them
+  if (kind === 'cancelled' && event.cancelledBy !== 'driver') {
+    return;
+  }
+
+  await performanceService.recordEvent(kind, {
+    driverId: event.driverId,
+    rideId: event.rideId,
+    occurredAt: event.timestamp
+  });
+};
+
+/**
+ * Bind the driver performance queue to ride events and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {DriverPerformanceService} performanceService
+ */
+const startRideEventListeners = async (rabbitMQClient, performanceService) => {
+  const routingKeys = [
+    'ride.offered',
+    ROUTING_KEYS.RIDE_ASSIGNED,
+    'ride.driver_rejected',
+    'ride.offer_expired',
+    ROUTING_KEYS.RIDE_CANCELLED,
+    ROUTING_KEYS.RIDE_COMPLETED
+  ];
+
+  for (const routingKey of routingKeys) {
+    await rabbitMQClient.bindQueue(PERFORMANCE_QUEUE, EXCHANGES.RIDE_EVENTS, routingKey);
+  }
+
+  await rabbitMQClient.subscribeToQueue(PERFORMANCE_QUEUE, createRideEventHandler(performanceService));
+  console.log('✅ Driver Service: listening to ride events for performance metrics');
+};
+
+module.exports = {
+  startRideEventListeners,
+  createRideEventHandler
+};
@@ -0,0 +1,50 @@
+/**
+ * Route Event Handlers
+ * Keeps the anomaly detector's active ride routes in step with the trips drivers are on
+ */
+
+const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+const ROUTE_QUEUE = `${QUEUES.DRIVER_SERVICE}.routes`;
+
+/**
+ * Build the handler for ride start and end events
+ * @param {GPSAnomalyService} gpsAnomalyService
+ */
+const createRouteEventHandler = (gpsAnomalyService) => async (event) => {
+  switch (event.type) {
+    case 'RideStarted':
+      gpsAnomalyService.setActiveRoute(event);
+      break;
+    case 'RideCompleted':
+    case 'RideCancelled':
+      gpsAnomalyService.clearActiveRoute(event);
+      break;
+    default:
+      console.log('Unknown ride event type:', event.type);
+  }
+};
+
+/**
+ * Bind the route queue to ride start and end events and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {GPSAnomalyService} gpsAnomalyService
+ */
+const startRouteEventListeners = async (rabbitMQClient, gpsAnomalyService) => {
+  const routingKeys = [
+    ROUTING_KEYS.RIDE_STARTED,
+    ROUTING_KEYS.RIDE_COMPLETED,
+    ROUTING_KEYS.RIDE_CANCELLED
+  ];
+
+  for (const routingKey of routingKeys) {
+    await rabbitMQClient.bindQueue(ROUTE_QUEUE, EXCHANGES.RIDE_EVENTS, routingKey);
+  }
+  await rabbitMQClient.subscribeToQueue(ROUTE_QUEUE, createRouteEventHandler(gpsAnomalyService));
+  console.log('✅ Driver Service: listening to ride routes for GPS anomaly detection');
+};
+
+module.exports = {
+  startRouteEventListeners,
+  createRouteEventHandler
+};
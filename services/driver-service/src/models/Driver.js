@@ -268,7 +268,7 @@ driverSchema.methods.addCompletedTrip = function(earnings) {
   this.totalTrips += 1;
   this.totalEarnings += earnings;
   this.lastTripAt = new Date();
-  this.completionRate = (this.totalTrips / (this.totalTrips + 0)) * 100; // Simplified
+  // completionRate is maintained by DriverPerformanceService from ride events
   return this.save();
 };
 
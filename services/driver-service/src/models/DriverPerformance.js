@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Counts and rates for one rolling window; a rate is null until it has a denominator
+const windowSchema = new mongoose.Schema({
+  offered: { type: Number, default: 0 },
+  accepted: { type: Number, default: 0 },
+  rejected: { type: Number, default: 0 },
+  expired: { type: Number, default: 0 },
+  cancelled: { type: Number, default: 0 },
+  completed: { type: Number, default: 0 },
+  acceptanceRate: { type: Number, default: null },
+  cancellationRate: { type: Number, default: null },
+  completionRate: { type: Number, default: null }
+}, { _id: false });
+
+/**
+ * Latest rolling performance snapshot per driver, read by the profile
+ * and the admin leaderboard.
+ */
+const driverPerformanceSchema = new mongoose.Schema({
+  driverId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  windows: {
+    '7d': { type: windowSchema, default: () => ({}) },
+    '30d': { type: windowSchema, default: () => ({}) }
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'driver_performance'
+});
+
+// Leaderboard sorts
+driverPerformanceSchema.index({ 'windows.7d.acceptanceRate': 1 });
+driverPerformanceSchema.index({ 'windows.30d.acceptanceRate': 1 });
+driverPerformanceSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('DriverPerformance', driverPerformanceSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Raised when a driver's rate crosses its configured threshold.
+ * Stays open until the rate recovers, so a driver gets one alert per drop.
+ */
+const driverPerformanceAlertSchema = new mongoose.Schema({
+  alertId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  driverId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: ['acceptanceRate', 'cancellationRate', 'completionRate'],
+    required: true
+  },
+  window: {
+    type: String,
+    enum: ['7d', '30d'],
+    required: true
+  },
+  value: Number,
+  threshold: Number,
+  sampleSize: Number,
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  collection: 'driver_performance_alerts'
+});
+
+// At most one open alert per driver and metric
+driverPerformanceAlertSchema.index(
+  { driverId: 1, metric: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+driverPerformanceAlertSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DriverPerformanceAlert', driverPerformanceAlertSchema);
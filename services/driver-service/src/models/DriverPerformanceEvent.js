@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const PERFORMANCE_EVENT_KINDS = ['offered', 'accepted', 'rejected', 'expired', 'cancelled', 'completed'];
+
+// Raw events are only needed for the longest rolling window (30 days) plus some slack
+const EVENT_RETENTION_DAYS = 35;
+
+/**
+ * One ride outcome attributed to a driver, fed from ride events.
+ * Rolling rates are recomputed from these rather than kept as counters,
+ * so old events simply fall out of the window.
+ */
+const driverPerformanceEventSchema = new mongoose.Schema({
+  // kind:rideId:driverId - makes redelivered events a no-op
+  eventKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  driverId: {
+    type: String,
+    required: true
+  },
+  rideId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: PERFORMANCE_EVENT_KINDS,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'driver_performance_events'
+});
+
+driverPerformanceEventSchema.index({ driverId: 1, occurredAt: -1 });
+driverPerformanceEventSchema.index({ occurredAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DriverPerformanceEvent', driverPerformanceEventSchema);
+module.exports.PERFORMANCE_EVENT_KINDS = PERFORMANCE_EVENT_KINDS;
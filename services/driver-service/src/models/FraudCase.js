@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const ANOMALY_TYPES = ['teleport', 'impossible_speed', 'frozen_coordinates', 'mock_location', 'route_divergence'];
+
+const evidencePointSchema = new mongoose.Schema({
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  speed: Number,
+  speedDerived: Boolean,
+  heading: Number,
+  accuracy: Number,
+  isMockLocation: Boolean,
+  distanceFromLast: Number,
+  timeFromLast: Number,
+  routeDistance: Number,
+  tripId: String,
+  recordedAt: Date
+}, { _id: false });
+
+/**
+ * Raised by the GPS anomaly detector, reviewed by an admin.
+ * Stays open while the anomaly keeps recurring, so a driver gets one case per anomaly type.
+ */
+const fraudCaseSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  driverId: {
+    type: String,
+    required: true
+  },
+  anomaly: {
+    type: String,
+    enum: ANOMALY_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  rideId: String,
+  // Measurements behind the latest detection (distance, speed, duration...)
+  details: mongoose.Schema.Types.Mixed,
+  // Points around the latest detection, oldest first
+  evidence: [evidencePointSchema],
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastDetectedAt: Date,
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open'
+  },
+  review: {
+    reviewedBy: String,
+    reviewedAt: Date,
+    notes: String,
+    driverSuspended: Boolean
+  }
+}, {
+  timestamps: true,
+  collection: 'fraud_cases'
+});
+
+// At most one open case per driver and anomaly type
+fraudCaseSchema.index(
+  { driverId: 1, anomaly: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+fraudCaseSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FraudCase', fraudCaseSchema);
+module.exports.ANOMALY_TYPES = ANOMALY_TYPES;
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Points expire this long after they were recorded (createdAt is the fix time).
+// Changing it on an existing collection needs a collMod on the TTL index.
+const RETENTION_DAYS = parseInt(process.env.GPS_RETENTION_DAYS) || 30;
+
 const gpsTrackingSchema = new mongoose.Schema({
   driverId: {
     type: String,
@@ -23,6 +27,15 @@ const gpsTrackingSchema = new mongoose.Schema({
     }
   },
 
+  // GeoJSON copy of coordinates for geo queries ([lng, lat])
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+
   // GPS Metadata
   accuracy: {
     type: Number,
@@ -36,6 +49,12 @@ const gpsTrackingSchema = new mongoose.Schema({
     min: 0 // Speed in km/h
   },
 
+  // Speed computed from distance and time because the device didn't report one
+  speedDerived: {
+    type: Boolean,
+    default: false
+  },
+
   heading: {
     type: Number,
     min: 0,
@@ -76,6 +95,12 @@ const gpsTrackingSchema = new mongoose.Schema({
     model: String
   },
 
+  // Device reported the fix as coming from a mock location provider
+  isMockLocation: {
+    type: Boolean,
+    default: false
+  },
+
   // Network Info
   networkType: {
     type: String,
@@ -114,13 +139,13 @@ const gpsTrackingSchema = new mongoose.Schema({
 
 // Indexes for performance
 gpsTrackingSchema.index({ driverId: 1, createdAt: -1 });
-gpsTrackingSchema.index({ coordinates: '2dsphere' });
+gpsTrackingSchema.index({ location: '2dsphere' });
 gpsTrackingSchema.index({ tripId: 1, createdAt: -1 });
 gpsTrackingSchema.index({ activity: 1, createdAt: -1 });
 gpsTrackingSchema.index({ isProcessed: 1, createdAt: -1 });
 
-// TTL index for automatic cleanup (keep data for 30 days)
-gpsTrackingSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+// TTL index for automatic cleanup
+gpsTrackingSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
 
 // Virtual for formatted timestamp
 gpsTrackingSchema.virtual('formattedTimestamp').get(function() {
@@ -202,15 +227,6 @@ gpsTrackingSchema.statics.getDailyDistance = function(driverId, date) {
 // Static method to get drivers in area
 gpsTrackingSchema.statics.getDriversInArea = function(centerLat, centerLng, radiusKm = 5, activity = null) {
   const query = {
-    coordinates: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [centerLng, centerLat]
-        },
-        $maxDistance: radiusKm * 1000
-      }
-    },
     createdAt: {
       $gte: new Date(Date.now() - 10 * 60 * 1000) // Active in last 10 minutes
     }
@@ -221,7 +237,16 @@ gpsTrackingSchema.statics.getDriversInArea = function(centerLat, centerLng, radi
   }
 
   return this.aggregate([
-    { $match: query },
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [centerLng, centerLat] },
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        query,
+        spherical: true
+      }
+    },
+    { $sort: { createdAt: 1 } },
     {
       $group: {
         _id: '$driverId',
@@ -251,7 +276,8 @@ gpsTrackingSchema.statics.detectSuspiciousActivity = function(driverId, hours =
       $match: {
         $or: [
           { distanceFromLast: { $gt: 100000 } }, // > 100km jump
-          { speed: { $gt: 150 } } // > 150 km/h
+          { speed: { $gt: 150 } }, // > 150 km/h
+          { isMockLocation: true }
         ]
       }
     },
@@ -261,36 +287,7 @@ gpsTrackingSchema.statics.detectSuspiciousActivity = function(driverId, hours =
   ]);
 };
 
-// Pre-save middleware to calculate derived fields
-gpsTrackingSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // Get previous location for distance calculation
-    const previousLocation = await this.constructor.findOne(
-      { driverId: this.driverId },
-      {},
-      { sort: { createdAt: -1 } }
-    );
-
-    if (previousLocation) {
-      this.distanceFromLast = this.distanceFrom(
-        previousLocation.coordinates.lat,
-        previousLocation.coordinates.lng
-      );
-
-      this.timeFromLast = (this.createdAt - previousLocation.createdAt) / 1000; // in seconds
-
-      // Infer activity based on speed and time
-      if (this.speed > 5) {
-        this.activity = 'driving';
-      } else if (this.timeFromLast > 300) { // 5 minutes
-        this.activity = 'stopped';
-      } else {
-        this.activity = 'idle';
-      }
-    }
-  }
-
-  next();
-});
+// Derived fields (distanceFromLast, timeFromLast, activity) are computed by GPSIngestionService,
+// which writes points in batches
 
 module.exports = mongoose.model('GPSTracking', gpsTrackingSchema);
\ No newline at end of file
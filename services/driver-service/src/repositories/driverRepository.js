@@ -73,6 +73,15 @@ class DriverRepository {
     return rows[0] || null;
   }
 
+  // Suspension is kept on the profile row so it survives the Redis status TTL
+  async suspendDriver(driverId) {
+    const { rows } = await pgPool.query(
+      "UPDATE drivers SET status = 'suspended' WHERE driver_id = $1 RETURNING *",
+      [driverId]
+    );
+    return rows[0] || null;
+  }
+
   /* ========== DRIVER STATUS (REDIS) ========== */
 
   async setDriverStatus(driverId, status) {
@@ -99,6 +108,11 @@ class DriverRepository {
     );
   }
 
+  async removeDriverLocation(driverId) {
+    if (!redisClient) return;
+    await redisClient.zRem('drivers:geo', driverId);
+  }
+
   async findNearbyDrivers(lat, lng, radiusKm = 5) {
     if (!redisClient) return [];
     return await redisClient.geoRadius(
@@ -1,8 +1,13 @@
 const express = require('express');
 const DriverController = require('../controllers/driverController');
+const PerformanceController = require('../controllers/performanceController');
+const FraudController = require('../controllers/fraudController');
+const { requireAdmin } = require('@cab-booking/shared');
 
 const router = express.Router();
 const controller = new DriverController();
+const performanceController = new PerformanceController();
+const fraudController = new FraudController();
 
 /* HEALTH */
 router.get('/health', (req, res) => {
@@ -23,4 +28,15 @@ router.put('/location/:driverId', controller.updateDriverLocation);
 /* NEARBY */
 router.get('/nearby', controller.findNearbyDrivers);
 
+/* PERFORMANCE */
+router.get('/performance/:driverId', performanceController.getDriverPerformance);
+router.get('/admin/performance/leaderboard', requireAdmin, performanceController.getLeaderboard);
+router.get('/admin/performance/alerts', requireAdmin, performanceController.listAlerts);
+
+/* FRAUD */
+router.get('/admin/fraud-cases', requireAdmin, fraudController.listCases);
+router.get('/admin/fraud-cases/:caseId', requireAdmin, fraudController.getCase);
+router.put('/admin/fraud-cases/:caseId/review', requireAdmin, fraudController.reviewCase);
+router.post('/admin/suspend/:driverId', requireAdmin, fraudController.suspendDriver);
+
 module.exports = router;
@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const { EXCHANGES } = require('@cab-booking/shared');
+const Driver = require('../models/Driver');
+const DriverPerformance = require('../models/DriverPerformance');
+const DriverPerformanceEvent = require('../models/DriverPerformanceEvent');
+const DriverPerformanceAlert = require('../models/DriverPerformanceAlert');
+const { getRabbitMQClient } = require('../config/rabbitmq');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = { '7d': 7, '30d': 30 };
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const PERFORMANCE_CONFIG = {
+  // Window the alert thresholds are checked against
+  alertWindow: WINDOW_DAYS[process.env.PERFORMANCE_ALERT_WINDOW] ? process.env.PERFORMANCE_ALERT_WINDOW : '7d',
+  // Below this many samples a rate is too noisy to alert on
+  minSampleSize: envNumber('PERFORMANCE_MIN_SAMPLE_SIZE', 10),
+  thresholds: {
+    acceptanceRate: envNumber('PERFORMANCE_MIN_ACCEPTANCE_RATE', 0.6),
+    cancellationRate: envNumber('PERFORMANCE_MAX_CANCELLATION_RATE', 0.1),
+    completionRate: envNumber('PERFORMANCE_MIN_COMPLETION_RATE', 0.85)
+  },
+  // Snapshots of drivers with no new events still need their windows rolled forward
+  refreshIntervalMs: envNumber('PERFORMANCE_REFRESH_INTERVAL_MS', 60 * 60 * 1000)
+};
+
+/**
+ * How each rate is derived from the window counts and which side of the threshold is bad.
+ * - acceptance: accepted out of offers the driver answered or let expire
+ * - cancellation: driver cancellations out of accepted rides (cherry-picking after accepting)
+ * - completion: completed out of accepted rides that reached an end (completed or driver-cancelled)
+ */
+const METRICS = {
+  acceptanceRate: { numerator: 'accepted', denominator: ['accepted', 'rejected', 'expired'], alertWhen: 'below' },
+  cancellationRate: { numerator: 'cancelled', denominator: ['accepted'], alertWhen: 'above' },
+  completionRate: { numerator: 'completed', denominator: ['completed', 'cancelled'], alertWhen: 'below' }
+};
+
+const COUNT_FIELDS = ['offered', 'accepted', 'rejected', 'expired', 'cancelled', 'completed'];
+
+const generateAlertId = () => `perf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const sampleSize = (counts, metric) =>
+  METRICS[metric].denominator.reduce((sum, field) => sum + counts[field], 0);
+
+/**
+ * Build one window's counts and rates
+ * Windows can start after an acceptance and still see its cancellation, so rates are capped at 1
+ */
+const buildWindow = (counts) => {
+  const stats = {};
+  for (const field of COUNT_FIELDS) {
+    stats[field] = counts[field] || 0;
+  }
+  for (const [metric, rule] of Object.entries(METRICS)) {
+    const total = sampleSize(stats, metric);
+    stats[metric] = total > 0 ? Math.min(1, Math.round((stats[rule.numerator] / total) * 1000) / 1000) : null;
+  }
+  return stats;
+};
+
+class DriverPerformanceService {
+  constructor() {
+    this.refreshTimer = null;
+  }
+
+  // Queries buffer for a long time while Mongo is down; report "no data" instead
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Record a ride outcome for a driver and refresh their snapshot
+   * @param {string} kind - offered | accepted | rejected | expired | cancelled | completed
+   * @returns {Promise<object|null>} updated snapshot, null for duplicates
+   */
+  async recordEvent(kind, { driverId, rideId, occurredAt }) {
+    if (!driverId || !rideId) {
+      return null;
+    }
+
+    try {
+      await DriverPerformanceEvent.create({
+        eventKey: `${kind}:${rideId}:${driverId}`,
+        driverId,
+        rideId,
+        kind,
+        occurredAt: occurredAt ? new Date(occurredAt) : new Date()
+      });
+    } catch (error) {
+      // Redelivered event, already counted
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    return this.refreshDriver(driverId);
+  }
+
+  /**
+   * Count a driver's events per kind for every rolling window in one pass
+   */
+  async computeWindows(driverId, now = new Date()) {
+    const longestWindow = Math.max(...Object.values(WINDOW_DAYS));
+    const group = { _id: '$kind' };
+    for (const [window, days] of Object.entries(WINDOW_DAYS)) {
+      const since = new Date(now.getTime() - days * DAY_MS);
+      group[window] = { $sum: { $cond: [{ $gte: ['$occurredAt', since] }, 1, 0] } };
+    }
+
+    const rows = await DriverPerformanceEvent.aggregate([
+      { $match: { driverId, occurredAt: { $gte: new Date(now.getTime() - longestWindow * DAY_MS) } } },
+      { $group: group }
+    ]);
+
+    const windows = {};
+    for (const window of Object.keys(WINDOW_DAYS)) {
+      const counts = {};
+      for (const row of rows) {
+        counts[row._id] = row[window];
+      }
+      windows[window] = buildWindow(counts);
+    }
+    return windows;
+  }
+
+  /**
+   * Recompute a driver's snapshot, sync Driver.completionRate and check alert thresholds
+   */
+  async refreshDriver(driverId, now = new Date()) {
+    const windows = await this.computeWindows(driverId, now);
+
+    const snapshot = await DriverPerformance.findOneAndUpdate(
+      { driverId },
+      { $set: { windows, computedAt: now } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    // Driver.completionRate is a 0-100 percentage over the 30-day window
+    const completionRate = windows['30d'].completionRate;
+    if (completionRate !== null) {
+      await Driver.updateOne({ driverId }, { $set: { completionRate: Math.round(completionRate * 1000) / 10 } });
+    }
+
+    await this.evaluateAlerts(driverId, windows[PERFORMANCE_CONFIG.alertWindow]);
+
+    return snapshot;
+  }
+
+  /**
+   * Open an alert when a rate crosses its threshold, resolve it once the rate recovers
+   */
+  async evaluateAlerts(driverId, stats) {
+    const window = PERFORMANCE_CONFIG.alertWindow;
+
+    for (const [metric, rule] of Object.entries(METRICS)) {
+      const value = stats[metric];
+      const threshold = PERFORMANCE_CONFIG.thresholds[metric];
+      const samples = sampleSize(stats, metric);
+      const breached = value !== null &&
+        samples >= PERFORMANCE_CONFIG.minSampleSize &&
+        (rule.alertWhen === 'below' ? value < threshold : value > threshold);
+
+      if (breached) {
+        await this.openAlert({ driverId, metric, window, value, threshold, sampleSize: samples });
+      } else {
+        await DriverPerformanceAlert.updateMany(
+          { driverId, metric, status: 'open' },
+          { $set: { status: 'resolved', resolvedAt: new Date(), value, sampleSize: samples } }
+        );
+      }
+    }
+  }
+
+  async openAlert({ driverId, metric, window, value, threshold, sampleSize: samples }) {
+    let result;
+    try {
+      result = await DriverPerformanceAlert.findOneAndUpdate(
+        { driverId, metric, status: 'open' },
+        {
+          $set: { window, value, threshold, sampleSize: samples },
+          $setOnInsert: { alertId: generateAlertId() }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      // Another consumer opened the same alert concurrently
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    // Still below threshold since the last event: already alerted
+    if (result.lastErrorObject && result.lastErrorObject.updatedExisting) {
+      return null;
+    }
+
+    const alert = result.value;
+    console.warn(`⚠️ Driver ${driverId} ${metric} ${value} crossed threshold ${threshold} (${window}, n=${samples})`);
+
+    const rabbitMQClient = getRabbitMQClient();
+    if (rabbitMQClient) {
+      await rabbitMQClient.publishEvent(EXCHANGES.DRIVER_EVENTS, 'driver.performance_alert', {
+        type: 'DriverPerformanceAlert',
+        alertId: alert.alertId,
+        driverId,
+        metric,
+        window,
+        value,
+        threshold,
+        sampleSize: samples
+      }).catch(error => {
+        console.error('❌ Driver Service: failed to publish performance alert:', error.message);
+      });
+    }
+
+    return alert;
+  }
+
+  /**
+   * Snapshot and open alerts for the driver profile
+   * @returns {Promise<object|null>} null when there is no data yet or Mongo is down
+   */
+  async getDriverPerformance(driverId) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    const [snapshot, alerts] = await Promise.all([
+      DriverPerformance.findOne({ driverId }).lean(),
+      DriverPerformanceAlert.find({ driverId, status: 'open' }).sort({ createdAt: -1 }).lean()
+    ]);
+    if (!snapshot) {
+      return null;
+    }
+
+    return {
+      windows: snapshot.windows,
+      computedAt: snapshot.computedAt,
+      openAlerts: alerts.map(({ alertId, metric, window, value, threshold, createdAt }) => ({
+        alertId, metric, window, value, threshold, createdAt
+      }))
+    };
+  }
+
+  /**
+   * Rank drivers by one rate over a window
+   * Worst-first by default (lowest acceptance/completion, highest cancellation) to surface cherry-pickers
+   */
+  async getLeaderboard({ window = '30d', metric = 'acceptanceRate', order, limit = 20, minSamples } = {}) {
+    if (!WINDOW_DAYS[window]) {
+      throw new Error(`window must be one of: ${Object.keys(WINDOW_DAYS).join(', ')}`);
+    }
+    if (!METRICS[metric]) {
+      throw new Error(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (order && !['asc', 'desc'].includes(order)) {
+      throw new Error('order must be asc or desc');
+    }
+
+    const worstFirst = METRICS[metric].alertWhen === 'below' ? 'asc' : 'desc';
+    const direction = (order || worstFirst) === 'asc' ? 1 : -1;
+    const minimum = minSamples !== undefined ? Number(minSamples) : PERFORMANCE_CONFIG.minSampleSize;
+    const size = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    // Same denominator the rate is computed from, so tiny samples do not top the board
+    const filter = { [`windows.${window}.${metric}`]: { $ne: null } };
+    if (minimum > 0) {
+      filter.$expr = {
+        $gte: [{ $add: METRICS[metric].denominator.map(field => `$windows.${window}.${field}`) }, minimum]
+      };
+    }
+
+    const snapshots = await DriverPerformance.find(filter)
+      .sort({ [`windows.${window}.${metric}`]: direction, driverId: 1 })
+      .limit(size)
+      .lean();
+
+    return snapshots.map((snapshot, index) => ({
+      rank: index + 1,
+      driverId: snapshot.driverId,
+      value: snapshot.windows[window][metric],
+      ...snapshot.windows[window],
+      computedAt: snapshot.computedAt
+    }));
+  }
+
+  async listAlerts({ status = 'open', driverId, limit = 50 } = {}) {
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (driverId) filter.driverId = driverId;
+
+    return DriverPerformanceAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .lean();
+  }
+
+  /**
+   * Roll stale snapshots forward so rates decay for drivers who stopped getting rides
+   */
+  async refreshStaleSnapshots(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - PERFORMANCE_CONFIG.refreshIntervalMs);
+    const stale = await DriverPerformance.find({ computedAt: { $lt: staleBefore } }).select('driverId').lean();
+
+    for (const { driverId } of stale) {
+      await this.refreshDriver(driverId, now).catch(error => {
+        console.error(`❌ Driver Service: failed to refresh performance for ${driverId}:`, error.message);
+      });
+    }
+    return stale.length;
+  }
+
+  startScheduler() {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setInterval(() => {
+      this.refreshStaleSnapshots().catch(error => {
+        console.error('❌ Driver Service: performance refresh failed:', error.message);
+      });
+    }, PERFORMANCE_CONFIG.refreshIntervalMs);
+    this.refreshTimer.unref();
+  }
+
+  stopScheduler() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+module.exports = DriverPerformanceService;
+module.exports.PERFORMANCE_CONFIG = PERFORMANCE_CONFIG;
+module.exports.METRICS = METRICS;
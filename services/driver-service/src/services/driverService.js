@@ -1,8 +1,12 @@
 const DriverRepository = require('../repositories/driverRepository');
+const DriverPerformanceService = require('./driverPerformanceService');
+const { gpsIngestionService } = require('./gpsIngestionService');
 
 class DriverService {
   constructor() {
     this.repo = new DriverRepository();
+    this.performance = new DriverPerformanceService();
+    this.gpsIngestion = gpsIngestionService;
   }
 
   async createDriverProfile(data) {
@@ -10,21 +14,48 @@ class DriverService {
   }
 
   async getDriverProfile(driverId) {
-    return await this.repo.getDriverById(driverId);
+    const driver = await this.repo.getDriverById(driverId);
+    if (!driver) return null;
+
+    // Profile still loads when metrics are unavailable
+    const performance = await this.performance.getDriverPerformance(driverId).catch(err => {
+      console.error('Failed to load driver performance:', err.message);
+      return null;
+    });
+    return { ...driver, performance };
   }
 
   async updateDriverStatus(driverId, status) {
+    if (status !== 'offline' && await this.isSuspended(driverId)) {
+      const error = new Error('Driver is suspended');
+      error.statusCode = 403;
+      throw error;
+    }
+
     await this.repo.setDriverStatus(driverId, status);
     return { driverId, status };
   }
 
+  // Status updates keep working when Postgres is down, as before suspension existed
+  async isSuspended(driverId) {
+    try {
+      const driver = await this.repo.getDriverById(driverId);
+      return driver?.status === 'suspended';
+    } catch (err) {
+      console.error('Failed to check driver suspension:', err.message);
+      return false;
+    }
+  }
+
   async getDriverStatus(driverId) {
     const status = await this.repo.getDriverStatus(driverId);
     return { driverId, status };
   }
 
-  async updateDriverLocation(driverId, lat, lng) {
+  // details: speed, heading, accuracy, batteryLevel, tripId, timestamp... for the GPS history
+  async updateDriverLocation(driverId, lat, lng, details = {}) {
     await this.repo.updateDriverLocation(driverId, lat, lng);
+    this.gpsIngestion.ingest({ ...details, driverId, lat, lng });
     return { driverId, lat, lng };
   }
 
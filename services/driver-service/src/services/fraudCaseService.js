@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { EXCHANGES, EVENT_TYPES, ROUTING_KEYS } = require('@cab-booking/shared');
+const Driver = require('../models/Driver');
+const FraudCase = require('../models/FraudCase');
+const DriverRepository = require('../repositories/driverRepository');
+const { getRabbitMQClient } = require('../config/rabbitmq');
+
+const REVIEW_STATUSES = ['confirmed', 'dismissed'];
+
+/**
+ * Fraud Case Service
+ * Admin review of cases raised by the GPS anomaly detector, and driver suspension
+ */
+class FraudCaseService {
+  constructor() {
+    this.repo = new DriverRepository();
+  }
+
+  async listCases({ status = 'open', driverId, anomaly, limit = 50 } = {}) {
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (driverId) filter.driverId = driverId;
+    if (anomaly) filter.anomaly = anomaly;
+
+    return FraudCase.find(filter)
+      .select('-evidence')
+      .sort({ lastDetectedAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .lean();
+  }
+
+  async getCase(caseId) {
+    return FraudCase.findOne({ caseId }).lean();
+  }
+
+  /**
+   * Close an open case as confirmed or dismissed
+   * @returns {Promise<Object|null>} Updated case, null when not found
+   */
+  async reviewCase(caseId, { status, notes, reviewedBy }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const fraudCase = await FraudCase.findOne({ caseId });
+    if (!fraudCase) return null;
+    if (fraudCase.status !== 'open') {
+      throw new Error(`Case already ${fraudCase.status}`);
+    }
+
+    fraudCase.status = status;
+    fraudCase.review = { reviewedBy, reviewedAt: new Date(), notes, driverSuspended: false };
+    await fraudCase.save();
+    return fraudCase.toObject();
+  }
+
+  /**
+   * Suspend a driver: blocked from going online and taken out of matching right away
+   * When a case is given it is confirmed as the reason for the suspension
+   * @returns {Promise<Object|null>} null when the driver doesn't exist
+   */
+  async suspendDriver(driverId, { caseId, notes, suspendedBy } = {}) {
+    let fraudCase = null;
+    if (caseId) {
+      fraudCase = await FraudCase.findOne({ caseId });
+      if (!fraudCase || fraudCase.driverId !== driverId) {
+        throw new Error('Case not found for this driver');
+      }
+    }
+
+    const driver = await this.repo.suspendDriver(driverId);
+    if (!driver) return null;
+
+    await this.repo.setDriverStatus(driverId, 'offline');
+    await this.repo.removeDriverLocation(driverId);
+    if (mongoose.connection.readyState === 1) {
+      await Driver.updateOne({ driverId }, { $set: { status: 'offline', isActive: false } });
+    }
+
+    if (fraudCase) {
+      fraudCase.status = 'confirmed';
+      fraudCase.review = { reviewedBy: suspendedBy, reviewedAt: new Date(), notes, driverSuspended: true };
+      await fraudCase.save();
+    }
+
+    console.warn(`⛔ Driver ${driverId} suspended${caseId ? ` (case ${caseId})` : ''}`);
+
+    // Status consumers see a suspension as the driver going offline
+    const rabbitMQClient = getRabbitMQClient();
+    if (rabbitMQClient) {
+      await rabbitMQClient.publishEvent(EXCHANGES.DRIVER_EVENTS, ROUTING_KEYS.DRIVER_STATUS_CHANGED, {
+        type: EVENT_TYPES.DRIVER_STATUS_CHANGED,
+        driverId,
+        newStatus: 'offline',
+        reason: 'suspended',
+        caseId: caseId || null
+      }).catch(error => {
+        console.error('❌ Driver Service: failed to publish driver suspension:', error.message);
+      });
+    }
+
+    return { driverId, status: 'suspended', caseId: caseId || null };
+  }
+}
+
+module.exports = FraudCaseService;
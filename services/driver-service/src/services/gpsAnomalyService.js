@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const { EXCHANGES, EVENT_TYPES, ROUTING_KEYS } = require('@cab-booking/shared');
+const FraudCase = require('../models/FraudCase');
+const { getRabbitMQClient } = require('../config/rabbitmq');
+const { distanceMeters, decodePolyline, distanceToPathMeters } = require('../utils/geo');
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const ANOMALY_CONFIG = {
+  // A jump this far in this little time is a teleport rather than fast driving
+  teleportDistanceMeters: envNumber('GPS_TELEPORT_DISTANCE_METERS', 2000),
+  teleportMaxSeconds: envNumber('GPS_TELEPORT_MAX_SECONDS', 30),
+  maxSpeedKmh: envNumber('GPS_MAX_SPEED_KMH', 180),
+  // Speeds derived over shorter gaps are mostly GPS jitter
+  minSpeedSampleSeconds: 5,
+  // Identical fixes while the device reports moving faster than this
+  frozenMinPoints: envNumber('GPS_FROZEN_MIN_POINTS', 10),
+  frozenToleranceMeters: 1,
+  movingSpeedKmh: 10,
+  // Consecutive points further than this from the active ride's route
+  routeDivergenceMeters: envNumber('GPS_ROUTE_DIVERGENCE_METERS', 1000),
+  // Without a polyline the route is the straight pickup-destination line, so allow for the road network
+  routeDivergenceFallbackMeters: envNumber('GPS_ROUTE_DIVERGENCE_FALLBACK_METERS', 3000),
+  routeDivergenceMinPoints: envNumber('GPS_ROUTE_DIVERGENCE_MIN_POINTS', 5),
+  // Points kept per driver and stored as case evidence
+  evidenceWindow: 20
+};
+
+const SEVERITY = {
+  teleport: 'high',
+  mock_location: 'high',
+  impossible_speed: 'medium',
+  frozen_coordinates: 'medium',
+  route_divergence: 'low'
+};
+
+const generateCaseId = () => `fraud_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const toEvidence = (point) => ({
+  coordinates: point.coordinates,
+  speed: point.speed,
+  speedDerived: point.speedDerived || false,
+  heading: point.heading,
+  accuracy: point.accuracy,
+  isMockLocation: point.isMockLocation || false,
+  distanceFromLast: point.distanceFromLast,
+  timeFromLast: point.timeFromLast,
+  routeDistance: point.routeDistance,
+  tripId: point.tripId,
+  recordedAt: point.createdAt
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * GPS Anomaly Service
+ * Streams ingested GPS points through spoofing checks and raises fraud cases.
+ * Per-driver windows and active ride routes live in memory, like the ingestion chain.
+ */
+class GPSAnomalyService {
+  constructor(config = ANOMALY_CONFIG) {
+    this.config = config;
+    this.windows = new Map(); // driverId -> recent points, oldest first
+    this.activeRoutes = new Map(); // driverId -> { rideId, path, tolerance }
+  }
+
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Remember the route of a ride that just started
+   * @param {Object} ride - { rideId, driverId, polyline?, pickup?, destination? }
+   */
+  setActiveRoute({ rideId, driverId, polyline, pickup, destination }) {
+    if (!rideId || !driverId) return;
+
+    let path = [];
+    let tolerance = this.config.routeDivergenceMeters;
+    if (polyline) {
+      path = decodePolyline(polyline);
+    }
+    if (path.length < 2) {
+      const ends = [pickup, destination].map(place => place && (place.coordinates || place));
+      if (ends.every(end => end && Number.isFinite(end.lat) && Number.isFinite(end.lng))) {
+        path = ends.map(({ lat, lng }) => ({ lat, lng }));
+        tolerance = this.config.routeDivergenceFallbackMeters;
+      }
+    }
+
+    if (path.length < 2) {
+      this.activeRoutes.delete(driverId);
+      return;
+    }
+    this.activeRoutes.set(driverId, { rideId, path, tolerance });
+  }
+
+  clearActiveRoute({ rideId, driverId }) {
+    const route = this.activeRoutes.get(driverId);
+    if (route && (!rideId || route.rideId === rideId)) {
+      this.activeRoutes.delete(driverId);
+    }
+  }
+
+  /**
+   * Check a batch of GPSTracking documents (time order) from the ingestion pipeline
+   * @returns {Promise<Array>} anomalies found
+   */
+  async analyze(points) {
+    const anomalies = [];
+    for (const point of points) {
+      anomalies.push(...this.checkPoint(point));
+    }
+
+    for (const anomaly of anomalies) {
+      await this.raiseCase(anomaly).catch(error => {
+        console.error(`❌ Driver Service: failed to raise ${anomaly.anomaly} case for ${anomaly.driverId}:`, error.message);
+      });
+    }
+    return anomalies;
+  }
+
+  /**
+   * Add a point to its driver's window and run every check on it
+   */
+  checkPoint(point) {
+    const { driverId } = point;
+    const window = this.windows.get(driverId) || [];
+    const route = this.activeRoutes.get(driverId);
+    const entry = { ...point };
+    if (route) {
+      entry.routeDistance = distanceToPathMeters(point.coordinates, route.path);
+    }
+
+    // The window must also cover the longest run a check looks at
+    const windowSize = Math.max(this.config.evidenceWindow, this.config.frozenMinPoints, this.config.routeDivergenceMinPoints);
+    window.push(entry);
+    if (window.length > windowSize) {
+      window.shift();
+    }
+    this.windows.set(driverId, window);
+
+    const found = [];
+    const raise = (anomaly, details) => found.push({
+      driverId,
+      anomaly,
+      rideId: route ? route.rideId : point.tripId,
+      details,
+      evidence: window.map(toEvidence),
+      detectedAt: point.createdAt
+    });
+
+    if (point.isMockLocation) {
+      raise('mock_location', {});
+    }
+
+    const { distanceFromLast, timeFromLast } = point;
+    const isTeleport = distanceFromLast > this.config.teleportDistanceMeters && timeFromLast <= this.config.teleportMaxSeconds;
+    if (isTeleport) {
+      raise('teleport', { distanceMeters: round(distanceFromLast), seconds: round(timeFromLast) });
+    } else {
+      const impliedSpeed = timeFromLast >= this.config.minSpeedSampleSeconds
+        ? (distanceFromLast / timeFromLast) * 3.6
+        : null;
+      const reportedSpeed = point.speedDerived ? null : point.speed;
+      const speed = Math.max(impliedSpeed || 0, reportedSpeed || 0);
+      if (speed > this.config.maxSpeedKmh) {
+        raise('impossible_speed', {
+          speedKmh: round(speed),
+          source: speed === reportedSpeed ? 'device' : 'derived',
+          maxSpeedKmh: this.config.maxSpeedKmh
+        });
+      }
+    }
+
+    const frozen = this.frozenRun(window);
+    if (frozen) {
+      raise('frozen_coordinates', frozen);
+    }
+
+    if (route) {
+      const recent = window.slice(-this.config.routeDivergenceMinPoints);
+      const diverged = recent.length === this.config.routeDivergenceMinPoints &&
+        recent.every(p => p.routeDistance > route.tolerance);
+      if (diverged) {
+        raise('route_divergence', {
+          distanceMeters: round(entry.routeDistance),
+          toleranceMeters: route.tolerance,
+          points: recent.length
+        });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * The last frozenMinPoints fixes sit on the same spot while the device reports driving
+   * Real receivers jitter by a few meters even when parked
+   */
+  frozenRun(window) {
+    const run = window.slice(-this.config.frozenMinPoints);
+    if (run.length < this.config.frozenMinPoints) return null;
+
+    const [first] = run;
+    const frozen = run.every(p =>
+      !p.speedDerived &&
+      p.speed > this.config.movingSpeedKmh &&
+      distanceMeters(p.coordinates, first.coordinates) <= this.config.frozenToleranceMeters
+    );
+    if (!frozen) return null;
+
+    return {
+      points: run.length,
+      seconds: round((run[run.length - 1].createdAt - first.createdAt) / 1000),
+      averageSpeedKmh: round(run.reduce((sum, p) => sum + p.speed, 0) / run.length)
+    };
+  }
+
+  /**
+   * Open a case, or add the detection to the driver's open case of the same type
+   * driver.suspicious_activity is published once per case
+   */
+  async raiseCase({ driverId, anomaly, rideId, details, evidence, detectedAt }) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await FraudCase.findOneAndUpdate(
+        { driverId, anomaly, status: 'open' },
+        {
+          $set: { rideId, details, evidence, lastDetectedAt: detectedAt },
+          $inc: { occurrences: 1 },
+          $setOnInsert: { caseId: generateCaseId(), severity: SEVERITY[anomaly] }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      // Another consumer opened the same case concurrently
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (result.lastErrorObject && result.lastErrorObject.updatedExisting) {
+      return null;
+    }
+
+    const fraudCase = result.value;
+    console.warn(`🚨 Driver ${driverId} suspicious activity: ${anomaly} (case ${fraudCase.caseId})`);
+
+    const rabbitMQClient = getRabbitMQClient();
+    if (rabbitMQClient) {
+      await rabbitMQClient.publishEvent(EXCHANGES.DRIVER_EVENTS, ROUTING_KEYS.DRIVER_SUSPICIOUS_ACTIVITY, {
+        type: EVENT_TYPES.DRIVER_SUSPICIOUS_ACTIVITY,
+        caseId: fraudCase.caseId,
+        driverId,
+        anomaly,
+        severity: fraudCase.severity,
+        rideId: rideId || null,
+        details,
+        detectedAt
+      }).catch(error => {
+        console.error('❌ Driver Service: failed to publish suspicious activity:', error.message);
+      });
+    }
+
+    return fraudCase;
+  }
+}
+
+module.exports = GPSAnomalyService;
+module.exports.ANOMALY_CONFIG = ANOMALY_CONFIG;
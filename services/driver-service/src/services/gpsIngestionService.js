@@ -0,0 +1,258 @@
+const GPSTracking = require('../models/GPSTracking');
+const { distanceMeters } = require('../utils/geo');
+
+const GPS_INGESTION_CONFIG = {
+  batchSize: parseInt(process.env.GPS_INGEST_BATCH_SIZE) || 500,
+  flushIntervalMs: parseInt(process.env.GPS_INGEST_FLUSH_INTERVAL_MS) || 2000,
+  // Points kept while MongoDB is unavailable; the oldest are dropped beyond this
+  maxBufferSize: parseInt(process.env.GPS_INGEST_MAX_BUFFER) || 20000,
+  drivingSpeedKmh: 5,
+  stoppedAfterSeconds: 300
+};
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * GPS Ingestion Service
+ * Buffers driver location points and bulk-inserts them into GPSTracking.
+ * Derived fields (distanceFromLast, timeFromLast, activity) are computed in memory
+ * from each driver's previous point instead of a lookup per point.
+ */
+class GPSIngestionService {
+  constructor(config = GPS_INGESTION_CONFIG) {
+    this.config = config;
+    this.buffer = []; // normalized points waiting for the next flush
+    this.unsaved = []; // documents whose insert failed, retried first
+    this.lastPoints = new Map(); // driverId -> { lat, lng, recordedAt }
+    this.timer = null;
+    this.flushing = null;
+    this.batchListeners = [];
+  }
+
+  /**
+   * Receive every batch of documents before it is written, e.g. for anomaly detection
+   * @param {Function} listener - async (docs) => void; docs are in time order
+   */
+  onBatch(listener) {
+    this.batchListeners.push(listener);
+  }
+
+  /**
+   * Validate a raw location update
+   * Accepts { lat, lng }, { coordinates: { lat, lng } } or { location: { lat, lng } }
+   * @returns {Object|null} Normalized point, null when invalid
+   */
+  normalizePoint(raw = {}) {
+    const source = raw.coordinates || raw.location || raw;
+    const lat = Number(source.lat);
+    const lng = Number(source.lng);
+    if (!raw.driverId || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    // Device clocks run ahead sometimes; a point can't be recorded after it was received
+    const now = new Date();
+    const timestamp = raw.recordedAt || raw.timestamp;
+    const recordedAt = timestamp && !isNaN(new Date(timestamp)) ? new Date(timestamp) : now;
+
+    return {
+      driverId: String(raw.driverId),
+      coordinates: { lat, lng },
+      recordedAt: recordedAt > now ? now : recordedAt,
+      speed: toNumber(raw.speed),
+      heading: toNumber(raw.heading),
+      accuracy: toNumber(raw.accuracy),
+      altitude: toNumber(raw.altitude),
+      batteryLevel: toNumber(raw.batteryLevel),
+      signalStrength: toNumber(raw.signalStrength),
+      networkType: raw.networkType,
+      deviceInfo: raw.deviceInfo,
+      tripId: raw.tripId || raw.rideId || undefined,
+      // Android reports mock providers as `mocked` / `isFromMockProvider`
+      isMockLocation: Boolean(raw.isMockLocation || raw.mocked || raw.isFromMockProvider)
+    };
+  }
+
+  /**
+   * Queue a location update for the next batch
+   * @returns {boolean} false when the point was rejected
+   */
+  ingest(raw) {
+    const point = this.normalizePoint(raw);
+    if (!point) return false;
+
+    this.buffer.push(point);
+    if (this.buffer.length >= this.config.batchSize) {
+      this.flush().catch(() => {});
+    }
+    return true;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, this.config.flushIntervalMs);
+    console.log(`🛰️ GPS ingestion started (batch ${this.config.batchSize}, every ${this.config.flushIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop the timer and write whatever is still buffered
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Write buffered points; concurrent callers share the flush in progress
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.writeBatches().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async writeBatches() {
+    while (this.buffer.length > 0 || this.unsaved.length > 0) {
+      if (this.buffer.length > 0) {
+        const points = this.buffer.splice(0, this.buffer.length);
+        let docs;
+        try {
+          docs = await this.buildDocuments(points);
+        } catch (error) {
+          this.buffer.unshift(...points);
+          this.dropOverflow();
+          console.error(`❌ GPS ingestion: could not prepare ${points.length} points, retrying later:`, error.message);
+          throw error;
+        }
+        this.unsaved.push(...docs);
+        await this.notifyBatch(docs);
+      }
+
+      const docs = this.unsaved.slice(0, this.config.batchSize);
+      try {
+        await GPSTracking.insertMany(docs, { ordered: false });
+        this.unsaved.splice(0, docs.length);
+      } catch (error) {
+        if (error.writeErrors) {
+          // Rejected documents won't succeed on retry; the rest of the batch was written
+          console.error(`❌ GPS ingestion: ${error.writeErrors.length}/${docs.length} points rejected:`, error.message);
+          this.unsaved.splice(0, docs.length);
+          continue;
+        }
+
+        this.dropOverflow();
+        console.error(`❌ GPS ingestion: insert of ${docs.length} points failed, retrying later:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  // Listeners see each point once, even if its insert is retried; their failures don't block storage
+  async notifyBatch(docs) {
+    for (const listener of this.batchListeners) {
+      try {
+        await listener(docs);
+      } catch (error) {
+        console.error('❌ GPS ingestion: batch listener failed:', error.message);
+      }
+    }
+  }
+
+  // Oldest points go first when MongoDB has been down for a while
+  dropOverflow() {
+    let overflow = this.unsaved.length + this.buffer.length - this.config.maxBufferSize;
+    if (overflow <= 0) return;
+
+    console.warn(`⚠️ GPS ingestion: buffer full, dropping ${overflow} oldest points`);
+    const fromUnsaved = Math.min(overflow, this.unsaved.length);
+    this.unsaved.splice(0, fromUnsaved);
+    overflow -= fromUnsaved;
+    this.buffer.splice(0, overflow);
+  }
+
+  /**
+   * Turn points into GPSTracking documents with derived fields
+   * Points are processed per driver in time order, chained from the driver's previous point
+   */
+  async buildDocuments(points) {
+    points.sort((a, b) => a.recordedAt - b.recordedAt);
+    await this.loadLastPoints([...new Set(points.map(point => point.driverId))]);
+
+    return points.map(point => {
+      const previous = this.lastPoints.get(point.driverId);
+      const doc = {
+        driverId: point.driverId,
+        coordinates: point.coordinates,
+        location: { type: 'Point', coordinates: [point.coordinates.lng, point.coordinates.lat] },
+        accuracy: point.accuracy,
+        speed: point.speed,
+        heading: point.heading,
+        altitude: point.altitude,
+        batteryLevel: point.batteryLevel,
+        signalStrength: point.signalStrength,
+        networkType: point.networkType,
+        deviceInfo: point.deviceInfo,
+        tripId: point.tripId,
+        isOnTrip: Boolean(point.tripId),
+        isMockLocation: point.isMockLocation,
+        createdAt: point.recordedAt
+      };
+
+      if (previous) {
+        doc.distanceFromLast = distanceMeters(previous, point.coordinates);
+        doc.timeFromLast = Math.max(0, (point.recordedAt - previous.recordedAt) / 1000);
+
+        // Devices that don't report speed get it from the distance covered
+        if (doc.speed === undefined && doc.timeFromLast > 0) {
+          doc.speed = (doc.distanceFromLast / doc.timeFromLast) * 3.6;
+          doc.speedDerived = true;
+        }
+      }
+
+      if (doc.speed > this.config.drivingSpeedKmh) {
+        doc.activity = 'driving';
+      } else if (!previous || doc.timeFromLast > this.config.stoppedAfterSeconds) {
+        doc.activity = 'stopped';
+      } else {
+        doc.activity = 'idle';
+      }
+
+      this.lastPoints.set(point.driverId, { ...point.coordinates, recordedAt: point.recordedAt });
+      return doc;
+    });
+  }
+
+  /**
+   * Fetch the latest stored point for drivers not seen since startup, in one query
+   */
+  async loadLastPoints(driverIds) {
+    const missing = driverIds.filter(driverId => !this.lastPoints.has(driverId));
+    if (missing.length === 0) return;
+
+    const latest = await GPSTracking.aggregate([
+      { $match: { driverId: { $in: missing } } },
+      { $sort: { driverId: 1, createdAt: -1 } },
+      { $group: { _id: '$driverId', coordinates: { $first: '$coordinates' }, createdAt: { $first: '$createdAt' } } }
+    ]);
+
+    for (const { _id, coordinates, createdAt } of latest) {
+      this.lastPoints.set(_id, { lat: coordinates.lat, lng: coordinates.lng, recordedAt: createdAt });
+    }
+  }
+}
+
+// One buffer per process, shared by the REST API and the location event consumer
+const gpsIngestionService = new GPSIngestionService();
+
+module.exports = GPSIngestionService;
+module.exports.gpsIngestionService = gpsIngestionService;
+module.exports.GPS_INGESTION_CONFIG = GPS_INGESTION_CONFIG;
@@ -0,0 +1,88 @@
+/**
+ * Geo helpers for GPS points ({ lat, lng })
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Haversine distance in meters
+ */
+const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Decode a Google encoded polyline (precision 5)
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+const decodePolyline = (encoded) => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+};
+
+/**
+ * Shortest distance in meters from a point to a path
+ * Segments are projected on a local equirectangular plane, accurate enough at city scale
+ */
+const distanceToPathMeters = (point, path) => {
+  if (path.length === 0) return Infinity;
+  if (path.length === 1) return distanceMeters(point, path[0]);
+
+  const cosLat = Math.cos(toRadians(point.lat));
+  const project = ({ lat, lng }) => ({
+    x: toRadians(lng - point.lng) * cosLat * EARTH_RADIUS_METERS,
+    y: toRadians(lat - point.lat) * EARTH_RADIUS_METERS
+  });
+
+  let shortest = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    const a = project(path[i - 1]);
+    const b = project(path[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point of segment ab to the origin (the point itself)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return shortest;
+};
+
+module.exports = {
+  distanceMeters,
+  decodePolyline,
+  distanceToPathMeters
+};
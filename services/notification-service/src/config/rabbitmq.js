@@ -92,6 +92,20 @@ const assertQueue = async (queueName, options = { durable: true }) => {
   return await ch.assertQueue(queueName, options);
 };
 
+/**
+ * Bind a queue to a topic exchange
+ * @param {string} queueName - Name of the queue
+ * @param {string} exchange - Exchange name
+ * @param {string} routingKey - Routing key pattern
+ * @returns {Promise<void>}
+ */
+const bindQueue = async (queueName, exchange, routingKey) => {
+  const ch = getChannel();
+  await ch.assertQueue(queueName, { durable: true });
+  await ch.assertExchange(exchange, 'topic', { durable: true });
+  await ch.bindQueue(queueName, exchange, routingKey);
+};
+
 /**
  * Consume messages from a queue
  * @param {string} queueName - Name of the queue
@@ -145,5 +159,6 @@ module.exports = {
   getChannel,
   getConnection,
   assertQueue,
+  bindQueue,
   consumeQueue,
 };
@@ -3,8 +3,9 @@
  * Listens to RabbitMQ events and triggers notifications
  */
 
-const { consumeQueue } = require('../config/rabbitmq');
+const { consumeQueue, bindQueue } = require('../config/rabbitmq');
 const notificationService = require('../services/notificationService');
+const { emitToUser } = require('../sockets/socket');
 
 /**
  * Event queue names
@@ -15,8 +16,15 @@ const QUEUES = {
   RIDE_COMPLETED: 'ride.completed',
   PAYMENT_SUCCESS: 'payment.success',
   PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  RIDE_OFFERS: 'ride.offers',
+  BOOKING_REMINDER: 'booking.reminder',
+  BOOKING_DISPATCH_FAILED: 'booking.dispatch_failed',
 };
 
+// Ride offer events from ride-service, pushed to the driver's socket room
+const RIDE_OFFER_ROUTING_KEYS = ['ride.offered', 'ride.offer_expired', 'ride.offer_withdrawn'];
+
 /**
  * Handle BOOKING_CREATED event
  * Triggered when a new booking is created
@@ -36,7 +44,7 @@ const handleBookingCreated = async (message) => {
       dropoffLocation: eventData.dropoffLocation,
       estimatedFare: eventData.estimatedFare,
       vehicleType: eventData.vehicleType,
-      pickupTime: eventData.pickupTime,
+      pickupTime: eventData.pickupTime || eventData.scheduledPickupAt,
     });
 
     console.log('✅ BOOKING_CREATED notification sent');
@@ -159,6 +167,123 @@ const handlePaymentFailed = async (message) => {
   }
 };
 
+/**
+ * Handle PAYMENT_REFUNDED event
+ * Triggered when a full or partial refund is completed
+ * @param {Object} eventData - Event data from RabbitMQ
+ */
+const handlePaymentRefunded = async (message) => {
+  try {
+    console.log('📨 Event: PAYMENT_REFUNDED received');
+    const eventData = message.data || message;
+
+    await notificationService.processEvent('PAYMENT_REFUNDED', {
+      userId: eventData.userId || eventData.customerId,
+      userEmail: eventData.email || eventData.userEmail || eventData.customerEmail,
+      userPhone: eventData.phone || eventData.userPhone || eventData.customerPhone,
+      amount: eventData.amount,
+      totalRefunded: eventData.totalRefunded,
+      fullRefund: eventData.fullRefund,
+      reason: eventData.reason,
+      refundId: eventData.refundId,
+      paymentId: eventData.paymentId,
+      bookingId: eventData.bookingId,
+    });
+
+    console.log('✅ PAYMENT_REFUNDED notification sent');
+  } catch (error) {
+    console.error('❌ Error handling PAYMENT_REFUNDED:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Handle BOOKING_REMINDER event
+ * Triggered ahead of a scheduled booking's pickup time
+ * @param {Object} eventData - Event data from RabbitMQ
+ */
+const handleBookingReminder = async (message) => {
+  try {
+    console.log('📨 Event: BOOKING_REMINDER received');
+    const eventData = message.data || message;
+
+    await notificationService.processEvent('BOOKING_REMINDER', {
+      userId: eventData.userId || eventData.customerId,
+      userEmail: eventData.email || eventData.userEmail || eventData.customerEmail,
+      userPhone: eventData.phone || eventData.userPhone || eventData.customerPhone,
+      bookingId: eventData.bookingId,
+      scheduledPickupAt: eventData.scheduledPickupAt,
+      minutesBefore: eventData.minutesBefore,
+      pickupAddress: eventData.pickupLocation && eventData.pickupLocation.address,
+      driverId: eventData.driverId,
+    });
+
+    console.log('✅ BOOKING_REMINDER notification sent');
+  } catch (error) {
+    console.error('❌ Error handling BOOKING_REMINDER:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Handle BOOKING_DISPATCH_FAILED event
+ * Triggered when a scheduled booking is cancelled because no driver was found
+ * @param {Object} eventData - Event data from RabbitMQ
+ */
+const handleBookingDispatchFailed = async (message) => {
+  try {
+    console.log('📨 Event: BOOKING_DISPATCH_FAILED received');
+    const eventData = message.data || message;
+
+    await notificationService.processEvent('BOOKING_DISPATCH_FAILED', {
+      userId: eventData.userId || eventData.customerId,
+      userEmail: eventData.email || eventData.userEmail || eventData.customerEmail,
+      userPhone: eventData.phone || eventData.userPhone || eventData.customerPhone,
+      bookingId: eventData.bookingId,
+      scheduledPickupAt: eventData.scheduledPickupAt,
+    });
+
+    console.log('✅ BOOKING_DISPATCH_FAILED notification sent');
+  } catch (error) {
+    console.error('❌ Error handling BOOKING_DISPATCH_FAILED:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Handle ride offer events
+ * Offers are short-lived, so they are pushed over the socket only, not stored
+ * @param {Object} message - Event data from RabbitMQ
+ */
+const handleRideOffer = async (message) => {
+  const eventData = message.data || message;
+  if (!eventData.driverId) return;
+
+  if (eventData.type === 'RideOffered') {
+    emitToUser(eventData.driverId, 'ride:offer', {
+      offerId: eventData.offerId,
+      rideId: eventData.rideId,
+      mode: eventData.mode,
+      pickup: eventData.pickup,
+      destination: eventData.destination,
+      vehicleType: eventData.vehicleType,
+      estimatedFare: eventData.estimatedFare,
+      distance: eventData.distance,
+      eta: eventData.eta,
+      expiresAt: eventData.expiresAt,
+    });
+    console.log(`🚕 Ride offer ${eventData.offerId} pushed to driver ${eventData.driverId}`);
+    return;
+  }
+
+  // Expired or withdrawn (taken by another driver, ride cancelled): hide it in the app
+  emitToUser(eventData.driverId, 'ride:offer_closed', {
+    offerId: eventData.offerId,
+    rideId: eventData.rideId,
+    reason: eventData.type === 'RideOfferExpired' ? 'expired' : eventData.reason,
+  });
+};
+
 /**
  * Start listening to all event queues
  * Registers all event handlers with RabbitMQ
@@ -174,6 +299,22 @@ const startEventListeners = async () => {
     await consumeQueue(QUEUES.PAYMENT_SUCCESS, handlePaymentSuccess);
     await consumeQueue(QUEUES.PAYMENT_FAILED, handlePaymentFailed);
 
+    // Refunds are published on the payment-events exchange
+    await bindQueue(QUEUES.PAYMENT_REFUNDED, 'payment-events', 'payment.refunded');
+    await consumeQueue(QUEUES.PAYMENT_REFUNDED, handlePaymentRefunded);
+
+    // Scheduled booking reminders and failures are published on the booking-events exchange
+    await bindQueue(QUEUES.BOOKING_REMINDER, 'booking-events', 'booking.reminder');
+    await consumeQueue(QUEUES.BOOKING_REMINDER, handleBookingReminder);
+    await bindQueue(QUEUES.BOOKING_DISPATCH_FAILED, 'booking-events', 'booking.dispatch_failed');
+    await consumeQueue(QUEUES.BOOKING_DISPATCH_FAILED, handleBookingDispatchFailed);
+
+    // Ride offers are published on the ride-events exchange
+    for (const routingKey of RIDE_OFFER_ROUTING_KEYS) {
+      await bindQueue(QUEUES.RIDE_OFFERS, 'ride-events', routingKey);
+    }
+    await consumeQueue(QUEUES.RIDE_OFFERS, handleRideOffer);
+
     console.log('✅ All notification event listeners started');
   } catch (error) {
     console.error('❌ Failed to start event listeners:', error.message);
@@ -188,5 +329,9 @@ module.exports = {
   handleRideCompleted,
   handlePaymentSuccess,
   handlePaymentFailed,
+  handlePaymentRefunded,
+  handleBookingReminder,
+  handleBookingDispatchFailed,
+  handleRideOffer,
   QUEUES,
 };
@@ -34,6 +34,9 @@ const notificationSchema = new mongoose.Schema(
         'RIDE_COMPLETED',
         'PAYMENT_SUCCESS',
         'PAYMENT_FAILED',
+        'PAYMENT_REFUNDED',
+        'BOOKING_REMINDER',
+        'BOOKING_DISPATCH_FAILED',
         'MANUAL', // For manual notifications
       ],
       required: true,
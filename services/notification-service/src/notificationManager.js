@@ -194,6 +194,21 @@ class NotificationManager {
         message: `Payment of ${data.amount} VND failed. Reason: ${data.reason}. Please update your payment method and try again.`,
         subject: 'Payment Failed - Action Required',
       },
+      PAYMENT_REFUNDED: {
+        title: '💸 Refund Processed',
+        message: `${data.fullRefund ? 'A full' : 'A partial'} refund of ${data.amount} VND has been issued for booking ${data.bookingId}. Reason: ${data.reason}. It may take a few business days to appear on your statement.`,
+        subject: 'Your Refund Has Been Processed',
+      },
+      BOOKING_REMINDER: {
+        title: '⏰ Upcoming Ride',
+        message: `Reminder: your scheduled ride (booking ${data.bookingId}) picks you up at ${data.scheduledPickupAt} from ${data.pickupAddress}.`,
+        subject: 'Your Scheduled Ride Is Coming Up',
+      },
+      BOOKING_DISPATCH_FAILED: {
+        title: '😞 No Driver Found',
+        message: `We could not find a driver for your scheduled ride (booking ${data.bookingId}) at ${data.scheduledPickupAt}. The booking has been cancelled and you have not been charged.`,
+        subject: 'Your Scheduled Ride Was Cancelled',
+      },
     };
 
     return templates[eventType] || {
@@ -278,6 +278,9 @@ class NotificationService {
       BOOKING_CREATED: 'MEDIUM',
       RIDE_COMPLETED: 'MEDIUM',
       PAYMENT_SUCCESS: 'LOW',
+      PAYMENT_REFUNDED: 'MEDIUM',
+      BOOKING_REMINDER: 'HIGH',
+      BOOKING_DISPATCH_FAILED: 'URGENT',
     };
 
     return priorities[eventType] || 'MEDIUM';
@@ -105,6 +105,23 @@ const sendPushNotification = (userId, notification) => {
   }
 };
 
+/**
+ * Emit a realtime event (not stored as a notification) to a specific user
+ * @param {string} userId - User ID
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Event data
+ * @returns {boolean} Success status
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) {
+    console.warn('⚠️  Socket.IO not initialized');
+    return false;
+  }
+
+  io.to(`user:${userId}`).emit(event, payload);
+  return true;
+};
+
 /**
  * Send push notification to multiple users
  * @param {Array<string>} userIds - Array of user IDs
@@ -184,6 +201,7 @@ module.exports = {
   initializeSocket,
   getIO,
   sendPushNotification,
+  emitToUser,
   sendBulkPushNotification,
   broadcastNotification,
   getConnectedUsersCount,
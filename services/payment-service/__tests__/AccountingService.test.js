@@ -0,0 +1,209 @@
+const accountingService = require('../src/services/AccountingService');
+const JournalEntry = require('../src/models/JournalEntry');
+
+// Sổ trong bộ nhớ: mỗi bút toán vẫn qua validate thật của model (cân nợ/có, mỗi dòng một phía)
+let journals;
+
+const lean = (result) => ({ lean: jest.fn().mockResolvedValue(result) });
+
+const matches = (journal, filter) => Object.entries(filter).every(([key, value]) =>
+  key.split('.').reduce((node, part) => node?.[part], journal) === value);
+
+// Số dư ròng (có - nợ) của một tài khoản trên toàn sổ
+const net = (account, party) => journals
+  .flatMap(journal => journal.lines)
+  .filter(line => line.account === account && (party === undefined || line.party === party))
+  .reduce((sum, line) => sum + line.credit - line.debit, 0);
+
+const cardPayment = (overrides = {}) => ({
+  paymentId: 'pay_1',
+  rideId: 'ride_1',
+  userId: 'user_1',
+  driverId: 'driver_1',
+  status: 'completed',
+  method: 'card',
+  provider: 'stripe',
+  currency: 'VND',
+  amount: 100000,
+  fees: { platformFee: 15000, tax: 1500, paymentProviderFee: 2900 },
+  refunds: [],
+  ...overrides
+});
+
+describe('AccountingService', () => {
+  beforeEach(() => {
+    journals = [];
+
+    jest.spyOn(JournalEntry, 'create').mockImplementation(async (data) => {
+      const doc = new JournalEntry(data);
+      await doc.validate();
+      if (journals.some(journal => journal.postingKey === doc.postingKey)) {
+        const error = new Error('E11000 duplicate key error');
+        error.code = 11000;
+        error.keyPattern = { postingKey: 1 };
+        throw error;
+      }
+      journals.push(doc.toObject());
+      return doc;
+    });
+    jest.spyOn(JournalEntry, 'findOne').mockImplementation(filter =>
+      lean(journals.find(journal => matches(journal, filter)) || null));
+    jest.spyOn(JournalEntry, 'find').mockImplementation(filter =>
+      lean(journals.filter(journal => matches(journal, filter))));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('postPayment', () => {
+    it('should split a card payment between driver, platform, VAT and the provider', async () => {
+      const journal = await accountingService.postPayment(cardPayment());
+
+      expect(journal.postingKey).toBe('payment:pay_1');
+      expect(journal.lines).toEqual([
+        expect.objectContaining({ account: 'provider_receivable', party: 'stripe', debit: 100000, credit: 0 }),
+        expect.objectContaining({ account: 'driver_earnings', party: 'driver_1', credit: 80600 }),
+        expect.objectContaining({ account: 'platform_revenue', credit: 15000 }),
+        expect.objectContaining({ account: 'vat_payable', credit: 1500 }),
+        expect.objectContaining({ account: 'provider_fees_payable', party: 'stripe', credit: 2900 })
+      ]);
+    });
+
+    it('should keep the provider fee as platform revenue for wallet payments', async () => {
+      const journal = await accountingService.postPayment(cardPayment({ method: 'wallet', provider: 'wallet' }));
+
+      expect(journal.lines[0]).toMatchObject({ account: 'customer_wallet', party: 'user_1', debit: 100000 });
+      expect(journal.lines.find(line => line.account === 'platform_revenue').credit).toBe(17900);
+      expect(journal.lines.some(line => line.account === 'provider_fees_payable')).toBe(false);
+    });
+
+    it('should credit the customer wallet in full and expense the fee for a top-up', async () => {
+      const journal = await accountingService.postPayment(cardPayment({ purpose: 'wallet_topup', driverId: undefined }));
+
+      expect(journal.type).toBe('wallet_topup');
+      expect(net('customer_wallet', 'user_1')).toBe(100000);
+      expect(net('provider_fee_expense')).toBe(-2900);
+    });
+
+    it('should return the existing journal when the payment is posted again', async () => {
+      const first = await accountingService.postPayment(cardPayment());
+      const replay = await accountingService.postPayment(cardPayment());
+
+      expect(replay.journalId).toBe(first.journalId);
+      expect(journals).toHaveLength(1);
+    });
+
+    it('should wait for the driver before posting a ride payment', async () => {
+      expect(await accountingService.postPayment(cardPayment({ driverId: null }))).toBeNull();
+      expect(journals).toHaveLength(0);
+    });
+
+    it('should refuse a payment that is not completed', async () => {
+      await expect(accountingService.postPayment(cardPayment({ status: 'pending' })))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('postRefund', () => {
+    it('should reverse the original journal exactly once partial refunds add up to the full amount', async () => {
+      // Số lẻ để mỗi lần đảo đều phải làm tròn
+      const payment = cardPayment({ amount: 99999, fees: { platformFee: 14999, tax: 1499, paymentProviderFee: 2899 } });
+      await accountingService.postPayment(payment);
+
+      await accountingService.postRefund(payment, { refundId: 'ref_1', amount: 33333, reason: 'customer_request' });
+      await accountingService.postRefund(payment, { refundId: 'ref_2', amount: 33333, reason: 'customer_request' });
+      await accountingService.postRefund(payment, { refundId: 'ref_3', amount: 33333, reason: 'customer_request' });
+
+      for (const account of ['provider_receivable', 'driver_earnings', 'platform_revenue', 'vat_payable', 'provider_fees_payable']) {
+        expect(net(account)).toBe(0);
+      }
+    });
+
+    it('should post each refund once', async () => {
+      const payment = cardPayment();
+      await accountingService.postPayment(payment);
+
+      const refund = { refundId: 'ref_1', amount: 50000, reason: 'customer_request' };
+      const first = await accountingService.postRefund(payment, refund);
+      const replay = await accountingService.postRefund(payment, refund);
+
+      expect(replay.journalId).toBe(first.journalId);
+      expect(journals.filter(journal => journal.type === 'refund')).toHaveLength(1);
+    });
+
+    it('should refuse refunds beyond the posted amount', async () => {
+      const payment = cardPayment();
+      await accountingService.postPayment(payment);
+      await accountingService.postRefund(payment, { refundId: 'ref_1', amount: 80000, reason: 'customer_request' });
+
+      await expect(accountingService.postRefund(payment, { refundId: 'ref_2', amount: 30000, reason: 'customer_request' }))
+        .rejects.toMatchObject({ status: 422 });
+    });
+
+    it('should skip the refund until the payment itself is posted', async () => {
+      expect(await accountingService.postRefund(cardPayment(), { refundId: 'ref_1', amount: 1000 })).toBeNull();
+    });
+  });
+
+  describe('payouts and cash', () => {
+    it('should net driver cash against earnings and clear the payable once paid', async () => {
+      await accountingService.postPayment(cardPayment());
+      await accountingService.postPayment(cardPayment({ paymentId: 'pay_cash', method: 'cash', provider: 'cash', fees: { platformFee: 15000, tax: 1500 } }));
+      const earnings = net('driver_earnings', 'driver_1');
+      const cashHeld = -net('driver_cash', 'driver_1');
+
+      const payout = { batchId: 'batch_1', payoutId: 'po_1', driverId: 'driver_1', earnings, cashNetted: cashHeld, amount: earnings - cashHeld };
+      await accountingService.postPayout(payout);
+      await accountingService.postPayoutResult(payout, true);
+
+      expect(net('driver_earnings', 'driver_1')).toBe(0);
+      expect(net('driver_cash', 'driver_1')).toBe(0);
+      expect(net('payouts_payable', 'driver_1')).toBe(0);
+      expect(net('platform_bank')).toBe(earnings - cashHeld);
+    });
+
+    it('should return a failed transfer to the driver earnings', async () => {
+      await accountingService.postPayment(cardPayment());
+      const payout = { batchId: 'batch_1', payoutId: 'po_1', driverId: 'driver_1', earnings: 80600, cashNetted: 0, amount: 80600 };
+
+      await accountingService.postPayout(payout);
+      await accountingService.postPayoutResult(payout, false);
+
+      expect(net('driver_earnings', 'driver_1')).toBe(80600);
+      expect(net('payouts_payable', 'driver_1')).toBe(0);
+    });
+  });
+
+  describe('journal model', () => {
+    it('should reject an unbalanced journal', async () => {
+      const journal = new JournalEntry({
+        journalId: 'JRN-1',
+        postingKey: 'adjustment:1',
+        type: 'adjustment',
+        amount: 100,
+        lines: [
+          { account: 'platform_bank', debit: 100 },
+          { account: 'platform_revenue', credit: 90 }
+        ]
+      });
+
+      await expect(journal.validate()).rejects.toThrow('Bút toán không cân');
+    });
+
+    it('should reject a line with both sides', async () => {
+      const journal = new JournalEntry({
+        journalId: 'JRN-2',
+        postingKey: 'adjustment:2',
+        type: 'adjustment',
+        amount: 100,
+        lines: [
+          { account: 'platform_bank', debit: 100, credit: 100 },
+          { account: 'platform_revenue', credit: 0 }
+        ]
+      });
+
+      await expect(journal.validate()).rejects.toThrow('phải ghi đúng một phía');
+    });
+  });
+});
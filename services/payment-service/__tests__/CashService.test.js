@@ -0,0 +1,196 @@
+const cashService = require('../src/services/CashService');
+const Payment = require('../src/models/Payment');
+const accountingService = require('../src/services/AccountingService');
+const { runPaymentSaga, publishPaymentResult } = require('../src/saga/paymentSaga');
+
+jest.mock('../src/saga/paymentSaga', () => ({
+  runPaymentSaga: jest.fn(),
+  publishPaymentResult: jest.fn()
+}));
+jest.mock('../src/services/AccountingService', () => ({
+  getPartyBalances: jest.fn(),
+  postCashRemittance: jest.fn()
+}));
+
+// Chainable stand-in for find().select().sort().limit().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+const balance = (party, value) => [{ party, debit: 0, credit: 0, balance: value }];
+
+describe('CashService', () => {
+  let current;
+  let claimed;
+
+  beforeEach(() => {
+    current = {
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      driverId: 'driver_1',
+      amount: 150000,
+      status: 'pending',
+      cashDetails: { status: 'awaiting_collection', expectedAmount: 150000 }
+    };
+    claimed = {
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      driverId: 'driver_1',
+      status: 'processing',
+      cashDetails: { toObject: () => ({ status: 'awaiting_collection', expectedAmount: 150000 }) },
+      addAuditEntry: jest.fn(),
+      startProcessing: jest.fn().mockResolvedValue()
+    };
+
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(current);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimed);
+    runPaymentSaga.mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('confirmCollection', () => {
+    it('should record the cash collected and complete the payment', async () => {
+      const payment = await cashService.confirmCollection('ride_1', { amountReceived: 200000, changeGiven: 50000 }, 'driver_1', 'driver');
+
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { paymentId: 'PAY-1', status: 'pending', 'cashDetails.status': 'awaiting_collection' },
+        { $set: { status: 'processing' } },
+        { new: true }
+      );
+      expect(payment.cashDetails).toMatchObject({
+        status: 'collected',
+        collectedAmount: 150000,
+        difference: 0,
+        reviewRequired: false,
+        collectedBy: 'driver_1'
+      });
+      expect(runPaymentSaga).toHaveBeenCalledWith(claimed);
+      expect(publishPaymentResult).toHaveBeenCalledWith(claimed, 'ride_1');
+    });
+
+    it('should tolerate a small shortfall without a reason', async () => {
+      const payment = await cashService.confirmCollection('ride_1', { amountReceived: 149500 }, 'driver_1', 'driver');
+
+      expect(payment.cashDetails).toMatchObject({ difference: -500, reviewRequired: false });
+    });
+
+    it('should require a reason for a larger shortfall and flag it for review', async () => {
+      await expect(cashService.confirmCollection('ride_1', { amountReceived: 140000 }, 'driver_1', 'driver'))
+        .rejects.toMatchObject({ status: 400 });
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+
+      const payment = await cashService.confirmCollection('ride_1', {
+        amountReceived: 140000,
+        differenceReason: 'Khách thiếu tiền lẻ'
+      }, 'driver_1', 'driver');
+      expect(payment.cashDetails).toMatchObject({ difference: -10000, reviewRequired: true });
+    });
+
+    it('should reject change larger than the amount received', async () => {
+      await expect(cashService.confirmCollection('ride_1', { amountReceived: 100000, changeGiven: 120000 }, 'driver_1', 'driver'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only let the ride driver or an admin confirm', async () => {
+      await expect(cashService.confirmCollection('ride_1', { amountReceived: 150000 }, 'driver_2', 'driver'))
+        .rejects.toMatchObject({ status: 403 });
+
+      await cashService.confirmCollection('ride_1', { amountReceived: 150000 }, 'admin_1', 'admin');
+      expect(runPaymentSaga).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a second confirmation of the same ride', async () => {
+      current.cashDetails.status = 'collected';
+      Payment.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(cashService.confirmCollection('ride_1', { amountReceived: 150000 }, 'driver_1', 'driver'))
+        .rejects.toMatchObject({ status: 409, message: expect.stringContaining('đã được xác nhận') });
+      expect(runPaymentSaga).not.toHaveBeenCalled();
+    });
+
+    it('should publish the failure when the saga fails', async () => {
+      const error = new Error('ledger unavailable');
+      runPaymentSaga.mockRejectedValue(error);
+
+      await expect(cashService.confirmCollection('ride_1', { amountReceived: 150000 }, 'driver_1', 'driver'))
+        .rejects.toMatchObject({ status: 502 });
+      expect(publishPaymentResult).toHaveBeenCalledWith(claimed, 'ride_1', error);
+    });
+  });
+
+  describe('recordRemittance', () => {
+    it('should post the remittance and return the cash still held', async () => {
+      accountingService.getPartyBalances.mockResolvedValue(balance('driver_1', 300000));
+      accountingService.postCashRemittance.mockImplementation(async ({ remittanceId, amount }) => ({
+        journalId: 'JRN-1',
+        amount,
+        reference: { remittanceId }
+      }));
+
+      const result = await cashService.recordRemittance('driver_1', { amount: 200000, reference: 'BANK-1' }, 'admin_1');
+
+      expect(accountingService.postCashRemittance).toHaveBeenCalledWith(expect.objectContaining({
+        driverId: 'driver_1',
+        amount: 200000,
+        reference: 'BANK-1'
+      }));
+      expect(result).toMatchObject({ driverId: 'driver_1', amount: 200000, journalId: 'JRN-1', cashHeld: 100000 });
+    });
+
+    it('should return the first remittance when the same reference is recorded again', async () => {
+      accountingService.getPartyBalances.mockResolvedValue(balance('driver_1', 300000));
+      accountingService.postCashRemittance.mockResolvedValue({
+        journalId: 'JRN-1',
+        amount: 200000,
+        reference: { remittanceId: 'REM-first' }
+      });
+
+      const result = await cashService.recordRemittance('driver_1', { amount: 200000, reference: 'BANK-1' }, 'admin_1');
+
+      expect(result).toMatchObject({ remittanceId: 'REM-first', journalId: 'JRN-1' });
+    });
+
+    it('should refuse more than the driver holds', async () => {
+      accountingService.getPartyBalances.mockResolvedValue(balance('driver_1', 100000));
+
+      await expect(cashService.recordRemittance('driver_1', { amount: 150000 }, 'admin_1'))
+        .rejects.toMatchObject({ status: 422 });
+      expect(accountingService.postCashRemittance).not.toHaveBeenCalled();
+    });
+
+    it('should reject an amount that is not a positive integer', async () => {
+      await expect(cashService.recordRemittance('driver_1', { amount: 1500.5 }, 'admin_1'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('getDriverCashSummary', () => {
+    it('should report the commission owed beyond unpaid earnings', async () => {
+      accountingService.getPartyBalances.mockImplementation(async (account) => (account === 'driver_cash'
+        ? balance('driver_1', 300000)
+        : balance('driver_1', 120000)));
+      jest.spyOn(Payment, 'aggregate').mockResolvedValue([{ count: 2, amount: 250000 }]);
+      jest.spyOn(Payment, 'find').mockReturnValue(query([
+        { paymentId: 'PAY-1', rideId: 'ride_1', amount: 150000, status: 'completed', fees: { platformFee: 22500, tax: 2250 } }
+      ]));
+
+      const summary = await cashService.getDriverCashSummary('driver_1');
+
+      expect(summary).toMatchObject({
+        cashHeld: 300000,
+        unpaidEarnings: 120000,
+        commissionOwed: 180000,
+        awaitingCollection: { count: 2, amount: 250000 }
+      });
+      expect(summary.recentRides[0].commission).toBe(24750);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const fareSplitService = require('../src/services/FareSplitService');
+const Payment = require('../src/models/Payment');
+const FareSplit = require('../src/models/FareSplit');
+const refundService = require('../src/services/RefundService');
+const { runPaymentSaga, publishPaymentEvent } = require('../src/saga/paymentSaga');
+
+jest.mock('../src/saga/paymentSaga', () => ({
+  runPaymentSaga: jest.fn(),
+  publishPaymentEvent: jest.fn()
+}));
+jest.mock('../src/services/RefundService', () => ({
+  mutate: jest.fn(),
+  systemRefund: jest.fn()
+}));
+
+const USERS = {
+  '0901000001': { id: 'user_2', firstName: 'Lan' },
+  '0901000002': { id: 'user_3', firstName: 'Minh' },
+  '0901000000': { id: 'user_1', firstName: 'Owner' }
+};
+
+const authLookup = async (url) => {
+  const phone = new URL(url).searchParams.get('phone');
+  if (!USERS[phone]) return { ok: false, status: 404 };
+  return { ok: true, status: 200, json: async () => ({ user: USERS[phone] }) };
+};
+
+describe('FareSplitService', () => {
+  let owner;
+  let splits;
+
+  const ownerPayment = (overrides = {}) => new Payment({
+    paymentId: 'PAY-owner',
+    rideId: 'ride_1',
+    userId: 'user_1',
+    driverId: 'driver_1',
+    amount: 90000,
+    currency: 'VND',
+    method: 'card',
+    provider: 'stripe',
+    status: 'pending',
+    ...overrides
+  });
+
+  const createSplit = (participants = [{ phone: '0901000001' }, { phone: '0901000002' }], mode = 'equal') =>
+    fareSplitService.createSplit({ rideId: 'ride_1', mode, participants }, 'user_1');
+
+  beforeEach(() => {
+    owner = ownerPayment();
+    splits = [];
+
+    global.fetch = jest.fn(authLookup);
+    jest.spyOn(Payment, 'findOne').mockImplementation(async () => owner);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() { return this; });
+
+    // Kho chia tiền trong bộ nhớ; findOneAndUpdate chỉ chuyển phần đang ở đúng trạng thái như Mongo
+    jest.spyOn(FareSplit.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      if (!splits.includes(this)) {
+        if (splits.some(split => split.rideId === this.rideId)) {
+          throw Object.assign(new Error('E11000'), { code: 11000 });
+        }
+        splits.push(this);
+      }
+      return this;
+    });
+    jest.spyOn(FareSplit, 'findOne').mockImplementation(async (filter) =>
+      splits.find(split => (filter.splitId ? split.splitId === filter.splitId : split.rideId === filter.rideId)) || null);
+    jest.spyOn(FareSplit, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const split = splits.find(candidate => candidate.splitId === filter.splitId);
+      const { shareId, status } = filter.shares.$elemMatch;
+      const share = split?.shares.find(candidate => candidate.shareId === shareId && candidate.status === status);
+      if (!share) return null;
+      Object.entries($set).forEach(([key, value]) => share.set(key.replace('shares.$.', ''), value));
+      return split;
+    });
+
+    runPaymentSaga.mockImplementation(async (payment) => {
+      payment.status = 'completed';
+    });
+    refundService.mutate.mockImplementation(async (paymentId, mutation) => {
+      await mutation(owner);
+      return owner;
+    });
+    refundService.systemRefund.mockResolvedValue({ refund: { refundId: 'RFD-1' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    delete global.fetch;
+  });
+
+  describe('createSplit', () => {
+    it('should split the fare equally and leave the remainder to the owner', async () => {
+      owner.amount = 100000;
+
+      const split = await createSplit();
+
+      expect(split.shares.map(share => [share.userId, share.amount])).toEqual([['user_2', 33333], ['user_3', 33333]]);
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { paymentId: 'PAY-owner' },
+        { $set: { split: { splitId: split.splitId, role: 'owner', paidByOthers: 0 } } }
+      );
+      expect(publishPaymentEvent).toHaveBeenCalledTimes(2);
+      expect(publishPaymentEvent).toHaveBeenCalledWith('payment.split_invited', expect.objectContaining({ userId: 'user_2', amount: 33333 }));
+    });
+
+    it('should keep part of a custom split for the owner', async () => {
+      await expect(createSplit([{ phone: '0901000001', amount: 50000 }, { phone: '0901000002', amount: 40000 }], 'custom'))
+        .rejects.toMatchObject({ status: 422 });
+
+      const split = await createSplit([{ phone: '0901000001', amount: 50000 }, { phone: '0901000002', amount: 30000 }], 'custom');
+      expect(split.shares.map(share => share.amount)).toEqual([50000, 30000]);
+    });
+
+    it('should only let the owner split the fare', async () => {
+      await expect(fareSplitService.createSplit({ rideId: 'ride_1', participants: [{ phone: '0901000001' }] }, 'user_2'))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should reject inviting the owner or the same user twice', async () => {
+      await expect(createSplit([{ phone: '0901000000' }])).rejects.toMatchObject({ status: 422 });
+      await expect(createSplit([{ phone: '0901000001' }, { phone: '0901000001' }])).rejects.toMatchObject({ status: 422 });
+    });
+
+    it('should report unknown users and an unreachable auth service differently', async () => {
+      await expect(createSplit([{ phone: '0909999999' }])).rejects.toMatchObject({ status: 422 });
+
+      global.fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      await expect(createSplit()).rejects.toMatchObject({ status: 503 });
+    });
+
+    it('should split a ride only once', async () => {
+      await createSplit();
+
+      await expect(createSplit()).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should refuse a cash ride that was already collected', async () => {
+      owner = ownerPayment({ method: 'cash', provider: 'cash', status: 'completed' });
+
+      await expect(createSplit()).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('acceptShare', () => {
+    let split;
+    let share;
+
+    beforeEach(async () => {
+      split = await createSplit();
+      share = split.shares[0];
+      publishPaymentEvent.mockClear();
+    });
+
+    it('should charge the participant and reduce the owner payment when it is not collected yet', async () => {
+      const { payment } = await fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_2');
+
+      expect(payment).toMatchObject({ userId: 'user_2', amount: 30000, provider: 'wallet', maxRetries: 0 });
+      expect(payment.split).toMatchObject({ splitId: split.splitId, role: 'participant' });
+      expect(owner.amount).toBe(60000);
+      expect(owner.split.paidByOthers).toBe(30000);
+      expect(share).toMatchObject({ status: 'paid', paymentId: payment.paymentId });
+      expect(share.ownerCredit.type).toBe('amount_reduced');
+      expect(publishPaymentEvent).toHaveBeenCalledWith('payment.split_share_updated', expect.objectContaining({ status: 'paid' }));
+    });
+
+    it('should refund the owner when the fare was already collected', async () => {
+      owner.status = 'completed';
+
+      await fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'card' }, 'user_2');
+
+      expect(refundService.systemRefund).toHaveBeenCalledWith('PAY-owner', 30000, 'fare_split', expect.any(String));
+      expect(share.ownerCredit).toMatchObject({ type: 'refunded', refundId: 'RFD-1' });
+      expect(owner.amount).toBe(90000);
+    });
+
+    it('should leave the share to the owner when the payment fails', async () => {
+      runPaymentSaga.mockRejectedValue(Object.assign(new Error('card declined'), { code: 'declined' }));
+
+      await expect(fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'card' }, 'user_2'))
+        .rejects.toMatchObject({ status: 402 });
+      expect(share).toMatchObject({ status: 'failed', error: 'card declined' });
+      expect(refundService.mutate).not.toHaveBeenCalled();
+      expect(owner.amount).toBe(90000);
+    });
+
+    it('should answer 504 when the provider times out', async () => {
+      runPaymentSaga.mockRejectedValue(Object.assign(new Error('provider timeout'), { code: 'timeout' }));
+
+      await expect(fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'card' }, 'user_2'))
+        .rejects.toMatchObject({ status: 504 });
+    });
+
+    it('should not charge a share twice', async () => {
+      await fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_2');
+
+      await expect(fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_2'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(runPaymentSaga).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hide another user\'s share', async () => {
+      await expect(fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_3'))
+        .rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should expire invitations past their deadline', async () => {
+      split.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_2'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(split.shares.map(entry => entry.status)).toEqual(['expired', 'expired']);
+      expect(split.status).toBe('closed');
+    });
+
+    it('should close the split once every share is answered', async () => {
+      await fareSplitService.acceptShare(split.splitId, share.shareId, { method: 'wallet' }, 'user_2');
+      expect(split.status).toBe('open');
+
+      await fareSplitService.declineShare(split.splitId, split.shares[1].shareId, 'user_3');
+      expect(split.status).toBe('closed');
+    });
+  });
+
+  describe('cancelForRide', () => {
+    it('should refund paid shares and expire the rest', async () => {
+      const split = await createSplit();
+      await fareSplitService.acceptShare(split.splitId, split.shares[0].shareId, { method: 'wallet' }, 'user_2');
+      refundService.systemRefund.mockClear();
+
+      await fareSplitService.cancelForRide('ride_1', 'customer_cancelled');
+
+      expect(refundService.systemRefund).toHaveBeenCalledWith(split.shares[0].paymentId, 30000, 'fare_split', expect.any(String));
+      expect(split.shares.map(share => share.status)).toEqual(['refunded', 'expired']);
+      expect(split.status).toBe('cancelled');
+    });
+
+    it('should keep a paid share for follow-up when its refund fails', async () => {
+      const split = await createSplit();
+      await fareSplitService.acceptShare(split.splitId, split.shares[0].shareId, { method: 'wallet' }, 'user_2');
+      refundService.systemRefund.mockRejectedValue(new Error('provider down'));
+
+      await fareSplitService.cancelForRide('ride_1', 'customer_cancelled');
+
+      expect(split.shares[0]).toMatchObject({ status: 'paid', error: expect.stringContaining('provider down') });
+      expect(split.status).toBe('cancelled');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+process.env.PAYMENT_PROVIDER_TIMEOUT_MS = '20';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const MockProvider = require('../src/providers/MockProvider');
+
+const payment = (overrides = {}) => ({
+  paymentId: 'PAY-1',
+  rideId: 'ride_1',
+  userId: 'user_1',
+  amount: 150000,
+  ...overrides
+});
+
+describe('MockProvider', () => {
+  const filePath = path.join(os.tmpdir(), `mock-provider-${process.pid}.json`);
+  let provider;
+
+  // Thu tiền một payment, trả về payment đã gắn transactionId như saga
+  const charge = async (target) => {
+    const authorization = await provider.authorize(target);
+    const { transactionId } = await provider.capture(target, authorization);
+    return { ...target, externalTransactionId: transactionId };
+  };
+
+  beforeEach(async () => {
+    await fs.rm(filePath, { force: true });
+    provider = new MockProvider(filePath);
+  });
+
+  afterAll(async () => {
+    await fs.rm(filePath, { force: true });
+  });
+
+  describe('authorize and capture', () => {
+    it('should capture an authorization only once', async () => {
+      const authorization = await provider.authorize(payment());
+      await provider.capture(payment(), authorization);
+
+      await expect(provider.capture(payment(), authorization)).rejects.toMatchObject({ code: 'provider_error' });
+      await expect(provider.capture(payment(), { authorizationId: 'MOCK-AUTH-unknown' })).rejects.toMatchObject({ code: 'provider_error' });
+    });
+
+    it('should return the earlier result for a repeated idempotency key', async () => {
+      const first = await provider.authorize(payment(), { idempotencyKey: 'PAY-1:0:authorize' });
+      const again = await provider.authorize(payment(), { idempotencyKey: 'PAY-1:0:authorize' });
+      expect(again).toEqual(first);
+
+      const capture = await provider.capture(payment(), first, { idempotencyKey: 'PAY-1:0:capture' });
+      expect(await provider.capture(payment(), first, { idempotencyKey: 'PAY-1:0:capture' })).toEqual(capture);
+
+      const { transactions } = await provider.readState();
+      expect(Object.keys(transactions)).toHaveLength(2);
+    });
+  });
+
+  describe('refund', () => {
+    it('should refund a refund request only once', async () => {
+      const charged = await charge(payment());
+
+      const first = await provider.refund(charged, 50000, 'customer_request', { refundId: 'RFD-1' });
+      const again = await provider.refund(charged, 50000, 'customer_request', { refundId: 'RFD-1' });
+
+      expect(again).toEqual(first);
+      const { transactions } = await provider.readState();
+      expect(transactions[charged.externalTransactionId].refundedAmount).toBe(50000);
+    });
+
+    it('should refuse to refund more than was captured', async () => {
+      const charged = await charge(payment());
+      await provider.refund(charged, 100000, 'customer_request', { refundId: 'RFD-1' });
+
+      await expect(provider.refund(charged, 60000, 'customer_request', { refundId: 'RFD-2' }))
+        .rejects.toMatchObject({ code: 'declined' });
+    });
+  });
+
+  describe('scenarios', () => {
+    it('should decline or time out the rides configured for it', async () => {
+      await provider.setConfig({ overrides: { ride_2: 'decline', ride_3: 'timeout' } });
+
+      await expect(provider.authorize(payment({ rideId: 'ride_2' }))).rejects.toMatchObject({ code: 'declined', retryable: false });
+      await expect(provider.authorize(payment({ rideId: 'ride_3' }))).rejects.toMatchObject({ code: 'timeout', retryable: true });
+      await expect(provider.authorize(payment())).resolves.toHaveProperty('authorizationId');
+    });
+
+    it('should reject an unknown mode', async () => {
+      await expect(provider.setConfig({ mode: 'explode' })).rejects.toMatchObject({ code: 'invalid_config' });
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    it('should accept only a body signed with the webhook secret', () => {
+      const body = Buffer.from(JSON.stringify({ type: 'charge.captured', transactionId: 'MOCK-TXN-1' }));
+
+      expect(provider.verifyWebhook(body, { 'x-mock-signature': provider.signWebhook(body) }))
+        .toEqual({ type: 'charge.captured', transactionId: 'MOCK-TXN-1' });
+      expect(() => provider.verifyWebhook(body, { 'x-mock-signature': 'bad' })).toThrow('chữ ký webhook không hợp lệ');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const paymentService = require('../src/services/PaymentService');
+const Payment = require('../src/models/Payment');
+const accountingService = require('../src/services/AccountingService');
+const { mockProvider } = require('../src/providers');
+const { runPaymentSaga, publishPaymentEvent, publishPaymentResult } = require('../src/saga/paymentSaga');
+
+jest.mock('../src/saga/paymentSaga', () => ({
+  runPaymentSaga: jest.fn(),
+  publishPaymentEvent: jest.fn(),
+  publishPaymentResult: jest.fn()
+}));
+jest.mock('../src/services/AccountingService', () => ({
+  postPayment: jest.fn(),
+  postRefund: jest.fn()
+}));
+
+// Chainable stand-in for find().select().sort().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+const intent = { rideId: 'ride_1', amount: 150000, method: 'card' };
+
+describe('PaymentService', () => {
+  let payment;
+
+  beforeEach(() => {
+    payment = new Payment({
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      userId: 'user_1',
+      driverId: 'driver_1',
+      amount: 150000,
+      currency: 'VND',
+      method: 'card',
+      provider: 'stripe',
+      status: 'pending'
+    });
+
+    jest.spyOn(Payment, 'findOne').mockImplementation((filter) => (filter.rideId
+      ? query(null)
+      : Promise.resolve(filter.paymentId === payment.paymentId ? payment : null)));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      if (filter.status !== payment.status) return null;
+      Object.assign(payment, $set);
+      return payment;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    runPaymentSaga.mockImplementation(async (claimed) => {
+      claimed.status = 'completed';
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('createIntent', () => {
+    it('should create the intent for the caller', async () => {
+      const created = await paymentService.createIntent(intent, 'user_1', 'customer');
+
+      expect(created).toMatchObject({ userId: 'user_1', status: 'pending', provider: 'stripe' });
+      expect(created.auditLog[0]).toMatchObject({ action: 'intent_created', actor: 'user_1' });
+    });
+
+    it('should only let an admin create an intent for someone else', async () => {
+      await expect(paymentService.createIntent({ ...intent, userId: 'user_2' }, 'user_1', 'customer'))
+        .rejects.toMatchObject({ status: 403 });
+
+      const created = await paymentService.createIntent({ ...intent, userId: 'user_2' }, 'admin_1', 'admin');
+      expect(created.userId).toBe('user_2');
+      expect(created.auditLog[0].actor).toBe('admin_1');
+    });
+  });
+
+  describe('capture and cancel', () => {
+    it('should capture the caller\'s own payment', async () => {
+      await paymentService.capture('PAY-1', 'user_1', 'customer');
+
+      expect(payment.status).toBe('completed');
+      expect(publishPaymentEvent).toHaveBeenCalledWith('payment.succeeded', expect.objectContaining({ paymentId: 'PAY-1' }));
+    });
+
+    it('should refuse to capture or cancel another user\'s payment', async () => {
+      await expect(paymentService.capture('PAY-1', 'user_2', 'customer')).rejects.toMatchObject({ status: 403 });
+      await expect(paymentService.cancel('PAY-1', 'driver_1', 'driver', 'nope')).rejects.toMatchObject({ status: 403 });
+
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(payment.status).toBe('pending');
+    });
+
+    it('should let an admin cancel on the customer\'s behalf', async () => {
+      await paymentService.cancel('PAY-1', 'admin_1', 'admin', 'Khách đổi ý');
+
+      expect(payment.status).toBe('cancelled');
+      expect(payment.auditLog.at(-1)).toMatchObject({ action: 'cancelled', actor: 'admin_1' });
+    });
+  });
+
+  describe('reading payments', () => {
+    it('should show a payment to its customer, its driver and staff only', async () => {
+      await expect(paymentService.getPaymentFor('PAY-1', 'user_1', 'customer')).resolves.toBe(payment);
+      await expect(paymentService.getPaymentFor('PAY-1', 'driver_1', 'driver')).resolves.toBe(payment);
+      await expect(paymentService.getPaymentFor('PAY-1', 'support_1', 'support')).resolves.toBe(payment);
+      await expect(paymentService.getPaymentFor('PAY-1', 'user_2', 'customer')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should list only the caller\'s payments of a ride', async () => {
+      jest.spyOn(Payment, 'find').mockReturnValue(query([]));
+
+      await paymentService.listByRide('ride_1', 'user_2', 'customer');
+      await paymentService.listByRide('ride_1', 'admin_1', 'admin');
+
+      expect(Payment.find.mock.calls).toEqual([
+        [{ rideId: 'ride_1', $or: [{ userId: 'user_2' }, { driverId: 'user_2' }] }],
+        [{ rideId: 'ride_1' }]
+      ]);
+    });
+  });
+
+  describe('handleWebhook', () => {
+    // Body đã ký bằng secret của cổng giả lập, như cổng thanh toán gửi về
+    const deliver = (event, signature) => {
+      const body = Buffer.from(JSON.stringify({ paymentId: 'PAY-1', ...event }));
+      return paymentService.handleWebhook('mock', body, { 'x-mock-signature': signature || mockProvider.signWebhook(body) });
+    };
+
+    beforeEach(() => {
+      Object.assign(payment, { status: 'processing', processingStartedAt: new Date() });
+      // Điều kiện $not/$elemMatch trên auditLog: chỉ ghi nhận một lần mỗi (type, transactionId)
+      Payment.findOneAndUpdate.mockImplementation(async (filter, { $push }) => {
+        const { 'details.type': type, 'details.transactionId': transactionId } = filter.auditLog.$not.$elemMatch;
+        const seen = payment.auditLog.some(entry => entry.action === 'webhook_received'
+          && entry.details.type === type && entry.details.transactionId === transactionId);
+        if (filter.paymentId !== payment.paymentId || seen) return null;
+        payment.auditLog.push($push.auditLog);
+        return payment;
+      });
+      jest.spyOn(Payment, 'updateOne').mockImplementation(async (filter, { $pull }) => {
+        payment.auditLog = payment.auditLog.filter(entry => !(entry.action === $pull.auditLog.action
+          && entry.details.transactionId === $pull.auditLog['details.transactionId']));
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should complete a processing payment the provider captured', async () => {
+      const result = await deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' });
+
+      expect(result).toEqual({ received: true, paymentId: 'PAY-1', applied: true });
+      expect(payment).toMatchObject({ status: 'completed', transactionId: 'MOCK-TXN-1', externalTransactionId: 'MOCK-TXN-1', gateway: 'mock' });
+      expect(accountingService.postPayment).toHaveBeenCalledWith(payment);
+      expect(publishPaymentResult).toHaveBeenCalledWith(payment, 'ride_1');
+    });
+
+    it('should ignore a replayed event', async () => {
+      await deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' });
+      const replay = await deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' });
+
+      expect(replay).toEqual({ received: true, paymentId: 'PAY-1', duplicate: true });
+      expect(accountingService.postPayment).toHaveBeenCalledTimes(1);
+      expect(publishPaymentResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail a payment the provider declined', async () => {
+      await deliver({ type: 'payment.declined', transactionId: 'MOCK-TXN-1', reason: 'insufficient_funds' });
+
+      expect(payment.status).toBe('failed');
+      expect(publishPaymentResult).toHaveBeenCalledWith(payment, 'ride_1', expect.objectContaining({ code: 'declined', message: 'insufficient_funds' }));
+    });
+
+    it('should not change a payment that already has a result', async () => {
+      payment.status = 'completed';
+
+      const result = await deliver({ type: 'payment.declined', transactionId: 'MOCK-TXN-1' });
+
+      expect(result.applied).toBe(false);
+      expect(payment.status).toBe('completed');
+      expect(publishPaymentResult).not.toHaveBeenCalled();
+    });
+
+    it('should complete a refund the provider paid out', async () => {
+      Object.assign(payment, { status: 'completed', transactionId: 'MOCK-TXN-1' });
+      await payment.initiateRefund(50000, 'customer_request', { refundId: 'RFD-1' });
+
+      const result = await deliver({ type: 'refund.succeeded', transactionId: 'MOCK-TXN-2', refundId: 'RFD-1' });
+
+      expect(result.applied).toBe(true);
+      expect(payment.findRefund('RFD-1')).toMatchObject({ status: 'completed', refundTransactionId: 'MOCK-TXN-2' });
+      expect(accountingService.postRefund).toHaveBeenCalledTimes(1);
+      expect(publishPaymentEvent).toHaveBeenCalledWith('payment.refunded', expect.objectContaining({ refundId: 'RFD-1', amount: 50000 }));
+    });
+
+    it('should let the provider resend an event that could not be applied', async () => {
+      Payment.prototype.save.mockRejectedValueOnce(new Error('connection reset'));
+
+      await expect(deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' })).rejects.toThrow('connection reset');
+      // Lần lưu lỗi không tới MongoDB: payment vẫn ở trạng thái cũ
+      payment.status = 'processing';
+      const resent = await deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' });
+
+      expect(resent.applied).toBe(true);
+      expect(payment.status).toBe('completed');
+    });
+
+    it('should reject a body with a bad signature', async () => {
+      await expect(deliver({ type: 'payment.captured', transactionId: 'MOCK-TXN-1' }, 'bad'))
+        .rejects.toMatchObject({ status: 401 });
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
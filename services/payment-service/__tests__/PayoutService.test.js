@@ -0,0 +1,173 @@
+const payoutService = require('../src/services/PayoutService');
+const PayoutBatch = require('../src/models/PayoutBatch');
+const accountingService = require('../src/services/AccountingService');
+
+jest.mock('../src/services/AccountingService', () => ({
+  getUnsettledBalances: jest.fn(),
+  getPartyBalances: jest.fn(),
+  postPayout: jest.fn(),
+  postPayoutResult: jest.fn()
+}));
+
+const balance = (party, value) => ({ party, debit: 0, credit: 0, balance: value });
+
+const driverProfile = (url) => ({
+  ok: true,
+  status: 200,
+  json: async () => ({
+    firstName: 'Nguyễn',
+    lastName: 'Văn Đức',
+    bankAccount: { accountNumber: `0123${url.slice(-4)}`, bankName: 'VCB', routingNumber: '01203001' }
+  })
+});
+
+const exportedBatch = () => new PayoutBatch({
+  batchId: 'PO-test',
+  periodEnd: new Date('2026-01-31T23:59:59Z'),
+  status: 'exported',
+  items: [
+    { payoutId: 'PO-test-0001', driverId: 'driver_1', earnings: 200000, cashNetted: 50000, amount: 150000, status: 'exported' },
+    { payoutId: 'PO-test-0002', driverId: 'driver_2', earnings: 90000, amount: 90000, status: 'exported' }
+  ]
+});
+
+describe('PayoutService', () => {
+  beforeEach(() => {
+    jest.spyOn(PayoutBatch.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.fetch = jest.fn(async (url) => driverProfile(url));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    delete global.fetch;
+  });
+
+  describe('createBatch', () => {
+    beforeEach(() => {
+      accountingService.getUnsettledBalances.mockImplementation(async (account) => (account === 'driver_earnings'
+        ? [
+          balance('driver_1', 200000),
+          balance('driver_2', 30000),
+          balance('driver_3', 100000),
+          balance('driver_4', 100000),
+          balance('driver_5', 100000),
+          balance(null, 5000)
+        ]
+        : [balance('driver_1', 50000), balance('driver_3', 150000)]));
+      global.fetch = jest.fn(async (url) => {
+        if (url.endsWith('/driver_4')) return { ok: false, status: 404 };
+        if (url.endsWith('/driver_5')) throw new Error('connect ECONNREFUSED');
+        return driverProfile(url);
+      });
+    });
+
+    it('should net cash held against earnings and hold drivers without a bank account', async () => {
+      const batch = await payoutService.createBatch({ periodEnd: '2026-01-31T23:59:59Z' }, 'admin_1');
+
+      const items = Object.fromEntries(batch.items.map(item => [item.driverId, item]));
+      expect(items.driver_1).toMatchObject({ earnings: 200000, cashNetted: 50000, amount: 150000, status: 'pending' });
+      expect(items.driver_1.bankAccount.accountHolder).toBe('Nguyễn Văn Đức');
+      // Dưới mức chi tối thiểu: cộng dồn sang đợt sau
+      expect(items.driver_2).toBeUndefined();
+      // Tiền mặt đang giữ nhiều hơn thu nhập: cấn trừ hết, không chuyển khoản
+      expect(items.driver_3).toMatchObject({ cashNetted: 100000, amount: 0, status: 'netted' });
+      expect(items.driver_4).toMatchObject({ status: 'on_hold', holdReason: 'missing_bank_account' });
+      expect(items.driver_5).toMatchObject({ status: 'on_hold', holdReason: expect.stringContaining('driver_service_unavailable') });
+
+      expect(accountingService.postPayout.mock.calls.map(([payout]) => payout.driverId)).toEqual(['driver_1', 'driver_3']);
+      expect(batch.status).toBe('open');
+      expect(batch.totals).toMatchObject({ drivers: 2, earnings: 300000, cashNetted: 150000, amount: 150000 });
+    });
+
+    it('should refuse a second batch while another one is being built', async () => {
+      PayoutBatch.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(payoutService.createBatch({}, 'admin_1')).rejects.toMatchObject({ status: 409 });
+      expect(accountingService.postPayout).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a period ending in the future', async () => {
+      await expect(payoutService.createBatch({ periodEnd: new Date(Date.now() + 60000) }, 'admin_1'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('finalizeBatch', () => {
+    it('should only finalize a batch that is still building', async () => {
+      const batch = exportedBatch();
+
+      await expect(payoutService.finalizeBatch(batch)).rejects.toMatchObject({ status: 409 });
+      expect(accountingService.postPayout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportBatch', () => {
+    it('should export pending items as CSV and mark them exported', async () => {
+      const batch = exportedBatch();
+      batch.status = 'open';
+      batch.items.forEach(item => {
+        item.status = 'pending';
+        item.bankAccount = { accountHolder: 'Tran, An', accountNumber: '0123456789', bankName: 'VCB', routingNumber: '01203001' };
+      });
+      jest.spyOn(PayoutBatch, 'findOne').mockResolvedValue(batch);
+
+      const file = await payoutService.exportBatch('PO-test', 'csv', 'admin_1');
+
+      expect(file.filename).toBe('PO-test.csv');
+      expect(file.content.split('\r\n')[1]).toBe('PO-test-0001,driver_1,"Tran, An",0123456789,VCB,01203001,150000,VND,Chi tra thu nhap PO-test');
+      expect(batch.items.every(item => item.status === 'exported')).toBe(true);
+      expect(batch.status).toBe('exported');
+    });
+
+    it('should reject an unknown format', async () => {
+      await expect(payoutService.exportBatch('PO-test', 'xlsx', 'admin_1')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('recordResults', () => {
+    let batch;
+
+    beforeEach(() => {
+      batch = exportedBatch();
+      jest.spyOn(PayoutBatch, 'findOne').mockResolvedValue(batch);
+    });
+
+    it('should post each bank result once and complete the batch', async () => {
+      const results = [
+        { payoutId: 'PO-test-0001', status: 'paid', bankReference: 'FT123' },
+        { payoutId: 'PO-test-0002', status: 'failed', reason: 'account_closed' }
+      ];
+
+      await payoutService.recordResults('PO-test', results, 'bank');
+      await payoutService.recordResults('PO-test', results, 'bank');
+
+      expect(accountingService.postPayoutResult).toHaveBeenCalledTimes(2);
+      expect(accountingService.postPayoutResult).toHaveBeenCalledWith(expect.objectContaining({ payoutId: 'PO-test-0001' }), true);
+      expect(accountingService.postPayoutResult).toHaveBeenCalledWith(expect.objectContaining({ payoutId: 'PO-test-0002' }), false);
+      expect(batch.findItem('PO-test-0002').failureReason).toBe('account_closed');
+      expect(batch.status).toBe('completed');
+      expect(batch.totals).toMatchObject({ paid: 150000, failed: 90000 });
+    });
+
+    it('should reject a result that contradicts an earlier one before posting anything', async () => {
+      await payoutService.recordResults('PO-test', [{ payoutId: 'PO-test-0001', status: 'paid' }], 'bank');
+      accountingService.postPayoutResult.mockClear();
+
+      await expect(payoutService.recordResults('PO-test', [
+        { payoutId: 'PO-test-0002', status: 'paid' },
+        { payoutId: 'PO-test-0001', status: 'failed' }
+      ], 'bank')).rejects.toMatchObject({ status: 409 });
+      expect(accountingService.postPayoutResult).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown payout', async () => {
+      await expect(payoutService.recordResults('PO-test', [{ payoutId: 'PO-test-9999', status: 'paid' }], 'bank'))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const reconciliationService = require('../src/services/ReconciliationService');
+const Payment = require('../src/models/Payment');
+const ReconciliationReport = require('../src/models/ReconciliationReport');
+
+// Chainable stand-in for find().select().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+const HEADER = 'transaction_id,type,status,amount,fee,currency,settled_at,payment_reference';
+const csv = (...lines) => [HEADER, ...lines].join('\n') + '\n';
+
+const payment = (overrides = {}) => ({
+  paymentId: 'PAY-1',
+  externalTransactionId: 'TXN-1',
+  status: 'completed',
+  amount: 150000,
+  refunds: [],
+  ...overrides
+});
+
+describe('ReconciliationService', () => {
+  let payments;
+  let collected;
+
+  beforeEach(() => {
+    payments = [
+      payment(),
+      payment({ paymentId: 'PAY-2', externalTransactionId: 'TXN-2' }),
+      payment({ paymentId: 'PAY-3', externalTransactionId: 'TXN-3', status: 'failed' }),
+      payment({
+        paymentId: 'PAY-4',
+        externalTransactionId: 'TXN-4',
+        status: 'refunded',
+        refunds: [{ refundId: 'REF-1', refundTransactionId: 'RFD-1', amount: 50000, status: 'completed' }]
+      })
+    ];
+    // Đã thu trong ngày theo hệ thống
+    collected = [payment({ paymentId: 'PAY-9', externalTransactionId: 'TXN-9' })];
+
+    jest.spyOn(Payment, 'find').mockImplementation((filter) => {
+      if (filter.externalTransactionId?.$in) {
+        return query(payments.filter(entry => filter.externalTransactionId.$in.includes(entry.externalTransactionId)));
+      }
+      if (filter['refunds.refundTransactionId']) {
+        const ids = filter['refunds.refundTransactionId'].$in;
+        return query(payments.filter(entry => entry.refunds.some(refund => ids.includes(refund.refundTransactionId))));
+      }
+      if (filter.processingCompletedAt) {
+        return query(collected);
+      }
+      return query([]);
+    });
+    jest.spyOn(Payment, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(ReconciliationReport, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ReconciliationReport.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reconcile', () => {
+    const upload = (content) => reconciliationService.reconcile({
+      gateway: 'stripe',
+      settlementDate: '2026-10-18',
+      content,
+      filename: 'stripe-20261018.csv'
+    }, 'admin_1');
+
+    it('should match charges and refunds and raise an exception for each discrepancy', async () => {
+      const { report, created } = await upload(csv(
+        'TXN-1,charge,settled,150000,4350,VND,,',
+        'TXN-2,charge,settled,140000,4060,VND,,',
+        'TXN-3,charge,settled,150000,4350,VND,,',
+        'TXN-X,charge,settled,90000,2610,VND,,PAY-X',
+        'TXN-1,charge,settled,150000,4350,VND,,',
+        'RFD-1,refund,settled,50000,0,VND,,',
+        'TXN-4,charge,settled,150000,4350,VND,,',
+        'TXN-5,charge,pending,abc,0,VND,,'
+      ));
+
+      expect(created).toBe(true);
+      expect(report.exceptions.map(exception => [exception.type, exception.transactionId])).toEqual([
+        ['invalid_line', undefined],
+        ['duplicate', 'TXN-1'],
+        ['amount_mismatch', 'TXN-2'],
+        ['status_mismatch', 'TXN-3'],
+        ['missing_in_system', 'TXN-X'],
+        ['missing_in_settlement', 'TXN-9']
+      ]);
+      expect(report.summary).toMatchObject({ lines: 8, matched: 3, exceptions: 6, openExceptions: 6, refundedAmount: 50000 });
+      expect(report.status).toBe('open');
+
+      // Chỉ payment có trong hệ thống mới được ghi kết quả quyết toán
+      const settled = Payment.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter.paymentId);
+      expect(settled).toEqual(['PAY-1', 'PAY-2', 'PAY-3', 'PAY-4']);
+    });
+
+    it('should flag a charge already settled by an earlier report as a duplicate', async () => {
+      payments[0].settlement = { reportId: 'REC-old', status: 'settled' };
+      collected = [];
+
+      const { report } = await upload(csv('TXN-1,charge,settled,150000,4350,VND,,'));
+
+      expect(report.exceptions).toHaveLength(1);
+      expect(report.exceptions[0]).toMatchObject({ type: 'duplicate', paymentId: 'PAY-1' });
+      expect(Payment.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should return the existing report when the same file is uploaded again', async () => {
+      const existing = { reportId: 'REC-1' };
+      ReconciliationReport.findOne.mockResolvedValue(existing);
+
+      const result = await upload(csv('TXN-1,charge,settled,150000,4350,VND,,'));
+
+      expect(result).toEqual({ report: existing, created: false });
+      expect(Payment.find).not.toHaveBeenCalled();
+      expect(ReconciliationReport.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should return the report saved by another replica for the same file', async () => {
+      const existing = { reportId: 'REC-other' };
+      ReconciliationReport.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      ReconciliationReport.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      const result = await upload(csv('TXN-1,charge,settled,150000,4350,VND,,'));
+
+      expect(result).toEqual({ report: existing, created: false });
+      expect(Payment.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should reject a file missing required columns', async () => {
+      await expect(upload('transaction_id,amount\nTXN-1,150000\n')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('resolveException', () => {
+    let report;
+
+    beforeEach(() => {
+      report = new ReconciliationReport({
+        reportId: 'REC-1',
+        gateway: 'stripe',
+        settlementDate: new Date('2026-10-18'),
+        fileHash: 'hash',
+        exceptions: [
+          { exceptionId: 'REC-1-E0001', type: 'amount_mismatch', message: 'Số tiền khác' },
+          { exceptionId: 'REC-1-E0002', type: 'missing_in_system', message: 'Không có payment' }
+        ]
+      });
+      report.refreshStatus();
+      ReconciliationReport.findOne.mockResolvedValue(report);
+    });
+
+    it('should resolve the report once its last exception is closed', async () => {
+      await reconciliationService.resolveException('REC-1', 'REC-1-E0001', { resolution: 'adjusted', note: 'Đã điều chỉnh' }, 'admin_1');
+      expect(report.status).toBe('open');
+
+      await reconciliationService.resolveException('REC-1', 'REC-1-E0002', { resolution: 'written_off', note: 'Ghi giảm' }, 'admin_1');
+      expect(report.status).toBe('resolved');
+      expect(report.findException('REC-1-E0002')).toMatchObject({ status: 'resolved', resolvedBy: 'admin_1' });
+    });
+
+    it('should require a note', async () => {
+      await expect(reconciliationService.resolveException('REC-1', 'REC-1-E0001', { resolution: 'adjusted' }, 'admin_1'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should refuse to resolve an exception twice', async () => {
+      await reconciliationService.resolveException('REC-1', 'REC-1-E0001', { resolution: 'adjusted', note: 'Đã điều chỉnh' }, 'admin_1');
+
+      await expect(reconciliationService.resolveException('REC-1', 'REC-1-E0001', { resolution: 'adjusted', note: 'Lần nữa' }, 'admin_1'))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
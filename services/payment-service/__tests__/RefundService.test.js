@@ -0,0 +1,180 @@
+const refundService = require('../src/services/RefundService');
+const Payment = require('../src/models/Payment');
+const { getProvider, ProviderError } = require('../src/providers');
+const { publishPaymentEvent } = require('../src/saga/paymentSaga');
+
+jest.mock('../src/providers', () => ({
+  getProvider: jest.fn(),
+  ProviderError: jest.requireActual('../src/providers/PaymentProvider').ProviderError
+}));
+jest.mock('../src/saga/paymentSaga', () => ({
+  publishPaymentEvent: jest.fn()
+}));
+jest.mock('../src/services/AccountingService', () => ({
+  postRefund: jest.fn()
+}));
+
+describe('RefundService', () => {
+  let stored;
+  let provider;
+  let failNextSave;
+
+  // Mỗi lần tải là một bản riêng của payment đã lưu, như hai request đọc MongoDB
+  const load = () => Payment.hydrate(JSON.parse(JSON.stringify(stored)));
+  const storedRefund = (refundId) => stored.refunds.find(refund => refund.refundId === refundId);
+
+  beforeEach(() => {
+    stored = new Payment({
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      userId: 'user_1',
+      amount: 2000000,
+      currency: 'VND',
+      method: 'card',
+      provider: 'stripe',
+      status: 'completed',
+      transactionId: 'TXN-1',
+      processingCompletedAt: new Date()
+    }).toObject();
+    stored.__v = 0;
+    failNextSave = false;
+
+    jest.spyOn(Payment, 'findOne').mockImplementation(async () => load());
+    // Lưu có kiểm tra version như optimistic locking của mongoose
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      if (failNextSave) {
+        failNextSave = false;
+        throw new Error('connection reset');
+      }
+      if (this.__v !== stored.__v) {
+        throw Object.assign(new Error('No matching document found'), { name: 'VersionError' });
+      }
+      this.__v += 1;
+      stored = this.toObject();
+      return this;
+    });
+
+    provider = {
+      refund: jest.fn(async (payment, amount, reason, { refundId }) => ({ refundId: `PSP-${refundId}` }))
+    };
+    getProvider.mockReturnValue(provider);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('approval thresholds', () => {
+    it('should let support refund up to their limit and queue larger refunds', async () => {
+      const small = await refundService.requestRefund('PAY-1', { amount: 200000, reason: 'technical_issue' }, 'support_1', 'support');
+      const large = await refundService.requestRefund('PAY-1', { amount: 200001, reason: 'technical_issue' }, 'support_1', 'support');
+
+      expect(small.refund.status).toBe('completed');
+      expect(large.refund.status).toBe('pending_approval');
+      expect(provider.refund).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue even an admin\'s refund above the approval threshold', async () => {
+      const { refund } = await refundService.requestRefund('PAY-1', { amount: 1000001, reason: 'customer_request' }, 'admin_1', 'admin');
+
+      expect(refund.status).toBe('pending_approval');
+      expect(stored.refund.status).toBe('pending');
+      expect(provider.refund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approveRefund', () => {
+    it('should need a second admin to approve', async () => {
+      const { refund } = await refundService.requestRefund('PAY-1', { amount: 1500000, reason: 'customer_request' }, 'admin_1', 'admin');
+
+      await expect(refundService.approveRefund('PAY-1', refund.refundId, 'admin_1')).rejects.toMatchObject({ status: 403 });
+      expect(provider.refund).not.toHaveBeenCalled();
+
+      const approved = await refundService.approveRefund('PAY-1', refund.refundId, 'admin_2');
+
+      expect(approved.refund).toMatchObject({ status: 'completed', approvedBy: 'admin_2', refundTransactionId: `PSP-${refund.refundId}` });
+      expect(stored.refund.amount).toBe(1500000);
+      expect(publishPaymentEvent).toHaveBeenCalledWith('payment.refunded', expect.objectContaining({ refundId: refund.refundId, amount: 1500000 }));
+    });
+
+    it('should not approve a request twice', async () => {
+      const { refund } = await refundService.requestRefund('PAY-1', { amount: 1500000, reason: 'customer_request' }, 'admin_1', 'admin');
+      await refundService.approveRefund('PAY-1', refund.refundId, 'admin_2');
+
+      await expect(refundService.approveRefund('PAY-1', refund.refundId, 'admin_3')).rejects.toMatchObject({ status: 409 });
+      expect(provider.refund).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('concurrent requests', () => {
+    it('should never reserve more than the refundable amount', async () => {
+      const results = await Promise.allSettled([
+        refundService.requestRefund('PAY-1', { amount: 900000, reason: 'customer_request' }, 'admin_1', 'admin'),
+        refundService.requestRefund('PAY-1', { amount: 900000, reason: 'customer_request' }, 'admin_2', 'admin'),
+        refundService.requestRefund('PAY-1', { amount: 900000, reason: 'customer_request' }, 'admin_3', 'admin')
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+      expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ status: 422 });
+      expect(stored.refund.amount).toBe(1800000);
+    });
+  });
+
+  describe('provider failures', () => {
+    it('should mark a declined refund failed and release the amount', async () => {
+      provider.refund.mockRejectedValue(new ProviderError('mock: số tiền hoàn vượt quá số đã thu', 'declined'));
+
+      await expect(refundService.requestRefund('PAY-1', { reason: 'customer_request', amount: 100000 }, 'admin_1', 'admin'))
+        .rejects.toMatchObject({ status: 502 });
+
+      expect(stored.refunds[0].status).toBe('failed');
+      expect(load().refundableAmount).toBe(2000000);
+    });
+
+    it('should keep a timed out refund processing for the retry worker', async () => {
+      provider.refund.mockRejectedValue(new ProviderError('mock: refund quá thời gian 10000ms', 'timeout', true));
+
+      await expect(refundService.requestRefund('PAY-1', { reason: 'customer_request', amount: 100000 }, 'admin_1', 'admin'))
+        .rejects.toMatchObject({ status: 504 });
+
+      expect(stored.refunds[0].status).toBe('processing');
+    });
+  });
+
+  describe('resumeStaleRefunds', () => {
+    beforeEach(() => {
+      jest.spyOn(Payment, 'find').mockReturnValue({ limit: jest.fn(async () => [load()]) });
+    });
+
+    it('should finish a refund paid out by the provider but not saved', async () => {
+      provider.refund.mockImplementationOnce(async (payment, amount, reason, { refundId }) => {
+        failNextSave = true;
+        return { refundId: `PSP-${refundId}` };
+      });
+
+      const { refund } = await refundService.requestRefund('PAY-1', { reason: 'customer_request', amount: 100000 }, 'admin_1', 'admin');
+      expect(refund.status).toBe('processing');
+      expect(storedRefund(refund.refundId).status).toBe('processing');
+
+      const resumed = await refundService.resumeStaleRefunds(20, new Date(Date.now() + 10 * 60000));
+
+      expect(resumed).toBe(1);
+      expect(storedRefund(refund.refundId)).toMatchObject({ status: 'completed', refundTransactionId: `PSP-${refund.refundId}` });
+      expect(stored.refund.amount).toBe(100000);
+      // Gửi lại cùng refundId: cổng thanh toán không hoàn lần hai
+      expect(provider.refund.mock.calls.map(([, , , options]) => options.refundId)).toEqual([refund.refundId, refund.refundId]);
+      expect(publishPaymentEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave refunds still within their processing time alone', async () => {
+      provider.refund.mockRejectedValue(new ProviderError('mock: refund quá thời gian 10000ms', 'timeout', true));
+      await expect(refundService.requestRefund('PAY-1', { reason: 'customer_request', amount: 100000 }, 'admin_1', 'admin')).rejects.toThrow();
+
+      expect(await refundService.resumeStaleRefunds(20, new Date())).toBe(0);
+      expect(provider.refund).toHaveBeenCalledTimes(1);
+    });
+  });
+});
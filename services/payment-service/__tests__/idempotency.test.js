@@ -0,0 +1,160 @@
+const idempotency = require('../src/middlewares/idempotency');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+
+const request = (overrides = {}) => {
+  const headers = { 'Idempotency-Key': 'key-1', ...overrides.headers };
+  return {
+    method: 'POST',
+    originalUrl: '/api/payments/intents',
+    user: { userId: 'user_1', role: 'customer' },
+    body: { rideId: 'ride_1', amount: 150000, method: 'card' },
+    ...overrides,
+    get: name => headers[name]
+  };
+};
+
+// Response tối thiểu của express; sent resolve khi body thực sự được gửi đi
+const response = () => {
+  let markSent;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: new Promise((resolve) => { markSent = resolve; }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    set: jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      markSent();
+      return res;
+    })
+  };
+  return res;
+};
+
+describe('idempotency middleware', () => {
+  let keys;
+  let handler;
+
+  // Chạy middleware rồi route handler (nếu middleware cho đi tiếp), chờ response được gửi
+  const send = async (req, { respond = true } = {}) => {
+    const res = response();
+    const next = jest.fn();
+    await idempotency(req, res, next);
+    if (next.mock.calls.length === 0 || !respond) return res;
+    await handler(req, res);
+    await res.sent;
+    return res;
+  };
+
+  beforeEach(() => {
+    keys = new Map();
+    handler = jest.fn(async (req, res) => res.status(201).json({ success: true, data: { paymentId: `PAY-${handler.mock.calls.length}` } }));
+
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => {
+      const doc = new IdempotencyKey(data);
+      await doc.validate();
+      if (keys.has(doc.key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      keys.set(doc.key, doc.toObject());
+      return doc;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(({ key }) => ({
+      lean: jest.fn().mockResolvedValue(keys.get(key) || null)
+    }));
+    // Chỉ tiếp quản key còn processing mà lease đã hết hạn
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const stored = keys.get(filter.key);
+      const [{ leaseExpiresAt: { $lte: now } }] = filter.$or;
+      if (!stored || stored.status !== filter.status || stored.leaseExpiresAt > now) return null;
+      Object.assign(stored, $set);
+      return stored;
+    });
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ key }, update) => {
+      Object.assign(keys.get(key), update);
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ key }) => {
+      keys.delete(key);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('duplicate keys', () => {
+    it('should replay the original response for a repeated key', async () => {
+      const first = await send(request());
+      const again = await send(request());
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(again.statusCode).toBe(201);
+      expect(again.body).toEqual(first.body);
+      expect(again.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    it('should keep each caller\'s keys apart', async () => {
+      await send(request());
+      const other = await send(request({ user: { userId: 'user_2', role: 'customer' } }));
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(other.headers['Idempotent-Replayed']).toBeUndefined();
+    });
+
+    it('should refuse a key reused for a different request', async () => {
+      await send(request());
+      const reused = await send(request({ body: { rideId: 'ride_1', amount: 999999, method: 'card' } }));
+
+      expect(reused.statusCode).toBe(422);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let the client retry after a server error', async () => {
+      handler.mockImplementationOnce(async (req, res) => res.status(500).json({ success: false, error: 'boom' }));
+
+      await send(request());
+      const retried = await send(request());
+
+      expect(retried.statusCode).toBe(201);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass requests without a key straight through', async () => {
+      await send(request({ headers: { 'Idempotency-Key': undefined } }));
+      await send(request({ headers: { 'Idempotency-Key': undefined } }));
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(keys.size).toBe(0);
+    });
+  });
+
+  describe('processing lease', () => {
+    it('should answer 409 while the first request is still processing', async () => {
+      await send(request(), { respond: false });
+      const concurrent = await send(request());
+
+      expect(concurrent.statusCode).toBe(409);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should let a retry take over once the lease has expired', async () => {
+      await send(request(), { respond: false });
+      const stored = keys.get('user_1:key-1');
+      stored.leaseExpiresAt = new Date(Date.now() - 1000);
+
+      const retried = await send(request());
+
+      expect(retried.statusCode).toBe(201);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(stored).toMatchObject({ status: 'completed', responseStatus: 201 });
+      expect(stored.leaseExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+});
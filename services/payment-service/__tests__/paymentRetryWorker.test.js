@@ -0,0 +1,156 @@
+process.env.PAYMENT_PROVIDER_TIMEOUT_MS = '20';
+
+const fs = require('fs/promises');
+const Payment = require('../src/models/Payment');
+const PaymentRetryWorker = require('../src/workers/paymentRetryWorker');
+const { mockProvider } = require('../src/providers');
+
+// Cổng thanh toán giả lập thật, lưu trạng thái trong file tạm
+jest.mock('../src/providers', () => {
+  const os = require('os');
+  const path = require('path');
+  const MockProvider = jest.requireActual('../src/providers/MockProvider');
+  const mockProvider = new MockProvider(path.join(os.tmpdir(), `payment-retry-worker-${process.pid}.json`));
+  return { getProvider: () => mockProvider, mockProvider };
+});
+jest.mock('../src/services/AccountingService', () => ({
+  postPayment: jest.fn()
+}));
+jest.mock('../src/services/WalletService', () => ({
+  creditTopUp: jest.fn(),
+  creditCompletedTopUps: jest.fn()
+}));
+
+const transactionsOfType = async (type) => {
+  const { transactions } = await mockProvider.readState();
+  return Object.values(transactions).filter(txn => txn.type === type);
+};
+
+describe('PaymentRetryWorker', () => {
+  let worker;
+  let payment;
+
+  beforeEach(async () => {
+    await fs.rm(mockProvider.filePath, { force: true });
+    worker = new PaymentRetryWorker({ intervalMs: 1000, leaseMs: 60000, batchSize: 10 });
+    payment = new Payment({
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      userId: 'user_1',
+      amount: 150000,
+      currency: 'VND',
+      method: 'card',
+      provider: 'stripe',
+      status: 'pending',
+      retryCount: 1,
+      nextRetryAt: new Date(Date.now() - 1000)
+    });
+
+    jest.spyOn(Payment, 'acquireRetryLease').mockImplementation(async () => {
+      payment.status = 'processing';
+      return payment;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(mockProvider.filePath, { force: true });
+  });
+
+  describe('retry', () => {
+    it('should resume an attempt abandoned after the charge without charging again', async () => {
+      // Worker trước đã thu tiền rồi dừng trước khi lưu kết quả, lease của nó đã hết hạn
+      const authorization = await mockProvider.authorize(payment, { idempotencyKey: 'PAY-1:1:authorize' });
+      const { transactionId } = await mockProvider.capture(payment, authorization, { idempotencyKey: 'PAY-1:1:capture' });
+      payment.status = 'processing';
+      payment.retryLease = { owner: 'crashed-worker', expiresAt: new Date(Date.now() - 1000) };
+
+      expect(await worker.retry('PAY-1')).toBe(true);
+
+      expect(payment).toMatchObject({ status: 'completed', transactionId, retryCount: 1 });
+      expect(await transactionsOfType('authorization')).toHaveLength(1);
+      expect(await transactionsOfType('capture')).toHaveLength(1);
+    });
+
+    it('should charge under a new attempt after a retryable failure', async () => {
+      await mockProvider.setConfig({ mode: 'timeout' });
+
+      await worker.retry('PAY-1');
+
+      expect(payment).toMatchObject({ status: 'pending', retryCount: 2 });
+      expect(await transactionsOfType('authorization')).toHaveLength(0);
+
+      await mockProvider.setConfig({ mode: 'succeed' });
+      await worker.retry('PAY-1');
+
+      expect(payment.status).toBe('completed');
+      expect(await transactionsOfType('capture')).toEqual([
+        expect.objectContaining({ paymentId: 'PAY-1', idempotencyKey: 'PAY-1:2:capture' })
+      ]);
+    });
+
+    it('should fail the payment once the retries run out', async () => {
+      await mockProvider.setConfig({ mode: 'timeout' });
+      payment.retryCount = payment.maxRetries;
+
+      await worker.retry('PAY-1');
+
+      expect(payment.status).toBe('failed');
+      expect(payment.nextRetryAt).toBeUndefined();
+    });
+
+    it('should leave a payment leased by another replica alone', async () => {
+      Payment.acquireRetryLease.mockResolvedValue(null);
+
+      expect(await worker.retry('PAY-1')).toBe(false);
+      expect(await transactionsOfType('authorization')).toHaveLength(0);
+    });
+  });
+
+  describe('leases', () => {
+    it('should only take over processing payments whose lease has expired', async () => {
+      Payment.acquireRetryLease.mockRestore();
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await Payment.acquireRetryLease('PAY-1', 'worker-2', 60000);
+
+      const [[filter, update]] = Payment.findOneAndUpdate.mock.calls;
+      const now = Date.now();
+      expect(filter).toEqual({
+        paymentId: 'PAY-1',
+        $or: [
+          { status: 'pending', nextRetryAt: { $lte: expect.any(Date) } },
+          { status: 'processing', 'retryLease.expiresAt': { $lte: expect.any(Date) } }
+        ]
+      });
+      expect(filter.$or[1]['retryLease.expiresAt'].$lte.getTime()).toBeLessThanOrEqual(now);
+      expect(update.$set.retryLease.owner).toBe('worker-2');
+      expect(update.$set.retryLease.expiresAt.getTime()).toBeGreaterThan(now + 59000);
+    });
+  });
+
+  describe('backoff', () => {
+    it('should double the delay per attempt with jitter, up to the cap', () => {
+      const base = 30000;
+      const cap = 30 * 60000;
+
+      for (let attempt = 1; attempt <= 8; attempt++) {
+        const full = Math.min(base * 2 ** (attempt - 1), cap);
+        const delay = Payment.retryDelay(attempt);
+        expect(delay).toBeGreaterThanOrEqual(full / 2);
+        expect(delay).toBeLessThanOrEqual(full);
+      }
+    });
+  });
+});
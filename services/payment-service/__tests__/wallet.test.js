@@ -0,0 +1,365 @@
+const walletLedgerService = require('../src/services/WalletLedgerService');
+const walletService = require('../src/services/WalletService');
+const WalletProvider = require('../src/providers/WalletProvider');
+const Payment = require('../src/models/Payment');
+const Wallet = require('../src/models/Wallet');
+const WalletHold = require('../src/models/WalletHold');
+const WalletLedgerEntry = require('../src/models/WalletLedgerEntry');
+const { ProviderError } = require('../src/providers/PaymentProvider');
+const { runPaymentSaga } = require('../src/saga/paymentSaga');
+
+jest.mock('../src/saga/paymentSaga', () => ({
+  runPaymentSaga: jest.fn()
+}));
+
+// Mỗi thao tác nhường lượt như một round-trip tới MongoDB, để hai thao tác song song xen kẽ nhau
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const matches = (row, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value?.$in) return value.$in.includes(row[key]);
+  if (value?.$lt !== undefined) return row[key] < value.$lt;
+  return row[key] === value;
+});
+
+const duplicateKey = (keys) => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: Object.fromEntries(keys.map(key => [key, 1]))
+});
+
+// Chainable stand-in for find()/findOne() .sort().select().lean().cursor()
+const query = (run) => {
+  let order;
+  const result = async () => {
+    await roundTrip();
+    const [[key, direction] = []] = Object.entries(order || {});
+    return key ? [...run()].sort((a, b) => (a[key] - b[key]) * direction) : run();
+  };
+  const chain = {
+    sort: (sort) => { order = sort; return chain; },
+    select: () => chain,
+    lean: () => chain,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() { yield* await result(); }
+    }),
+    then: (resolve, reject) => result().then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Collection trong bộ nhớ cho một model: document vẫn qua validate thật của schema,
+ * unique index được kiểm tra khi ghi như MongoDB
+ * @param {string[][]} uniqueIndexes
+ * @returns {Object[]} các bản ghi đã lưu
+ */
+const memoryCollection = (Model, uniqueIndexes) => {
+  const rows = [];
+  const select = (filter) => rows.filter(row => matches(row, filter));
+  const assertUnique = (row) => {
+    const clash = uniqueIndexes.find(keys =>
+      rows.some(other => other !== row && keys.every(key => row[key] !== undefined && other[key] === row[key])));
+    if (clash) throw duplicateKey(clash);
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(() => select(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => {
+    const chain = query(() => select(filter));
+    const then = chain.then;
+    chain.then = (resolve, reject) => then(found => found[0] || null).then(resolve, reject);
+    return chain;
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    await roundTrip();
+    const row = doc.toObject();
+    assertUnique(row);
+    rows.push(row);
+    return doc;
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    await roundTrip();
+    const [row] = select(filter);
+    if (row) {
+      Object.assign(row, update.$set || update);
+      return { matchedCount: 1 };
+    }
+    if (options.upsert) {
+      const equalities = Object.fromEntries(Object.entries(filter).filter(([, value]) => typeof value !== 'object'));
+      const inserted = { ...equalities, ...(update.$set || update) };
+      assertUnique(inserted);
+      rows.push(inserted);
+    }
+    return { matchedCount: 0 };
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await roundTrip();
+    const [row] = select(filter);
+    if (!row) return null;
+    Object.assign(row, update.$set || update);
+    return { ...row };
+  });
+  jest.spyOn(Model, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    await roundTrip();
+    const found = select($match);
+    return found.length ? [{ _id: null, total: found.reduce((sum, row) => sum + row.amount, 0) }] : [];
+  });
+
+  return rows;
+};
+
+describe('Wallet', () => {
+  let entries;
+  let holds;
+  let wallets;
+
+  const hold = (bookingId, amount) =>
+    walletLedgerService.placeHold({ userId: 'user_1', bookingId, paymentId: `PAY-${bookingId}`, amount });
+
+  beforeEach(() => {
+    entries = memoryCollection(WalletLedgerEntry, [['entryId'], ['userId', 'sequence'], ['idempotencyKey']]);
+    holds = memoryCollection(WalletHold, [['holdId'], ['bookingId']]);
+    wallets = memoryCollection(Wallet, [['userId']]);
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('WalletLedgerService', () => {
+    beforeEach(async () => {
+      await walletLedgerService.credit('user_1', 100000, { idempotencyKey: 'topup:PAY-0' });
+    });
+
+    describe('holds', () => {
+      it('should hold only what the wallet has available', async () => {
+        const first = await hold('booking_1', 60000);
+
+        await expect(hold('booking_2', 60000)).rejects.toMatchObject({ status: 402 });
+
+        expect(first.status).toBe('active');
+        expect(holds.find(row => row.bookingId === 'booking_2').status).toBe('failed');
+        expect(await walletLedgerService.getState('user_1')).toMatchObject({ balance: 100000, heldAmount: 60000, availableBalance: 40000 });
+      });
+
+      it('should hold a booking only once', async () => {
+        const first = await hold('booking_1', 60000);
+        const again = await hold('booking_1', 60000);
+
+        expect(again.holdId).toBe(first.holdId);
+        expect((await walletLedgerService.getState('user_1')).heldAmount).toBe(60000);
+      });
+
+      it('should let only one of two concurrent holds spend the same money', async () => {
+        const results = await Promise.allSettled([hold('booking_1', 60000), hold('booking_2', 60000)]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ status: 402 });
+        expect((await walletLedgerService.getState('user_1')).heldAmount).toBe(60000);
+      });
+
+      it('should give a hold back when it is released', async () => {
+        const { holdId } = await hold('booking_1', 60000);
+
+        const released = await walletLedgerService.releaseHold(holdId, 'ride_cancelled');
+
+        expect(released.status).toBe('released');
+        expect(await walletLedgerService.getState('user_1')).toMatchObject({ balance: 100000, heldAmount: 0 });
+      });
+    });
+
+    describe('captureHold', () => {
+      it('should take a fare above the hold from the available balance', async () => {
+        const { holdId } = await hold('booking_1', 60000);
+
+        const { hold: captured, entry } = await walletLedgerService.captureHold(holdId, 70000);
+
+        expect(captured).toMatchObject({ status: 'captured', capturedAmount: 70000 });
+        expect(entry).toMatchObject({ type: 'capture', amount: -70000, heldDelta: -60000 });
+        expect(await walletLedgerService.getState('user_1')).toMatchObject({ balance: 30000, heldAmount: 0 });
+      });
+
+      it('should keep the hold when the balance cannot cover the extra fare', async () => {
+        const { holdId } = await hold('booking_1', 60000);
+
+        await expect(walletLedgerService.captureHold(holdId, 150000)).rejects.toMatchObject({ status: 402 });
+
+        expect(holds.find(row => row.holdId === holdId).status).toBe('active');
+        expect(await walletLedgerService.getState('user_1')).toMatchObject({ balance: 100000, heldAmount: 60000 });
+      });
+
+      it('should return the earlier capture for a hold already captured', async () => {
+        const { holdId } = await hold('booking_1', 60000);
+        const first = await walletLedgerService.captureHold(holdId, 60000);
+
+        const again = await walletLedgerService.captureHold(holdId, 60000);
+
+        expect(again.entry.entryId).toBe(first.entry.entryId);
+        expect((await walletLedgerService.getState('user_1')).balance).toBe(40000);
+      });
+    });
+
+    describe('append', () => {
+      it('should re-read the balance and retry when another write takes the sequence', async () => {
+        await Promise.all([
+          walletLedgerService.credit('user_1', 20000),
+          walletLedgerService.credit('user_1', 30000)
+        ]);
+
+        expect(entries.map(entry => [entry.sequence, entry.balanceAfter])).toEqual([[1, 100000], [2, 120000], [3, 150000]]);
+        // Nạp ban đầu, hai lần ghi cùng sequence 2 và lần ghi lại sequence 3
+        expect(WalletLedgerEntry.create).toHaveBeenCalledTimes(4);
+      });
+
+      it('should write a repeated idempotency key only once', async () => {
+        const again = await walletLedgerService.credit('user_1', 100000, { idempotencyKey: 'topup:PAY-0' });
+
+        expect(again.sequence).toBe(1);
+        expect(entries).toHaveLength(1);
+      });
+
+      it('should give up with 409 when every attempt loses the sequence', async () => {
+        WalletLedgerEntry.create.mockRejectedValue(duplicateKey(['userId', 'sequence']));
+
+        await expect(walletLedgerService.credit('user_1', 20000)).rejects.toMatchObject({ status: 409 });
+        // Nạp ban đầu và 5 lần thử ghi
+        expect(WalletLedgerEntry.create).toHaveBeenCalledTimes(6);
+      });
+    });
+
+    describe('rebuild', () => {
+      it('should rebuild the balance from the ledger and find nothing wrong', async () => {
+        const { holdId } = await hold('booking_1', 60000);
+        await walletLedgerService.captureHold(holdId, 70000);
+        await hold('booking_2', 10000);
+
+        expect(await walletLedgerService.rebuild('user_1')).toMatchObject({
+          balance: 30000,
+          heldAmount: 10000,
+          entries: 4,
+          consistent: true,
+          projectionMatches: true,
+          issues: []
+        });
+      });
+
+      it('should report a tampered entry and repair a stale projection', async () => {
+        await walletLedgerService.credit('user_1', 20000);
+        entries[1].balanceAfter = 999999;
+        wallets[0].balance = 5;
+
+        const report = await walletLedgerService.rebuild('user_1', { repair: true });
+
+        expect(report).toMatchObject({ balance: 120000, consistent: false, projectionMatches: false, repaired: true });
+        expect(report.issues).toEqual([expect.objectContaining({ sequence: 2, computed: { balance: 120000, heldAmount: 0 } })]);
+        expect(wallets[0]).toMatchObject({ balance: 120000, heldAmount: 0, sequence: 2 });
+      });
+    });
+  });
+
+  describe('WalletService', () => {
+    const topUpPayment = () => new Payment({
+      paymentId: 'PAY-TOPUP',
+      rideId: 'TOPUP-PAY-TOPUP',
+      purpose: 'wallet_topup',
+      userId: 'user_1',
+      amount: 200000,
+      method: 'card',
+      provider: 'stripe',
+      status: 'completed'
+    });
+
+    it('should credit the wallet once the top-up is charged', async () => {
+      runPaymentSaga.mockImplementation(async (payment) => {
+        payment.status = 'completed';
+      });
+
+      const { payment, wallet, pending } = await walletService.topUp('user_1', { amount: 200000 }, 'user_1');
+
+      expect(pending).toBe(false);
+      expect(wallet).toMatchObject({ balance: 200000, availableBalance: 200000 });
+      expect(payment.walletDetails).toMatchObject({ balanceBefore: 0, balanceAfter: 200000 });
+    });
+
+    it('should leave a top-up awaiting retry uncredited', async () => {
+      runPaymentSaga.mockImplementation(async (payment) => {
+        payment.status = 'pending';
+        throw new ProviderError('stripe: authorize quá thời gian', 'timeout', true);
+      });
+
+      const { wallet, pending } = await walletService.topUp('user_1', { amount: 200000 }, 'user_1');
+
+      expect(pending).toBe(true);
+      expect(wallet.balance).toBe(0);
+      expect(entries).toHaveLength(0);
+    });
+
+    it('should reject a top-up outside the limits', async () => {
+      await expect(walletService.topUp('user_1', { amount: 5000 }, 'user_1')).rejects.toMatchObject({ status: 400 });
+      expect(runPaymentSaga).not.toHaveBeenCalled();
+    });
+
+    it('should credit a charged top-up only once', async () => {
+      const payment = topUpPayment();
+
+      await walletService.creditTopUp(payment);
+      const wallet = await walletService.creditTopUp(payment);
+
+      expect(wallet.balance).toBe(200000);
+      expect(entries).toHaveLength(1);
+    });
+  });
+
+  describe('WalletProvider', () => {
+    const provider = new WalletProvider();
+    const ridePayment = (overrides = {}) => ({
+      paymentId: 'PAY-1',
+      rideId: 'ride_1',
+      bookingId: 'booking_1',
+      userId: 'user_1',
+      amount: 60000,
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      await walletLedgerService.credit('user_1', 100000);
+    });
+
+    it('should hold on authorize and charge the hold on capture', async () => {
+      const payment = ridePayment();
+
+      const authorization = await provider.authorize(payment);
+      const { transactionId } = await provider.capture(payment, authorization);
+
+      expect(holds[0]).toMatchObject({ holdId: authorization.authorizationId, bookingId: 'booking_1', status: 'captured' });
+      expect(transactionId).toBe(entries.at(-1).entryId);
+      expect(payment.walletDetails).toMatchObject({ holdId: authorization.authorizationId, balanceBefore: 100000, balanceAfter: 40000 });
+    });
+
+    it('should hold each invited rider\'s share separately', async () => {
+      await provider.authorize(ridePayment({ paymentId: 'PAY-2', amount: 30000, split: { shareId: 'SHR-1' } }));
+      await provider.authorize(ridePayment({ paymentId: 'PAY-3', amount: 30000, split: { shareId: 'SHR-2' } }));
+
+      expect(holds.map(row => row.bookingId)).toEqual(['booking_1:SHR-1', 'booking_1:SHR-2']);
+    });
+
+    it('should decline when the wallet cannot cover the hold', async () => {
+      await expect(provider.authorize(ridePayment({ amount: 150000 })))
+        .rejects.toMatchObject({ name: 'ProviderError', code: 'declined' });
+    });
+
+    it('should refund a refund request only once', async () => {
+      const first = await provider.refund(ridePayment(), 20000, 'customer_request', { refundId: 'RFD-1' });
+      const again = await provider.refund(ridePayment(), 20000, 'customer_request', { refundId: 'RFD-1' });
+
+      expect(again.refundId).toBe(first.refundId);
+      expect((await walletLedgerService.getState('user_1')).balance).toBe(120000);
+    });
+  });
+});
@@ -5,12 +5,24 @@ const morgan = require('morgan');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+const paymentRoutes = require('./routes/paymentRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const accountingRoutes = require('./routes/accountingRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const cashRoutes = require('./routes/cashRoutes');
+const fareSplitRoutes = require('./routes/fareSplitRoutes');
+
 const app = express();
 
 // 1. Middlewares
 app.use(helmet());
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*', credentials: true }));
-app.use(express.json({ limit: '10mb' }));
+// Giữ body gốc để xác thực chữ ký webhook
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -73,15 +85,21 @@ app.post('/api/payments/test-order', async (req, res) => {
   }
 });
 
-// Lấy chi tiết một giao dịch
-app.get('/api/payments/:paymentId', async (req, res) => {
-  try {
-    const Payment = require('./models/Payment');
-    const payment = await Payment.findOne({ paymentId: req.params.paymentId });
-    if (!payment) return res.status(404).json({ error: 'Không tìm thấy giao dịch' });
-    res.json(payment);
-  } catch (err) { res.status(500).json({ error: err.message }); }
-});
+// Ví khách hàng (đặt trước paymentRoutes để không khớp /:paymentId)
+app.use('/api/payments/wallets', walletRoutes);
+// Sổ kép: bảng cân đối thử, sổ chi tiết tài khoản
+app.use('/api/payments/accounting', accountingRoutes);
+// Chi trả thu nhập tài xế
+app.use('/api/payments/payouts', payoutRoutes);
+// Đối soát file quyết toán của cổng thanh toán
+app.use('/api/payments/reconciliation', reconciliationRoutes);
+// Thu tiền mặt: tài xế xác nhận đã thu, tiền mặt tài xế đang giữ
+app.use('/api/payments/cash', cashRoutes);
+// Chia tiền chuyến giữa nhiều người
+app.use('/api/payments/splits', fareSplitRoutes);
+
+// Payment intent, capture, cancel, tra cứu theo user / chuyến xe
+app.use('/api/payments', paymentRoutes);
 
 // 4. Xử lý Route không tồn tại (Middleware này phải nằm dưới cùng của các route)
 app.use((req, res) => {
@@ -94,8 +112,9 @@ app.use((req, res) => {
 
 // 5. Bộ xử lý lỗi tập trung
 app.use((err, req, res, next) => {
-  console.error('🔴 [PaymentService Error]:', err.stack);
-  res.status(err.status || 500).json({ error: err.message || 'Lỗi hệ thống' });
+  const status = err.status || 500;
+  if (status >= 500) console.error('🔴 [PaymentService Error]:', err.stack);
+  res.status(status).json({ success: false, error: err.message || 'Lỗi hệ thống' });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const accountingService = require('../services/AccountingService');
+
+class AccountingController {
+  // GET /api/payments/accounting/trial-balance?asOf=
+  async getTrialBalance(req, res, next) {
+    try {
+      const result = await accountingService.getTrialBalance(req.query);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/accounting/accounts/:account/statement?party=&from=&to=&limit=
+  async getStatement(req, res, next) {
+    try {
+      const result = await accountingService.getStatement(req.params.account, req.query);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/accounting/accounts/:account/balances?asOf= - Số dư theo từng đối tượng
+  async getPartyBalances(req, res, next) {
+    try {
+      const balances = await accountingService.getPartyBalances(req.params.account, req.query);
+      res.json({ success: true, data: balances });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/accounting/payments/:paymentId/post - Ghi lại sổ cho payment
+  async postPayment(req, res, next) {
+    try {
+      const journal = await accountingService.postPaymentById(req.params.paymentId);
+      res.json({ success: true, data: journal });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AccountingController();
@@ -0,0 +1,57 @@
+const cashService = require('../services/CashService');
+const { getActor, getRole } = require('@cab-booking/shared');
+
+const getRequestMetadata = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+class CashController {
+  // POST /api/payments/cash/rides/:rideId/collect - Tài xế xác nhận đã thu { amountReceived, changeGiven, differenceReason, notes }
+  async confirmCollection(req, res, next) {
+    try {
+      const payment = await cashService.confirmCollection(
+        req.params.rideId,
+        req.body || {},
+        getActor(req),
+        getRole(req),
+        getRequestMetadata(req)
+      );
+      res.json({ success: true, data: payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/cash/drivers/:driverId - Tiền mặt đang giữ, hoa hồng còn nợ
+  async getDriverSummary(req, res, next) {
+    try {
+      const summary = await cashService.getDriverCashSummary(req.params.driverId);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/cash/drivers/:driverId/remittances - Tài xế nộp tiền mặt { amount, reference }
+  async recordRemittance(req, res, next) {
+    try {
+      const remittance = await cashService.recordRemittance(req.params.driverId, req.body || {}, getActor(req));
+      res.status(201).json({ success: true, data: remittance });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/cash/rides?status=awaiting_collection|collected|review&driverId=&olderThanHours=
+  async listCashRides(req, res, next) {
+    try {
+      const result = await cashService.listCashRides(req.query);
+      res.json({ success: true, data: result.rides, pagination: result.pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CashController();
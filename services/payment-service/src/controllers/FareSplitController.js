@@ -0,0 +1,61 @@
+const fareSplitService = require('../services/FareSplitService');
+const { getActor, getRole } = require('@cab-booking/shared');
+
+class FareSplitController {
+  // POST /api/payments/splits - Người đặt mời chia tiền { rideId, mode, participants: [{ phone|email, amount? }] }
+  async createSplit(req, res, next) {
+    try {
+      const split = await fareSplitService.createSplit(req.body || {}, getActor(req));
+      res.status(201).json({ success: true, data: split });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/splits/invitations - Lời mời chia tiền đang chờ người gọi trả lời
+  async listInvitations(req, res, next) {
+    try {
+      const invitations = await fareSplitService.listInvitations(getActor(req));
+      res.json({ success: true, data: invitations });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/splits/:splitId
+  async getSplit(req, res, next) {
+    try {
+      const split = await fareSplitService.getSplit(req.params.splitId, getActor(req), getRole(req));
+      res.json({ success: true, data: split });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/splits/:splitId/shares/:shareId/accept - Nhận và trả phần của mình { method }
+  async acceptShare(req, res, next) {
+    try {
+      const result = await fareSplitService.acceptShare(
+        req.params.splitId,
+        req.params.shareId,
+        req.body || {},
+        getActor(req)
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/splits/:splitId/shares/:shareId/decline
+  async declineShare(req, res, next) {
+    try {
+      const split = await fareSplitService.declineShare(req.params.splitId, req.params.shareId, getActor(req));
+      res.json({ success: true, data: split });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FareSplitController();
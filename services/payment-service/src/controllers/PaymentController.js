@@ -0,0 +1,190 @@
+const paymentService = require('../services/PaymentService');
+const refundService = require('../services/RefundService');
+const { getActor, getRole } = require('@cab-booking/shared');
+
+const getRequestMetadata = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+class PaymentController {
+  // POST /api/payments/intents - Tạo payment intent cho chuyến xe
+  async createIntent(req, res, next) {
+    try {
+      const payment = await paymentService.createIntent(
+        req.body || {},
+        getActor(req),
+        getRole(req),
+        getRequestMetadata(req)
+      );
+      res.status(201).json({ success: true, data: payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/:paymentId/capture - Thu tiền
+  async capture(req, res, next) {
+    try {
+      const payment = await paymentService.capture(
+        req.params.paymentId,
+        getActor(req),
+        getRole(req),
+        getRequestMetadata(req)
+      );
+      res.json({ success: true, data: payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/:paymentId/cancel - Hủy intent chưa capture
+  async cancel(req, res, next) {
+    try {
+      const payment = await paymentService.cancel(
+        req.params.paymentId,
+        getActor(req),
+        getRole(req),
+        req.body?.reason,
+        getRequestMetadata(req)
+      );
+      res.json({ success: true, data: payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/:paymentId/refunds - Hoàn tiền toàn phần (không có amount) hoặc một phần
+  async requestRefund(req, res, next) {
+    try {
+      const result = await refundService.requestRefund(
+        req.params.paymentId,
+        req.body || {},
+        getActor(req),
+        getRole(req),
+        getRequestMetadata(req)
+      );
+      // 202: lệnh vượt ngưỡng đang chờ admin duyệt
+      res.status(result.refund.status === 'pending_approval' ? 202 : 201).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/:paymentId/refunds
+  async listRefunds(req, res, next) {
+    try {
+      const result = await refundService.listRefunds(req.params.paymentId);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/refunds/pending - Lệnh hoàn tiền chờ duyệt
+  async listPendingRefunds(req, res, next) {
+    try {
+      const refunds = await refundService.listPendingApprovals();
+      res.json({ success: true, data: refunds });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/:paymentId/refunds/:refundId/approve
+  async approveRefund(req, res, next) {
+    try {
+      const result = await refundService.approveRefund(
+        req.params.paymentId,
+        req.params.refundId,
+        getActor(req),
+        getRequestMetadata(req)
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/:paymentId/refunds/:refundId/reject
+  async rejectRefund(req, res, next) {
+    try {
+      const result = await refundService.rejectRefund(
+        req.params.paymentId,
+        req.params.refundId,
+        getActor(req),
+        req.body?.reason,
+        getRequestMetadata(req)
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/webhooks/:provider - Cổng thanh toán gọi về
+  async handleWebhook(req, res, next) {
+    try {
+      const result = await paymentService.handleWebhook(
+        req.params.provider,
+        req.rawBody || Buffer.from(JSON.stringify(req.body || {})),
+        req.headers
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/mock-provider - Kịch bản hiện tại của cổng giả lập
+  async getMockProvider(req, res, next) {
+    try {
+      const config = await paymentService.getMockProviderConfig();
+      res.json({ success: true, data: config });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // PUT /api/payments/mock-provider - Đổi kịch bản: succeed | decline | timeout | slow
+  async updateMockProvider(req, res, next) {
+    try {
+      const config = await paymentService.updateMockProviderConfig(req.body);
+      res.json({ success: true, data: config });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/users/:userId?status=&page=&limit=
+  async listByUser(req, res, next) {
+    try {
+      const result = await paymentService.listByUser(req.params.userId, req.query);
+      res.json({ success: true, data: result.payments, pagination: result.pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/rides/:rideId
+  async listByRide(req, res, next) {
+    try {
+      const payments = await paymentService.listByRide(req.params.rideId, getActor(req), getRole(req));
+      res.json({ success: true, data: payments });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/:paymentId - Chi tiết giao dịch
+  async getPayment(req, res, next) {
+    try {
+      const payment = await paymentService.getPaymentFor(req.params.paymentId, getActor(req), getRole(req));
+      res.json(payment);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,78 @@
+const payoutService = require('../services/PayoutService');
+const { getActor } = require('@cab-booking/shared');
+
+class PayoutController {
+  // POST /api/payments/payouts/batches - Chốt đợt chi trả { periodStart, periodEnd }
+  async createBatch(req, res, next) {
+    try {
+      const batch = await payoutService.createBatch(req.body || {}, getActor(req));
+      res.status(201).json({ success: true, data: batch });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/payouts/batches?status=&page=&limit=
+  async listBatches(req, res, next) {
+    try {
+      const result = await payoutService.listBatches(req.query);
+      res.json({ success: true, data: result.batches, pagination: result.pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/payouts/batches/:batchId
+  async getBatch(req, res, next) {
+    try {
+      const batch = await payoutService.getBatch(req.params.batchId);
+      res.json({ success: true, data: batch });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/payouts/batches/:batchId/finalize - Chốt tiếp đợt bị dừng giữa chừng
+  async finalizeBatch(req, res, next) {
+    try {
+      const batch = await payoutService.finalizeBatch(req.params.batchId);
+      res.json({ success: true, data: batch });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/payouts/batches/:batchId/export?format=csv|napas - Tải file chuyển khoản
+  async exportBatch(req, res, next) {
+    try {
+      const file = await payoutService.exportBatch(req.params.batchId, req.query.format, getActor(req));
+      res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/payouts/batches/:batchId/results - Kết quả chuyển khoản { results: [...] }
+  async recordResults(req, res, next) {
+    try {
+      const batch = await payoutService.recordResults(req.params.batchId, req.body?.results, getActor(req));
+      res.json({ success: true, data: batch });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/payouts/drivers/:driverId - Thu nhập chưa chi trả, đang chuyển, đã nhận
+  async getDriverSummary(req, res, next) {
+    try {
+      const summary = await payoutService.getDriverSummary(req.params.driverId);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PayoutController();
@@ -0,0 +1,82 @@
+const reconciliationService = require('../services/ReconciliationService');
+const { getActor } = require('@cab-booking/shared');
+
+class ReconciliationController {
+  /**
+   * POST /api/payments/reconciliation/reports - Nạp file quyết toán
+   * Body text/csv kèm ?gateway=&settlementDate=&filename=
+   * hoặc JSON { gateway, settlementDate, filename, csv }
+   */
+  async uploadReport(req, res, next) {
+    try {
+      const isCsv = typeof req.body === 'string';
+      const input = isCsv ? req.query : (req.body || {});
+      const { report, created } = await reconciliationService.reconcile({
+        gateway: input.gateway,
+        settlementDate: input.settlementDate,
+        filename: input.filename,
+        content: isCsv ? req.body : input.csv
+      }, getActor(req));
+      res.status(created ? 201 : 200).json({ success: true, data: report, created });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/reconciliation/run { settlementDate } - Chạy đối soát theo lịch ngay
+  async runScheduled(req, res, next) {
+    try {
+      const reports = await reconciliationService.reconcileScheduled(req.body?.settlementDate);
+      res.json({ success: true, data: reports });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/reconciliation/reports?gateway=&status=&page=&limit=
+  async listReports(req, res, next) {
+    try {
+      const result = await reconciliationService.listReports(req.query);
+      res.json({ success: true, data: result.reports, pagination: result.pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/reconciliation/reports/:reportId
+  async getReport(req, res, next) {
+    try {
+      const report = await reconciliationService.getReport(req.params.reportId);
+      res.json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/reconciliation/exceptions?status=open&type=&gateway=
+  async listExceptions(req, res, next) {
+    try {
+      const exceptions = await reconciliationService.listExceptions(req.query);
+      res.json({ success: true, data: exceptions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/reconciliation/reports/:reportId/exceptions/:exceptionId/resolve { resolution, note }
+  async resolveException(req, res, next) {
+    try {
+      const report = await reconciliationService.resolveException(
+        req.params.reportId,
+        req.params.exceptionId,
+        req.body || {},
+        getActor(req)
+      );
+      res.json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ReconciliationController();
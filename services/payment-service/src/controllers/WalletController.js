@@ -0,0 +1,67 @@
+const walletService = require('../services/WalletService');
+const { getActor } = require('@cab-booking/shared');
+
+const getRequestMetadata = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+class WalletController {
+  // GET /api/payments/wallets/:userId - Số dư ví
+  async getWallet(req, res, next) {
+    try {
+      const wallet = await walletService.getWallet(req.params.userId);
+      res.json({ success: true, data: wallet });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/wallets/:userId/ledger?type=&page=&limit=
+  async getLedger(req, res, next) {
+    try {
+      const result = await walletService.getLedger(req.params.userId, req.query);
+      res.json({ success: true, data: result.entries, pagination: result.pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/payments/wallets/:userId/holds?status=
+  async listHolds(req, res, next) {
+    try {
+      const holds = await walletService.listHolds(req.params.userId, req.query);
+      res.json({ success: true, data: holds });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/wallets/:userId/topups - Nạp ví qua cổng thanh toán
+  async topUp(req, res, next) {
+    try {
+      const result = await walletService.topUp(
+        req.params.userId,
+        req.body || {},
+        getActor(req),
+        getRequestMetadata(req)
+      );
+      // 202: cổng thanh toán lỗi tạm thời, hệ thống tự thu lại và ghi có ví
+      res.status(result.pending ? 202 : 201).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/payments/wallets/:userId/rebuild?repair=true - Đối chiếu số dư với sổ cái (admin)
+  async rebuild(req, res, next) {
+    try {
+      const result = await walletService.rebuild(req.params.userId, req.query.repair === 'true');
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WalletController();
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// Request đang xử lý giữ key trong thời gian này; quá hạn (vd: service chết giữa chừng) thì retry được tiếp quản
+const PROCESSING_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_SECONDS, 10) || 60;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ body: req.body || {} }))
+  .digest('hex');
+
+const leaseUntil = () => new Date(Date.now() + PROCESSING_LEASE_SECONDS * 1000);
+
+/**
+ * Honor the `Idempotency-Key` header on mutating routes.
+ * - Keys are per caller: the same key from two users never collides
+ * - First request: key is stored as "processing", the response is saved when sent
+ * - Retry with the same key: the original status code and body are replayed
+ * - Same key with a different request: 422; still processing: 409, until the lease runs out
+ * Requests without the header are processed normally.
+ */
+const idempotency = async (req, res, next) => {
+  const clientKey = req.get('Idempotency-Key');
+  if (!clientKey) return next();
+
+  if (clientKey.length > 255) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  // Đặt sau authenticate: không có người gọi thì không có phạm vi key riêng
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Idempotency-Key requires an authenticated caller' });
+  }
+  const key = `${req.user.userId}:${clientKey}`;
+  const scope = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope,
+      requestHash,
+      leaseExpiresAt: leaseUntil(),
+      expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const stored = await IdempotencyKey.findOne({ key }).lean();
+    if (!stored) {
+      return res.status(409).json({ success: false, error: 'Idempotency-Key conflict, please retry' });
+    }
+    if (stored.scope !== scope || stored.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request'
+      });
+    }
+    if (stored.status === 'processing') {
+      const now = new Date();
+      const takenOver = await IdempotencyKey.findOneAndUpdate(
+        {
+          key,
+          status: 'processing',
+          $or: [{ leaseExpiresAt: { $lte: now } }, { leaseExpiresAt: { $exists: false } }]
+        },
+        { $set: { leaseExpiresAt: leaseUntil() } }
+      );
+      if (!takenOver) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    } else {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.responseStatus).json(stored.responseBody);
+    }
+  }
+
+  // Lưu response gốc TRƯỚC khi gửi đi, để retry ngay sau đó đã thấy kết quả
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const saving = statusCode >= 500
+      // Lỗi hệ thống: xóa key để client có thể thử lại
+      ? IdempotencyKey.deleteOne({ key })
+      : IdempotencyKey.updateOne(
+        { key },
+        { status: 'completed', responseStatus: statusCode, responseBody: body, completedAt: new Date() }
+      );
+
+    saving
+      .catch(err => console.error('❌ Không lưu được Idempotency-Key:', err.message))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// invited -> accepted (đang thu) -> paid | failed; invited -> declined | expired; paid -> refunded (hủy chuyến)
+const SHARE_STATUSES = ['invited', 'accepted', 'paid', 'failed', 'declined', 'expired', 'refunded'];
+// Phần không còn chờ người được mời: người đặt trả thay (trừ paid)
+const RESOLVED_SHARE_STATUSES = ['paid', 'failed', 'declined', 'expired', 'refunded'];
+
+// Phần cước của một người được mời
+const shareSchema = new mongoose.Schema({
+  shareId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Người đặt mời bằng số điện thoại hoặc email
+  invitedBy: {
+    phone: String,
+    email: String
+  },
+  displayName: String,
+  amount: { type: Number, required: true, min: 1 },
+  status: {
+    type: String,
+    enum: SHARE_STATUSES,
+    default: 'invited'
+  },
+  method: String,
+  paymentId: String,
+  error: String,
+  // Phần đã trả được trừ khỏi payment của người đặt: giảm số tiền (chưa thu) hoặc hoàn tiền (đã thu)
+  ownerCredit: {
+    type: { type: String, enum: ['amount_reduced', 'refunded', 'failed'] },
+    refundId: String,
+    error: String
+  },
+  respondedAt: Date,
+  paidAt: Date
+}, { _id: false });
+
+/**
+ * Chia tiền một chuyến giữa người đặt và những người được mời
+ * open -> closed (mọi phần đã có kết quả) | cancelled (hủy chuyến)
+ */
+const fareSplitSchema = new mongoose.Schema({
+  splitId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Mỗi chuyến chỉ chia tiền một lần
+  rideId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bookingId: String,
+  ownerUserId: {
+    type: String,
+    required: true
+  },
+  ownerPaymentId: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['equal', 'custom'],
+    required: true
+  },
+  // Cước lúc chia (ước tính), người đặt trả phần còn lại của cước thực tế
+  totalAmount: { type: Number, required: true },
+  currency: { type: String, default: 'VND' },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  shares: [shareSchema],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date
+}, {
+  timestamps: true,
+  collection: 'fare_splits'
+});
+
+fareSplitSchema.index({ 'shares.userId': 1, status: 1 });
+fareSplitSchema.index({ status: 1, expiresAt: 1 });
+
+fareSplitSchema.virtual('paidAmount').get(function() {
+  return this.shares
+    .filter(share => share.status === 'paid')
+    .reduce((sum, share) => sum + share.amount, 0);
+});
+
+fareSplitSchema.methods.findShare = function(shareId) {
+  return this.shares.find(share => share.shareId === shareId);
+};
+
+// Đóng khi không còn phần nào chờ người được mời trả lời / đang thu
+fareSplitSchema.methods.refreshStatus = function() {
+  if (this.status === 'open' && this.shares.every(share => RESOLVED_SHARE_STATUSES.includes(share.status))) {
+    this.status = 'closed';
+    this.closedAt = new Date();
+  }
+  return this.status;
+};
+
+module.exports = mongoose.model('FareSplit', fareSplitSchema);
+module.exports.SHARE_STATUSES = SHARE_STATUSES;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lưu Idempotency-Key và response gốc của các request thay đổi dữ liệu,
+ * để client gửi lại (retry) nhận đúng kết quả cũ thay vì bị trừ tiền 2 lần
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  }, // "<userId>:<Idempotency-Key>" - mỗi người gọi một không gian key riêng
+  scope: {
+    type: String,
+    required: true
+  }, // "POST /api/payments/:paymentId/capture" với params thật
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Hết hạn mà vẫn "processing" (request chết giữa chừng) thì lần retry sau được xử lý lại
+  leaseExpiresAt: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'idempotency_keys'
+});
+
+// MongoDB tự xóa key hết hạn
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
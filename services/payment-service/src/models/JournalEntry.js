@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Hệ thống tài khoản kế toán
+ * normal: phía làm tăng số dư (debit với tài sản/chi phí, credit với nợ phải trả/doanh thu)
+ * Tài khoản có party được theo dõi chi tiết theo đối tượng (tài xế, khách hàng, cổng thanh toán)
+ */
+const ACCOUNTS = {
+  platform_bank: { type: 'asset', normal: 'debit', party: null, description: 'Tài khoản ngân hàng của nền tảng' },
+  provider_receivable: { type: 'asset', normal: 'debit', party: 'provider', description: 'Tiền cổng thanh toán đang giữ, chờ quyết toán' },
+  driver_cash: { type: 'asset', normal: 'debit', party: 'driver', description: 'Tiền mặt tài xế đã thu hộ, phải nộp lại' },
+  customer_wallet: { type: 'liability', normal: 'credit', party: 'customer', description: 'Số dư ví khách hàng' },
+  driver_earnings: { type: 'liability', normal: 'credit', party: 'driver', description: 'Thu nhập tài xế chưa chi trả' },
+  payouts_payable: { type: 'liability', normal: 'credit', party: 'driver', description: 'Thu nhập đã chốt vào đợt chi trả, chờ ngân hàng chuyển' },
+  provider_fees_payable: { type: 'liability', normal: 'credit', party: 'provider', description: 'Phí cổng thanh toán phải trả' },
+  vat_payable: { type: 'liability', normal: 'credit', party: null, description: 'Thuế GTGT phải nộp' },
+  platform_revenue: { type: 'revenue', normal: 'credit', party: null, description: 'Phí nền tảng' },
+  provider_fee_expense: { type: 'expense', normal: 'debit', party: 'provider', description: 'Phí cổng thanh toán nền tảng chịu (nạp ví)' }
+};
+
+const JOURNAL_TYPES = ['payment', 'refund', 'wallet_topup', 'payout', 'cash_remittance', 'adjustment'];
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.keys(ACCOUNTS),
+    required: true
+  },
+  party: String,
+  // Mỗi dòng chỉ ghi một phía, số nguyên VND
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  memo: String
+}, { _id: false });
+
+/**
+ * Bút toán kép (append-only): tổng nợ = tổng có trên mỗi bút toán.
+ * Hoàn tiền ghi bút toán đảo chiều, không sửa bút toán gốc.
+ */
+const journalEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Khóa nghiệp vụ chống ghi trùng, vd: payment:<paymentId>, refund:<refundId>
+  postingKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: JOURNAL_TYPES,
+    required: true
+  },
+  currency: { type: String, default: 'VND' },
+  reference: {
+    paymentId: String,
+    refundId: String,
+    bookingId: String,
+    payoutId: String,
+    batchId: String,
+    remittanceId: String
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'Bút toán cần ít nhất 2 dòng'
+    }
+  },
+  amount: { type: Number, required: true },
+  description: String,
+  postedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'journal_entries'
+});
+
+journalEntrySchema.index({ 'lines.account': 1, 'lines.party': 1, postedAt: 1 });
+journalEntrySchema.index({ 'reference.paymentId': 1 });
+journalEntrySchema.index({ postedAt: 1 });
+
+// Bút toán phải cân: tổng nợ = tổng có, mỗi dòng ghi đúng một phía
+journalEntrySchema.pre('validate', function() {
+  let debit = 0;
+  let credit = 0;
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      throw new Error(`Dòng ${line.account} phải ghi đúng một phía nợ hoặc có`);
+    }
+    if (!Number.isInteger(line.debit) || !Number.isInteger(line.credit)) {
+      throw new Error(`Dòng ${line.account} phải là số nguyên`);
+    }
+    debit += line.debit;
+    credit += line.credit;
+  }
+  if (debit !== credit) {
+    throw new Error(`Bút toán không cân: nợ ${debit}, có ${credit}`);
+  }
+});
+
+// Append-only: chặn mọi thao tác sửa/xóa bút toán
+const rejectMutation = function() {
+  throw new Error('journal_entries là append-only, không được sửa hoặc xóa bút toán');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  journalEntrySchema.pre(operation, rejectMutation);
+});
+journalEntrySchema.pre('save', function() {
+  if (!this.isNew) rejectMutation();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.JOURNAL_TYPES = JOURNAL_TYPES;
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// Backoff cho lần thử lại: base * 2^(lần thử - 1), tối đa maxDelay, cộng jitter
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PAYMENT_RETRY_BASE_DELAY_MS, 10) || 30000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.PAYMENT_RETRY_MAX_DELAY_MS, 10) || 30 * 60000;
+
+// fare_split: hoàn cho người đặt phần người được mời chia tiền đã trả
+const REFUND_REASONS = ['customer_request', 'technical_issue', 'duplicate_charge', 'fraud', 'fare_split', 'other'];
+// Các lệnh hoàn tiền đang giữ chỗ trên số tiền có thể hoàn
+const OPEN_REFUND_STATUSES = ['pending_approval', 'processing'];
+
+// Mỗi lần hoàn tiền (toàn phần hoặc một phần) là một bản ghi riêng
+const refundRequestSchema = new mongoose.Schema({
+  refundId: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String, enum: REFUND_REASONS, required: true },
+  note: String,
+  status: {
+    type: String,
+    enum: ['pending_approval', 'processing', 'completed', 'rejected', 'failed'],
+    default: 'processing'
+  },
+  // Giao dịch gốc được hoàn tiền
+  originalTransactionId: String,
+  refundTransactionId: String,
+  requestedBy: String,
+  requestedRole: String,
+  requestedAt: { type: Date, default: Date.now },
+  approvedBy: String,
+  approvedAt: Date,
+  rejectedBy: String,
+  rejectionReason: String,
+  processedAt: Date,
+  error: String
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
   paymentId: {
     type: String,
@@ -9,10 +43,23 @@ const paymentSchema = new mongoose.Schema({
   },
 
   // Related entities
+  bookingId: {
+    type: String,
+    index: true
+  },
+
+  // Một chuyến chỉ có một payment của người đặt; chia tiền thêm payment cho từng người được mời
+  // (unique theo rideId + split.shareId, xem index bên dưới)
   rideId: {
     type: String,
-    required: true,
-    unique: true // Đảm bảo một chuyến xe không bị thanh toán 2 lần
+    required: true
+  },
+
+  // ride: thanh toán chuyến xe; wallet_topup: nạp ví (rideId = TOPUP-<paymentId>)
+  purpose: {
+    type: String,
+    enum: ['ride', 'wallet_topup'],
+    default: 'ride'
   },
 
   userId: {
@@ -57,9 +104,21 @@ const paymentSchema = new mongoose.Schema({
 
   externalTransactionId: String,
 
+  // Adapter thực sự xử lý giao dịch (vd: mock khi chưa có adapter thật), dùng khi đối soát
+  gateway: String,
+
+  // Kết quả đối soát với file quyết toán của cổng thanh toán
+  settlement: {
+    reportId: String,
+    status: String,
+    amount: Number,
+    fee: Number,
+    settledAt: Date
+  },
+
   provider: {
     type: String,
-    enum: ['stripe', 'paypal', 'momo', 'zalopay', 'bank', 'cash'],
+    enum: ['stripe', 'paypal', 'momo', 'zalopay', 'bank', 'cash', 'wallet'],
     required: function() {
       return this.method !== 'cash';
     }
@@ -90,23 +149,51 @@ const paymentSchema = new mongoose.Schema({
   // Wallet payment details
   walletDetails: {
     walletId: String,
+    holdId: String,
     balanceBefore: Number,
     balanceAfter: Number
   },
 
+  // Chia tiền chuyến (FareSplit): owner là payment của người đặt, participant là phần của người được mời
+  split: {
+    splitId: String,
+    shareId: String,
+    role: {
+      type: String,
+      enum: ['owner', 'participant']
+    },
+    // owner: tổng phần người được mời đã trả, người đặt chỉ trả phần còn lại của cước
+    paidByOthers: Number
+  },
+
   // Cash payment details
+  // Chuyến tiền mặt chỉ completed khi tài xế xác nhận đã thu (awaiting_collection -> collected)
   cashDetails: {
+    status: {
+      type: String,
+      enum: ['awaiting_collection', 'collected']
+    },
+    awaitingSince: Date,
+    expectedAmount: Number,
+    // Khách đưa amountReceived, tài xế thối lại changeGiven
+    amountReceived: Number,
+    changeGiven: Number,
+    collectedAmount: Number,
+    // collectedAmount - expectedAmount: âm là thu thiếu, dương là khách gửi thêm
+    difference: Number,
+    differenceReason: String,
+    reviewRequired: { type: Boolean, default: false },
     collectedBy: String,
     collectedAt: Date,
     notes: String
   },
 
-  // Refund information
+  // Refund information (tổng hợp: amount là tổng số tiền đã hoàn thành công)
   refund: {
     amount: { type: Number, default: 0 },
     reason: {
       type: String,
-      enum: ['customer_request', 'technical_issue', 'duplicate_charge', 'fraud', 'other']
+      enum: REFUND_REASONS
     },
     requestedAt: Date,
     processedAt: Date,
@@ -118,6 +205,8 @@ const paymentSchema = new mongoose.Schema({
     }
   },
 
+  refunds: [refundRequestSchema],
+
   // Fees and charges
   fees: {
     platformFee: { type: Number, default: 0 },
@@ -149,6 +238,11 @@ const paymentSchema = new mongoose.Schema({
   retryCount: { type: Number, default: 0 },
   maxRetries: { type: Number, default: 3 },
   nextRetryAt: Date,
+  // Lease của retry worker: chỉ một replica được xử lý payment tại một thời điểm
+  retryLease: {
+    owner: String,
+    expiresAt: Date
+  },
 
   // Risk assessment
   riskScore: { type: Number, min: 0, max: 100, default: 0 },
@@ -217,12 +311,20 @@ const paymentSchema = new mongoose.Schema({
  * TỐI ƯU HÓA INDEX - Chỉ khai báo 1 lần ở đây để tránh lỗi Duplicate
  */
 paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ rideId: 1, 'split.shareId': 1 }, { unique: true });
 paymentSchema.index({ driverId: 1, createdAt: -1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ 'refund.status': 1 });
+paymentSchema.index({ 'refunds.status': 1 });
 paymentSchema.index({ sagaId: 1 });
 paymentSchema.index({ 'processingCompletedAt': 1 });
 paymentSchema.index({ riskScore: -1 });
+paymentSchema.index({ status: 1, nextRetryAt: 1 });
+paymentSchema.index({ status: 1, 'retryLease.expiresAt': 1 });
+paymentSchema.index({ externalTransactionId: 1 }, { sparse: true });
+paymentSchema.index({ 'refunds.refundTransactionId': 1 }, { sparse: true });
+paymentSchema.index({ gateway: 1, processingCompletedAt: 1 });
+paymentSchema.index({ method: 1, 'cashDetails.status': 1, 'cashDetails.awaitingSince': 1 });
 
 // Virtuals
 paymentSchema.virtual('netAmount').get(function() {
@@ -236,7 +338,10 @@ paymentSchema.virtual('refundableAmount').get(function() {
     : 0;
   if (hoursSinceCompletion > this.businessRules.refundWindowHours) return 0;
   const refundedAmount = this.refund?.amount || 0;
-  const remainingAmount = this.amount - refundedAmount;
+  const reservedAmount = (this.refunds || [])
+    .filter(refund => OPEN_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const remainingAmount = this.amount - refundedAmount - reservedAmount;
   return this.businessRules.maxRefundAmount
     ? Math.min(remainingAmount, this.businessRules.maxRefundAmount)
     : remainingAmount;
@@ -276,6 +381,8 @@ paymentSchema.methods.completeProcessing = function(transactionId, providerData
   this.processingCompletedAt = new Date();
   this.processingDuration = this.processingCompletedAt - this.processingStartedAt;
   this.transactionId = transactionId;
+  this.nextRetryAt = undefined;
+  this.retryLease = undefined;
   if (this.method === 'card') this.cardDetails = providerData.cardDetails;
   this.addAuditEntry('processing_completed', 'payment_provider', providerData);
   return this.save();
@@ -283,35 +390,95 @@ paymentSchema.methods.completeProcessing = function(transactionId, providerData
 
 paymentSchema.methods.failProcessing = function(error, retryable = false) {
   this.status = 'failed';
+  this.nextRetryAt = undefined;
+  this.retryLease = undefined;
   if (retryable && this.retryCount < this.maxRetries) {
     this.status = 'pending';
     this.retryCount += 1;
-    this.nextRetryAt = new Date(Date.now() + (this.retryCount * 60000));
+    this.nextRetryAt = new Date(Date.now() + retryDelay(this.retryCount));
   }
-  this.addAuditEntry('processing_failed', 'payment_provider', { error, retryable });
+  this.addAuditEntry('processing_failed', 'payment_provider', {
+    error,
+    retryable,
+    retryCount: this.retryCount,
+    nextRetryAt: this.nextRetryAt
+  });
   return this.save();
 };
 
-paymentSchema.methods.initiateRefund = function(amount, reason) {
+// Exponential backoff với "equal jitter": một nửa cố định, một nửa ngẫu nhiên
+// để các payment lỗi cùng lúc không dồn vào cổng thanh toán cùng một thời điểm
+function retryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Tạo lệnh hoàn tiền, giữ chỗ số tiền trên refundableAmount
+ * @param {Object} options - { refundId, requestedBy, requestedRole, note, requiresApproval }
+ */
+paymentSchema.methods.initiateRefund = function(amount, reason, options = {}) {
   if (!this.businessRules.allowRefund) throw new Error('Refunds not allowed');
   if (amount > this.refundableAmount) throw new Error('Refund exceeds limit');
-  this.refund.amount = amount;
+  const { refundId = `RFD-${Date.now()}`, requestedBy = 'system', requestedRole, note, requiresApproval = false } = options;
+  this.refunds.push({
+    refundId,
+    amount,
+    reason,
+    note,
+    status: requiresApproval ? 'pending_approval' : 'processing',
+    originalTransactionId: this.transactionId,
+    requestedBy,
+    requestedRole
+  });
   this.refund.reason = reason;
   this.refund.requestedAt = new Date();
-  this.refund.status = 'processing';
-  this.addAuditEntry('refund_initiated', 'system', { amount, reason });
+  this.refund.status = requiresApproval ? 'pending' : 'processing';
+  this.addAuditEntry('refund_initiated', requestedBy, { refundId, amount, reason, requiresApproval });
   return this.save();
 };
 
-paymentSchema.methods.completeRefund = function(refundTransactionId) {
+paymentSchema.methods.completeRefund = function(refundTransactionId, refundId) {
+  const request = this.findRefund(refundId);
+  if (request) {
+    request.status = 'completed';
+    request.refundTransactionId = refundTransactionId;
+    request.processedAt = new Date();
+    this.refund.amount += request.amount;
+  }
   this.refund.processedAt = new Date();
   this.refund.status = 'completed';
   this.refund.refundTransactionId = refundTransactionId;
   if (this.refund.amount >= this.amount) this.status = 'refunded';
-  this.addAuditEntry('refund_completed', 'payment_provider', { refundTransactionId });
+  this.addAuditEntry('refund_completed', 'payment_provider', {
+    refundId: request?.refundId,
+    amount: request?.amount,
+    refundTransactionId,
+    originalTransactionId: request?.originalTransactionId
+  });
   return this.save();
 };
 
+paymentSchema.methods.failRefund = function(refundId, error) {
+  const request = this.findRefund(refundId);
+  if (request) {
+    request.status = 'failed';
+    request.error = error;
+    request.processedAt = new Date();
+  }
+  this.refund.status = 'failed';
+  this.addAuditEntry('refund_failed', 'payment_provider', { refundId, error });
+  return this.save();
+};
+
+// Lệnh hoàn tiền theo refundId (mặc định: lệnh mới nhất)
+paymentSchema.methods.findRefund = function(refundId) {
+  if (!refundId) return this.refunds[this.refunds.length - 1];
+  return this.refunds.find(refund => refund.refundId === refundId);
+};
+
+// Chỉ ghi vào auditLog, KHÔNG save() - caller tự lưu (tránh lỗi Parallel Save
+// khi startProcessing/completeProcessing/failProcessing cũng gọi save())
 paymentSchema.methods.addAuditEntry = function(action, actor, details = {}, metadata = {}) {
   this.auditLog.push({
     action, actor, details,
@@ -319,7 +486,7 @@ paymentSchema.methods.addAuditEntry = function(action, actor, details = {}, meta
     userAgent: metadata.userAgent,
     timestamp: new Date()
   });
-  return this.save();
+  return this;
 };
 
 paymentSchema.methods.addNotification = function(type, status, reference = null) {
@@ -344,12 +511,55 @@ paymentSchema.statics.getPaymentStats = function(startDate, endDate) {
   ]);
 };
 
-paymentSchema.statics.getPendingRetries = function() {
-  return this.find({
-    status: 'pending',
-    nextRetryAt: { $lte: new Date() },
-    retryCount: { $lt: 3 }
-  });
+// Payment đến hạn thử lại (failProcessing đã đặt nextRetryAt cho lỗi retryable)
+// kèm payment có lease đã hết hạn (worker xử lý trước đó bị dừng giữa chừng)
+paymentSchema.statics.getPendingRetries = function(limit = 50) {
+  return this.find(retryDueQuery(new Date()))
+    .select('paymentId')
+    .sort({ nextRetryAt: 1 })
+    .limit(limit);
+};
+
+/**
+ * Chiếm lease để thử lại một payment (nguyên tử: chỉ một worker thắng)
+ * Lease hết hạn (worker chết giữa chừng) thì payment được worker khác nhận lại.
+ * @returns {Promise<Payment|null>}
+ */
+paymentSchema.statics.acquireRetryLease = function(paymentId, owner, leaseMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { paymentId, ...retryDueQuery(now) },
+    {
+      $set: {
+        status: 'processing',
+        retryLease: { owner, expiresAt: new Date(now.getTime() + leaseMs) }
+      }
+    },
+    { new: true }
+  );
+};
+
+function retryDueQuery(now) {
+  return {
+    $or: [
+      { status: 'pending', nextRetryAt: { $lte: now } },
+      { status: 'processing', 'retryLease.expiresAt': { $lte: now } }
+    ]
+  };
+}
+
+paymentSchema.statics.retryDelay = retryDelay;
+
+/**
+ * rideId từng là unique: bỏ index cũ để chia tiền tạo được nhiều payment cho một chuyến
+ */
+paymentSchema.statics.dropLegacyIndexes = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  if (indexes.some(index => index.name === 'rideId_1' && index.unique)) {
+    await this.collection.dropIndex('rideId_1');
+    console.log('🧹 Đã bỏ unique index rideId_1 của payments');
+  }
 };
 
-module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Payment', paymentSchema);
+module.exports.REFUND_REASONS = REFUND_REASONS;
\ No newline at end of file
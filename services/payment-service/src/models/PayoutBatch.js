@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const ITEM_STATUSES = ['pending', 'exported', 'paid', 'failed', 'netted', 'on_hold'];
+
+// Chi trả cho một tài xế trong đợt
+const payoutItemSchema = new mongoose.Schema({
+  payoutId: {
+    type: String,
+    required: true
+  },
+  driverId: {
+    type: String,
+    required: true
+  },
+  // Thu nhập chưa chi trả (đã trừ hoa hồng nền tảng, VAT, phí cổng thanh toán)
+  earnings: { type: Number, required: true, min: 0 },
+  // Tiền mặt tài xế đã thu hộ, cấn trừ vào thu nhập
+  cashNetted: { type: Number, default: 0, min: 0 },
+  // Số tiền chuyển khoản = earnings - cashNetted
+  amount: { type: Number, required: true, min: 0 },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'pending'
+  },
+  // Chụp lại tài khoản ngân hàng lúc chốt, không đổi theo hồ sơ tài xế sau đó
+  bankAccount: {
+    accountHolder: String,
+    accountNumber: String,
+    bankName: String,
+    routingNumber: String
+  },
+  holdReason: String,
+  bankReference: String,
+  failureReason: String,
+  paidAt: Date,
+  failedAt: Date
+}, { _id: false });
+
+/**
+ * Đợt chi trả thu nhập cho tài xế
+ * building -> open -> exported -> completed
+ */
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  periodStart: Date,
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['building', 'open', 'exported', 'completed'],
+    default: 'building'
+  },
+  currency: { type: String, default: 'VND' },
+  items: [payoutItemSchema],
+  totals: {
+    drivers: { type: Number, default: 0 },
+    earnings: { type: Number, default: 0 },
+    cashNetted: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    paid: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  exports: [{
+    format: String,
+    exportedAt: Date,
+    exportedBy: String,
+    _id: false
+  }],
+  createdBy: String,
+  completedAt: Date
+}, {
+  timestamps: true,
+  collection: 'payout_batches'
+});
+
+// Mỗi lúc chỉ một đợt được chốt, tránh hai đợt cùng chi một khoản thu nhập
+payoutBatchSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'building' } });
+payoutBatchSchema.index({ 'items.driverId': 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.payoutId': 1 });
+
+payoutBatchSchema.methods.findItem = function(payoutId) {
+  return this.items.find(item => item.payoutId === payoutId);
+};
+
+// Tính lại tổng và chuyển completed khi mọi khoản đã có kết quả
+payoutBatchSchema.methods.refreshTotals = function() {
+  const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+  const transferable = this.items.filter(item => item.status !== 'on_hold');
+  this.totals = {
+    drivers: transferable.length,
+    earnings: sum(transferable, 'earnings'),
+    cashNetted: sum(transferable, 'cashNetted'),
+    amount: sum(transferable, 'amount'),
+    paid: sum(this.items.filter(item => item.status === 'paid'), 'amount'),
+    failed: sum(this.items.filter(item => item.status === 'failed'), 'amount')
+  };
+  const settled = transferable.every(item => ['paid', 'failed', 'netted'].includes(item.status));
+  if (this.status === 'exported' && settled) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+  return this.totals;
+};
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
+module.exports.ITEM_STATUSES = ITEM_STATUSES;
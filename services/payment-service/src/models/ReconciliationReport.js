@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const EXCEPTION_TYPES = [
+  'missing_in_system',      // Cổng thanh toán có giao dịch, hệ thống không có
+  'missing_in_settlement',  // Hệ thống ghi nhận đã thu/hoàn, file quyết toán không có
+  'duplicate',              // Giao dịch xuất hiện nhiều lần (trong file hoặc đã quyết toán ở file khác)
+  'amount_mismatch',
+  'status_mismatch',        // vd: cổng thanh toán đã thu nhưng hệ thống ghi failed
+  'invalid_line'
+];
+const RESOLUTIONS = ['adjusted', 'refunded', 'written_off', 'false_positive', 'escalated_to_provider'];
+
+const exceptionSchema = new mongoose.Schema({
+  exceptionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EXCEPTION_TYPES,
+    required: true
+  },
+  lineNumber: Number,
+  transactionId: String,
+  lineType: String,
+  paymentId: String,
+  refundId: String,
+  // Số liệu phía cổng thanh toán và phía hệ thống
+  provider: {
+    amount: Number,
+    status: String
+  },
+  internal: {
+    amount: Number,
+    status: String
+  },
+  message: String,
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    enum: RESOLUTIONS
+  },
+  resolutionNote: String,
+  resolvedBy: String,
+  resolvedAt: Date
+}, { _id: false });
+
+/**
+ * Báo cáo đối soát một file quyết toán của cổng thanh toán
+ */
+const reconciliationReportSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  settlementDate: {
+    type: Date,
+    required: true
+  },
+  filename: String,
+  // Cùng một file nạp lại không tạo báo cáo mới
+  fileHash: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'scheduled'],
+    default: 'upload'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  summary: {
+    lines: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    exceptions: { type: Number, default: 0 },
+    openExceptions: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    byType: { type: Map, of: Number, default: {} }
+  },
+  exceptions: [exceptionSchema],
+  createdBy: String
+}, {
+  timestamps: true,
+  collection: 'reconciliation_reports'
+});
+
+reconciliationReportSchema.index({ gateway: 1, fileHash: 1 }, { unique: true });
+reconciliationReportSchema.index({ gateway: 1, settlementDate: -1 });
+reconciliationReportSchema.index({ 'exceptions.status': 1 });
+
+reconciliationReportSchema.methods.findException = function(exceptionId) {
+  return this.exceptions.find(exception => exception.exceptionId === exceptionId);
+};
+
+// Cập nhật số ngoại lệ còn mở; hết ngoại lệ thì báo cáo chuyển resolved
+reconciliationReportSchema.methods.refreshStatus = function() {
+  const open = this.exceptions.filter(exception => exception.status === 'open').length;
+  this.summary.openExceptions = open;
+  this.status = open === 0 ? 'resolved' : 'open';
+  return this.status;
+};
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+module.exports.EXCEPTION_TYPES = EXCEPTION_TYPES;
+module.exports.RESOLUTIONS = RESOLUTIONS;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Số dư ví của khách hàng - bản chiếu (projection) của sổ cái wallet_ledger.
+ * Có thể dựng lại bất kỳ lúc nào từ sổ cái (WalletLedgerService.rebuild).
+ */
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currency: { type: String, default: 'VND' },
+  // Tiền của khách trong ví (gồm cả phần đang giữ chỗ)
+  balance: { type: Number, default: 0 },
+  // Tiền đang giữ chỗ cho các chuyến chưa hoàn thành
+  heldAmount: { type: Number, default: 0 },
+  // sequence của bút toán cuối cùng đã áp dụng
+  sequence: { type: Number, default: 0 },
+  lastRebuiltAt: Date
+}, {
+  timestamps: true,
+  collection: 'wallets',
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+walletSchema.virtual('availableBalance').get(function() {
+  return this.balance - this.heldAmount;
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
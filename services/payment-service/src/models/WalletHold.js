@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Giữ chỗ tiền trong ví cho một booking
+ * pending -> active (đã ghi sổ) -> captured (chuyến hoàn thành) | released (hủy chuyến)
+ * pending -> failed (không đủ số dư)
+ * capturing/releasing: trạng thái trung gian, thao tác chạy lại được nhờ idempotencyKey của sổ cái
+ */
+const walletHoldSchema = new mongoose.Schema({
+  holdId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Mỗi booking chỉ giữ chỗ một lần
+  bookingId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paymentId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'capturing', 'captured', 'releasing', 'released', 'failed'],
+    default: 'pending'
+  },
+  capturedAmount: Number,
+  capturedAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+  error: String
+}, {
+  timestamps: true,
+  collection: 'wallet_holds'
+});
+
+walletHoldSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('WalletHold', walletHoldSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = ['topup', 'hold', 'hold_release', 'capture', 'refund', 'adjustment'];
+
+/**
+ * Sổ cái ví (append-only): mỗi thay đổi số dư là một bút toán mới, không sửa/xóa.
+ * sequence tăng liên tục theo từng ví; balanceAfter/heldAfter của bút toán mới nhất
+ * là số dư hiện tại, cộng dồn amount/heldDelta từ đầu sẽ dựng lại được số dư.
+ */
+const walletLedgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  // Biến động số dư (có dấu), vd: nạp +100000, thu tiền chuyến -85000
+  amount: { type: Number, required: true },
+  // Biến động số tiền đang giữ chỗ (có dấu)
+  heldDelta: { type: Number, default: 0 },
+  balanceAfter: { type: Number, required: true },
+  heldAfter: { type: Number, required: true },
+  currency: { type: String, default: 'VND' },
+  reference: {
+    paymentId: String,
+    bookingId: String,
+    holdId: String,
+    refundId: String
+  },
+  // Chống ghi trùng khi một thao tác bị chạy lại (vd: topup:<paymentId>)
+  idempotencyKey: String,
+  actor: { type: String, default: 'system' },
+  description: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'wallet_ledger'
+});
+
+walletLedgerEntrySchema.index({ userId: 1, sequence: -1 }, { unique: true });
+walletLedgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+walletLedgerEntrySchema.index({ 'reference.paymentId': 1 });
+
+// Append-only: chặn mọi thao tác sửa/xóa bút toán
+const rejectMutation = function() {
+  throw new Error('wallet_ledger là append-only, không được sửa hoặc xóa bút toán');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  walletLedgerEntrySchema.pre(operation, rejectMutation);
+});
+walletLedgerEntrySchema.pre('save', function() {
+  if (!this.isNew) rejectMutation();
+});
+
+module.exports = mongoose.model('WalletLedgerEntry', walletLedgerEntrySchema);
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
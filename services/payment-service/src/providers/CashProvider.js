@@ -0,0 +1,28 @@
+const { PaymentProvider, ProviderError } = require('./PaymentProvider');
+
+/**
+ * Tiền mặt: tài xế thu trực tiếp, không qua cổng thanh toán
+ */
+class CashProvider extends PaymentProvider {
+  constructor() {
+    super('cash');
+  }
+
+  async authorize(payment) {
+    return { authorizationId: `CASH-AUTH-${payment.paymentId}` };
+  }
+
+  async capture(payment) {
+    return { transactionId: `CASH-${payment.paymentId}` };
+  }
+
+  async void() {
+    return { voided: true };
+  }
+
+  async refund() {
+    throw new ProviderError('cash: hoàn tiền mặt phải xử lý thủ công', 'not_supported');
+  }
+}
+
+module.exports = CashProvider;
@@ -0,0 +1,255 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { PaymentProvider, ProviderError } = require('./PaymentProvider');
+const { toSettlementCsv } = require('../utils/settlementCsv');
+
+const MODES = ['succeed', 'decline', 'timeout', 'slow'];
+
+const DEFAULT_STATE = {
+  // Kịch bản mặc định cho mọi giao dịch
+  mode: process.env.MOCK_PROVIDER_MODE || 'succeed',
+  slowDelayMs: 3000,
+  declineReason: 'card_declined',
+  // Kịch bản riêng theo rideId hoặc userId, vd: { "RIDE-42": "decline" }
+  overrides: {},
+  // Giao dịch mock đã tạo (authorizationId/transactionId -> chi tiết)
+  transactions: {}
+};
+
+/**
+ * Cổng thanh toán giả lập, lưu trạng thái trong file JSON.
+ * Sửa file (hoặc gọi PUT /api/payments/mock-provider) để chuyển kịch bản
+ * succeed / decline / timeout / slow mà không cần khởi động lại service.
+ */
+class MockProvider extends PaymentProvider {
+  constructor(filePath = process.env.MOCK_PROVIDER_FILE || path.join(__dirname, '../../data/mock-provider.json')) {
+    super('mock');
+    this.filePath = filePath;
+    this.webhookSecret = process.env.MOCK_PROVIDER_WEBHOOK_SECRET || 'mock-webhook-secret';
+    this.writeQueue = Promise.resolve(); // ghi file tuần tự
+  }
+
+  async authorize(payment, { idempotencyKey } = {}) {
+    await this.simulate(payment, 'authorize');
+
+    const previous = await this.findByIdempotencyKey(idempotencyKey);
+    if (previous) return { authorizationId: previous };
+
+    const authorizationId = `MOCK-AUTH-${crypto.randomBytes(6).toString('hex')}`;
+    await this.recordTransaction(authorizationId, {
+      type: 'authorization',
+      paymentId: payment.paymentId,
+      amount: payment.amount,
+      status: 'authorized',
+      idempotencyKey
+    });
+    return { authorizationId };
+  }
+
+  async capture(payment, authorization, { idempotencyKey } = {}) {
+    await this.simulate(payment, 'capture');
+
+    const previous = await this.findByIdempotencyKey(idempotencyKey);
+    if (previous) return { transactionId: previous };
+
+    const state = await this.readState();
+    const auth = authorization && state.transactions[authorization.authorizationId];
+    if (!auth || auth.status !== 'authorized') {
+      throw new ProviderError('mock: authorization không tồn tại hoặc đã dùng', 'provider_error');
+    }
+
+    const transactionId = `MOCK-TXN-${crypto.randomBytes(6).toString('hex')}`;
+    await this.updateState((next) => {
+      next.transactions[authorization.authorizationId].status = 'captured';
+      next.transactions[transactionId] = {
+        type: 'capture',
+        paymentId: payment.paymentId,
+        authorizationId: authorization.authorizationId,
+        amount: payment.amount,
+        refundedAmount: 0,
+        status: 'captured',
+        idempotencyKey,
+        createdAt: new Date().toISOString()
+      };
+    });
+    return { transactionId };
+  }
+
+  async refund(payment, amount, reason, options = {}) {
+    await this.simulate(payment, 'refund');
+
+    let refundId = `MOCK-RFD-${crypto.randomBytes(6).toString('hex')}`;
+    await this.updateState((next) => {
+      // Gửi lại cùng lệnh hoàn tiền (options.refundId) thì trả về lần hoàn cũ, không hoàn thêm
+      const previous = options.refundId && Object.keys(next.transactions)
+        .find(id => next.transactions[id].type === 'refund' && next.transactions[id].refundRequestId === options.refundId);
+      if (previous) {
+        refundId = previous;
+        return;
+      }
+
+      const capture = next.transactions[payment.externalTransactionId || payment.transactionId];
+      if (!capture || capture.type !== 'capture') {
+        throw new ProviderError('mock: không tìm thấy giao dịch để hoàn tiền', 'provider_error');
+      }
+      if (capture.refundedAmount + amount > capture.amount) {
+        throw new ProviderError('mock: số tiền hoàn vượt quá số đã thu', 'declined');
+      }
+      capture.refundedAmount += amount;
+      next.transactions[refundId] = {
+        type: 'refund',
+        paymentId: payment.paymentId,
+        refundRequestId: options.refundId,
+        amount,
+        reason,
+        createdAt: new Date().toISOString()
+      };
+    });
+    return { refundId };
+  }
+
+  async void(payment, authorization) {
+    if (!authorization) return { voided: false };
+    await this.updateState((next) => {
+      const auth = next.transactions[authorization.authorizationId];
+      if (auth && auth.status === 'authorized') auth.status = 'voided';
+    });
+    return { voided: true };
+  }
+
+  /**
+   * File quyết toán: các giao dịch capture/refund tạo trong ngày (UTC)
+   * Phí giả lập 2.9% + 3000 VND cho mỗi giao dịch thu tiền
+   */
+  async fetchSettlementReport(date) {
+    const day = new Date(date).toISOString().slice(0, 10);
+    const state = await this.readState();
+
+    const rows = Object.entries(state.transactions)
+      .filter(([, txn]) => ['capture', 'refund'].includes(txn.type) && txn.createdAt?.startsWith(day))
+      .map(([transactionId, txn]) => ({
+        transactionId,
+        type: txn.type === 'capture' ? 'charge' : 'refund',
+        status: 'settled',
+        amount: txn.amount,
+        fee: txn.type === 'capture' ? Math.round(txn.amount * 0.029 + 3000) : 0,
+        settledAt: txn.createdAt,
+        paymentReference: txn.paymentId
+      }));
+
+    return { filename: `mock-settlement-${day}.csv`, content: toSettlementCsv(rows) };
+  }
+
+  /**
+   * Chữ ký: header x-mock-signature = HMAC-SHA256(rawBody) dạng hex
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    const expected = this.signWebhook(rawBody);
+    if (typeof signature !== 'string' || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new ProviderError('mock: chữ ký webhook không hợp lệ', 'invalid_signature');
+    }
+    return JSON.parse(rawBody.toString());
+  }
+
+  signWebhook(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  // Cấu hình kịch bản (dùng cho API test)
+
+  async getConfig() {
+    const { transactions, ...config } = await this.readState();
+    return { ...config, transactionCount: Object.keys(transactions).length };
+  }
+
+  async setConfig({ mode, slowDelayMs, declineReason, overrides }) {
+    if (mode !== undefined && !MODES.includes(mode)) {
+      throw new ProviderError(`mode phải là một trong: ${MODES.join(', ')}`, 'invalid_config');
+    }
+    for (const value of Object.values(overrides || {})) {
+      if (!MODES.includes(value)) {
+        throw new ProviderError(`overrides chỉ nhận: ${MODES.join(', ')}`, 'invalid_config');
+      }
+    }
+
+    await this.updateState((next) => {
+      if (mode !== undefined) next.mode = mode;
+      if (slowDelayMs !== undefined) next.slowDelayMs = Number(slowDelayMs);
+      if (declineReason !== undefined) next.declineReason = declineReason;
+      if (overrides !== undefined) next.overrides = overrides;
+    });
+    return this.getConfig();
+  }
+
+  // Private helper methods
+
+  /**
+   * Áp dụng kịch bản hiện tại cho một thao tác
+   */
+  async simulate(payment, operation) {
+    const state = await this.readState();
+    const mode = state.overrides[payment.rideId] || state.overrides[payment.userId] || state.mode;
+
+    switch (mode) {
+      case 'decline':
+        throw new ProviderError(`mock: ${operation} bị từ chối (${state.declineReason})`, 'declined', false);
+      case 'timeout':
+        // Không bao giờ trả lời trong thời hạn
+        return this.withTimeout(new Promise(() => {}), operation);
+      case 'slow':
+        return this.withTimeout(
+          new Promise(resolve => setTimeout(resolve, state.slowDelayMs)),
+          operation
+        );
+      default:
+        return undefined;
+    }
+  }
+
+  // Mã giao dịch đã tạo với khóa idempotency này (nếu có)
+  async findByIdempotencyKey(idempotencyKey) {
+    if (!idempotencyKey) return null;
+    const state = await this.readState();
+    const match = Object.entries(state.transactions).find(([, txn]) => txn.idempotencyKey === idempotencyKey);
+    return match ? match[0] : null;
+  }
+
+  async readState() {
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_STATE));
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return { ...defaults, ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return defaults;
+      }
+      throw new ProviderError(`mock: không đọc được ${this.filePath}: ${error.message}`, 'provider_error');
+    }
+  }
+
+  updateState(mutate) {
+    const run = this.writeQueue.then(async () => {
+      const state = await this.readState();
+      mutate(state);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(state, null, 2));
+      return state;
+    });
+    // Lỗi của một lần ghi không chặn các lần ghi sau
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  recordTransaction(id, transaction) {
+    return this.updateState((state) => {
+      state.transactions[id] = { ...transaction, createdAt: new Date().toISOString() };
+    });
+  }
+}
+
+MockProvider.MODES = MODES;
+
+module.exports = MockProvider;
@@ -0,0 +1,94 @@
+/**
+ * Lỗi từ cổng thanh toán
+ * code: declined | timeout | provider_error | not_configured | not_supported
+ * retryable: lỗi tạm thời (timeout, lỗi mạng) có thể thử lại
+ */
+class ProviderError extends Error {
+  constructor(message, code = 'provider_error', retryable = false) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Interface chung cho các cổng thanh toán (adapter)
+ * Mỗi adapter kế thừa class này và hiện thực các method bên dưới.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Giữ tiền (authorize) cho payment
+   * @param {Object} [options] - { idempotencyKey } gọi lại cùng khóa trả về authorization đã tạo
+   * @returns {Promise<{authorizationId: string}>}
+   */
+  async authorize(payment, options = {}) {
+    throw new ProviderError(`${this.name}: authorize chưa được hỗ trợ`, 'not_configured');
+  }
+
+  /**
+   * Thu tiền đã authorize
+   * @param {Object} [options] - { idempotencyKey } gọi lại cùng khóa trả về giao dịch đã thu, không thu lần nữa
+   * @returns {Promise<{transactionId: string}>}
+   */
+  async capture(payment, authorization, options = {}) {
+    throw new ProviderError(`${this.name}: capture chưa được hỗ trợ`, 'not_configured');
+  }
+
+  /**
+   * Hoàn tiền (toàn bộ hoặc một phần) giao dịch đã capture
+   * @param {Object} [options] - { refundId } mã lệnh hoàn tiền, dùng để chống hoàn trùng
+   * @returns {Promise<{refundId: string}>}
+   */
+  async refund(payment, amount, reason, options = {}) {
+    throw new ProviderError(`${this.name}: refund chưa được hỗ trợ`, 'not_configured');
+  }
+
+  /**
+   * Hủy authorization chưa capture
+   */
+  async void(payment, authorization) {
+    throw new ProviderError(`${this.name}: void chưa được hỗ trợ`, 'not_configured');
+  }
+
+  /**
+   * Xác thực chữ ký webhook
+   * @param {string|Buffer} rawBody - Body gốc của request
+   * @param {Object} headers - Header của request
+   * @returns {Object} Event đã parse nếu hợp lệ
+   * @throws {ProviderError} nếu chữ ký sai
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new ProviderError(`${this.name}: webhook chưa được hỗ trợ`, 'not_configured');
+  }
+
+  /**
+   * Tải file quyết toán của một ngày (định dạng CSV trong utils/settlementCsv.js)
+   * @param {Date} date - Ngày quyết toán (UTC)
+   * @returns {Promise<{filename: string, content: string}>}
+   */
+  async fetchSettlementReport(date) {
+    throw new ProviderError(`${this.name}: file quyết toán chưa được hỗ trợ`, 'not_supported');
+  }
+
+  /**
+   * Giới hạn thời gian chờ cổng thanh toán
+   */
+  withTimeout(promise, operation, timeoutMs = PROVIDER_TIMEOUT_MS) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new ProviderError(`${this.name}: ${operation} quá thời gian ${timeoutMs}ms`, 'timeout', true));
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = { PaymentProvider, ProviderError, PROVIDER_TIMEOUT_MS };
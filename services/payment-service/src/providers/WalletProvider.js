@@ -0,0 +1,70 @@
+const { PaymentProvider, ProviderError } = require('./PaymentProvider');
+const walletLedgerService = require('../services/WalletLedgerService');
+
+/**
+ * Ví nội bộ của khách hàng
+ * authorize = giữ chỗ tiền theo booking, capture = thu từ giữ chỗ,
+ * void = trả giữ chỗ, refund = hoàn tiền về ví
+ */
+class WalletProvider extends PaymentProvider {
+  constructor(ledger = walletLedgerService) {
+    super('wallet');
+    this.ledger = ledger;
+  }
+
+  async authorize(payment) {
+    // Giữ chỗ theo booking; phần chia tiền của người được mời giữ chỗ riêng theo shareId
+    const bookingId = payment.bookingId || payment.rideId;
+    const hold = await this.call(() => this.ledger.placeHold({
+      userId: payment.userId,
+      bookingId: payment.split?.shareId ? `${bookingId}:${payment.split.shareId}` : bookingId,
+      paymentId: payment.paymentId,
+      amount: payment.amount
+    }));
+    payment.walletDetails = { ...payment.walletDetails, walletId: payment.userId, holdId: hold.holdId };
+    return { authorizationId: hold.holdId };
+  }
+
+  async capture(payment, authorization) {
+    const { entry } = await this.call(() => this.ledger.captureHold(
+      authorization.authorizationId,
+      payment.amount,
+      { paymentId: payment.paymentId }
+    ));
+    payment.walletDetails = {
+      ...payment.walletDetails,
+      walletId: payment.userId,
+      balanceBefore: entry.balanceAfter - entry.amount,
+      balanceAfter: entry.balanceAfter
+    };
+    return { transactionId: entry.entryId };
+  }
+
+  async void(payment, authorization) {
+    if (!authorization) return { voided: false };
+    await this.call(() => this.ledger.releaseHold(authorization.authorizationId, 'payment_voided'));
+    return { voided: true };
+  }
+
+  async refund(payment, amount, reason, { refundId } = {}) {
+    const entry = await this.call(() => this.ledger.credit(payment.userId, amount, {
+      type: 'refund',
+      reference: { paymentId: payment.paymentId, bookingId: payment.bookingId, refundId },
+      idempotencyKey: `refund:${refundId || `${payment.paymentId}:${Date.now()}`}`,
+      description: `Hoàn tiền ${payment.paymentId}: ${reason}`
+    }));
+    return { refundId: entry.entryId };
+  }
+
+  // Lỗi số dư không đủ -> declined, các lỗi khác -> provider_error
+  async call(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error instanceof ProviderError) throw error;
+      throw new ProviderError(`wallet: ${error.message}`, error.status === 402 ? 'declined' : 'provider_error');
+    }
+  }
+}
+
+module.exports = WalletProvider;
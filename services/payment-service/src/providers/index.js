@@ -0,0 +1,48 @@
+const CashProvider = require('./CashProvider');
+const MockProvider = require('./MockProvider');
+const WalletProvider = require('./WalletProvider');
+const { PaymentProvider, ProviderError } = require('./PaymentProvider');
+
+// Chưa có adapter thật cho các PSP: mặc định chuyển sang mock (trừ production)
+const USE_MOCK = process.env.PAYMENT_PROVIDERS_USE_MOCK
+  ? process.env.PAYMENT_PROVIDERS_USE_MOCK === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+const cashProvider = new CashProvider();
+const mockProvider = new MockProvider();
+const walletProvider = new WalletProvider();
+
+// Adapter thật đăng ký theo tên provider (stripe, paypal, momo, zalopay, bank)
+const adapters = new Map();
+
+const registerProvider = (name, adapter) => {
+  adapters.set(name, adapter);
+};
+
+/**
+ * Chọn adapter theo method và provider của payment
+ * @throws {ProviderError} not_configured nếu provider chưa có adapter
+ */
+const getProvider = (method, provider) => {
+  if (method === 'cash' || provider === 'cash') return cashProvider;
+  if (provider === 'wallet') return walletProvider;
+  if (adapters.has(provider)) return adapters.get(provider);
+  if (USE_MOCK) return mockProvider;
+
+  throw new ProviderError(`Chưa cấu hình cổng thanh toán ${provider} cho phương thức ${method}`, 'not_configured');
+};
+
+// Các cổng thanh toán bên ngoài cần đối soát (có file quyết toán)
+const getSettlementProviders = () => [
+  ...adapters.values(),
+  ...(USE_MOCK ? [mockProvider] : [])
+];
+
+module.exports = {
+  getProvider,
+  getSettlementProviders,
+  registerProvider,
+  mockProvider,
+  PaymentProvider,
+  ProviderError
+};
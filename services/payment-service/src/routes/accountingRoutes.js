@@ -0,0 +1,15 @@
+const express = require('express');
+const accountingController = require('../controllers/AccountingController');
+const { requireRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Sổ kế toán chỉ dành cho admin
+router.use(requireRole('admin'));
+
+router.get('/trial-balance', accountingController.getTrialBalance);
+router.get('/accounts/:account/statement', accountingController.getStatement);
+router.get('/accounts/:account/balances', accountingController.getPartyBalances);
+router.post('/payments/:paymentId/post', accountingController.postPayment);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const cashController = require('../controllers/CashController');
+const idempotency = require('../middlewares/idempotency');
+const { requireRole, requireSelfOrRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Tài xế xác nhận thu tiền chuyến của mình (service kiểm tra đúng tài xế)
+router.post('/rides/:rideId/collect', requireRole('driver', 'admin'), idempotency, cashController.confirmCollection);
+
+// Vận hành theo dõi chuyến tiền mặt chưa xác nhận / thu thiếu
+router.get('/rides', requireRole('admin', 'support'), cashController.listCashRides);
+
+// Tiền mặt tài xế đang giữ, nộp tiền mặt (chỉ admin ghi nhận)
+router.get('/drivers/:driverId', requireSelfOrRole('driverId', 'admin', 'support'), cashController.getDriverSummary);
+router.post('/drivers/:driverId/remittances', requireRole('admin'), idempotency, cashController.recordRemittance);
+
+module.exports = router;
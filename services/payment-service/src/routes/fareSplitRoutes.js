@@ -0,0 +1,17 @@
+const express = require('express');
+const fareSplitController = require('../controllers/FareSplitController');
+const idempotency = require('../middlewares/idempotency');
+const { authenticate } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Người đặt / người được mời được kiểm tra trong service theo người dùng trong token
+router.use(authenticate);
+
+router.post('/', idempotency, fareSplitController.createSplit);
+router.get('/invitations', fareSplitController.listInvitations);
+router.get('/:splitId', fareSplitController.getSplit);
+router.post('/:splitId/shares/:shareId/accept', idempotency, fareSplitController.acceptShare);
+router.post('/:splitId/shares/:shareId/decline', fareSplitController.declineShare);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const paymentController = require('../controllers/PaymentController');
+const idempotency = require('../middlewares/idempotency');
+const { authenticate, requireRole, requireSelfOrRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Các API thay đổi dữ liệu hỗ trợ header Idempotency-Key; service kiểm tra người gọi là chủ giao dịch
+router.post('/intents', authenticate, idempotency, paymentController.createIntent);
+router.post('/:paymentId/capture', authenticate, idempotency, paymentController.capture);
+router.post('/:paymentId/cancel', authenticate, idempotency, paymentController.cancel);
+
+// Webhook cổng thanh toán (xác thực bằng chữ ký, không qua idempotency)
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+// Cổng thanh toán giả lập - tắt ở production
+if (process.env.NODE_ENV !== 'production') {
+  router.get('/mock-provider', paymentController.getMockProvider);
+  router.put('/mock-provider', paymentController.updateMockProvider);
+}
+
+// Hoàn tiền: admin và nhân viên hỗ trợ tạo lệnh, chỉ admin duyệt/từ chối
+router.get('/refunds/pending', requireRole('admin'), paymentController.listPendingRefunds);
+router.post('/:paymentId/refunds', requireRole('admin', 'support'), idempotency, paymentController.requestRefund);
+router.get('/:paymentId/refunds', requireRole('admin', 'support'), paymentController.listRefunds);
+router.post('/:paymentId/refunds/:refundId/approve', requireRole('admin'), idempotency, paymentController.approveRefund);
+router.post('/:paymentId/refunds/:refundId/reject', requireRole('admin'), idempotency, paymentController.rejectRefund);
+
+router.get('/users/:userId', requireSelfOrRole('userId', 'admin', 'support'), paymentController.listByUser);
+router.get('/rides/:rideId', authenticate, paymentController.listByRide);
+router.get('/:paymentId', authenticate, paymentController.getPayment);
+
+module.exports = router;
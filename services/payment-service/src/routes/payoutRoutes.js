@@ -0,0 +1,19 @@
+const express = require('express');
+const payoutController = require('../controllers/PayoutController');
+const idempotency = require('../middlewares/idempotency');
+const { requireRole, requireSelfOrRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Tài xế xem khoản chi trả của chính mình
+router.get('/drivers/:driverId', requireSelfOrRole('driverId', 'admin', 'support'), payoutController.getDriverSummary);
+
+// Quản lý đợt chi trả: chỉ admin
+router.post('/batches', requireRole('admin'), idempotency, payoutController.createBatch);
+router.get('/batches', requireRole('admin'), payoutController.listBatches);
+router.get('/batches/:batchId', requireRole('admin'), payoutController.getBatch);
+router.post('/batches/:batchId/finalize', requireRole('admin'), payoutController.finalizeBatch);
+router.post('/batches/:batchId/export', requireRole('admin'), payoutController.exportBatch);
+router.post('/batches/:batchId/results', requireRole('admin'), idempotency, payoutController.recordResults);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const reconciliationController = require('../controllers/ReconciliationController');
+const { requireRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Đối soát chỉ dành cho admin
+router.use(requireRole('admin'));
+
+router.post('/reports', express.text({ type: 'text/csv', limit: '20mb' }), reconciliationController.uploadReport);
+router.post('/run', reconciliationController.runScheduled);
+router.get('/reports', reconciliationController.listReports);
+router.get('/reports/:reportId', reconciliationController.getReport);
+router.get('/exceptions', reconciliationController.listExceptions);
+router.post('/reports/:reportId/exceptions/:exceptionId/resolve', reconciliationController.resolveException);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const walletController = require('../controllers/WalletController');
+const idempotency = require('../middlewares/idempotency');
+const { requireRole, requireSelfOrRole } = require('@cab-booking/shared');
+
+const router = express.Router();
+
+// Khách hàng chỉ truy cập ví của chính mình; admin, support xem mọi ví
+const walletOwner = requireSelfOrRole('userId', 'admin', 'support');
+
+router.get('/:userId', walletOwner, walletController.getWallet);
+router.get('/:userId/ledger', walletOwner, walletController.getLedger);
+router.get('/:userId/holds', walletOwner, walletController.listHolds);
+router.post('/:userId/topups', requireSelfOrRole('userId', 'admin'), idempotency, walletController.topUp);
+
+// Đối chiếu số dư với sổ cái, ?repair=true để ghi đè bản chiếu
+router.post('/:userId/rebuild', requireRole('admin'), walletController.rebuild);
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const { v4: uuidv4 } = require('uuid');
 const amqp = require('amqplib');
 const Payment = require('../models/Payment');
+const { getProvider } = require('../providers');
+const accountingService = require('../services/AccountingService');
 
 class PaymentSaga {
   constructor(paymentId, rabbitMQClient) {
@@ -48,27 +50,347 @@ class PaymentSaga {
   }
 
   async compensate() {
+    this.status = 'compensating';
     for (let i = this.currentStep; i >= 0; i--) {
       const step = this.steps[i];
       if (step.status === 'completed' && step.compensate) {
-        try { await step.compensate(); } catch (err) { console.error(`[Saga] Lỗi hoàn tác:`, err.message); }
+        try {
+          await step.compensate();
+          step.status = 'compensated';
+        } catch (err) { console.error(`[Saga] Lỗi hoàn tác:`, err.message); }
       }
     }
   }
 }
 
+/**
+ * Thu tiền một payment qua cổng thanh toán (adapter chọn theo method/provider)
+ * Các bước: authorize -> capture. Lỗi ở capture sẽ void authorization.
+ * Payment phải đang ở trạng thái processing (đã gọi startProcessing()).
+ * Khóa idempotency gửi cổng thanh toán theo lượt thử (retryCount): worker nhận lại payment
+ * processing bị bỏ dở (lease hết hạn) chạy lại đúng lượt đó, nên nhận lại authorization/capture
+ * cũ thay vì thu tiền lần nữa.
+ * @returns {Promise<Payment>} payment đã completed
+ * @throws {ProviderError} payment đã được failProcessing()
+ */
+async function runPaymentSaga(payment) {
+  const saga = new PaymentSaga(payment.paymentId);
+  let authorization = null;
+  let capture = null;
+  let adapter;
+  const attemptKey = `${payment.paymentId}:${payment.retryCount || 0}`;
+
+  saga.addStep({
+    name: 'authorize',
+    execute: async () => {
+      adapter = getProvider(payment.method, payment.provider);
+      authorization = await adapter.authorize(payment, { idempotencyKey: `${attemptKey}:authorize` });
+    },
+    compensate: async () => adapter.void(payment, authorization)
+  });
+  saga.addStep({
+    name: 'capture',
+    execute: async () => {
+      capture = await adapter.capture(payment, authorization, { idempotencyKey: `${attemptKey}:capture` });
+    },
+    compensate: async () => adapter.refund(payment, payment.amount, 'saga_compensation')
+  });
+
+  payment.sagaId = saga.sagaId;
+  payment.sagaStatus = 'executing';
+
+  try {
+    await saga.execute();
+  } catch (error) {
+    payment.sagaStatus = 'failed';
+    payment.sagaSteps = toSagaSteps(saga, error);
+    await payment.failProcessing(error.message, Boolean(error.retryable));
+    throw error;
+  }
+
+  payment.sagaStatus = 'completed';
+  payment.sagaSteps = toSagaSteps(saga);
+  payment.externalTransactionId = capture.transactionId;
+  payment.gateway = adapter.name;
+  await payment.completeProcessing(capture.transactionId, {
+    provider: adapter.name,
+    authorizationId: authorization.authorizationId
+  });
+  await postToLedger(payment);
+  return payment;
+}
+
+/**
+ * Ghi sổ kế toán cho payment đã thu; lỗi ghi sổ không làm hỏng thanh toán
+ * (ghi lại được qua POST /api/payments/accounting/payments/:paymentId/post)
+ */
+async function postToLedger(payment) {
+  try {
+    await accountingService.postPayment(payment);
+  } catch (error) {
+    console.error(`❌ Ghi sổ kế toán ${payment.paymentId} thất bại:`, error.message);
+  }
+}
+
+// Ghi lại trạng thái các bước saga vào payment.sagaSteps
+function toSagaSteps(saga, error = null) {
+  return saga.steps.map((step, index) => ({
+    stepId: step.id,
+    name: step.name,
+    status: error && index === saga.currentStep && step.status === 'pending' ? 'failed' : step.status,
+    executedAt: step.status !== 'pending' ? new Date() : undefined,
+    compensatedAt: step.status === 'compensated' ? new Date() : undefined,
+    error: error && index === saga.currentStep ? error.message : undefined
+  }));
+}
+
+// Channel dùng chung để các API (capture, cancel...) publish payment-events
+let sharedChannel = null;
+
+/**
+ * Publish một sự kiện lên exchange payment-events
+ * Trả về false nếu RabbitMQ chưa sẵn sàng (API vẫn hoạt động)
+ */
+function publishPaymentEvent(routingKey, payload) {
+  if (!sharedChannel) {
+    console.warn(`⚠️ RabbitMQ chưa sẵn sàng, bỏ qua sự kiện ${routingKey}`);
+    return false;
+  }
+  return sharedChannel.publish('payment-events', routingKey,
+    Buffer.from(JSON.stringify({ ...payload, timestamp: new Date().toISOString() })),
+    { persistent: true }
+  );
+}
+
+// Booking Service gửi CASH/CARD/WALLET, Payment dùng chữ thường
+const PROVIDER_BY_METHOD = { cash: 'cash', wallet: 'wallet', card: 'stripe', bank_transfer: 'bank' };
+// Payment của người đặt (không phải phần chia tiền của người được mời)
+const OWNER_PAYMENT = { 'split.role': { $ne: 'participant' } };
+
+function publishPaymentResult(payment, bookingId, error = null) {
+  if (!error) {
+    publishPaymentEvent('payment.succeeded', {
+      paymentId: payment.paymentId,
+      bookingId,
+      // Realtime và các service khác gắn thanh toán với chuyến (tài xế) qua rideId
+      rideId: payment.rideId,
+      userId: payment.userId,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method,
+      status: 'paid'
+    });
+    console.log(`✅ Thành công: ${payment.paymentId}`);
+    return;
+  }
+
+  console.error(`❌ Thanh toán ${payment.paymentId} thất bại: ${error.message}`);
+  if (payment.status === 'failed') {
+    publishPaymentEvent('payment.failed', {
+      paymentId: payment.paymentId,
+      bookingId,
+      rideId: payment.rideId,
+      userId: payment.userId,
+      amount: payment.amount,
+      reason: error.message,
+      code: error.code
+    });
+  }
+}
+
+/**
+ * booking.created: tạo payment cho booking
+ * - Ví: chỉ giữ chỗ tiền, thu khi booking.completed
+ * - Tiền mặt: chờ tài xế xác nhận đã thu (POST /api/payments/cash/rides/:rideId/collect)
+ * - Phương thức khác: thu tiền ngay qua saga
+ */
+async function handleBookingCreated(bookingData) {
+  const rideId = bookingData.id || bookingData.bookingId;
+  const method = String(bookingData.paymentMethod || 'card').toLowerCase();
+
+  // BƯỚC QUAN TRỌNG NHẤT: ATOMIC UPSERT
+  // Nếu đã có rideId, nó sẽ KHÔNG tạo mới. Nếu chưa có, nó sẽ tạo mới TRONG 1 LỆNH DUY NHẤT.
+  const paymentDoc = await Payment.findOneAndUpdate(
+    { rideId: rideId }, // Điều kiện tìm kiếm
+    {
+      $setOnInsert: { // Chỉ set các giá trị này nếu là tạo mới (Insert)
+        paymentId: `PAY-${uuidv4().substring(0, 8)}`,
+        bookingId: bookingData.bookingId,
+        userId: bookingData.userId || bookingData.customerId || 'system',
+        amount: bookingData.totalFare || bookingData.estimatedFare || 0,
+        method,
+        provider: PROVIDER_BY_METHOD[method] || 'stripe',
+        status: 'pending'
+      }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  // Kiểm tra xem đây là bản ghi mới tạo hay bản ghi cũ đã tồn tại
+  if (!paymentDoc.lastErrorObject || paymentDoc.lastErrorObject.updatedExisting) {
+    console.log(`⚠️ Bỏ qua tin nhắn trùng cho RideID: ${rideId}`);
+    return;
+  }
+
+  console.log(`💳 Khởi tạo thanh toán mới cho RideID: ${rideId}`);
+  const payment = paymentDoc.value;
+  payment.calculateFees();
+
+  if (method === 'cash') {
+    await payment.save();
+    return;
+  }
+
+  if (method === 'wallet') {
+    try {
+      const { authorizationId } = await getProvider(payment.method, payment.provider).authorize(payment);
+      payment.addAuditEntry('wallet_hold_placed', 'system', { holdId: authorizationId, amount: payment.amount });
+      await payment.save();
+      console.log(`👛 Đã giữ chỗ ${payment.amount} trong ví cho RideID: ${rideId}`);
+    } catch (error) {
+      await payment.failProcessing(error.message, false);
+      publishPaymentResult(payment, rideId, error);
+    }
+    return;
+  }
+
+  // Tính phí và cập nhật trạng thái processing
+  await payment.startProcessing();
+
+  // Chạy Saga qua cổng thanh toán
+  try {
+    await runPaymentSaga(payment);
+  } catch (error) {
+    publishPaymentResult(payment, rideId, error);
+    return;
+  }
+  publishPaymentResult(payment, rideId);
+}
+
+/**
+ * booking.completed: thu tiền ví theo cước thực tế, chuyến tiền mặt chuyển sang chờ tài xế xác nhận
+ * (phương thức khác đã thu khi đặt xe) và ghi sổ thu nhập cho tài xế của chuyến
+ */
+async function handleBookingCompleted(event) {
+  const bookingId = String(event.bookingId);
+  const driverId = event.driverId ? String(event.driverId) : undefined;
+  await postCompletedRide(bookingId, driverId);
+
+  const payment = await Payment.findOneAndUpdate(
+    { rideId: bookingId, ...OWNER_PAYMENT, method: 'wallet', status: 'pending' },
+    { $set: { status: 'processing', ...(driverId && { driverId }) } },
+    { new: true }
+  );
+  if (!payment) {
+    const cashPayment = await Payment.findOne({ rideId: bookingId, ...OWNER_PAYMENT, method: 'cash', status: 'pending' });
+    if (cashPayment) await awaitCashCollection(cashPayment, event.actualFare, driverId);
+    return;
+  }
+
+  adjustToActualFare(payment, event.actualFare);
+  await payment.startProcessing();
+
+  try {
+    await runPaymentSaga(payment);
+  } catch (error) {
+    publishPaymentResult(payment, bookingId, error);
+    return;
+  }
+  publishPaymentResult(payment, bookingId);
+}
+
+// Chuyến tiền mặt hoàn thành: chốt số tiền cần thu, chờ tài xế xác nhận
+async function awaitCashCollection(payment, actualFare, driverId) {
+  adjustToActualFare(payment, actualFare);
+  if (driverId) payment.driverId = driverId;
+  payment.cashDetails = {
+    status: 'awaiting_collection',
+    awaitingSince: new Date(),
+    expectedAmount: payment.amount
+  };
+  payment.addAuditEntry('cash_collection_awaited', 'system', { driverId: payment.driverId, amount: payment.amount });
+  await payment.save();
+  console.log(`💵 Chờ tài xế ${payment.driverId} xác nhận thu ${payment.amount} cho booking ${payment.rideId}`);
+}
+
+// Cước thực tế trừ phần người được mời chia tiền đã trả (split.paidByOthers)
+function adjustToActualFare(payment, actualFare) {
+  if (!(actualFare > 0)) return;
+  const amount = Math.max(actualFare - (payment.split?.paidByOthers || 0), 0);
+  if (amount === payment.amount) return;
+  payment.addAuditEntry('amount_adjusted', 'system', { from: payment.amount, to: amount, actualFare });
+  payment.amount = amount;
+  payment.calculateFees();
+}
+
+// Payment đã thu trước khi hoàn thành chuyến (chưa biết tài xế, gồm cả các phần chia tiền): gán tài xế rồi ghi sổ
+async function postCompletedRide(bookingId, driverId) {
+  if (!driverId) return;
+  let payment;
+  while ((payment = await Payment.findOneAndUpdate(
+    { rideId: bookingId, status: { $in: ['completed', 'refunded'] }, driverId: null },
+    { $set: { driverId } },
+    { new: true }
+  ))) {
+    await postToLedger(payment);
+  }
+}
+
+/**
+ * booking.cancelled: hủy payment chưa thu (ví, tiền mặt), trả lại tiền giữ chỗ trong ví,
+ * hủy chia tiền và hoàn các phần người được mời đã trả
+ */
+async function handleBookingCancelled(event) {
+  const bookingId = String(event.bookingId);
+  await cancelFareSplit(bookingId, event.reason);
+  const payment = await Payment.findOneAndUpdate(
+    { rideId: bookingId, ...OWNER_PAYMENT, method: { $in: ['wallet', 'cash'] }, status: 'pending' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!payment) return;
+
+  const holdId = payment.walletDetails?.holdId;
+  if (holdId) {
+    await getProvider(payment.method, payment.provider).void(payment, { authorizationId: holdId });
+  }
+  payment.addAuditEntry('cancelled', 'system', { reason: event.reason || 'booking_cancelled', holdId });
+  await payment.save();
+  console.log(`🚫 Đã hủy payment ${payment.method} cho booking ${bookingId}`);
+}
+
+async function cancelFareSplit(bookingId, reason = 'booking_cancelled') {
+  // require muộn: FareSplitService dùng runPaymentSaga của module này
+  const fareSplitService = require('../services/FareSplitService');
+  try {
+    const split = await fareSplitService.cancelForRide(bookingId, reason);
+    if (split) console.log(`🚫 Đã hủy chia tiền ${split.splitId} cho booking ${bookingId}`);
+  } catch (error) {
+    console.error(`❌ Hủy chia tiền cho booking ${bookingId} thất bại:`, error.message);
+  }
+}
+
+const BOOKING_HANDLERS = {
+  'booking.created': handleBookingCreated,
+  'booking.completed': handleBookingCompleted,
+  'booking.cancelled': handleBookingCancelled
+};
+
 async function connectRabbitMQ() {
   const RABBIT_URL = process.env.RABBITMQ_URL || 'amqp://cab_admin:cab123!@#@rabbitmq:5672/cab-booking';
 
   try {
     const connection = await amqp.connect(RABBIT_URL);
     const channel = await connection.createChannel();
+    sharedChannel = channel;
 
     await channel.assertExchange('booking-events', 'topic', { durable: true });
     await channel.assertExchange('payment-events', 'topic', { durable: true });
 
     const q = await channel.assertQueue('payment-service-queue', { durable: true });
-    channel.bindQueue(q.queue, 'booking-events', 'booking.created');
+    for (const routingKey of Object.keys(BOOKING_HANDLERS)) {
+      await channel.bindQueue(q.queue, 'booking-events', routingKey);
+    }
 
     console.log('📡 [Payment Service] Sẵn sàng xử lý thanh toán...');
 
@@ -76,58 +398,10 @@ async function connectRabbitMQ() {
       if (msg === null) return;
 
       try {
-        const bookingData = JSON.parse(msg.content.toString());
-        const rideId = bookingData.id;
-
-        // BƯỚC QUAN TRỌNG NHẤT: ATOMIC UPSERT
-        // Nếu đã có rideId, nó sẽ KHÔNG tạo mới. Nếu chưa có, nó sẽ tạo mới TRONG 1 LỆNH DUY NHẤT.
-        const paymentDoc = await Payment.findOneAndUpdate(
-          { rideId: rideId }, // Điều kiện tìm kiếm
-          { 
-            $setOnInsert: { // Chỉ set các giá trị này nếu là tạo mới (Insert)
-              paymentId: `PAY-${uuidv4().substring(0, 8)}`,
-              userId: bookingData.userId || 'system',
-              amount: bookingData.totalFare || 0,
-              method: bookingData.paymentMethod || 'card',
-              provider: (bookingData.paymentMethod === 'cash') ? 'cash' : 'stripe',
-              status: 'pending'
-            }
-          },
-          { upsert: true, new: true, rawResult: true } 
-        );
-
-        // Kiểm tra xem đây là bản ghi mới tạo hay bản ghi cũ đã tồn tại
-        if (paymentDoc.lastErrorObject && !paymentDoc.lastErrorObject.updatedExisting) {
-          console.log(`💳 Khởi tạo thanh toán mới cho RideID: ${rideId}`);
-          
-          const payment = paymentDoc.value;
-          
-          // Tính phí và cập nhật trạng thái processing
-          payment.calculateFees();
-          await payment.startProcessing();
-
-          // Chạy Saga
-          const saga = new PaymentSaga(payment.paymentId);
-          saga.addStep({
-            name: 'deduct_balance',
-            execute: async () => true,
-            compensate: async () => await payment.refund()
-          });
-
-          await saga.execute();
-
-          // Hoàn tất
-          await payment.completeProcessing(`TXN-${Date.now()}`);
-          
-          channel.publish('payment-events', 'payment.succeeded', 
-            Buffer.from(JSON.stringify({ bookingId: rideId, status: 'paid' }))
-          );
-          
-          console.log(`✅ Thành công: ${payment.paymentId}`);
-        } else {
-          console.log(`⚠️ Bỏ qua tin nhắn trùng cho RideID: ${rideId}`);
+        const handler = BOOKING_HANDLERS[msg.fields.routingKey];
+        if (handler) {
+          await handler(JSON.parse(msg.content.toString()));
         }
-
       } catch (err) {
         console.error('❌ Lỗi xử lý:', err.message);
       } finally {
@@ -140,4 +414,12 @@ async function connectRabbitMQ() {
   }
 }
 
-module.exports = { connectRabbitMQ };
\ No newline at end of file
+module.exports = {
+  connectRabbitMQ,
+  publishPaymentEvent,
+  publishPaymentResult,
+  runPaymentSaga,
+  handleBookingCreated,
+  handleBookingCompleted,
+  handleBookingCancelled
+};
\ No newline at end of file
@@ -0,0 +1,409 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const JournalEntry = require('../models/JournalEntry');
+const { ACCOUNTS } = require('../models/JournalEntry');
+const { createError } = require('../utils/errors');
+
+// Ví và tiền mặt là kênh nội bộ: phí kênh thuộc về nền tảng, không phải trả cho bên ngoài
+const INTERNAL_PROVIDERS = ['wallet', 'cash'];
+// Bút toán tất toán với tài xế: luôn trừ vào số dư chưa chi trả dù ghi sau kỳ
+const SETTLEMENT_TYPES = ['payout', 'cash_remittance'];
+const STATEMENT_MAX_ENTRIES = 500;
+
+/**
+ * Accounting Service
+ * Ghi sổ kép cho mỗi payment đã thu và mỗi lần hoàn tiền.
+ * Payment chuyến xe được ghi khi đã biết tài xế (booking.completed hoặc intent có driverId).
+ */
+class AccountingService {
+  /**
+   * Ghi bút toán cho payment đã completed (idempotent theo paymentId),
+   * kèm các lần hoàn tiền đã hoàn tất nhưng chưa ghi sổ
+   * @returns {Promise<Object|null>} Bút toán, null nếu chưa đủ thông tin để ghi
+   */
+  async postPayment(payment) {
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      throw createError(409, `Payment đang ở trạng thái ${payment.status}, chưa thể ghi sổ`);
+    }
+
+    const isTopUp = payment.purpose === 'wallet_topup';
+    if (!isTopUp && !payment.driverId) return null;
+
+    const journal = await this.post({
+      postingKey: `payment:${payment.paymentId}`,
+      type: isTopUp ? 'wallet_topup' : 'payment',
+      currency: payment.currency,
+      reference: { paymentId: payment.paymentId, bookingId: payment.bookingId || payment.rideId },
+      amount: Math.round(payment.amount),
+      lines: isTopUp ? this.topUpLines(payment) : this.rideLines(payment),
+      description: isTopUp ? `Nạp ví ${payment.userId}` : `Thanh toán chuyến ${payment.rideId}`
+    });
+
+    for (const refund of payment.refunds || []) {
+      if (refund.status === 'completed') await this.postRefund(payment, refund);
+    }
+    return journal;
+  }
+
+  // Ghi lại sổ cho một payment (khi lần ghi tự động bị lỗi)
+  async postPaymentById(paymentId) {
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      throw createError(404, 'Không tìm thấy giao dịch');
+    }
+
+    const journal = await this.postPayment(payment);
+    if (!journal) {
+      throw createError(409, 'Payment chưa gán tài xế, chưa thể ghi sổ');
+    }
+    return journal;
+  }
+
+  /**
+   * Ghi bút toán đảo chiều cho một lần hoàn tiền đã hoàn tất.
+   * Số đảo của từng dòng tính trên tổng đã hoàn (trừ phần đã đảo trước đó)
+   * để hoàn đủ 100% thì đảo đúng bằng bút toán gốc, không lệch do làm tròn.
+   * @returns {Promise<Object|null>} null nếu bút toán gốc chưa được ghi
+   */
+  async postRefund(payment, refund) {
+    const original = await JournalEntry.findOne({ postingKey: `payment:${payment.paymentId}` }).lean();
+    if (!original) return null;
+
+    const postingKey = `refund:${refund.refundId}`;
+    const existing = await JournalEntry.findOne({ postingKey }).lean();
+    if (existing) return existing;
+
+    const previous = await JournalEntry.find({ 'reference.paymentId': payment.paymentId, type: 'refund' }).lean();
+    const amount = Math.round(refund.amount);
+    const refunded = previous.reduce((sum, journal) => sum + journal.amount, 0) + amount;
+    if (refunded > original.amount) {
+      throw createError(422, `Tổng hoàn tiền ${refunded} vượt số tiền đã ghi sổ ${original.amount}`);
+    }
+
+    // Số cần đảo lũy kế cho từng dòng gốc
+    const ratio = refunded / original.amount;
+    const target = original.lines.map((line, index) => ({
+      ...line,
+      debit: index === 0 ? refunded : Math.round(line.debit * ratio),
+      credit: Math.round(line.credit * ratio)
+    }));
+    this.absorbRounding(target, original.type === 'payment' ? 'driver_earnings' : 'customer_wallet');
+
+    // Trừ phần đã đảo ở các lần hoàn trước; dòng gốc ghi nợ thì bút toán đảo ghi có và ngược lại
+    const lines = target.map(line => {
+      const reversed = previous
+        .flatMap(journal => journal.lines)
+        .filter(prior => prior.account === line.account && prior.party === line.party)
+        .reduce((sum, prior) => sum + prior.credit - prior.debit, 0);
+      return this.toLine(line.account, line.party, line.debit - line.credit - reversed, line.memo);
+    }).filter(Boolean);
+
+    return this.post({
+      postingKey,
+      type: 'refund',
+      currency: payment.currency,
+      reference: { paymentId: payment.paymentId, refundId: refund.refundId, bookingId: payment.bookingId || payment.rideId },
+      amount,
+      lines,
+      description: `Hoàn tiền ${refund.refundId} (${refund.reason})`
+    });
+  }
+
+  /**
+   * Bảng cân đối thử: tổng phát sinh nợ/có và số dư từng tài khoản
+   * @param {Date|string} [asOf] - Chỉ tính bút toán ghi trước thời điểm này
+   */
+  async getTrialBalance({ asOf } = {}) {
+    const match = asOf ? { postedAt: { $lte: this.parseDate(asOf, 'asOf') } } : {};
+    const totals = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+    ]);
+
+    const accounts = Object.entries(ACCOUNTS).map(([account, definition]) => {
+      const row = totals.find(total => total._id === account) || { debit: 0, credit: 0 };
+      return {
+        account,
+        type: definition.type,
+        debit: row.debit,
+        credit: row.credit,
+        balance: this.balanceOf(account, row.debit, row.credit)
+      };
+    });
+    const totalDebit = accounts.reduce((sum, row) => sum + row.debit, 0);
+    const totalCredit = accounts.reduce((sum, row) => sum + row.credit, 0);
+
+    return {
+      asOf: asOf ? new Date(asOf) : new Date(),
+      accounts,
+      totalDebit,
+      totalCredit,
+      balanced: totalDebit === totalCredit
+    };
+  }
+
+  /**
+   * Sổ chi tiết một tài khoản (tùy chọn theo đối tượng) trong khoảng thời gian
+   * @returns {Promise<{openingBalance, entries, closingBalance}>}
+   */
+  async getStatement(account, { party, from, to, limit } = {}) {
+    this.ensureAccount(account);
+    const fromDate = from ? this.parseDate(from, 'from') : null;
+    const toDate = to ? this.parseDate(to, 'to') : new Date();
+    const lineMatch = party ? { account, party: String(party) } : { account };
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), STATEMENT_MAX_ENTRIES);
+
+    const openingBalance = fromDate
+      ? await this.sumLines(lineMatch, { $lt: fromDate })
+      : 0;
+
+    const postedAt = { $lte: toDate };
+    if (fromDate) postedAt.$gte = fromDate;
+    const journals = await JournalEntry.find({ lines: { $elemMatch: lineMatch }, postedAt })
+      .sort({ postedAt: 1, _id: 1 })
+      .limit(pageSize + 1)
+      .lean();
+    const truncated = journals.length > pageSize;
+
+    let balance = openingBalance;
+    const entries = journals.slice(0, pageSize).map(journal => {
+      const lines = journal.lines.filter(line =>
+        line.account === account && (!party || line.party === String(party)));
+      const debit = lines.reduce((sum, line) => sum + line.debit, 0);
+      const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+      balance += this.balanceOf(account, debit, credit);
+      return {
+        journalId: journal.journalId,
+        type: journal.type,
+        postedAt: journal.postedAt,
+        reference: journal.reference,
+        description: journal.description,
+        debit,
+        credit,
+        balance
+      };
+    });
+
+    return {
+      account,
+      party: party || null,
+      from: fromDate,
+      to: toDate,
+      openingBalance,
+      entries,
+      closingBalance: balance,
+      truncated
+    };
+  }
+
+  /**
+   * Số dư theo từng đối tượng của một tài khoản, vd: thu nhập chưa trả của từng tài xế
+   */
+  async getPartyBalances(account, { asOf, party } = {}) {
+    this.ensureAccount(account);
+    const match = asOf ? { postedAt: { $lte: this.parseDate(asOf, 'asOf') } } : {};
+    if (party) match['lines.party'] = String(party);
+    const balances = await this.partyBalances(account, match);
+    return party ? balances.filter(row => row.party === String(party)) : balances;
+  }
+
+  /**
+   * Số dư chưa chi trả theo đối tượng cho một kỳ: phát sinh đến hết periodEnd,
+   * trừ mọi bút toán chi trả / nộp tiền mặt đã ghi (kể cả ghi sau periodEnd)
+   */
+  async getUnsettledBalances(account, periodEnd) {
+    this.ensureAccount(account);
+    return this.partyBalances(account, {
+      $or: [{ type: { $in: SETTLEMENT_TYPES } }, { postedAt: { $lte: periodEnd } }]
+    });
+  }
+
+  /**
+   * Chốt chi trả cho tài xế: chuyển thu nhập sang chờ chuyển khoản,
+   * cấn trừ tiền mặt tài xế đang giữ của các chuyến trả tiền mặt
+   */
+  async postPayout({ batchId, payoutId, driverId, earnings, cashNetted, amount }) {
+    return this.post({
+      postingKey: `payout:${payoutId}`,
+      type: 'payout',
+      reference: { batchId, payoutId },
+      amount: earnings,
+      lines: [
+        this.toLine('driver_earnings', driverId, -earnings, 'Chốt thu nhập'),
+        this.toLine('driver_cash', driverId, cashNetted, 'Cấn trừ tiền mặt tài xế giữ'),
+        this.toLine('payouts_payable', driverId, amount, 'Chờ chuyển khoản')
+      ].filter(Boolean),
+      description: `Chi trả ${payoutId} cho tài xế ${driverId}`
+    });
+  }
+
+  /**
+   * Tài xế nộp lại tiền mặt đã thu hộ cho nền tảng
+   */
+  async postCashRemittance({ remittanceId, driverId, amount, reference }) {
+    return this.post({
+      postingKey: `cash_remittance:${reference || remittanceId}`,
+      type: 'cash_remittance',
+      reference: { remittanceId },
+      amount,
+      lines: [
+        this.toLine('platform_bank', undefined, -amount, reference ? `Nộp tiền mặt ${reference}` : 'Nộp tiền mặt'),
+        this.toLine('driver_cash', driverId, amount, 'Tài xế nộp tiền mặt')
+      ],
+      description: `Tài xế ${driverId} nộp ${amount} tiền mặt`
+    });
+  }
+
+  /**
+   * Kết quả chuyển khoản: thành công ghi giảm tiền ngân hàng,
+   * thất bại trả số tiền về thu nhập chưa chi trả của tài xế
+   */
+  async postPayoutResult({ batchId, payoutId, driverId, amount }, paid) {
+    return this.post({
+      postingKey: `payout:${payoutId}:${paid ? 'paid' : 'failed'}`,
+      type: 'payout',
+      reference: { batchId, payoutId },
+      amount,
+      lines: [
+        this.toLine('payouts_payable', driverId, -amount, 'Kết quả chuyển khoản'),
+        paid
+          ? this.toLine('platform_bank', undefined, amount, 'Chuyển khoản cho tài xế')
+          : this.toLine('driver_earnings', driverId, amount, 'Chuyển khoản lỗi, trả lại thu nhập')
+      ],
+      description: `${paid ? 'Đã chuyển' : 'Chuyển lỗi'} ${payoutId} cho tài xế ${driverId}`
+    });
+  }
+
+  // Private helper methods
+
+  async partyBalances(account, match) {
+    const rows = await JournalEntry.aggregate([
+      { $match: { ...match, 'lines.account': account } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account } },
+      { $group: { _id: '$lines.party', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(row => ({
+      party: row._id,
+      debit: row.debit,
+      credit: row.credit,
+      balance: this.balanceOf(account, row.debit, row.credit)
+    }));
+  }
+
+  /**
+   * Khách trả A = thu nhập tài xế + phí nền tảng + VAT + phí cổng thanh toán
+   * Dòng đầu tiên luôn là tài khoản nhận tiền (dùng khi đảo chiều hoàn tiền)
+   */
+  rideLines(payment) {
+    const amount = Math.round(payment.amount);
+    const platformFee = Math.round(payment.fees?.platformFee || 0);
+    const tax = Math.round(payment.fees?.tax || 0);
+    const providerFee = Math.round(payment.fees?.paymentProviderFee || 0);
+    const internal = INTERNAL_PROVIDERS.includes(payment.provider);
+
+    return [
+      this.fundingLine(payment, amount),
+      this.toLine('driver_earnings', payment.driverId, amount - platformFee - tax - providerFee, 'Thu nhập tài xế'),
+      this.toLine('platform_revenue', undefined, platformFee + (internal ? providerFee : 0), 'Phí nền tảng'),
+      this.toLine('vat_payable', undefined, tax, 'VAT trên phí nền tảng'),
+      internal ? null : this.toLine('provider_fees_payable', payment.provider, providerFee, 'Phí cổng thanh toán')
+    ].filter(Boolean);
+  }
+
+  // Nạp ví: khách nhận đủ số nạp, phí cổng thanh toán nền tảng chịu
+  topUpLines(payment) {
+    const amount = Math.round(payment.amount);
+    const providerFee = Math.round(payment.fees?.paymentProviderFee || 0);
+
+    return [
+      this.fundingLine(payment, amount),
+      this.toLine('customer_wallet', payment.userId, amount, 'Nạp ví'),
+      this.toLine('provider_fee_expense', payment.provider, -providerFee, 'Phí nạp ví'),
+      this.toLine('provider_fees_payable', payment.provider, providerFee, 'Phí cổng thanh toán')
+    ].filter(Boolean);
+  }
+
+  // Tài khoản nhận tiền của khách theo phương thức thanh toán
+  fundingLine(payment, amount) {
+    if (payment.method === 'wallet') {
+      return this.toLine('customer_wallet', payment.userId, -amount, 'Trừ ví khách hàng');
+    }
+    if (payment.method === 'cash') {
+      return this.toLine('driver_cash', payment.driverId, -amount, 'Tài xế thu tiền mặt');
+    }
+    return this.toLine('provider_receivable', payment.provider, -amount, `Thu qua ${payment.provider}`);
+  }
+
+  // Tạo dòng bút toán từ số có dấu: dương = có, âm = nợ
+  toLine(account, party, value, memo) {
+    if (!value) return null;
+    return {
+      account,
+      party: party ? String(party) : undefined,
+      debit: value < 0 ? -value : 0,
+      credit: value > 0 ? value : 0,
+      memo
+    };
+  }
+
+  // Dồn chênh lệch làm tròn vào một dòng để bút toán cân
+  absorbRounding(lines, account) {
+    const difference = lines.reduce((sum, line) => sum + line.debit - line.credit, 0);
+    if (!difference) return;
+    const line = lines.find(candidate => candidate.account === account) || lines[lines.length - 1];
+    const net = line.credit - line.debit + difference;
+    line.credit = Math.max(net, 0);
+    line.debit = Math.max(-net, 0);
+  }
+
+  async post(journal) {
+    try {
+      return (await JournalEntry.create({
+        ...journal,
+        journalId: `JRN-${uuidv4().substring(0, 12)}`
+      })).toObject();
+    } catch (error) {
+      // Đã ghi trước đó (chạy lại / xử lý song song)
+      if (error.code === 11000 && error.keyPattern?.postingKey) {
+        return JournalEntry.findOne({ postingKey: journal.postingKey }).lean();
+      }
+      throw error;
+    }
+  }
+
+  async sumLines(lineMatch, postedAt) {
+    const match = Object.fromEntries(Object.entries(lineMatch).map(([key, value]) => [`lines.${key}`, value]));
+    const [row] = await JournalEntry.aggregate([
+      { $match: { postedAt } },
+      { $unwind: '$lines' },
+      { $match: match },
+      { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+    ]);
+    return row ? this.balanceOf(lineMatch.account, row.debit, row.credit) : 0;
+  }
+
+  // Số dư theo phía tăng của tài khoản
+  balanceOf(account, debit, credit) {
+    return ACCOUNTS[account].normal === 'debit' ? debit - credit : credit - debit;
+  }
+
+  ensureAccount(account) {
+    if (!ACCOUNTS[account]) {
+      throw createError(400, `Tài khoản không hợp lệ. Hợp lệ: ${Object.keys(ACCOUNTS).join(', ')}`);
+    }
+  }
+
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createError(400, `${field} không phải ngày hợp lệ`);
+    }
+    return date;
+  }
+}
+
+module.exports = new AccountingService();
@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const { runPaymentSaga, publishPaymentResult } = require('../saga/paymentSaga');
+const accountingService = require('./AccountingService');
+const { createError } = require('../utils/errors');
+
+const CASH_CONFIG = {
+  // Chênh lệch thu thiếu trong mức này coi như làm tròn, không cần giải trình
+  differenceTolerance: parseInt(process.env.CASH_DIFFERENCE_TOLERANCE, 10) || 1000,
+  recentRides: 20
+};
+
+const RIDE_FILTERS = ['awaiting_collection', 'collected', 'review'];
+
+/**
+ * Cash Service
+ * Chuyến tiền mặt: booking.completed chuyển payment sang chờ thu (awaiting_collection),
+ * tài xế xác nhận số tiền thực nhận thì payment mới completed và được ghi sổ
+ * (tài xế giữ tiền -> driver_cash). Tài xế nộp lại tiền mặt qua recordRemittance,
+ * phần còn lại được cấn trừ khi chi trả thu nhập.
+ */
+class CashService {
+  /**
+   * Tài xế xác nhận đã thu tiền mặt của chuyến
+   * @param {Object} collection - { amountReceived, changeGiven, differenceReason, notes }
+   * @throws 403 nếu người gọi không phải tài xế của chuyến (trừ admin)
+   */
+  async confirmCollection(rideId, collection = {}, actor, role, metadata = {}) {
+    const { amountReceived, changeGiven = 0, differenceReason, notes } = collection;
+    if (!this.isAmount(amountReceived)) {
+      throw createError(400, 'amountReceived phải là số không âm');
+    }
+    if (!this.isAmount(changeGiven) || changeGiven > amountReceived) {
+      throw createError(400, 'changeGiven phải là số không âm và không vượt quá amountReceived');
+    }
+
+    const current = await Payment.findOne({ rideId: String(rideId), method: 'cash' });
+    if (!current) {
+      throw createError(404, 'Không tìm thấy thanh toán tiền mặt của chuyến');
+    }
+    if (role !== 'admin' && current.driverId !== actor) {
+      throw createError(403, 'Chỉ tài xế của chuyến mới được xác nhận thu tiền');
+    }
+
+    const expectedAmount = current.cashDetails?.expectedAmount ?? current.amount;
+    const collectedAmount = amountReceived - changeGiven;
+    const difference = collectedAmount - expectedAmount;
+    const reviewRequired = difference < -CASH_CONFIG.differenceTolerance;
+    if (reviewRequired && !differenceReason) {
+      throw createError(400, `Thu thiếu ${-difference}, differenceReason là bắt buộc`);
+    }
+
+    // Chiếm quyền xử lý nguyên tử: xác nhận hai lần song song chỉ một lần đi tiếp
+    const payment = await Payment.findOneAndUpdate(
+      { paymentId: current.paymentId, status: 'pending', 'cashDetails.status': 'awaiting_collection' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    if (!payment) {
+      const state = current.cashDetails?.status === 'collected' ? 'đã được xác nhận' : `đang ở trạng thái ${current.status}`;
+      throw createError(409, `Thanh toán tiền mặt ${state}`);
+    }
+
+    payment.cashDetails = {
+      ...payment.cashDetails.toObject(),
+      status: 'collected',
+      amountReceived,
+      changeGiven,
+      collectedAmount,
+      difference,
+      differenceReason,
+      reviewRequired,
+      collectedBy: actor,
+      collectedAt: new Date(),
+      notes
+    };
+    payment.addAuditEntry('cash_collected', actor, { collectedAmount, difference, reviewRequired }, metadata);
+    await payment.startProcessing();
+
+    const bookingId = payment.bookingId || payment.rideId;
+    try {
+      await runPaymentSaga(payment);
+    } catch (error) {
+      publishPaymentResult(payment, bookingId, error);
+      throw createError(502, `Ghi nhận thanh toán tiền mặt thất bại: ${error.message}`);
+    }
+    publishPaymentResult(payment, bookingId);
+
+    return payment;
+  }
+
+  /**
+   * Tiền mặt tài xế đang giữ và hoa hồng còn nợ nền tảng
+   * Hoa hồng nợ = tiền mặt đang giữ vượt quá thu nhập chưa chi trả (phần không cấn trừ được)
+   */
+  async getDriverCashSummary(driverId) {
+    driverId = String(driverId);
+    const [[cash], [earnings], awaiting, rides] = await Promise.all([
+      accountingService.getPartyBalances('driver_cash', { party: driverId }),
+      accountingService.getPartyBalances('driver_earnings', { party: driverId }),
+      Payment.aggregate([
+        { $match: { driverId, method: 'cash', status: 'pending', 'cashDetails.status': 'awaiting_collection' } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]),
+      Payment.find({ driverId, method: 'cash', 'cashDetails.status': { $exists: true } })
+        .select('paymentId rideId bookingId amount status fees cashDetails')
+        .sort({ createdAt: -1 })
+        .limit(CASH_CONFIG.recentRides)
+        .lean()
+    ]);
+
+    const cashHeld = cash?.balance || 0;
+    const unpaidEarnings = earnings?.balance || 0;
+
+    return {
+      driverId,
+      cashHeld,
+      unpaidEarnings,
+      commissionOwed: Math.max(cashHeld - unpaidEarnings, 0),
+      awaitingCollection: {
+        count: awaiting[0]?.count || 0,
+        amount: awaiting[0]?.amount || 0
+      },
+      recentRides: rides.map(ride => ({
+        paymentId: ride.paymentId,
+        rideId: ride.rideId,
+        bookingId: ride.bookingId,
+        amount: ride.amount,
+        status: ride.status,
+        commission: (ride.fees?.platformFee || 0) + (ride.fees?.tax || 0),
+        cashDetails: ride.cashDetails
+      }))
+    };
+  }
+
+  /**
+   * Ghi nhận tài xế nộp tiền mặt cho nền tảng (idempotent theo reference nếu có)
+   * @throws 422 nếu số nộp vượt quá tiền mặt tài xế đang giữ
+   */
+  async recordRemittance(driverId, { amount, reference } = {}, actor) {
+    driverId = String(driverId);
+    if (typeof amount !== 'number' || !Number.isInteger(amount) || amount <= 0) {
+      throw createError(400, 'amount phải là số nguyên dương');
+    }
+
+    const [cash] = await accountingService.getPartyBalances('driver_cash', { party: driverId });
+    const cashHeld = cash?.balance || 0;
+    if (amount > cashHeld) {
+      throw createError(422, `Số tiền nộp vượt quá tiền mặt tài xế đang giữ (${cashHeld})`);
+    }
+
+    const remittanceId = `REM-${uuidv4().substring(0, 8)}`;
+    const journal = await accountingService.postCashRemittance({ remittanceId, driverId, amount, reference });
+    console.log(`💵 ${actor} ghi nhận tài xế ${driverId} nộp ${amount} tiền mặt`);
+
+    return {
+      remittanceId: journal.reference?.remittanceId || remittanceId,
+      driverId,
+      amount: journal.amount,
+      reference,
+      journalId: journal.journalId,
+      cashHeld: cashHeld - journal.amount
+    };
+  }
+
+  /**
+   * Danh sách chuyến tiền mặt cho vận hành (cũ nhất trước)
+   * @param {string} status - awaiting_collection | collected | review (thu thiếu cần kiểm tra)
+   * @param {number} olderThanHours - chỉ lấy chuyến chờ thu quá số giờ này
+   */
+  async listCashRides({ status = 'awaiting_collection', driverId, olderThanHours, page = 1, limit = 20 } = {}) {
+    if (!RIDE_FILTERS.includes(status)) {
+      throw createError(400, `status phải là một trong: ${RIDE_FILTERS.join(', ')}`);
+    }
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { method: 'cash' };
+    if (status === 'review') {
+      query['cashDetails.reviewRequired'] = true;
+    } else {
+      query['cashDetails.status'] = status;
+    }
+    if (driverId) query.driverId = String(driverId);
+    const hours = parseFloat(olderThanHours);
+    if (hours > 0) {
+      query['cashDetails.awaitingSince'] = { $lte: new Date(Date.now() - hours * 3600 * 1000) };
+    }
+
+    const [rides, total] = await Promise.all([
+      Payment.find(query)
+        .select('paymentId rideId bookingId userId driverId amount currency status cashDetails')
+        .sort({ 'cashDetails.awaitingSince': 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Payment.countDocuments(query)
+    ]);
+
+    return {
+      rides,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  // Private helper methods
+
+  isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+}
+
+module.exports = new CashService();
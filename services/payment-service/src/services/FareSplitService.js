@@ -0,0 +1,416 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const FareSplit = require('../models/FareSplit');
+const { runPaymentSaga, publishPaymentEvent } = require('../saga/paymentSaga');
+const refundService = require('./RefundService');
+const { createError } = require('../utils/errors');
+
+const SPLIT_CONFIG = {
+  maxParticipants: parseInt(process.env.FARE_SPLIT_MAX_PARTICIPANTS, 10) || 5,
+  // Lời mời chưa trả lời sau thời hạn này thì người đặt trả phần đó
+  inviteTtlHours: parseInt(process.env.FARE_SPLIT_INVITE_TTL_HOURS, 10) || 24,
+  authServiceUrl: process.env.AUTH_SERVICE_URL || 'http://auth-service:3004',
+  authServiceTimeoutMs: parseInt(process.env.AUTH_SERVICE_TIMEOUT_MS, 10) || 5000
+};
+
+// Người được mời trả phần của mình qua thẻ / ví / chuyển khoản (không tiền mặt)
+const SHARE_METHODS = { card: 'stripe', wallet: 'wallet', bank_transfer: 'bank' };
+
+/**
+ * Fare Split Service
+ * Người đặt mời người dùng khác (theo số điện thoại / email) chia tiền chuyến.
+ * Payment của người đặt vẫn là toàn bộ cước; mỗi phần người được mời trả thành công
+ * là một Payment riêng (split.role = participant) và được trừ khỏi payment của người đặt:
+ * giảm số tiền nếu chưa thu, hoàn tiền (reason fare_split) nếu đã thu.
+ * Phần bị từ chối, thất bại hoặc hết hạn do người đặt trả.
+ */
+class FareSplitService {
+  /**
+   * Người đặt tạo lời mời chia tiền
+   * @param {Object} data - { rideId, mode: equal|custom, participants: [{ phone|email, amount? }] }
+   */
+  async createSplit({ rideId, mode = 'equal', participants } = {}, actor) {
+    if (!rideId) {
+      throw createError(400, 'rideId là bắt buộc');
+    }
+    if (!['equal', 'custom'].includes(mode)) {
+      throw createError(400, 'mode phải là equal hoặc custom');
+    }
+    if (!Array.isArray(participants) || participants.length === 0
+      || participants.length > SPLIT_CONFIG.maxParticipants) {
+      throw createError(400, `participants phải có từ 1 đến ${SPLIT_CONFIG.maxParticipants} người`);
+    }
+
+    const owner = await this.findOwnerPayment(rideId);
+    if (owner.userId !== actor) {
+      throw createError(403, 'Chỉ người đặt chuyến mới được chia tiền');
+    }
+    this.assertCreditable(owner);
+
+    const invitees = [];
+    for (const participant of participants) {
+      const user = await this.lookupUser(participant);
+      if (user.id === owner.userId) {
+        throw createError(422, 'Không thể mời chính người đặt chuyến');
+      }
+      if (invitees.some(invitee => invitee.user.id === user.id)) {
+        throw createError(422, `Người dùng ${participant.phone || participant.email} được mời nhiều lần`);
+      }
+      invitees.push({ participant, user });
+    }
+
+    const amounts = this.splitAmounts(owner.amount, mode, participants);
+    const splitId = `SPL-${uuidv4().substring(0, 8)}`;
+    const split = new FareSplit({
+      splitId,
+      rideId: owner.rideId,
+      bookingId: owner.bookingId,
+      ownerUserId: owner.userId,
+      ownerPaymentId: owner.paymentId,
+      mode,
+      totalAmount: owner.amount,
+      currency: owner.currency,
+      expiresAt: new Date(Date.now() + SPLIT_CONFIG.inviteTtlHours * 3600 * 1000),
+      shares: invitees.map(({ participant, user }, index) => ({
+        shareId: `SHR-${uuidv4().substring(0, 8)}`,
+        userId: user.id,
+        invitedBy: { phone: participant.phone, email: participant.email },
+        displayName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        amount: amounts[index]
+      }))
+    });
+
+    try {
+      await split.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, `Chuyến ${owner.rideId} đã được chia tiền`);
+      }
+      throw error;
+    }
+
+    await Payment.updateOne(
+      { paymentId: owner.paymentId },
+      { $set: { split: { splitId, role: 'owner', paidByOthers: 0 } } }
+    );
+
+    for (const share of split.shares) {
+      publishPaymentEvent('payment.split_invited', {
+        splitId,
+        shareId: share.shareId,
+        rideId: split.rideId,
+        bookingId: split.bookingId,
+        userId: share.userId,
+        ownerUserId: split.ownerUserId,
+        amount: share.amount,
+        currency: split.currency,
+        expiresAt: split.expiresAt
+      });
+    }
+
+    return split;
+  }
+
+  /**
+   * Người được mời nhận phần của mình và trả ngay
+   * @throws 402/504 nếu thanh toán thất bại (phần đó chuyển sang người đặt trả)
+   */
+  async acceptShare(splitId, shareId, { method } = {}, actor) {
+    if (!SHARE_METHODS[method]) {
+      throw createError(400, `method phải là một trong: ${Object.keys(SHARE_METHODS).join(', ')}`);
+    }
+
+    const split = await this.getOpenShare(splitId, shareId, actor);
+    const owner = await this.findOwnerPayment(split.rideId);
+    this.assertCreditable(owner);
+
+    const claimed = await this.updateShare(splitId, shareId, 'invited', {
+      status: 'accepted',
+      method,
+      respondedAt: new Date()
+    });
+    const share = claimed.findShare(shareId);
+
+    const payment = new Payment({
+      paymentId: `PAY-${uuidv4().substring(0, 8)}`,
+      rideId: split.rideId,
+      bookingId: split.bookingId,
+      userId: share.userId,
+      driverId: owner.driverId,
+      amount: share.amount,
+      currency: split.currency,
+      method,
+      provider: SHARE_METHODS[method],
+      source: 'api',
+      status: 'pending',
+      // Thất bại thì người đặt trả phần này, không để retry worker thu lại sau
+      maxRetries: 0,
+      split: { splitId, shareId, role: 'participant' }
+    });
+    payment.calculateFees();
+    payment.addAuditEntry('split_share_accepted', actor, { splitId, shareId, amount: share.amount });
+    await payment.startProcessing();
+
+    try {
+      await runPaymentSaga(payment);
+    } catch (error) {
+      const failed = await this.updateShare(splitId, shareId, 'accepted', {
+        status: 'failed',
+        paymentId: payment.paymentId,
+        error: error.message
+      });
+      this.publishShareUpdate(failed, failed.findShare(shareId));
+      const status = error.code === 'timeout' ? 504 : 402;
+      throw createError(status, `Thanh toán phần chia tiền thất bại: ${error.message}`);
+    }
+
+    const ownerCredit = await this.creditOwner(owner.paymentId, share);
+    const paid = await this.updateShare(splitId, shareId, 'accepted', {
+      status: 'paid',
+      paymentId: payment.paymentId,
+      paidAt: new Date(),
+      ownerCredit
+    });
+    this.publishShareUpdate(paid, paid.findShare(shareId));
+
+    return { split: paid, payment };
+  }
+
+  // Người được mời từ chối, người đặt trả phần này
+  async declineShare(splitId, shareId, actor) {
+    await this.getOpenShare(splitId, shareId, actor);
+    const split = await this.updateShare(splitId, shareId, 'invited', {
+      status: 'declined',
+      respondedAt: new Date()
+    });
+    this.publishShareUpdate(split, split.findShare(shareId));
+    return split;
+  }
+
+  /**
+   * Người đặt, người được mời hoặc admin/support xem chia tiền
+   */
+  async getSplit(splitId, actor, role) {
+    const split = await FareSplit.findOne({ splitId });
+    if (!split) {
+      throw createError(404, 'Không tìm thấy chia tiền');
+    }
+    const isMember = split.ownerUserId === actor || split.shares.some(share => share.userId === actor);
+    if (!isMember && !['admin', 'support'].includes(role)) {
+      throw createError(403, 'Không có quyền xem chia tiền này');
+    }
+    await this.expireInvitations(split);
+    return split;
+  }
+
+  // Lời mời chia tiền đang chờ người dùng trả lời
+  async listInvitations(userId) {
+    const splits = await FareSplit.find({
+      status: 'open',
+      expiresAt: { $gt: new Date() },
+      shares: { $elemMatch: { userId: String(userId), status: 'invited' } }
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return splits.flatMap(split => split.shares
+      .filter(share => share.userId === String(userId) && share.status === 'invited')
+      .map(share => ({
+        splitId: split.splitId,
+        shareId: share.shareId,
+        rideId: split.rideId,
+        bookingId: split.bookingId,
+        ownerUserId: split.ownerUserId,
+        amount: share.amount,
+        currency: split.currency,
+        expiresAt: split.expiresAt
+      })));
+  }
+
+  /**
+   * booking.cancelled: hủy lời mời còn lại và hoàn tiền các phần người được mời đã trả
+   */
+  async cancelForRide(rideId, reason) {
+    const split = await FareSplit.findOne({ rideId: String(rideId), status: { $ne: 'cancelled' } });
+    if (!split) return null;
+
+    for (const share of split.shares) {
+      if (['invited', 'accepted'].includes(share.status)) {
+        share.status = 'expired';
+      } else if (share.status === 'paid') {
+        try {
+          await refundService.systemRefund(share.paymentId, share.amount, 'fare_split', `Hủy chuyến: ${reason}`);
+          share.status = 'refunded';
+        } catch (error) {
+          share.error = `Hoàn tiền khi hủy chuyến thất bại: ${error.message}`;
+          console.error(`❌ Hoàn phần chia tiền ${share.shareId} thất bại:`, error.message);
+        }
+      }
+    }
+    split.status = 'cancelled';
+    split.closedAt = new Date();
+    await split.save();
+    return split;
+  }
+
+  // Private helper methods
+
+  async findOwnerPayment(rideId) {
+    const owner = await Payment.findOne({ rideId: String(rideId), 'split.role': { $ne: 'participant' } });
+    if (!owner) {
+      throw createError(404, 'Không tìm thấy thanh toán của chuyến');
+    }
+    return owner;
+  }
+
+  // Phần người được mời trả phải trừ được khỏi payment của người đặt
+  assertCreditable(owner) {
+    if (owner.purpose !== 'ride') {
+      throw createError(422, 'Chỉ chia tiền được cho thanh toán chuyến xe');
+    }
+    if (owner.status === 'pending') return;
+    if (owner.status === 'completed' && owner.method !== 'cash' && owner.refundableAmount > 0) return;
+    throw createError(409, `Không thể chia tiền thanh toán ${owner.method} ở trạng thái ${owner.status}`);
+  }
+
+  async getOpenShare(splitId, shareId, actor) {
+    const split = await FareSplit.findOne({ splitId });
+    if (!split) {
+      throw createError(404, 'Không tìm thấy chia tiền');
+    }
+    const share = split.findShare(shareId);
+    if (!share || share.userId !== actor) {
+      throw createError(404, 'Không tìm thấy lời mời chia tiền');
+    }
+    await this.expireInvitations(split);
+    if (split.status !== 'open' || share.status !== 'invited') {
+      throw createError(409, `Lời mời chia tiền đang ở trạng thái ${share.status}`);
+    }
+    return split;
+  }
+
+  // Chuyển phần đang ở trạng thái from (nguyên tử: hai lần trả lời song song chỉ một lần thắng)
+  async updateShare(splitId, shareId, from, changes) {
+    const $set = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`shares.$.${key}`, value]));
+    const split = await FareSplit.findOneAndUpdate(
+      { splitId, shares: { $elemMatch: { shareId, status: from } } },
+      { $set },
+      { new: true }
+    );
+    if (!split) {
+      throw createError(409, 'Lời mời chia tiền vừa được cập nhật, vui lòng tải lại');
+    }
+    if (split.refreshStatus() === 'closed') await split.save();
+    return split;
+  }
+
+  /**
+   * Trừ phần đã trả khỏi payment của người đặt; lỗi được ghi lại trên phần chia tiền
+   * để vận hành xử lý, không làm hỏng thanh toán của người được mời
+   */
+  async creditOwner(ownerPaymentId, share) {
+    try {
+      const reduced = await refundService.mutate(ownerPaymentId, async (owner) => {
+        if (owner.status !== 'pending') return;
+        owner.amount -= share.amount;
+        owner.split.paidByOthers = (owner.split.paidByOthers || 0) + share.amount;
+        if (owner.cashDetails?.status === 'awaiting_collection') {
+          owner.cashDetails.expectedAmount = owner.amount;
+        }
+        owner.calculateFees();
+        owner.addAuditEntry('split_share_paid', 'system', { shareId: share.shareId, amount: share.amount });
+        await owner.save();
+      });
+      if (reduced.status === 'pending') {
+        return { type: 'amount_reduced' };
+      }
+
+      const { refund } = await refundService.systemRefund(
+        ownerPaymentId,
+        share.amount,
+        'fare_split',
+        `Phần chia tiền ${share.shareId}`
+      );
+      await Payment.updateOne({ paymentId: ownerPaymentId }, { $inc: { 'split.paidByOthers': share.amount } });
+      return { type: 'refunded', refundId: refund.refundId };
+    } catch (error) {
+      console.error(`❌ Trừ phần chia tiền ${share.shareId} cho người đặt thất bại:`, error.message);
+      return { type: 'failed', error: error.message };
+    }
+  }
+
+  // Lời mời quá hạn: người đặt trả thay
+  async expireInvitations(split) {
+    if (split.status !== 'open' || split.expiresAt > new Date()) return;
+    split.shares
+      .filter(share => share.status === 'invited')
+      .forEach(share => { share.status = 'expired'; });
+    split.refreshStatus();
+    await split.save();
+  }
+
+  /**
+   * Chia đều: mỗi người được mời floor(tổng / số người), người đặt trả phần dư
+   * Tùy chỉnh: tổng các phần phải nhỏ hơn cước (người đặt luôn trả một phần)
+   */
+  splitAmounts(total, mode, participants) {
+    if (mode === 'equal') {
+      return participants.map(() => Math.floor(total / (participants.length + 1)));
+    }
+
+    const amounts = participants.map(participant => participant.amount);
+    if (amounts.some(amount => typeof amount !== 'number' || !Number.isInteger(amount) || amount <= 0)) {
+      throw createError(400, 'mode custom: amount của mỗi người phải là số nguyên dương');
+    }
+    const invited = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (invited >= total) {
+      throw createError(422, `Tổng phần chia (${invited}) phải nhỏ hơn cước chuyến (${total})`);
+    }
+    return amounts;
+  }
+
+  /**
+   * Tra người dùng đã đăng ký theo số điện thoại / email (auth-service)
+   * @throws 422 nếu không tìm thấy, 503 nếu auth-service lỗi
+   */
+  async lookupUser({ phone, email } = {}) {
+    if (!phone && !email) {
+      throw createError(400, 'Mỗi người được mời cần phone hoặc email');
+    }
+    const query = new URLSearchParams(phone ? { phone } : { email });
+
+    let response;
+    try {
+      response = await fetch(`${SPLIT_CONFIG.authServiceUrl}/auth/internal/users/lookup?${query}`, {
+        signal: AbortSignal.timeout(SPLIT_CONFIG.authServiceTimeoutMs)
+      });
+    } catch (error) {
+      throw createError(503, `Không tra cứu được người dùng: ${error.message}`);
+    }
+    if (response.status === 404) {
+      throw createError(422, `Không tìm thấy người dùng đã đăng ký với ${phone || email}`);
+    }
+    if (!response.ok) {
+      throw createError(503, `Không tra cứu được người dùng (auth-service trả về ${response.status})`);
+    }
+    const { user } = await response.json();
+    return { ...user, id: String(user.id) };
+  }
+
+  publishShareUpdate(split, share) {
+    publishPaymentEvent('payment.split_share_updated', {
+      splitId: split.splitId,
+      shareId: share.shareId,
+      rideId: split.rideId,
+      bookingId: split.bookingId,
+      ownerUserId: split.ownerUserId,
+      userId: share.userId,
+      amount: share.amount,
+      status: share.status,
+      paymentId: share.paymentId,
+      splitStatus: split.status
+    });
+  }
+}
+
+module.exports = new FareSplitService();
@@ -0,0 +1,344 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const { publishPaymentEvent, publishPaymentResult, runPaymentSaga } = require('../saga/paymentSaga');
+const { getProvider, mockProvider, ProviderError } = require('../providers');
+const accountingService = require('./AccountingService');
+const refundService = require('./RefundService');
+const { createError } = require('../utils/errors');
+
+const METHODS = ['cash', 'wallet', 'card', 'bank_transfer'];
+const CURRENCIES = ['VND', 'USD', 'EUR'];
+
+// Provider mặc định theo phương thức thanh toán
+const DEFAULT_PROVIDERS = {
+  cash: 'cash',
+  wallet: 'wallet',
+  card: 'stripe',
+  bank_transfer: 'bank'
+};
+
+// Nhân viên được xem mọi giao dịch; chỉ admin thao tác thay khách
+const STAFF_ROLES = ['admin', 'support'];
+
+// Sự kiện webhook cổng thanh toán -> method áp dụng lên payment; loại khác chỉ ghi audit log
+const WEBHOOK_HANDLERS = {
+  'payment.captured': 'applyWebhookCapture',
+  'payment.declined': 'applyWebhookDecline',
+  'refund.succeeded': 'applyWebhookRefund',
+  'refund.failed': 'applyWebhookRefundFailure'
+};
+
+class PaymentService {
+  /**
+   * Tạo payment intent (trạng thái pending) cho một chuyến xe
+   * Khách tạo cho chính mình; admin được tạo thay khách qua data.userId
+   * @throws 403 nếu tạo cho người khác mà không phải admin
+   */
+  async createIntent(data, actor, role, metadata = {}) {
+    const { rideId, bookingId, driverId, amount, currency = 'VND', method = 'card', source = 'api' } = data;
+    const userId = data.userId || actor;
+
+    if (role !== 'admin' && String(userId) !== actor) {
+      throw createError(403, 'Chỉ được tạo thanh toán cho chính mình');
+    }
+    if (!rideId || !userId) {
+      throw createError(400, 'rideId và userId là bắt buộc');
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw createError(400, 'amount phải là số dương');
+    }
+    if (!METHODS.includes(method)) {
+      throw createError(400, `method phải là một trong: ${METHODS.join(', ')}`);
+    }
+    if (!CURRENCIES.includes(currency)) {
+      throw createError(400, `currency phải là một trong: ${CURRENCIES.join(', ')}`);
+    }
+
+    const existing = await Payment.findOne({ rideId: String(rideId) }).select('paymentId status').lean();
+    if (existing) {
+      throw createError(409, `Chuyến ${rideId} đã có thanh toán ${existing.paymentId} (${existing.status})`);
+    }
+
+    const payment = new Payment({
+      paymentId: `PAY-${uuidv4().substring(0, 8)}`,
+      rideId: String(rideId),
+      bookingId: bookingId ? String(bookingId) : undefined,
+      userId: String(userId),
+      driverId,
+      amount,
+      currency,
+      method,
+      provider: data.provider || DEFAULT_PROVIDERS[method],
+      source,
+      status: 'pending',
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent
+    });
+    payment.calculateFees();
+    payment.addAuditEntry('intent_created', actor, { amount, currency, method }, metadata);
+
+    try {
+      await payment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, `Chuyến ${rideId} đã có thanh toán`);
+      }
+      if (error.name === 'ValidationError') {
+        throw createError(400, error.message);
+      }
+      throw error;
+    }
+
+    return payment;
+  }
+
+  // Capture: pending -> processing -> completed (hoặc failed)
+  // Tiền mặt không capture qua API này: tài xế xác nhận đã thu qua /api/payments/cash
+  async capture(paymentId, actor, role, metadata = {}) {
+    this.assertOwner(await this.getPayment(paymentId), actor, role);
+
+    // Chiếm quyền xử lý nguyên tử: hai request capture song song chỉ một request đi tiếp
+    const payment = await Payment.findOneAndUpdate(
+      { paymentId, status: 'pending', method: { $ne: 'cash' } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+
+    if (!payment) {
+      const current = await this.getPayment(paymentId);
+      if (current.method === 'cash' && current.status === 'pending') {
+        throw createError(409, 'Thanh toán tiền mặt chỉ hoàn tất khi tài xế xác nhận đã thu tiền');
+      }
+      throw createError(409, `Không thể capture thanh toán ở trạng thái ${current.status}`);
+    }
+
+    payment.addAuditEntry('capture_requested', actor, {}, metadata);
+    await payment.startProcessing();
+
+    try {
+      await runPaymentSaga(payment);
+    } catch (error) {
+      // Timeout cổng thanh toán -> 504, bị từ chối / lỗi khác -> 402
+      const status = error.code === 'timeout' ? 504 : 402;
+      throw createError(status, `Capture thất bại: ${error.message}`);
+    }
+
+    publishPaymentEvent('payment.succeeded', {
+      paymentId: payment.paymentId,
+      bookingId: payment.bookingId,
+      rideId: payment.rideId,
+      userId: payment.userId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: 'paid'
+    });
+
+    return payment;
+  }
+
+  // Hủy payment intent chưa capture
+  async cancel(paymentId, actor, role, reason, metadata = {}) {
+    this.assertOwner(await this.getPayment(paymentId), actor, role);
+
+    const payment = await Payment.findOneAndUpdate(
+      { paymentId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!payment) {
+      const current = await this.getPayment(paymentId);
+      throw createError(409, `Không thể hủy thanh toán ở trạng thái ${current.status}`);
+    }
+
+    payment.addAuditEntry('cancelled', actor, { reason }, metadata);
+    await payment.save();
+
+    return payment;
+  }
+
+  /**
+   * Webhook từ cổng thanh toán: xác thực chữ ký rồi áp dụng kết quả thu tiền / hoàn tiền
+   * với cùng các chuyển trạng thái như saga và RefundService.
+   * Mỗi (type, transactionId) chỉ áp dụng một lần, cổng thanh toán gửi lại thì bỏ qua.
+   * @param {Buffer} rawBody - Body gốc (chữ ký tính trên body chưa parse)
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    let adapter;
+    let event;
+    try {
+      adapter = getProvider(null, providerName);
+      event = adapter.verifyWebhook(rawBody, headers);
+    } catch (error) {
+      if (error instanceof ProviderError) {
+        throw createError(error.code === 'invalid_signature' ? 401 : 400, error.message);
+      }
+      throw createError(400, 'Webhook body không hợp lệ');
+    }
+
+    if (!event || !event.paymentId || !event.transactionId) {
+      throw createError(400, 'Webhook thiếu paymentId hoặc transactionId');
+    }
+    if (event.type?.startsWith('refund.') && !event.refundId) {
+      throw createError(400, 'Webhook hoàn tiền thiếu refundId');
+    }
+
+    // Ghi audit log có điều kiện chưa từng nhận: hai lần gửi song song chỉ một lần đi tiếp
+    const received = { action: 'webhook_received', 'details.type': event.type, 'details.transactionId': event.transactionId };
+    const payment = await Payment.findOneAndUpdate(
+      { paymentId: event.paymentId, auditLog: { $not: { $elemMatch: received } } },
+      {
+        $push: {
+          auditLog: {
+            action: 'webhook_received',
+            actor: adapter.name,
+            details: { type: event.type, transactionId: event.transactionId, refundId: event.refundId },
+            timestamp: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!payment) {
+      await this.getPayment(event.paymentId);
+      return { received: true, paymentId: event.paymentId, duplicate: true };
+    }
+
+    const handler = WEBHOOK_HANDLERS[event.type];
+    let applied = false;
+    try {
+      applied = handler ? await this[handler](payment, event, adapter.name) : false;
+    } catch (error) {
+      // Bỏ đánh dấu đã nhận để lần gửi lại của cổng thanh toán được áp dụng
+      await Payment.updateOne({ paymentId: payment.paymentId }, { $pull: { auditLog: received } });
+      throw error;
+    }
+
+    return { received: true, paymentId: payment.paymentId, applied };
+  }
+
+  // payment.captured: cổng thanh toán đã thu, saga chưa ghi nhận (chờ kết quả hoặc bị ngắt giữa chừng)
+  async applyWebhookCapture(payment, event, gateway) {
+    if (!['pending', 'processing'].includes(payment.status)) return false;
+
+    // Payment còn pending (saga chưa bắt đầu) thì tính thời gian xử lý từ lúc nhận webhook
+    if (!payment.processingStartedAt) payment.processingStartedAt = new Date();
+    payment.externalTransactionId = event.transactionId;
+    payment.gateway = gateway;
+    await payment.completeProcessing(event.transactionId, { provider: gateway, source: 'webhook' });
+    try {
+      await accountingService.postPayment(payment);
+    } catch (error) {
+      console.error(`❌ Ghi sổ kế toán ${payment.paymentId} thất bại:`, error.message);
+    }
+    publishPaymentResult(payment, payment.bookingId || payment.rideId);
+    return true;
+  }
+
+  // payment.declined: cổng thanh toán từ chối, không thử lại
+  async applyWebhookDecline(payment, event) {
+    if (!['pending', 'processing'].includes(payment.status)) return false;
+
+    const error = new ProviderError(event.reason || 'Cổng thanh toán từ chối giao dịch', 'declined');
+    await payment.failProcessing(error.message, false);
+    publishPaymentResult(payment, payment.bookingId || payment.rideId, error);
+    return true;
+  }
+
+  // refund.succeeded: transactionId là mã lệnh hoàn của cổng thanh toán
+  async applyWebhookRefund(payment, event) {
+    const before = payment.findRefund(event.refundId)?.status;
+    const { refund } = await refundService.finishRefund(payment.paymentId, event.refundId, event.transactionId);
+    return before === 'processing' && refund.status === 'completed';
+  }
+
+  async applyWebhookRefundFailure(payment, event) {
+    const before = payment.findRefund(event.refundId)?.status;
+    const { refund } = await refundService.failProviderRefund(payment.paymentId, event.refundId, event.reason || 'Cổng thanh toán báo hoàn tiền thất bại');
+    return before === 'processing' && refund.status === 'failed';
+  }
+
+  // Cấu hình cổng thanh toán giả lập (chỉ dùng khi dev/test)
+  async getMockProviderConfig() {
+    return mockProvider.getConfig();
+  }
+
+  async updateMockProviderConfig(config) {
+    try {
+      return await mockProvider.setConfig(config || {});
+    } catch (error) {
+      if (error instanceof ProviderError) throw createError(400, error.message);
+      throw error;
+    }
+  }
+
+  async getPayment(paymentId) {
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      throw createError(404, 'Không tìm thấy giao dịch');
+    }
+    return payment;
+  }
+
+  // Chi tiết giao dịch cho khách, tài xế của chuyến hoặc nhân viên
+  async getPaymentFor(paymentId, actor, role) {
+    const payment = await this.getPayment(paymentId);
+    if (!STAFF_ROLES.includes(role) && payment.userId !== actor && payment.driverId !== actor) {
+      // Không tiết lộ giao dịch của người khác có tồn tại hay không
+      throw createError(404, 'Không tìm thấy giao dịch');
+    }
+    return payment;
+  }
+
+  // Chỉ khách của giao dịch hoặc admin được capture / hủy
+  assertOwner(payment, actor, role) {
+    if (role !== 'admin' && payment.userId !== actor) {
+      throw createError(403, 'Không có quyền thao tác trên giao dịch này');
+    }
+  }
+
+  // Danh sách thanh toán của user (mới nhất trước, có phân trang)
+  async listByUser(userId, { status, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { userId: String(userId) };
+    if (status) query.status = status;
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .select('-auditLog')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Payment.countDocuments(query)
+    ]);
+
+    return {
+      payments,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // Danh sách thanh toán của một chuyến xe; khách và tài xế chỉ thấy phần của mình
+  async listByRide(rideId, actor, role) {
+    const query = { rideId: String(rideId) };
+    if (!STAFF_ROLES.includes(role)) {
+      query.$or = [{ userId: actor }, { driverId: actor }];
+    }
+
+    return Payment.find(query)
+      .select('-auditLog')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new PaymentService();
+module.exports.createError = createError;
@@ -0,0 +1,371 @@
+const { v4: uuidv4 } = require('uuid');
+const PayoutBatch = require('../models/PayoutBatch');
+const accountingService = require('./AccountingService');
+const { createError } = require('../utils/errors');
+
+const PAYOUT_CONFIG = {
+  // Dưới mức này chưa chuyển khoản, cộng dồn sang đợt sau
+  minAmount: parseInt(process.env.PAYOUT_MIN_AMOUNT, 10) || 50000,
+  driverServiceUrl: process.env.DRIVER_SERVICE_URL || 'http://driver-service:3007',
+  driverServiceTimeoutMs: parseInt(process.env.DRIVER_SERVICE_TIMEOUT_MS, 10) || 5000
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  napas: { contentType: 'text/plain', extension: 'txt' }
+};
+
+/**
+ * Payout Service
+ * Chi trả thu nhập cho tài xế từ sổ kế toán: mỗi đợt chốt số dư driver_earnings
+ * chưa chi trả đến hết kỳ, cấn trừ tiền mặt tài xế đang giữ (driver_cash),
+ * xuất file chuyển khoản và ghi nhận kết quả từ ngân hàng.
+ */
+class PayoutService {
+  /**
+   * Chốt đợt chi trả cho kỳ kết thúc tại periodEnd
+   * @throws 409 nếu đang có đợt khác được chốt
+   */
+  async createBatch({ periodStart, periodEnd } = {}, actor) {
+    const end = periodEnd ? new Date(periodEnd) : new Date();
+    const start = periodStart ? new Date(periodStart) : undefined;
+    if (Number.isNaN(end.getTime()) || (start && Number.isNaN(start.getTime()))) {
+      throw createError(400, 'periodStart/periodEnd không phải ngày hợp lệ');
+    }
+    if (end > new Date()) {
+      throw createError(400, 'periodEnd không được ở tương lai');
+    }
+    if (start && start >= end) {
+      throw createError(400, 'periodStart phải trước periodEnd');
+    }
+
+    const batchId = `PO-${uuidv4().substring(0, 8)}`;
+    const batch = new PayoutBatch({ batchId, periodStart: start, periodEnd: end, createdBy: actor });
+    try {
+      await batch.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'Đang có đợt chi trả khác được chốt, vui lòng thử lại sau');
+      }
+      throw error;
+    }
+
+    batch.items = await this.buildItems(batchId, end);
+    await batch.save();
+    return this.finalizeBatch(batch);
+  }
+
+  /**
+   * Ghi sổ các khoản của đợt rồi mở đợt; chạy lại được nếu lần chốt trước dừng giữa chừng
+   */
+  async finalizeBatch(batchOrId) {
+    const batch = typeof batchOrId === 'string'
+      ? await this.getBatch(batchOrId)
+      : batchOrId;
+    if (batch.status !== 'building') {
+      throw createError(409, `Đợt chi trả đang ở trạng thái ${batch.status}`);
+    }
+
+    for (const item of batch.items) {
+      if (item.status === 'on_hold') continue;
+      await accountingService.postPayout({ batchId: batch.batchId, ...item.toObject() });
+    }
+
+    batch.status = 'open';
+    batch.refreshTotals();
+    await batch.save();
+    return batch;
+  }
+
+  async getBatch(batchId) {
+    const batch = await PayoutBatch.findOne({ batchId });
+    if (!batch) {
+      throw createError(404, 'Không tìm thấy đợt chi trả');
+    }
+    return batch;
+  }
+
+  async listBatches({ status, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = status ? { status } : {};
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .select('-items')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      PayoutBatch.countDocuments(query)
+    ]);
+
+    return {
+      batches,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  /**
+   * Xuất file chuyển khoản (csv hoặc napas fixed-width) cho các khoản cần chuyển
+   * @returns {Promise<{filename, contentType, content}>}
+   */
+  async exportBatch(batchId, format = 'csv', actor) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw createError(400, `format phải là một trong: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const batch = await this.getBatch(batchId);
+    if (!['open', 'exported'].includes(batch.status)) {
+      throw createError(409, `Không thể xuất file cho đợt ở trạng thái ${batch.status}`);
+    }
+
+    const items = batch.items.filter(item => ['pending', 'exported'].includes(item.status));
+    const content = format === 'csv' ? this.toCsv(batch, items) : this.toNapas(batch, items);
+
+    items.forEach(item => { item.status = 'exported'; });
+    batch.status = 'exported';
+    batch.exports.push({ format, exportedAt: new Date(), exportedBy: actor });
+    batch.refreshTotals();
+    await batch.save();
+
+    return {
+      filename: `${batch.batchId}.${spec.extension}`,
+      contentType: spec.contentType,
+      content
+    };
+  }
+
+  /**
+   * Ghi nhận kết quả chuyển khoản từ ngân hàng
+   * @param {Array} results - [{ payoutId, status: 'paid'|'failed', bankReference, reason }]
+   */
+  async recordResults(batchId, results, actor) {
+    if (!Array.isArray(results) || results.length === 0) {
+      throw createError(400, 'results phải là mảng không rỗng');
+    }
+
+    const batch = await this.getBatch(batchId);
+    if (!['exported', 'completed'].includes(batch.status)) {
+      throw createError(409, `Đợt chi trả đang ở trạng thái ${batch.status}, chưa xuất file`);
+    }
+
+    for (const result of results) {
+      const item = batch.findItem(result.payoutId);
+      if (!item) {
+        throw createError(404, `Không tìm thấy khoản chi trả ${result.payoutId}`);
+      }
+      if (!['paid', 'failed'].includes(result.status)) {
+        throw createError(400, `status của ${result.payoutId} phải là paid hoặc failed`);
+      }
+      // Ngân hàng gửi lại cùng kết quả: bỏ qua
+      if (item.status === result.status) continue;
+      if (item.status !== 'exported') {
+        throw createError(409, `Khoản ${item.payoutId} đang ở trạng thái ${item.status}`);
+      }
+    }
+
+    for (const result of results) {
+      const item = batch.findItem(result.payoutId);
+      if (item.status === result.status) continue;
+
+      const paid = result.status === 'paid';
+      await accountingService.postPayoutResult({ batchId, ...item.toObject() }, paid);
+      item.status = result.status;
+      if (paid) {
+        item.paidAt = new Date();
+        item.bankReference = result.bankReference;
+      } else {
+        item.failedAt = new Date();
+        item.failureReason = result.reason || 'bank_rejected';
+      }
+    }
+
+    batch.increment();
+    batch.refreshTotals();
+    try {
+      await batch.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw createError(409, 'Đợt chi trả vừa được cập nhật, vui lòng gửi lại kết quả');
+      }
+      throw error;
+    }
+    console.log(`🏦 [Payout] ${batchId}: ${results.length} kết quả từ ${actor}`);
+    return batch;
+  }
+
+  /**
+   * Số tiền của tài xế: chưa chi trả, đang chuyển, đã nhận
+   */
+  async getDriverSummary(driverId) {
+    driverId = String(driverId);
+    const [[earnings], [cash], [inTransfer], batches] = await Promise.all([
+      accountingService.getPartyBalances('driver_earnings', { party: driverId }),
+      accountingService.getPartyBalances('driver_cash', { party: driverId }),
+      accountingService.getPartyBalances('payouts_payable', { party: driverId }),
+      PayoutBatch.find({ 'items.driverId': driverId })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    const unpaidEarnings = earnings?.balance || 0;
+    const cashHeld = cash?.balance || 0;
+    const payouts = batches.flatMap(batch => batch.items
+      .filter(item => item.driverId === driverId)
+      .map(({ bankAccount, ...item }) => ({
+        ...item,
+        batchId: batch.batchId,
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        accountNumber: this.maskAccount(bankAccount?.accountNumber)
+      })));
+
+    return {
+      driverId,
+      unpaidEarnings,
+      cashHeld,
+      // Ước tính đợt tới: thu nhập chưa chi trả sau khi cấn trừ tiền mặt
+      pendingAmount: Math.max(unpaidEarnings - Math.max(cashHeld, 0), 0),
+      inTransfer: inTransfer?.balance || 0,
+      paidTotal: payouts
+        .filter(item => item.status === 'paid')
+        .reduce((sum, item) => sum + item.amount, 0),
+      payouts
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Tính khoản chi trả cho từng tài xế có thu nhập chưa chi trả đến hết kỳ
+   */
+  async buildItems(batchId, periodEnd) {
+    const [earnings, cash] = await Promise.all([
+      accountingService.getUnsettledBalances('driver_earnings', periodEnd),
+      accountingService.getUnsettledBalances('driver_cash', periodEnd)
+    ]);
+
+    const items = [];
+    for (const row of earnings) {
+      if (!row.party || row.balance <= 0) continue;
+
+      const cashHeld = Math.max(cash.find(entry => entry.party === row.party)?.balance || 0, 0);
+      const cashNetted = Math.min(cashHeld, row.balance);
+      const amount = row.balance - cashNetted;
+      if (amount > 0 && amount < PAYOUT_CONFIG.minAmount) continue;
+
+      const item = {
+        payoutId: `${batchId}-${String(items.length + 1).padStart(4, '0')}`,
+        driverId: row.party,
+        earnings: row.balance,
+        cashNetted,
+        amount,
+        status: amount === 0 ? 'netted' : 'pending'
+      };
+
+      if (amount > 0) {
+        try {
+          item.bankAccount = await this.fetchBankAccount(row.party);
+          if (!item.bankAccount?.accountNumber) {
+            item.status = 'on_hold';
+            item.holdReason = 'missing_bank_account';
+          }
+        } catch (error) {
+          item.status = 'on_hold';
+          item.holdReason = `driver_service_unavailable: ${error.message}`;
+        }
+      }
+      items.push(item);
+    }
+    return items;
+  }
+
+  // Tài khoản ngân hàng lấy từ hồ sơ tài xế ở Driver Service
+  async fetchBankAccount(driverId) {
+    const response = await fetch(
+      `${PAYOUT_CONFIG.driverServiceUrl}/api/drivers/profile/${encodeURIComponent(driverId)}`,
+      { signal: AbortSignal.timeout(PAYOUT_CONFIG.driverServiceTimeoutMs) }
+    );
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`driver-service trả về ${response.status}`);
+    }
+
+    const driver = await response.json();
+    const bankAccount = driver.bankAccount || {};
+    return {
+      accountHolder: [driver.firstName || driver.first_name, driver.lastName || driver.last_name]
+        .filter(Boolean).join(' '),
+      accountNumber: bankAccount.accountNumber,
+      bankName: bankAccount.bankName,
+      routingNumber: bankAccount.routingNumber
+    };
+  }
+
+  toCsv(batch, items) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [
+      ['payoutId', 'driverId', 'accountHolder', 'accountNumber', 'bankName', 'routingNumber', 'amount', 'currency', 'description']
+    ];
+    items.forEach(item => rows.push([
+      item.payoutId,
+      item.driverId,
+      item.bankAccount.accountHolder,
+      item.bankAccount.accountNumber,
+      item.bankAccount.bankName,
+      item.bankAccount.routingNumber,
+      item.amount,
+      batch.currency,
+      `Chi tra thu nhap ${batch.batchId}`
+    ]));
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * File chuyển khoản độ dài cố định kiểu NAPAS (ASCII, không dấu):
+   * H (header) - D (mỗi khoản) - T (trailer: số dòng, tổng tiền)
+   */
+  toNapas(batch, items) {
+    const text = (value, width) => this.toAscii(value).toUpperCase().slice(0, width).padEnd(width);
+    const number = (value, width) => String(Math.round(value)).padStart(width, '0');
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+
+    const lines = [
+      'H' + text(batch.batchId, 20) + date + number(items.length, 6) + number(total, 18) + text(batch.currency, 3)
+    ];
+    items.forEach((item, index) => lines.push(
+      'D' +
+      number(index + 1, 6) +
+      text(item.bankAccount.routingNumber, 11) +
+      text(item.bankAccount.accountNumber, 19) +
+      text(item.bankAccount.accountHolder, 35) +
+      number(item.amount, 15) +
+      text(item.payoutId, 20) +
+      text(`CHI TRA THU NHAP ${batch.batchId}`, 40)
+    ));
+    lines.push('T' + number(items.length, 6) + number(total, 18));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  toAscii(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D')
+      .replace(/[^\x20-\x7E]/g, ' ');
+  }
+
+  maskAccount(accountNumber) {
+    return accountNumber ? `****${String(accountNumber).slice(-4)}` : undefined;
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { RESOLUTIONS } = require('../models/ReconciliationReport');
+const { getSettlementProviders } = require('../providers');
+const { parseSettlementCsv } = require('../utils/settlementCsv');
+const { createError } = require('../utils/errors');
+
+const LOOKUP_CHUNK_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trạng thái hệ thống tương ứng với giao dịch cổng thanh toán đã thu tiền
+const COLLECTED_STATUSES = ['completed', 'refunded'];
+
+/**
+ * Reconciliation Service
+ * Đối chiếu file quyết toán của cổng thanh toán với Payment:
+ * dòng charge khớp theo externalTransactionId, dòng refund khớp theo refunds[].refundTransactionId.
+ * Giao dịch hệ thống đã thu/hoàn trong ngày mà file không có được đánh dấu missing_in_settlement.
+ */
+class ReconciliationService {
+  /**
+   * Đối soát một file quyết toán (cùng file nạp lại trả về báo cáo cũ)
+   * @returns {Promise<{report, created: boolean}>}
+   */
+  async reconcile({ gateway, settlementDate, content, filename, source = 'upload' }, actor) {
+    if (!gateway) {
+      throw createError(400, 'gateway là bắt buộc');
+    }
+    const day = this.startOfDay(settlementDate);
+    const fileHash = crypto.createHash('sha256').update(String(content || '')).digest('hex');
+
+    const existing = await ReconciliationReport.findOne({ gateway, fileHash });
+    if (existing) return { report: existing, created: false };
+
+    let parsed;
+    try {
+      parsed = parseSettlementCsv(content);
+    } catch (error) {
+      throw createError(400, error.message);
+    }
+
+    const reportId = `REC-${uuidv4().substring(0, 8)}`;
+    const { exceptions, settlements, summary } = await this.match(reportId, gateway, day, parsed);
+
+    const report = new ReconciliationReport({
+      reportId,
+      gateway,
+      settlementDate: day,
+      filename,
+      fileHash,
+      source,
+      summary,
+      exceptions,
+      createdBy: actor
+    });
+    report.refreshStatus();
+
+    try {
+      await report.save();
+    } catch (error) {
+      // Replica khác vừa đối soát cùng file
+      if (error.code === 11000) {
+        return { report: await ReconciliationReport.findOne({ gateway, fileHash }), created: false };
+      }
+      throw error;
+    }
+
+    if (settlements.length > 0) {
+      await Payment.bulkWrite(settlements.map(({ paymentId, settlement }) => ({
+        updateOne: { filter: { paymentId }, update: { $set: { settlement } } }
+      })));
+    }
+
+    console.log(`🧾 [Reconciliation] ${reportId} ${gateway} ${day.toISOString().slice(0, 10)}: ` +
+      `${summary.matched}/${summary.lines} khớp, ${summary.exceptions} ngoại lệ`);
+    return { report, created: true };
+  }
+
+  /**
+   * Tải và đối soát file quyết toán của mọi cổng thanh toán hỗ trợ (job hằng ngày)
+   * @returns {Promise<Array>} Báo cáo đã tạo
+   */
+  async reconcileScheduled(settlementDate) {
+    const day = this.startOfDay(settlementDate);
+    const reports = [];
+
+    for (const provider of getSettlementProviders()) {
+      const done = await ReconciliationReport.exists({ gateway: provider.name, settlementDate: day, source: 'scheduled' });
+      if (done) continue;
+
+      try {
+        const file = await provider.fetchSettlementReport(day);
+        const { report, created } = await this.reconcile({
+          gateway: provider.name,
+          settlementDate: day,
+          content: file.content,
+          filename: file.filename,
+          source: 'scheduled'
+        }, 'reconciliation-worker');
+        if (created) reports.push(report);
+      } catch (error) {
+        if (error.code === 'not_supported') continue;
+        console.error(`❌ [Reconciliation] ${provider.name}: ${error.message}`);
+      }
+    }
+    return reports;
+  }
+
+  async listReports({ gateway, status, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = {};
+    if (gateway) query.gateway = gateway;
+    if (status) query.status = status;
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query)
+        .select('-exceptions')
+        .sort({ settlementDate: -1, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      ReconciliationReport.countDocuments(query)
+    ]);
+
+    return {
+      reports,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  async getReport(reportId) {
+    const report = await ReconciliationReport.findOne({ reportId });
+    if (!report) {
+      throw createError(404, 'Không tìm thấy báo cáo đối soát');
+    }
+    return report;
+  }
+
+  // Ngoại lệ trên mọi báo cáo (mặc định: đang mở), cũ nhất trước
+  async listExceptions({ status = 'open', type, gateway } = {}) {
+    const query = { 'exceptions.status': status };
+    if (gateway) query.gateway = gateway;
+
+    const reports = await ReconciliationReport.find(query)
+      .select('reportId gateway settlementDate exceptions')
+      .sort({ settlementDate: 1 })
+      .limit(100)
+      .lean();
+
+    return reports.flatMap(report => report.exceptions
+      .filter(exception => exception.status === status && (!type || exception.type === type))
+      .map(exception => ({
+        ...exception,
+        reportId: report.reportId,
+        gateway: report.gateway,
+        settlementDate: report.settlementDate
+      })));
+  }
+
+  /**
+   * Đóng một ngoại lệ sau khi đã xử lý (điều chỉnh, hoàn tiền, ghi giảm...)
+   */
+  async resolveException(reportId, exceptionId, { resolution, note } = {}, actor) {
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw createError(400, `resolution phải là một trong: ${RESOLUTIONS.join(', ')}`);
+    }
+    if (!note) {
+      throw createError(400, 'note là bắt buộc khi đóng ngoại lệ');
+    }
+
+    const report = await this.getReport(reportId);
+    const exception = report.findException(exceptionId);
+    if (!exception) {
+      throw createError(404, 'Không tìm thấy ngoại lệ');
+    }
+    if (exception.status !== 'open') {
+      throw createError(409, 'Ngoại lệ đã được xử lý');
+    }
+
+    exception.status = 'resolved';
+    exception.resolution = resolution;
+    exception.resolutionNote = note;
+    exception.resolvedBy = actor;
+    exception.resolvedAt = new Date();
+    report.refreshStatus();
+    report.increment();
+
+    try {
+      await report.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw createError(409, 'Báo cáo vừa được cập nhật, vui lòng thử lại');
+      }
+      throw error;
+    }
+    return report;
+  }
+
+  // Private helper methods
+
+  /**
+   * So khớp từng dòng với Payment
+   * @returns {{exceptions, settlements, summary}}
+   */
+  async match(reportId, gateway, day, { rows, errors }) {
+    const exceptions = [];
+    const settlements = [];
+    const addException = (type, fields) => exceptions.push({
+      exceptionId: `${reportId}-E${String(exceptions.length + 1).padStart(4, '0')}`,
+      type,
+      ...fields
+    });
+
+    errors.forEach(error => addException('invalid_line', {
+      lineNumber: error.lineNumber,
+      message: `${error.message}: ${error.raw}`
+    }));
+
+    // Dòng trùng transaction_id trong cùng file: chỉ đối soát dòng đầu
+    const seen = new Set();
+    const unique = [];
+    for (const row of rows) {
+      const key = `${row.type}:${row.transactionId}`;
+      if (seen.has(key)) {
+        addException('duplicate', {
+          lineNumber: row.lineNumber,
+          transactionId: row.transactionId,
+          lineType: row.type,
+          provider: { amount: row.amount, status: row.status },
+          message: 'transaction_id xuất hiện nhiều lần trong file'
+        });
+        continue;
+      }
+      seen.add(key);
+      unique.push(row);
+    }
+
+    const charges = unique.filter(row => row.type === 'charge');
+    const refunds = unique.filter(row => row.type === 'refund');
+    const paymentsByCharge = await this.findPayments('externalTransactionId', charges.map(row => row.transactionId));
+    const paymentsByRefund = await this.findPayments('refunds.refundTransactionId', refunds.map(row => row.transactionId));
+
+    let matched = 0;
+    for (const row of charges) {
+      const payment = paymentsByCharge.get(row.transactionId);
+      const issues = payment ? this.checkCharge(row, payment, reportId) : [{
+        type: 'missing_in_system',
+        message: 'Không có payment nào với externalTransactionId này'
+      }];
+
+      issues.forEach(issue => addException(issue.type, {
+        lineNumber: row.lineNumber,
+        transactionId: row.transactionId,
+        lineType: 'charge',
+        paymentId: payment?.paymentId || row.paymentReference,
+        provider: { amount: row.amount, status: row.status },
+        internal: payment ? { amount: payment.amount, status: payment.status } : undefined,
+        message: issue.message
+      }));
+      if (issues.length === 0) matched++;
+
+      if (payment && !issues.some(issue => issue.type === 'duplicate')) {
+        settlements.push({
+          paymentId: payment.paymentId,
+          settlement: { reportId, status: row.status, amount: row.amount, fee: row.fee, settledAt: row.settledAt || day }
+        });
+      }
+    }
+
+    for (const row of refunds) {
+      const payment = paymentsByRefund.get(row.transactionId);
+      const request = payment?.refunds.find(refund => refund.refundTransactionId === row.transactionId);
+      const issues = request ? this.checkRefund(row, request) : [{
+        type: 'missing_in_system',
+        message: 'Không có lệnh hoàn tiền nào với refundTransactionId này'
+      }];
+
+      issues.forEach(issue => addException(issue.type, {
+        lineNumber: row.lineNumber,
+        transactionId: row.transactionId,
+        lineType: 'refund',
+        paymentId: payment?.paymentId || row.paymentReference,
+        refundId: request?.refundId,
+        provider: { amount: row.amount, status: row.status },
+        internal: request ? { amount: request.amount, status: request.status } : undefined,
+        message: issue.message
+      }));
+      if (issues.length === 0) matched++;
+    }
+
+    const missing = await this.findMissingInSettlement(gateway, day, charges, refunds);
+    missing.forEach(entry => addException('missing_in_settlement', entry));
+
+    const settled = row => row.status === 'settled';
+    const byType = {};
+    exceptions.forEach(exception => { byType[exception.type] = (byType[exception.type] || 0) + 1; });
+
+    return {
+      exceptions,
+      settlements,
+      summary: {
+        lines: rows.length + errors.length,
+        matched,
+        exceptions: exceptions.length,
+        settledAmount: charges.filter(settled).reduce((sum, row) => sum + row.amount, 0),
+        refundedAmount: refunds.filter(settled).reduce((sum, row) => sum + row.amount, 0),
+        fees: unique.reduce((sum, row) => sum + row.fee, 0),
+        byType
+      }
+    };
+  }
+
+  checkCharge(row, payment, reportId) {
+    const issues = [];
+    const previous = payment.settlement;
+    if (previous?.reportId && previous.reportId !== reportId && previous.status === 'settled' && row.status === 'settled') {
+      issues.push({ type: 'duplicate', message: `Đã quyết toán ở báo cáo ${previous.reportId}` });
+      return issues;
+    }
+
+    const collected = COLLECTED_STATUSES.includes(payment.status);
+    if (row.status === 'settled' && !collected) {
+      issues.push({ type: 'status_mismatch', message: `Cổng thanh toán đã thu tiền nhưng payment đang ${payment.status}` });
+    }
+    if (row.status !== 'settled' && collected) {
+      issues.push({ type: 'status_mismatch', message: `Cổng thanh toán báo ${row.status} nhưng payment đang ${payment.status}` });
+    }
+    if (row.amount !== Math.round(payment.amount)) {
+      issues.push({ type: 'amount_mismatch', message: `Số tiền quyết toán ${row.amount} khác số tiền payment ${payment.amount}` });
+    }
+    return issues;
+  }
+
+  checkRefund(row, request) {
+    const issues = [];
+    if (row.status === 'settled' && request.status !== 'completed') {
+      issues.push({ type: 'status_mismatch', message: `Cổng thanh toán đã hoàn tiền nhưng lệnh hoàn đang ${request.status}` });
+    }
+    if (row.status !== 'settled' && request.status === 'completed') {
+      issues.push({ type: 'status_mismatch', message: `Cổng thanh toán báo ${row.status} nhưng lệnh hoàn đã completed` });
+    }
+    if (row.amount !== Math.round(request.amount)) {
+      issues.push({ type: 'amount_mismatch', message: `Số tiền hoàn ${row.amount} khác lệnh hoàn ${request.amount}` });
+    }
+    return issues;
+  }
+
+  // Tải payment theo danh sách mã giao dịch, chia nhỏ để tránh truy vấn $in quá lớn
+  async findPayments(field, transactionIds) {
+    const byTransaction = new Map();
+    for (let i = 0; i < transactionIds.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = transactionIds.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const payments = await Payment.find({ [field]: { $in: chunk } }).lean();
+      for (const payment of payments) {
+        if (field === 'externalTransactionId') {
+          byTransaction.set(payment.externalTransactionId, payment);
+        } else {
+          payment.refunds
+            .filter(refund => chunk.includes(refund.refundTransactionId))
+            .forEach(refund => byTransaction.set(refund.refundTransactionId, payment));
+        }
+      }
+    }
+    return byTransaction;
+  }
+
+  /**
+   * Giao dịch hệ thống đã thu/hoàn qua cổng này trong ngày nhưng file quyết toán không có
+   */
+  async findMissingInSettlement(gateway, day, charges, refunds) {
+    const window = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+    // Payment cũ (trước khi có trường gateway) đối chiếu theo provider
+    const gatewayFilter = { $or: [{ gateway }, { gateway: null, provider: gateway }] };
+    const chargeIds = new Set(charges.map(row => row.transactionId));
+    const refundIds = new Set(refunds.map(row => row.transactionId));
+    const missing = [];
+
+    const collected = await Payment.find({
+      ...gatewayFilter,
+      status: { $in: COLLECTED_STATUSES },
+      processingCompletedAt: window,
+      externalTransactionId: { $ne: null }
+    }).select('paymentId amount status externalTransactionId').lean();
+    collected
+      .filter(payment => !chargeIds.has(payment.externalTransactionId))
+      .forEach(payment => missing.push({
+        transactionId: payment.externalTransactionId,
+        lineType: 'charge',
+        paymentId: payment.paymentId,
+        internal: { amount: payment.amount, status: payment.status },
+        message: 'Payment đã thu tiền nhưng không có trong file quyết toán'
+      }));
+
+    const refunded = await Payment.find({
+      ...gatewayFilter,
+      refunds: { $elemMatch: { status: 'completed', processedAt: window } }
+    }).select('paymentId refunds').lean();
+    refunded.forEach(payment => payment.refunds
+      .filter(refund => refund.status === 'completed' && refund.processedAt >= window.$gte &&
+        refund.processedAt < window.$lt && !refundIds.has(refund.refundTransactionId))
+      .forEach(refund => missing.push({
+        transactionId: refund.refundTransactionId,
+        lineType: 'refund',
+        paymentId: payment.paymentId,
+        refundId: refund.refundId,
+        internal: { amount: refund.amount, status: refund.status },
+        message: 'Lệnh hoàn tiền đã hoàn tất nhưng không có trong file quyết toán'
+      })));
+
+    return missing;
+  }
+
+  // Ngày quyết toán tính theo UTC
+  startOfDay(value) {
+    const date = value ? new Date(value) : new Date(Date.now() - DAY_MS);
+    if (Number.isNaN(date.getTime())) {
+      throw createError(400, 'settlementDate không phải ngày hợp lệ');
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,333 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const { publishPaymentEvent } = require('../saga/paymentSaga');
+const { getProvider } = require('../providers');
+const accountingService = require('./AccountingService');
+const { createError } = require('../utils/errors');
+
+const { REFUND_REASONS } = Payment;
+
+// Ngưỡng duyệt hoàn tiền (VND)
+const REFUND_CONFIG = {
+  // Nhân viên hỗ trợ tự hoàn tối đa mức này, cao hơn phải chờ admin duyệt
+  supportLimit: parseInt(process.env.REFUND_SUPPORT_LIMIT, 10) || 200000,
+  // Trên mức này kể cả admin cũng cần một admin khác duyệt
+  approvalThreshold: parseInt(process.env.REFUND_APPROVAL_THRESHOLD, 10) || 1000000,
+  maxConflictRetries: 3,
+  // Lệnh processing lâu hơn mức này coi như bị bỏ dở, retry worker gửi lại cổng thanh toán
+  resumeAfterMs: parseInt(process.env.REFUND_RESUME_AFTER_MS, 10) || 5 * 60000
+};
+
+class RefundService {
+  /**
+   * Tạo lệnh hoàn tiền toàn phần (không truyền amount) hoặc một phần
+   * Lệnh dưới ngưỡng được xử lý ngay qua cổng thanh toán, trên ngưỡng chờ duyệt
+   * @returns {Promise<{payment, refund}>}
+   */
+  async requestRefund(paymentId, { amount, reason, note } = {}, actor, role, metadata = {}) {
+    if (!REFUND_REASONS.includes(reason)) {
+      throw createError(400, `reason là bắt buộc, một trong: ${REFUND_REASONS.join(', ')}`);
+    }
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      throw createError(400, 'amount phải là số dương');
+    }
+
+    const refundId = `RFD-${uuidv4().substring(0, 8)}`;
+    let requiresApproval = false;
+
+    const payment = await this.mutate(paymentId, async (current) => {
+      if (current.status !== 'completed') {
+        throw createError(409, `Không thể hoàn tiền thanh toán ở trạng thái ${current.status}`);
+      }
+      const refundable = current.refundableAmount;
+      if (refundable <= 0) {
+        throw createError(422, 'Thanh toán đã hết hạn hoàn tiền hoặc đã được hoàn đủ');
+      }
+      const refundAmount = amount ?? refundable;
+      if (refundAmount > refundable) {
+        throw createError(422, `Số tiền hoàn vượt quá số có thể hoàn (${refundable})`);
+      }
+
+      requiresApproval = this.requiresApproval(refundAmount, role);
+      current.addAuditEntry('refund_requested', actor, { refundId, amount: refundAmount, reason, note }, metadata);
+      await current.initiateRefund(refundAmount, reason, {
+        refundId,
+        requestedBy: actor,
+        requestedRole: role,
+        note,
+        requiresApproval
+      });
+    });
+
+    if (!requiresApproval) {
+      return this.processRefund(payment, refundId);
+    }
+
+    return { payment, refund: payment.findRefund(refundId) };
+  }
+
+  /**
+   * Admin duyệt lệnh hoàn tiền đang chờ (người duyệt phải khác người tạo)
+   */
+  async approveRefund(paymentId, refundId, actor, metadata = {}) {
+    const payment = await this.mutate(paymentId, async (current) => {
+      const request = this.findOpenRequest(current, refundId);
+      if (request.requestedBy === actor) {
+        throw createError(403, 'Người tạo lệnh hoàn tiền không thể tự duyệt');
+      }
+      request.status = 'processing';
+      request.approvedBy = actor;
+      request.approvedAt = new Date();
+      current.refund.status = 'processing';
+      current.addAuditEntry('refund_approved', actor, { refundId, amount: request.amount }, metadata);
+      await current.save();
+    });
+
+    return this.processRefund(payment, refundId);
+  }
+
+  // Admin từ chối lệnh hoàn tiền đang chờ, giải phóng số tiền đã giữ chỗ
+  async rejectRefund(paymentId, refundId, actor, reason, metadata = {}) {
+    if (!reason) {
+      throw createError(400, 'reason là bắt buộc khi từ chối hoàn tiền');
+    }
+
+    const payment = await this.mutate(paymentId, async (current) => {
+      const request = this.findOpenRequest(current, refundId);
+      request.status = 'rejected';
+      request.rejectedBy = actor;
+      request.rejectionReason = reason;
+      request.processedAt = new Date();
+      current.refund.status = current.refund.amount > 0 ? 'completed' : 'failed';
+      current.addAuditEntry('refund_rejected', actor, { refundId, reason }, metadata);
+      await current.save();
+    });
+
+    return { payment, refund: payment.findRefund(refundId) };
+  }
+
+  async listRefunds(paymentId) {
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      throw createError(404, 'Không tìm thấy giao dịch');
+    }
+
+    return {
+      paymentId: payment.paymentId,
+      amount: payment.amount,
+      refundedAmount: payment.refund.amount,
+      refundableAmount: payment.status === 'completed' ? payment.refundableAmount : 0,
+      refunds: payment.refunds
+    };
+  }
+
+  /**
+   * Hoàn tiền do hệ thống khởi tạo (chia tiền chuyến, hủy chuyến đã chia tiền): không qua ngưỡng duyệt
+   * @returns {Promise<{payment, refund}>}
+   */
+  async systemRefund(paymentId, amount, reason, note) {
+    const refundId = `RFD-${uuidv4().substring(0, 8)}`;
+
+    const payment = await this.mutate(paymentId, async (current) => {
+      if (current.status !== 'completed') {
+        throw createError(409, `Không thể hoàn tiền thanh toán ở trạng thái ${current.status}`);
+      }
+      if (amount > current.refundableAmount) {
+        throw createError(422, `Số tiền hoàn vượt quá số có thể hoàn (${current.refundableAmount})`);
+      }
+      current.addAuditEntry('refund_requested', 'system', { refundId, amount, reason, note });
+      await current.initiateRefund(amount, reason, { refundId, requestedBy: 'system', note });
+    });
+
+    return this.processRefund(payment, refundId);
+  }
+
+  // Các lệnh hoàn tiền đang chờ duyệt (cũ nhất trước)
+  async listPendingApprovals() {
+    const payments = await Payment.find({ 'refunds.status': 'pending_approval' })
+      .select('paymentId rideId bookingId userId amount currency refunds')
+      .lean();
+
+    return payments
+      .flatMap(payment => payment.refunds
+        .filter(refund => refund.status === 'pending_approval')
+        .map(refund => ({
+          ...refund,
+          paymentId: payment.paymentId,
+          rideId: payment.rideId,
+          bookingId: payment.bookingId,
+          userId: payment.userId,
+          paymentAmount: payment.amount,
+          currency: payment.currency
+        })))
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+  }
+
+  /**
+   * Hoàn tất các lệnh hoàn tiền kẹt ở processing (service dừng giữa chừng, hoặc lưu kết quả lỗi
+   * sau khi cổng thanh toán đã hoàn). Gửi lại cùng refundId nên cổng thanh toán trả về lần hoàn cũ.
+   * @returns {Promise<number>} số lệnh đã hoàn tất
+   */
+  async resumeStaleRefunds(limit = 20, now = new Date()) {
+    const staleBefore = new Date(now.getTime() - REFUND_CONFIG.resumeAfterMs);
+    const payments = await Payment.find({
+      refunds: { $elemMatch: { status: 'processing', requestedAt: { $lte: staleBefore } } }
+    }).limit(limit);
+
+    let resumed = 0;
+    for (const payment of payments) {
+      // Lệnh được duyệt gần đây vẫn đang được xử lý
+      const stale = payment.refunds.filter(refund => refund.status === 'processing' &&
+        (refund.approvedAt || refund.requestedAt) <= staleBefore);
+      for (const { refundId } of stale) {
+        try {
+          const { refund } = await this.processRefund(payment, refundId);
+          if (refund.status === 'completed') resumed++;
+        } catch (error) {
+          console.error(`❌ Chưa hoàn tất được lệnh hoàn tiền ${refundId}:`, error.message);
+        }
+      }
+    }
+    return resumed;
+  }
+
+  // Private helper methods
+
+  requiresApproval(amount, role) {
+    if (role === 'support' && amount > REFUND_CONFIG.supportLimit) return true;
+    return amount > REFUND_CONFIG.approvalThreshold;
+  }
+
+  findOpenRequest(payment, refundId) {
+    const request = payment.refunds.find(refund => refund.refundId === refundId);
+    if (!request) {
+      throw createError(404, 'Không tìm thấy lệnh hoàn tiền');
+    }
+    if (request.status !== 'pending_approval') {
+      throw createError(409, `Lệnh hoàn tiền đang ở trạng thái ${request.status}`);
+    }
+    return request;
+  }
+
+  /**
+   * Hoàn tiền qua cổng thanh toán trên giao dịch gốc rồi publish payment.refunded
+   * refundId là khóa chống hoàn trùng ở cổng thanh toán, nên gọi lại được cho lệnh đang processing.
+   * Lệnh chưa xác nhận được (quá thời gian) hoặc chưa lưu được kết quả giữ processing,
+   * resumeStaleRefunds() hoàn tất sau.
+   * @returns {Promise<{payment, refund}>}
+   */
+  async processRefund(payment, refundId) {
+    const request = payment.findRefund(refundId);
+    let result;
+
+    try {
+      result = await getProvider(payment.method, payment.provider)
+        .refund(payment, request.amount, request.reason, { refundId });
+    } catch (error) {
+      // Quá thời gian: cổng thanh toán có thể đã hoàn, không đánh dấu thất bại
+      if (error.retryable) {
+        throw createError(504, `Hoàn tiền chưa được xác nhận, hệ thống sẽ thử lại: ${error.message}`);
+      }
+      await this.mutate(payment.paymentId, current => current.failRefund(refundId, error.message), payment);
+      const status = error.code === 'not_supported' ? 422 : 502;
+      throw createError(status, `Hoàn tiền thất bại: ${error.message}`);
+    }
+
+    try {
+      return await this.finishRefund(payment.paymentId, refundId, result.refundId);
+    } catch (error) {
+      console.error(`❌ Đã hoàn ${refundId} qua cổng thanh toán nhưng chưa lưu được, sẽ hoàn tất sau:`, error.message);
+      return { payment, refund: request };
+    }
+  }
+
+  /**
+   * Ghi nhận lệnh hoàn tiền cổng thanh toán đã hoàn (trả về từ refund() hoặc báo qua webhook),
+   * ghi sổ rồi publish payment.refunded. Lệnh không còn processing thì giữ nguyên.
+   * @returns {Promise<{payment, refund}>}
+   */
+  async finishRefund(paymentId, refundId, refundTransactionId) {
+    let completedNow;
+    const updated = await this.mutate(paymentId, async (current) => {
+      const request = current.findRefund(refundId);
+      if (!request) {
+        throw createError(404, 'Không tìm thấy lệnh hoàn tiền');
+      }
+      // Lượt xử lý khác (request gốc, retry worker hoặc webhook) đã có kết quả cho lệnh này
+      completedNow = request.status === 'processing';
+      if (completedNow) await current.completeRefund(refundTransactionId, refundId);
+    });
+    const completed = updated.findRefund(refundId);
+    if (!completedNow) {
+      return { payment: updated, refund: completed };
+    }
+
+    try {
+      await accountingService.postRefund(updated, completed);
+    } catch (error) {
+      console.error(`❌ Ghi sổ hoàn tiền ${refundId} thất bại:`, error.message);
+    }
+
+    publishPaymentEvent('payment.refunded', {
+      paymentId: updated.paymentId,
+      refundId,
+      bookingId: updated.bookingId || updated.rideId,
+      rideId: updated.rideId,
+      userId: updated.userId,
+      amount: completed.amount,
+      totalRefunded: updated.refund.amount,
+      fullRefund: updated.status === 'refunded',
+      currency: updated.currency,
+      reason: completed.reason,
+      refundTransactionId: completed.refundTransactionId,
+      originalTransactionId: completed.originalTransactionId
+    });
+
+    return { payment: updated, refund: completed };
+  }
+
+  /**
+   * Cổng thanh toán báo lệnh hoàn tiền thất bại (webhook): giải phóng số tiền đã giữ chỗ
+   * @returns {Promise<{payment, refund}>}
+   */
+  async failProviderRefund(paymentId, refundId, error) {
+    const updated = await this.mutate(paymentId, async (current) => {
+      const request = current.findRefund(refundId);
+      if (!request) {
+        throw createError(404, 'Không tìm thấy lệnh hoàn tiền');
+      }
+      if (request.status === 'processing') await current.failRefund(refundId, error);
+    });
+    return { payment: updated, refund: updated.findRefund(refundId) };
+  }
+
+  /**
+   * Áp dụng thay đổi lên payment với kiểm tra version (optimistic locking):
+   * hai lệnh hoàn tiền song song không thể cùng giữ chỗ vượt quá số tiền.
+   * Xung đột thì tải lại payment và chạy lại (các điều kiện được kiểm tra lại).
+   * @param {Function} apply - async (payment) => void, tự gọi save()
+   * @param {Payment} [loaded] - payment đã tải sẵn (lần thử đầu)
+   */
+  async mutate(paymentId, apply, loaded = null) {
+    for (let attempt = 1; ; attempt++) {
+      const payment = loaded || await Payment.findOne({ paymentId });
+      loaded = null;
+      if (!payment) {
+        throw createError(404, 'Không tìm thấy giao dịch');
+      }
+
+      payment.increment();
+      try {
+        await apply(payment);
+        return payment;
+      } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        if (attempt >= REFUND_CONFIG.maxConflictRetries) {
+          throw createError(409, 'Thanh toán đang được cập nhật, vui lòng thử lại');
+        }
+      }
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,307 @@
+const { v4: uuidv4 } = require('uuid');
+const Wallet = require('../models/Wallet');
+const WalletLedgerEntry = require('../models/WalletLedgerEntry');
+const WalletHold = require('../models/WalletHold');
+const { createError } = require('../utils/errors');
+
+const MAX_APPEND_RETRIES = 5;
+
+/**
+ * Wallet Ledger Service
+ * Mọi thay đổi số dư ví đi qua append(): ghi bút toán mới với sequence kế tiếp,
+ * unique index (userId, sequence) đảm bảo hai thao tác song song không cùng ghi đè
+ * một số dư (thao tác thua sẽ đọc lại và tính lại). Bảng wallets chỉ là bản chiếu.
+ */
+class WalletLedgerService {
+  /**
+   * Số dư hiện tại, lấy từ bút toán mới nhất của sổ cái
+   */
+  async getState(userId) {
+    const latest = await WalletLedgerEntry.findOne({ userId: String(userId) })
+      .sort({ sequence: -1 })
+      .select('sequence balanceAfter heldAfter')
+      .lean();
+
+    const balance = latest?.balanceAfter || 0;
+    const heldAmount = latest?.heldAfter || 0;
+    return {
+      userId: String(userId),
+      sequence: latest?.sequence || 0,
+      balance,
+      heldAmount,
+      availableBalance: balance - heldAmount
+    };
+  }
+
+  /**
+   * Ghi một bút toán
+   * @param {Function} compute - (state) => { amount, heldDelta }; throw nếu không hợp lệ với số dư hiện tại
+   * @param {Object} entry - { type, reference, idempotencyKey, actor, description }
+   * @returns {Promise<Object>} Bút toán đã ghi (hoặc bút toán cũ nếu trùng idempotencyKey)
+   */
+  async append(userId, compute, entry) {
+    userId = String(userId);
+
+    for (let attempt = 1; attempt <= MAX_APPEND_RETRIES; attempt++) {
+      if (entry.idempotencyKey) {
+        const existing = await WalletLedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey }).lean();
+        if (existing) return existing;
+      }
+
+      const state = await this.getState(userId);
+      const { amount = 0, heldDelta = 0 } = compute(state);
+      const balanceAfter = state.balance + amount;
+      const heldAfter = state.heldAmount + heldDelta;
+      if (balanceAfter < 0 || heldAfter < 0) {
+        throw createError(422, 'Bút toán làm số dư ví âm');
+      }
+
+      try {
+        const created = await WalletLedgerEntry.create({
+          ...entry,
+          entryId: `WLE-${uuidv4().substring(0, 12)}`,
+          userId,
+          sequence: state.sequence + 1,
+          amount,
+          heldDelta,
+          balanceAfter,
+          heldAfter
+        });
+        await this.project(userId, created);
+        return created.toObject();
+      } catch (error) {
+        // Trùng sequence: thao tác khác vừa ghi trước, đọc lại số dư và thử lại
+        if (error.code === 11000 && error.keyPattern?.sequence) continue;
+        // Trùng idempotencyKey: thao tác này đã được ghi (chạy lại lần đầu vòng lặp sẽ trả về)
+        if (error.code === 11000 && error.keyPattern?.idempotencyKey) continue;
+        throw error;
+      }
+    }
+
+    throw createError(409, 'Ví đang được cập nhật, vui lòng thử lại');
+  }
+
+  /**
+   * Nạp tiền vào ví (sau khi Payment nạp tiền đã thu thành công)
+   */
+  async credit(userId, amount, { type = 'topup', reference = {}, idempotencyKey, actor, description } = {}) {
+    return this.append(userId, () => ({ amount }), { type, reference, idempotencyKey, actor, description });
+  }
+
+  /**
+   * Giữ chỗ tiền cho booking (idempotent theo bookingId)
+   * @throws 402 nếu số dư khả dụng không đủ
+   */
+  async placeHold({ userId, bookingId, paymentId, amount }) {
+    let hold = await WalletHold.findOne({ bookingId: String(bookingId) });
+    if (!hold) {
+      try {
+        hold = await WalletHold.create({
+          holdId: `HOLD-${uuidv4().substring(0, 8)}`,
+          userId: String(userId),
+          bookingId: String(bookingId),
+          paymentId,
+          amount
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        hold = await WalletHold.findOne({ bookingId: String(bookingId) });
+      }
+    }
+
+    if (hold.status !== 'pending') {
+      if (hold.status === 'failed') {
+        throw createError(402, `Giữ chỗ ví cho booking ${bookingId} đã thất bại: ${hold.error}`);
+      }
+      return hold;
+    }
+
+    try {
+      await this.append(hold.userId, (state) => {
+        if (state.availableBalance < hold.amount) {
+          throw createError(402, `Số dư ví không đủ (khả dụng ${state.availableBalance}, cần ${hold.amount})`);
+        }
+        return { amount: 0, heldDelta: hold.amount };
+      }, {
+        type: 'hold',
+        reference: { paymentId, bookingId: hold.bookingId, holdId: hold.holdId },
+        idempotencyKey: `hold:${hold.holdId}`,
+        description: `Giữ chỗ cho booking ${hold.bookingId}`
+      });
+    } catch (error) {
+      if (error.status === 402) {
+        await WalletHold.updateOne({ holdId: hold.holdId, status: 'pending' }, { status: 'failed', error: error.message });
+      }
+      throw error;
+    }
+
+    return WalletHold.findOneAndUpdate({ holdId: hold.holdId }, { status: 'active' }, { new: true });
+  }
+
+  /**
+   * Thu tiền từ giữ chỗ khi chuyến hoàn thành
+   * Cước thực tế cao hơn số giữ chỗ thì phần chênh lệch lấy từ số dư khả dụng
+   * Hold đã thu rồi (saga chạy lại sau khi bị bỏ dở) thì trả về bút toán thu cũ
+   * @returns {Promise<{hold, entry}>}
+   */
+  async captureHold(holdId, amount, { paymentId, actor } = {}) {
+    const previous = await WalletHold.findOne({ holdId, status: 'captured' });
+    if (previous) {
+      const entry = await WalletLedgerEntry.findOne({ idempotencyKey: `capture:${holdId}` }).lean();
+      if (entry) return { hold: previous, entry };
+    }
+
+    const hold = await this.claimHold(holdId, 'capturing');
+
+    let entry;
+    try {
+      entry = await this.append(hold.userId, (state) => {
+        const extra = amount - hold.amount;
+        if (extra > 0 && state.availableBalance < extra) {
+          throw createError(402, `Số dư ví không đủ để thu thêm ${extra} ngoài số đã giữ chỗ`);
+        }
+        return { amount: -amount, heldDelta: -hold.amount };
+      }, {
+        type: 'capture',
+        reference: { paymentId: paymentId || hold.paymentId, bookingId: hold.bookingId, holdId },
+        idempotencyKey: `capture:${holdId}`,
+        actor,
+        description: `Thanh toán booking ${hold.bookingId}`
+      });
+    } catch (error) {
+      await WalletHold.updateOne({ holdId, status: 'capturing' }, { status: 'active' });
+      throw error;
+    }
+
+    const captured = await WalletHold.findOneAndUpdate(
+      { holdId },
+      { status: 'captured', capturedAmount: -entry.amount, capturedAt: new Date() },
+      { new: true }
+    );
+    return { hold: captured, entry };
+  }
+
+  /**
+   * Trả lại tiền giữ chỗ (hủy chuyến, thanh toán bị hủy)
+   */
+  async releaseHold(holdId, reason, { actor } = {}) {
+    const hold = await this.claimHold(holdId, 'releasing');
+
+    await this.append(hold.userId, () => ({ amount: 0, heldDelta: -hold.amount }), {
+      type: 'hold_release',
+      reference: { paymentId: hold.paymentId, bookingId: hold.bookingId, holdId },
+      idempotencyKey: `release:${holdId}`,
+      actor,
+      description: `Hoàn giữ chỗ booking ${hold.bookingId}: ${reason}`
+    });
+
+    return WalletHold.findOneAndUpdate(
+      { holdId },
+      { status: 'released', releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+  }
+
+  async findHoldByBooking(bookingId) {
+    return WalletHold.findOne({ bookingId: String(bookingId) });
+  }
+
+  /**
+   * Dựng lại số dư từ sổ cái và kiểm tra từng bút toán
+   * @param {boolean} repair - Ghi đè bản chiếu trong bảng wallets
+   */
+  async rebuild(userId, { repair = false } = {}) {
+    userId = String(userId);
+    let balance = 0;
+    let heldAmount = 0;
+    let expectedSequence = 1;
+    const issues = [];
+
+    const cursor = WalletLedgerEntry.find({ userId }).sort({ sequence: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      if (entry.sequence !== expectedSequence) {
+        issues.push({ sequence: entry.sequence, issue: `thiếu bút toán, mong đợi sequence ${expectedSequence}` });
+      }
+      balance += entry.amount;
+      heldAmount += entry.heldDelta || 0;
+      if (entry.balanceAfter !== balance || entry.heldAfter !== heldAmount) {
+        issues.push({
+          sequence: entry.sequence,
+          issue: 'số dư ghi trên bút toán khác số dư cộng dồn',
+          recorded: { balance: entry.balanceAfter, heldAmount: entry.heldAfter },
+          computed: { balance, heldAmount }
+        });
+      }
+      expectedSequence = entry.sequence + 1;
+    }
+
+    const activeHolds = await WalletHold.aggregate([
+      { $match: { userId, status: { $in: ['active', 'capturing', 'releasing'] } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const activeHoldTotal = activeHolds[0]?.total || 0;
+    if (activeHoldTotal !== heldAmount) {
+      issues.push({ issue: 'tổng giữ chỗ đang hoạt động khác số tiền giữ chỗ trên sổ cái', activeHoldTotal, heldAmount });
+    }
+
+    const wallet = await Wallet.findOne({ userId }).lean();
+    const projectionMatches = !!wallet && wallet.balance === balance && wallet.heldAmount === heldAmount;
+
+    if (repair) {
+      await Wallet.updateOne(
+        { userId },
+        { $set: { balance, heldAmount, sequence: expectedSequence - 1, lastRebuiltAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    return {
+      userId,
+      balance,
+      heldAmount,
+      availableBalance: balance - heldAmount,
+      entries: expectedSequence - 1,
+      consistent: issues.length === 0,
+      projectionMatches,
+      repaired: repair,
+      issues
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Cập nhật bản chiếu: chỉ ghi nếu bút toán mới hơn bản chiếu hiện tại
+   */
+  async project(userId, entry) {
+    try {
+      await Wallet.updateOne(
+        { userId, sequence: { $lt: entry.sequence } },
+        { $set: { balance: entry.balanceAfter, heldAmount: entry.heldAfter, sequence: entry.sequence } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // 11000: bản chiếu đã có bút toán mới hơn (upsert đụng userId unique)
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Chiếm hold để thu/hoàn (chạy lại được nếu lần trước dừng giữa chừng)
+   */
+  async claimHold(holdId, nextStatus) {
+    const hold = await WalletHold.findOneAndUpdate(
+      { holdId, status: { $in: ['active', nextStatus] } },
+      { status: nextStatus },
+      { new: true }
+    );
+    if (!hold) {
+      const current = await WalletHold.findOne({ holdId }).select('status').lean();
+      if (!current) throw createError(404, 'Không tìm thấy giữ chỗ');
+      throw createError(409, `Giữ chỗ đang ở trạng thái ${current.status}`);
+    }
+    return hold;
+  }
+}
+
+module.exports = new WalletLedgerService();
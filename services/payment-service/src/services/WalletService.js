@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const Wallet = require('../models/Wallet');
+const WalletLedgerEntry = require('../models/WalletLedgerEntry');
+const WalletHold = require('../models/WalletHold');
+const walletLedgerService = require('./WalletLedgerService');
+const { runPaymentSaga } = require('../saga/paymentSaga');
+const { createError } = require('../utils/errors');
+
+// Giới hạn nạp ví (VND)
+const TOPUP_LIMITS = {
+  min: parseInt(process.env.WALLET_TOPUP_MIN, 10) || 10000,
+  max: parseInt(process.env.WALLET_TOPUP_MAX, 10) || 10000000
+};
+// Nạp ví qua cổng thanh toán, không nạp bằng tiền mặt hoặc chính ví
+const TOPUP_METHODS = { card: 'stripe', bank_transfer: 'bank' };
+
+class WalletService {
+  // Số dư ví (ví chưa có bút toán nào có số dư 0)
+  async getWallet(userId) {
+    const [state, wallet] = await Promise.all([
+      walletLedgerService.getState(userId),
+      Wallet.findOne({ userId: String(userId) }).lean()
+    ]);
+
+    return {
+      ...state,
+      currency: wallet?.currency || 'VND',
+      createdAt: wallet?.createdAt
+    };
+  }
+
+  // Sổ cái ví, mới nhất trước, có phân trang
+  async getLedger(userId, { type, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { userId: String(userId) };
+    if (type) query.type = type;
+
+    const [entries, total] = await Promise.all([
+      WalletLedgerEntry.find(query)
+        .sort({ sequence: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      WalletLedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  async listHolds(userId, { status } = {}) {
+    const query = { userId: String(userId) };
+    if (status) query.status = status;
+    return WalletHold.find(query).sort({ createdAt: -1 }).limit(100).lean();
+  }
+
+  /**
+   * Nạp tiền vào ví: tạo Payment (purpose wallet_topup), thu qua cổng thanh toán,
+   * thành công thì ghi bút toán topup tham chiếu paymentId.
+   * Lỗi tạm thời: Payment chờ PaymentRetryWorker thu lại và ghi có ví, trả về pending = true
+   * (client không được nạp lại bằng key khác, sẽ bị trừ tiền 2 lần)
+   * @returns {Promise<{payment, wallet, pending}>}
+   */
+  async topUp(userId, { amount, method = 'card', provider } = {}, actor, metadata = {}) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) ||
+        amount < TOPUP_LIMITS.min || amount > TOPUP_LIMITS.max) {
+      throw createError(400, `amount phải từ ${TOPUP_LIMITS.min} đến ${TOPUP_LIMITS.max}`);
+    }
+    if (!TOPUP_METHODS[method]) {
+      throw createError(400, `method nạp ví phải là một trong: ${Object.keys(TOPUP_METHODS).join(', ')}`);
+    }
+
+    const paymentId = `PAY-${uuidv4().substring(0, 8)}`;
+    const payment = new Payment({
+      paymentId,
+      rideId: `TOPUP-${paymentId}`,
+      purpose: 'wallet_topup',
+      userId: String(userId),
+      amount,
+      method,
+      provider: provider || TOPUP_METHODS[method],
+      source: 'api',
+      status: 'pending',
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent
+    });
+    payment.calculateFees();
+    payment.addAuditEntry('wallet_topup_requested', actor, { amount, method }, metadata);
+    await payment.startProcessing();
+
+    try {
+      await runPaymentSaga(payment);
+    } catch (error) {
+      if (payment.status === 'pending') {
+        return { payment, wallet: await this.getWallet(userId), pending: true };
+      }
+      const status = error.code === 'timeout' ? 504 : 402;
+      throw createError(status, `Nạp ví thất bại: ${error.message}`);
+    }
+
+    const wallet = await this.creditTopUp(payment);
+    return { payment, wallet, pending: false };
+  }
+
+  /**
+   * Ghi có ví cho một Payment nạp tiền đã completed (chạy lại an toàn nhờ idempotencyKey)
+   */
+  async creditTopUp(payment) {
+    const entry = await walletLedgerService.credit(payment.userId, payment.amount, {
+      type: 'topup',
+      reference: { paymentId: payment.paymentId },
+      idempotencyKey: `topup:${payment.paymentId}`,
+      description: `Nạp ví qua ${payment.provider}`
+    });
+
+    payment.walletDetails = {
+      walletId: payment.userId,
+      balanceBefore: entry.balanceAfter - entry.amount,
+      balanceAfter: entry.balanceAfter
+    };
+    payment.addAuditEntry('wallet_credited', 'system', { entryId: entry.entryId, balanceAfter: entry.balanceAfter });
+    await payment.save();
+
+    return this.getWallet(payment.userId);
+  }
+
+  /**
+   * Ghi có các Payment nạp tiền đã completed nhưng chưa vào ví: thu thành công ở lần
+   * thử lại, hoặc service dừng giữa lúc thu tiền và ghi có
+   * @returns {Promise<number>} số Payment đã ghi có
+   */
+  async creditCompletedTopUps(limit = 50) {
+    const payments = await Payment.find({
+      purpose: 'wallet_topup',
+      status: 'completed',
+      'walletDetails.balanceAfter': { $exists: false }
+    }).limit(limit);
+
+    let credited = 0;
+    for (const payment of payments) {
+      try {
+        await this.creditTopUp(payment);
+        credited++;
+      } catch (error) {
+        console.error(`❌ Không ghi có được ví cho ${payment.paymentId}:`, error.message);
+      }
+    }
+    return credited;
+  }
+
+  /**
+   * Dựng lại số dư từ sổ cái; repair = true thì ghi đè bản chiếu
+   */
+  async rebuild(userId, repair = false) {
+    return walletLedgerService.rebuild(userId, { repair });
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,10 @@
+/**
+ * Tạo lỗi có HTTP status (bộ xử lý lỗi trong app.js đọc err.status)
+ */
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = { createError };
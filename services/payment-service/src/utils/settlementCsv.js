@@ -0,0 +1,136 @@
+/**
+ * File quyết toán (settlement report) của cổng thanh toán - định dạng CSV
+ *
+ * Dòng đầu là header, các cột nhận diện theo tên (thứ tự tùy ý):
+ *   transaction_id     bắt buộc  mã giao dịch phía cổng thanh toán
+ *                                 charge: Payment.externalTransactionId
+ *                                 refund: Payment.refunds[].refundTransactionId
+ *   type               bắt buộc  charge | refund
+ *   status             bắt buộc  settled | failed | reversed (bị khách khiếu nại, chargeback)
+ *   amount             bắt buộc  số tiền giao dịch, số nguyên dương
+ *   fee                tùy chọn  phí cổng thanh toán đã trừ (mặc định 0)
+ *   currency           tùy chọn  mặc định VND
+ *   settled_at         tùy chọn  thời điểm quyết toán (ISO 8601)
+ *   payment_reference  tùy chọn  paymentId phía chúng ta nếu cổng thanh toán lưu lại
+ *
+ * Ví dụ:
+ *   transaction_id,type,status,amount,fee,currency,settled_at,payment_reference
+ *   MOCK-TXN-3f9a1c2b4d5e,charge,settled,150000,7350,VND,2026-10-18T09:12:00Z,PAY-1a2b3c4d
+ *   MOCK-RFD-8e7d6c5b4a39,refund,settled,50000,0,VND,2026-10-18T15:40:00Z,PAY-1a2b3c4d
+ *
+ * Trường có dấu phẩy hoặc ngoặc kép được bao trong "..." (ngoặc kép bên trong viết "").
+ */
+
+const COLUMNS = ['transaction_id', 'type', 'status', 'amount', 'fee', 'currency', 'settled_at', 'payment_reference'];
+const REQUIRED_COLUMNS = ['transaction_id', 'type', 'status', 'amount'];
+const LINE_TYPES = ['charge', 'refund'];
+const LINE_STATUSES = ['settled', 'failed', 'reversed'];
+
+// Tách một dòng CSV, hỗ trợ trường trong ngoặc kép
+function splitLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Đọc file quyết toán
+ * @returns {{ rows: Array, errors: Array<{lineNumber, message, raw}> }}
+ * @throws {Error} nếu header thiếu cột bắt buộc
+ */
+function parseSettlementCsv(content) {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const header = splitLine(lines[0] || '').map(column => column.toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`File quyết toán thiếu cột: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((raw, index) => {
+    const lineNumber = index + 2;
+    if (!raw.trim()) return;
+
+    const values = splitLine(raw);
+    const record = Object.fromEntries(header.map((column, i) => [column, values[i] || '']));
+    const amount = Number(record.amount);
+    const fee = record.fee ? Number(record.fee) : 0;
+    const settledAt = record.settled_at ? new Date(record.settled_at) : undefined;
+
+    const problems = [];
+    if (!record.transaction_id) problems.push('thiếu transaction_id');
+    if (!LINE_TYPES.includes(record.type)) problems.push(`type phải là ${LINE_TYPES.join('|')}`);
+    if (!LINE_STATUSES.includes(record.status)) problems.push(`status phải là ${LINE_STATUSES.join('|')}`);
+    if (!Number.isFinite(amount) || amount <= 0) problems.push('amount không hợp lệ');
+    if (!Number.isFinite(fee) || fee < 0) problems.push('fee không hợp lệ');
+    if (settledAt && Number.isNaN(settledAt.getTime())) problems.push('settled_at không hợp lệ');
+    if (problems.length > 0) {
+      errors.push({ lineNumber, message: problems.join(', '), raw });
+      return;
+    }
+
+    rows.push({
+      lineNumber,
+      transactionId: record.transaction_id,
+      type: record.type,
+      status: record.status,
+      amount,
+      fee,
+      currency: record.currency || 'VND',
+      settledAt,
+      paymentReference: record.payment_reference || undefined
+    });
+  });
+
+  return { rows, errors };
+}
+
+// Ghi file quyết toán (dùng cho cổng thanh toán giả lập)
+function toSettlementCsv(rows) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows.map(row => [
+    row.transactionId,
+    row.type,
+    row.status,
+    row.amount,
+    row.fee || 0,
+    row.currency || 'VND',
+    row.settledAt ? new Date(row.settledAt).toISOString() : '',
+    row.paymentReference
+  ].map(escape).join(','));
+  return [COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  parseSettlementCsv,
+  toSettlementCsv,
+  LINE_TYPES,
+  LINE_STATUSES
+};
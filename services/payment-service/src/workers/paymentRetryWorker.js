@@ -0,0 +1,122 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const walletService = require('../services/WalletService');
+const refundService = require('../services/RefundService');
+const { runPaymentSaga, publishPaymentEvent } = require('../saga/paymentSaga');
+
+const RETRY_CONFIG = {
+  intervalMs: parseInt(process.env.PAYMENT_RETRY_INTERVAL_MS, 10) || 15000,
+  // Lease phải dài hơn thời gian chạy saga (authorize + capture, mỗi bước tối đa PAYMENT_PROVIDER_TIMEOUT_MS)
+  leaseMs: parseInt(process.env.PAYMENT_RETRY_LEASE_MS, 10) || 60000,
+  batchSize: parseInt(process.env.PAYMENT_RETRY_BATCH_SIZE, 10) || 20
+};
+
+/**
+ * Payment Retry Worker
+ * Định kỳ lấy các payment lỗi tạm thời đã đến hạn (Payment.getPendingRetries)
+ * và chạy lại saga. Backoff do failProcessing() tính; hết lượt thử thì publish payment.failed.
+ * Nạp ví thu thành công thì ghi có ví; lượt nào ghi có lỗi sẽ được quét lại ở lượt sau.
+ * Lệnh hoàn tiền kẹt ở processing cũng được hoàn tất ở mỗi lượt.
+ */
+class PaymentRetryWorker {
+  constructor(config = RETRY_CONFIG) {
+    this.config = config;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('❌ [RetryWorker] Lỗi:', err.message));
+    }, this.config.intervalMs);
+    console.log(`🔁 [RetryWorker] ${this.workerId} chạy mỗi ${this.config.intervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Xử lý một lượt các payment đến hạn
+   * @returns {Promise<number>} số payment đã thử lại
+   */
+  async runOnce() {
+    // Lượt trước chưa xong thì bỏ qua lượt này
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const due = await Payment.getPendingRetries(this.config.batchSize);
+      let attempted = 0;
+      for (const { paymentId } of due) {
+        if (await this.retry(paymentId)) attempted++;
+      }
+      await walletService.creditCompletedTopUps(this.config.batchSize);
+      await refundService.resumeStaleRefunds(this.config.batchSize);
+      return attempted;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Thử lại một payment nếu chiếm được lease
+   * @returns {Promise<boolean>} false nếu replica khác đã nhận payment
+   */
+  async retry(paymentId) {
+    const payment = await Payment.acquireRetryLease(paymentId, this.workerId, this.config.leaseMs);
+    if (!payment) return false;
+
+    const attempt = payment.retryCount;
+    payment.addAuditEntry('retry_attempt', this.workerId, {
+      attempt,
+      maxRetries: payment.maxRetries,
+      scheduledAt: payment.nextRetryAt
+    });
+    await payment.startProcessing();
+
+    try {
+      await runPaymentSaga(payment);
+    } catch (error) {
+      if (payment.status === 'failed') {
+        console.error(`❌ [RetryWorker] ${paymentId} thất bại sau ${attempt} lần thử lại: ${error.message}`);
+        publishPaymentEvent('payment.failed', {
+          paymentId: payment.paymentId,
+          bookingId: payment.bookingId || payment.rideId,
+          rideId: payment.rideId,
+          userId: payment.userId,
+          amount: payment.amount,
+          reason: error.message,
+          code: error.code,
+          attempts: attempt
+        });
+      } else {
+        console.warn(`⚠️ [RetryWorker] ${paymentId} lỗi lần ${attempt}, thử lại lúc ${payment.nextRetryAt.toISOString()}`);
+      }
+      return true;
+    }
+
+    console.log(`✅ [RetryWorker] ${paymentId} thành công ở lần thử lại ${attempt}`);
+    if (payment.purpose === 'wallet_topup') {
+      await walletService.creditTopUp(payment).catch(error => {
+        console.error(`❌ [RetryWorker] Chưa ghi có ví cho ${paymentId}, thử lại ở lượt sau:`, error.message);
+      });
+    }
+    publishPaymentEvent('payment.succeeded', {
+      paymentId: payment.paymentId,
+      bookingId: payment.bookingId || payment.rideId,
+      rideId: payment.rideId,
+      userId: payment.userId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: 'paid'
+    });
+    return true;
+  }
+}
+
+module.exports = PaymentRetryWorker;
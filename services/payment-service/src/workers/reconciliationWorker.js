@@ -0,0 +1,52 @@
+const reconciliationService = require('../services/ReconciliationService');
+
+const RECONCILIATION_CONFIG = {
+  intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  // Cổng thanh toán thường có file quyết toán của ngày hôm trước sau giờ này (UTC)
+  runAfterHourUtc: parseInt(process.env.RECONCILIATION_HOUR_UTC, 10) || 2
+};
+
+/**
+ * Reconciliation Worker
+ * Mỗi giờ kiểm tra, sau RECONCILIATION_HOUR_UTC thì tải file quyết toán của ngày hôm trước
+ * từ các cổng thanh toán và đối soát. Ngày đã có báo cáo thì bỏ qua, nhiều replica
+ * cùng chạy cũng chỉ tạo một báo cáo cho mỗi file (unique gateway + fileHash).
+ */
+class ReconciliationWorker {
+  constructor(config = RECONCILIATION_CONFIG) {
+    this.config = config;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('❌ [ReconciliationWorker] Lỗi:', err.message));
+    }, this.config.intervalMs);
+    console.log(`🧾 [ReconciliationWorker] kiểm tra mỗi ${this.config.intervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @returns {Promise<number>} số báo cáo đã tạo
+   */
+  async runOnce(now = new Date()) {
+    if (this.running || now.getUTCHours() < this.config.runAfterHourUtc) return 0;
+    this.running = true;
+
+    try {
+      const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      const reports = await reconciliationService.reconcileScheduled(yesterday);
+      return reports.length;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = ReconciliationWorker;
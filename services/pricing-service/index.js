@@ -1,8 +1,48 @@
-const app = require('./src/app');
+const {
+  app,
+  surgeService,
+  modelRegistryService,
+  promotionService,
+  pricingService,
+  quoteService
+} = require('./src/app');
+const { connectRedis } = require('./src/config/redis');
+const { connectMongoDB } = require('./src/config/database');
+const { connectRabbitMQ } = require('./src/config/rabbitmq');
+const { startRideEventListeners } = require('./src/events/rideEvents');
+const { startPromotionEventListeners } = require('./src/events/promotionEvents');
 
 const PORT = process.env.PORT || 3008;
 
-app.listen(PORT, () => {
-  console.log(`💰 Pricing Service running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/api/pricing/health`);
-});
\ No newline at end of file
+// Surge demand and promo redemptions come from events; pricing still works without them
+const startEventListeners = async () => {
+  const rabbitMQClient = await connectRabbitMQ();
+  if (rabbitMQClient) {
+    await startRideEventListeners(rabbitMQClient, surgeService);
+    await startPromotionEventListeners(rabbitMQClient, { promotionService, pricingService, quoteService });
+  }
+};
+
+const startServer = async () => {
+  await connectRedis();
+
+  // Serve the active trained model; rule-based pricing until one is promoted
+  if (await connectMongoDB()) {
+    await modelRegistryService.loadActiveModel().catch(error => {
+      console.error('❌ Pricing Service: failed to load active model:', error.message);
+    });
+  }
+
+  startEventListeners().catch(error => {
+    console.error('❌ Pricing Service: failed to start event listeners:', error.message);
+  });
+
+  surgeService.startScheduler();
+
+  app.listen(PORT, () => {
+    console.log(`💰 Pricing Service running on port ${PORT}`);
+    console.log(`📊 Health check available at http://localhost:${PORT}/api/pricing/health`);
+  });
+};
+
+startServer();
@@ -0,0 +1,56 @@
+/**
+ * Offline training job for the PricingEngine
+ *
+ * Usage:
+ *   npm run train-model -- [--from 2025-01-01] [--to 2025-06-30] [--promote]
+ *
+ * Trains on completed rides, stores a new candidate version with its MAE
+ * and, with --promote, activates it when it beats the current active model.
+ * Running services pick up a promoted version on restart or through
+ * POST /api/pricing/models/:version/promote.
+ */
+const PricingEngine = require('../src/ai/pricingEngine');
+const ModelRegistryService = require('../src/services/modelRegistryService');
+const ModelVersion = require('../src/models/ModelVersion');
+const { connectMongoDB, disconnectMongoDB } = require('../src/config/database');
+
+const parseArgs = (argv) => {
+  const args = { promote: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--promote') args.promote = true;
+    if (argv[i] === '--from') args.from = argv[++i];
+    if (argv[i] === '--to') args.to = argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!(await connectMongoDB())) {
+    throw new Error('MongoDB is required for training (set MONGODB_URL)');
+  }
+
+  const registry = new ModelRegistryService(new PricingEngine());
+  const model = await registry.train({ from: args.from, to: args.to, actor: 'train-model-script' });
+
+  console.log(`Version ${model.version}:`, JSON.stringify(model.metrics, null, 2));
+
+  if (args.promote) {
+    const active = await ModelVersion.findOne({ status: 'active' }).select('version metrics').lean();
+    if (!active || model.metrics.mae < active.metrics.mae) {
+      await registry.promote(model.version, 'train-model-script', 'Auto-promoted: lower MAE');
+      console.log(`Promoted v${model.version}`);
+    } else {
+      console.log(`Kept v${active.version} active (MAE ${active.metrics.mae} <= ${model.metrics.mae})`);
+    }
+  }
+};
+
+main()
+  .then(() => disconnectMongoDB())
+  .catch(async (error) => {
+    console.error('❌ Training failed:', error.message);
+    await disconnectMongoDB();
+    process.exit(1);
+  });
@@ -1,11 +1,18 @@
-const { SimpleLinearRegression, PolynomialRegression } = require('ml-regression');
+const { MultivariateLinearRegression } = require('ml-regression');
+const { DEFAULT_RATES } = require('../config/fareConfig');
 
 /**
  * AI-based Dynamic Pricing Engine
  * Uses machine learning to predict optimal pricing based on multiple factors
  */
 class PricingEngine {
-  constructor() {
+  /**
+   * @param {Object} fareTableService - Resolves per-city fare tables (optional,
+   *   default rates are used without it)
+   */
+  constructor(fareTableService = null) {
+    this.fareTableService = fareTableService;
+
     this.models = {
       baseFare: null,
       surgeMultiplier: null,
@@ -15,6 +22,8 @@ class PricingEngine {
     this.isTrained = false;
     this.trainingData = [];
     this.lastTrained = null;
+    this.modelVersion = null; // registry version currently loaded
+    this.trainingSamples = 0;
   }
 
   /**
@@ -24,6 +33,7 @@ class PricingEngine {
    * @returns {Object} Pricing breakdown
    */
   async calculatePrice(rideData, marketData) {
+    let fareTable = null;
     try {
       const {
         distance,        // in km
@@ -36,8 +46,11 @@ class PricingEngine {
         userHistory      // user's ride history stats
       } = rideData;
 
+      // Rates for the pickup city, effective at pickup time
+      fareTable = await this.resolveFareTable(pickupLocation, vehicleType, pickupTime);
+
       // Base fare calculation
-      const baseFare = await this.calculateBaseFare(distance, duration, vehicleType);
+      const baseFare = await this.calculateBaseFare(distance, duration, vehicleType, fareTable);
 
       // Surge pricing based on demand/supply
       const surgeMultiplier = await this.calculateSurgeMultiplier(marketData);
@@ -66,7 +79,7 @@ class PricingEngine {
       totalFare -= loyaltyDiscount;
 
       // Ensure minimum fare
-      const minFare = this.getMinimumFare(vehicleType);
+      const minFare = this.getMinimumFare(vehicleType, fareTable);
       totalFare = Math.max(totalFare, minFare);
 
       // Round to nearest 1000 VND
@@ -98,7 +111,10 @@ class PricingEngine {
           weatherCondition: marketData.weather || 'clear',
           peakHours: this.isPeakHour(pickupTime),
           weekend: this.isWeekend(pickupTime),
-          holiday: marketData.isHoliday || false
+          holiday: marketData.isHoliday || false,
+          surgeZone: marketData.surgeZone || null,
+          city: fareTable ? fareTable.city : null,
+          fareTableId: fareTable ? String(fareTable._id) : null
         }
       };
 
@@ -107,29 +123,43 @@ class PricingEngine {
     } catch (error) {
       console.error('Error calculating price:', error);
       // Fallback to simple calculation
-      return this.calculateFallbackPrice(rideData);
+      return this.calculateFallbackPrice(rideData, fareTable);
+    }
+  }
+
+  /**
+   * Resolve the fare table for the pickup; null means default rates
+   */
+  async resolveFareTable(pickupLocation, vehicleType, pickupTime) {
+    if (!this.fareTableService || !pickupLocation) return null;
+
+    try {
+      return await this.fareTableService.resolve(pickupLocation, vehicleType, pickupTime || new Date());
+    } catch (error) {
+      console.warn('Fare table lookup failed, using default rates:', error.message);
+      return null;
     }
   }
 
   /**
    * Calculate base fare using AI model or fallback
    */
-  async calculateBaseFare(distance, duration, vehicleType) {
+  async calculateBaseFare(distance, duration, vehicleType, fareTable = null) {
     if (this.models.baseFare && this.isTrained) {
       try {
         // Use trained model for prediction
         const features = this.extractFeatures(distance, duration, vehicleType);
-        const predictedFare = this.models.baseFare.predict(features);
-        return Math.max(predictedFare, this.getBaseRate(vehicleType));
+        const [predictedFare] = this.models.baseFare.predict(features);
+        return Math.max(predictedFare, this.getBaseRate(vehicleType, fareTable));
       } catch (error) {
         console.warn('AI model prediction failed, using fallback:', error.message);
       }
     }
 
     // Fallback calculation
-    const baseRate = this.getBaseRate(vehicleType);
-    const distanceFare = distance * this.getPerKmRate(vehicleType);
-    const timeFare = duration * this.getPerMinuteRate(vehicleType);
+    const baseRate = this.getBaseRate(vehicleType, fareTable);
+    const distanceFare = distance * this.getPerKmRate(vehicleType, fareTable);
+    const timeFare = duration * this.getPerMinuteRate(vehicleType, fareTable);
 
     return baseRate + distanceFare + timeFare;
   }
@@ -138,7 +168,12 @@ class PricingEngine {
    * Calculate surge multiplier based on market conditions
    */
   async calculateSurgeMultiplier(marketData) {
-    const { demandLevel, supplyLevel } = marketData;
+    const { demandLevel, supplyLevel, surgeMultiplier: liveMultiplier } = marketData;
+
+    // Live surge zone multiplier (computed from real supply/demand) wins over levels
+    if (typeof liveMultiplier === 'number' && Number.isFinite(liveMultiplier)) {
+      return Math.min(Math.max(liveMultiplier, 1.0), 3.0);
+    }
 
     // Simple surge calculation based on demand/supply ratio
     let surgeMultiplier = 1.0;
@@ -322,17 +357,19 @@ class PricingEngine {
           record.vehicleType
         );
         features.push(featureVector);
-        targets.push(record.actualFare);
+        targets.push([record.actualFare]);
       });
 
-      // Train base fare model
-      this.models.baseFare = new PolynomialRegression(features, targets, 2);
+      // Train base fare model (features already carry the non-linear terms)
+      this.models.baseFare = new MultivariateLinearRegression(features, targets);
 
       // Train surge predictor (simplified)
       this.models.surgeMultiplier = this.trainSurgePredictor(historicalData);
 
       this.isTrained = true;
       this.lastTrained = new Date();
+      this.modelVersion = null;
+      this.trainingSamples = historicalData.length;
 
       console.log('AI models trained successfully');
 
@@ -352,6 +389,7 @@ class PricingEngine {
    * Extract features for ML model
    */
   extractFeatures(distance, duration, vehicleType) {
+    // Default multipliers keep features stable when fare tables change
     const vehicleMultiplier = this.getVehicleMultiplier(vehicleType);
     return [
       distance,
@@ -391,69 +429,47 @@ class PricingEngine {
     return averagedPatterns;
   }
 
+  /**
+   * Get rates for a vehicle type from a fare table, or the defaults
+   */
+  getRates(vehicleType, fareTable = null) {
+    if (fareTable && fareTable.rates) return fareTable.rates;
+    return DEFAULT_RATES[vehicleType] || DEFAULT_RATES.standard;
+  }
+
   /**
    * Get base rate by vehicle type
    */
-  getBaseRate(vehicleType) {
-    const rates = {
-      standard: 12000,   // 12k VND
-      premium: 20000,    // 20k VND
-      suv: 25000,        // 25k VND
-      van: 30000         // 30k VND
-    };
-    return rates[vehicleType] || rates.standard;
+  getBaseRate(vehicleType, fareTable = null) {
+    return this.getRates(vehicleType, fareTable).baseRate;
   }
 
   /**
    * Get per km rate by vehicle type
    */
-  getPerKmRate(vehicleType) {
-    const rates = {
-      standard: 8000,    // 8k VND/km
-      premium: 12000,    // 12k VND/km
-      suv: 15000,        // 15k VND/km
-      van: 18000         // 18k VND/km
-    };
-    return rates[vehicleType] || rates.standard;
+  getPerKmRate(vehicleType, fareTable = null) {
+    return this.getRates(vehicleType, fareTable).perKmRate;
   }
 
   /**
    * Get per minute rate by vehicle type
    */
-  getPerMinuteRate(vehicleType) {
-    const rates = {
-      standard: 3000,    // 3k VND/min
-      premium: 5000,     // 5k VND/min
-      suv: 6000,         // 6k VND/min
-      van: 7000          // 7k VND/min
-    };
-    return rates[vehicleType] || rates.standard;
+  getPerMinuteRate(vehicleType, fareTable = null) {
+    return this.getRates(vehicleType, fareTable).perMinuteRate;
   }
 
   /**
    * Get vehicle multiplier for AI features
    */
-  getVehicleMultiplier(vehicleType) {
-    const multipliers = {
-      standard: 1.0,
-      premium: 1.5,
-      suv: 1.8,
-      van: 2.0
-    };
-    return multipliers[vehicleType] || 1.0;
+  getVehicleMultiplier(vehicleType, fareTable = null) {
+    return this.getRates(vehicleType, fareTable).vehicleMultiplier;
   }
 
   /**
    * Get minimum fare by vehicle type
    */
-  getMinimumFare(vehicleType) {
-    const minFares = {
-      standard: 15000,   // 15k VND
-      premium: 25000,    // 25k VND
-      suv: 30000,        // 30k VND
-      van: 35000         // 35k VND
-    };
-    return minFares[vehicleType] || minFares.standard;
+  getMinimumFare(vehicleType, fareTable = null) {
+    return this.getRates(vehicleType, fareTable).minimumFare;
   }
 
   /**
@@ -472,6 +488,25 @@ class PricingEngine {
     return R * c;
   }
 
+  /**
+   * Estimate road distance and travel time between two points
+   * Straight-line distance is inflated by a road factor, duration uses
+   * average city speed (slower during peak hours)
+   * @returns {Object} { distance (km), duration (minutes) }
+   */
+  estimateRoute(pickup, destination, pickupTime = new Date()) {
+    const roadFactor = 1.3;
+    const averageSpeed = this.isPeakHour(pickupTime) ? 18 : 28; // km/h
+
+    const distance = this.calculateDistance(pickup, destination) * roadFactor;
+    const duration = (distance / averageSpeed) * 60;
+
+    return {
+      distance: Math.round(distance * 100) / 100,
+      duration: Math.max(Math.ceil(duration), 1)
+    };
+  }
+
   /**
    * Check if location is airport
    */
@@ -529,12 +564,12 @@ class PricingEngine {
   /**
    * Fallback price calculation
    */
-  calculateFallbackPrice(rideData) {
+  calculateFallbackPrice(rideData, fareTable = null) {
     const { distance, duration, vehicleType } = rideData;
 
-    const baseRate = this.getBaseRate(vehicleType);
-    const distanceFare = distance * this.getPerKmRate(vehicleType);
-    const timeFare = duration * this.getPerMinuteRate(vehicleType);
+    const baseRate = this.getBaseRate(vehicleType, fareTable);
+    const distanceFare = distance * this.getPerKmRate(vehicleType, fareTable);
+    const timeFare = duration * this.getPerMinuteRate(vehicleType, fareTable);
 
     const totalFare = baseRate + distanceFare + timeFare;
 
@@ -552,14 +587,46 @@ class PricingEngine {
     };
   }
 
+  /**
+   * Serialize trained models so they can be stored as a versioned artifact
+   */
+  exportModels() {
+    if (!this.isTrained || !this.models.baseFare) {
+      throw new Error('No trained models to export');
+    }
+
+    const { summary, ...baseFare } = this.models.baseFare.toJSON();
+    return {
+      baseFare,
+      surgeMultiplier: this.models.surgeMultiplier
+    };
+  }
+
+  /**
+   * Load models from a stored artifact (see exportModels)
+   * @param {Object} artifacts - { baseFare, surgeMultiplier }
+   * @param {Object} metadata - { version, trainedAt, trainingSamples }
+   */
+  loadModels(artifacts, metadata = {}) {
+    this.models.baseFare = MultivariateLinearRegression.load(artifacts.baseFare);
+    this.models.surgeMultiplier = artifacts.surgeMultiplier || null;
+
+    this.isTrained = true;
+    this.trainingData = [];
+    this.lastTrained = metadata.trainedAt ? new Date(metadata.trainedAt) : null;
+    this.modelVersion = metadata.version ?? null;
+    this.trainingSamples = metadata.trainingSamples || 0;
+  }
+
   /**
    * Get model status
    */
   getModelStatus() {
     return {
       isTrained: this.isTrained,
+      version: this.modelVersion,
       lastTrained: this.lastTrained,
-      trainingSamples: this.trainingData.length,
+      trainingSamples: this.trainingSamples,
       models: {
         baseFare: this.models.baseFare !== null,
         surgeMultiplier: this.models.surgeMultiplier !== null,
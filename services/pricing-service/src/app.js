@@ -2,8 +2,39 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
+const PricingEngine = require('./ai/pricingEngine');
+const PricingService = require('./services/pricingService');
+const QuoteService = require('./services/quoteService');
+const SurgeService = require('./services/surgeService');
+const ModelRegistryService = require('./services/modelRegistryService');
+const FareTableService = require('./services/fareTableService');
+const PromotionService = require('./services/promotionService');
+const PricingController = require('./controllers/pricingController');
+const FareTableController = require('./controllers/fareTableController');
+const PromotionController = require('./controllers/promotionController');
+const createPricingRoutes = require('./routes/pricingRoutes');
+const createFareTableRoutes = require('./routes/fareTableRoutes');
+const createPromotionRoutes = require('./routes/promotionRoutes');
+
 const app = express();
 
+// Initialize services
+const fareTableService = new FareTableService();
+const pricingEngine = new PricingEngine(fareTableService);
+const surgeService = new SurgeService();
+const promotionService = new PromotionService();
+const pricingService = new PricingService(pricingEngine, surgeService, promotionService);
+const quoteService = new QuoteService(pricingService);
+const modelRegistryService = new ModelRegistryService(pricingEngine);
+const pricingController = new PricingController({
+	pricingService,
+	quoteService,
+	surgeService,
+	modelRegistryService
+});
+const fareTableController = new FareTableController({ fareTableService });
+const promotionController = new PromotionController({ promotionService });
+
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*', credentials: true }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -16,16 +47,9 @@ app.get('/api/pricing/health', (req, res) => {
 	});
 });
 
-// Minimal endpoint (placeholder)
-app.post('/api/pricing/estimate', (req, res) => {
-	const baseFare = 15000;
-	res.json({
-		currency: 'VND',
-		estimatedFare: baseFare,
-		details: { baseFare },
-		input: req.body
-	});
-});
+app.use('/api/pricing/fare-tables', createFareTableRoutes(fareTableController));
+app.use('/api/pricing/promotions', createPromotionRoutes(promotionController));
+app.use('/api/pricing', createPricingRoutes(pricingController));
 
 app.use((req, res) => {
 	res.status(404).json({
@@ -36,8 +60,18 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
+	if (err.statusCode) {
+		return res.status(err.statusCode).json({ error: err.message });
+	}
 	console.error('Unhandled error:', err);
 	res.status(500).json({ error: 'Internal server error' });
 });
 
-module.exports = app;
+module.exports = {
+	app,
+	surgeService,
+	modelRegistryService,
+	promotionService,
+	pricingService,
+	quoteService
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Connect to MongoDB (model registry + ride history for training).
+ * Estimates keep working without it using the rule-based fallback.
+ */
+const connectMongoDB = async () => {
+  const mongoUrl = process.env.MONGODB_URI || process.env.MONGODB_URL;
+  if (!mongoUrl) {
+    console.warn('⚠️ Pricing Service: MongoDB disabled (MONGODB_URL not set)');
+    return false;
+  }
+
+  try {
+    await mongoose.connect(mongoUrl, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+      bufferCommands: false
+    });
+    console.log('✅ Pricing Service: Connected to MongoDB');
+
+    mongoose.connection.on('error', (err) => {
+      console.error('❌ Pricing Service: MongoDB connection error:', err.message);
+    });
+    mongoose.connection.on('disconnected', () => {
+      console.log('⚠️ Pricing Service: MongoDB disconnected');
+    });
+
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Pricing Service: MongoDB connect failed:', error.message);
+    return false;
+  }
+};
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const disconnectMongoDB = async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close();
+  }
+};
+
+module.exports = {
+  connectMongoDB,
+  isMongoConnected,
+  disconnectMongoDB
+};
@@ -0,0 +1,59 @@
+/**
+ * Cities we operate in. A pickup is priced with the fare tables of the
+ * closest city whose service radius covers it.
+ */
+const CITIES = {
+  hcm: { name: 'Ho Chi Minh City', center: { lat: 10.7769, lng: 106.7009 }, radiusKm: 40 },
+  hanoi: { name: 'Ha Noi', center: { lat: 21.0285, lng: 105.8542 }, radiusKm: 40 },
+  danang: { name: 'Da Nang', center: { lat: 16.0544, lng: 108.2022 }, radiusKm: 25 }
+};
+
+/**
+ * Default rates (VND) used when no fare table is configured for the
+ * pickup city/vehicle type or MongoDB is unavailable
+ */
+const DEFAULT_RATES = {
+  standard: { baseRate: 12000, perKmRate: 8000, perMinuteRate: 3000, vehicleMultiplier: 1.0, minimumFare: 15000 },
+  premium: { baseRate: 20000, perKmRate: 12000, perMinuteRate: 5000, vehicleMultiplier: 1.5, minimumFare: 25000 },
+  suv: { baseRate: 25000, perKmRate: 15000, perMinuteRate: 6000, vehicleMultiplier: 1.8, minimumFare: 30000 },
+  van: { baseRate: 30000, perKmRate: 18000, perMinuteRate: 7000, vehicleMultiplier: 2.0, minimumFare: 35000 }
+};
+
+const RATE_FIELDS = Object.keys(DEFAULT_RATES.standard);
+
+/**
+ * Haversine distance in km
+ */
+const distanceKm = (a, b) => {
+  const R = 6371;
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLng = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Find the city serving a location
+ * @param {Object} point - {lat, lng}
+ * @returns {string|null} City code
+ */
+const findCity = (point) => {
+  let match = null;
+  let closest = Infinity;
+  for (const [code, city] of Object.entries(CITIES)) {
+    const distance = distanceKm(point, city.center);
+    if (distance <= city.radiusKm && distance < closest) {
+      match = code;
+      closest = distance;
+    }
+  }
+  return match;
+};
+
+module.exports = {
+  CITIES,
+  DEFAULT_RATES,
+  RATE_FIELDS,
+  findCity
+};
@@ -0,0 +1,33 @@
+const { RabbitMQClient } = require('@cab-booking/shared');
+
+const rabbitMQClient = new RabbitMQClient();
+let connected = false;
+
+/**
+ * Connect to RabbitMQ with a few retries
+ * Pricing keeps serving estimates without the event bus (degraded mode)
+ */
+const connectRabbitMQ = async (maxRetries = 3) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await rabbitMQClient.connect();
+      connected = true;
+      return rabbitMQClient;
+    } catch (error) {
+      console.warn(`⚠️ Pricing Service: RabbitMQ attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+      if (attempt < maxRetries) {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+    }
+  }
+
+  console.error('❌ Pricing Service: RabbitMQ unavailable, running without event bus');
+  return null;
+};
+
+const getRabbitMQClient = () => (connected ? rabbitMQClient : null);
+
+module.exports = {
+  connectRabbitMQ,
+  getRabbitMQClient
+};
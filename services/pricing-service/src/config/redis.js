@@ -0,0 +1,47 @@
+const redis = require('redis');
+require('dotenv').config();
+
+let redisClient = null;
+
+/**
+ * Connect to Redis. The service keeps working without it (quotes and
+ * other short-lived state fall back to in-process memory).
+ */
+const connectRedis = async () => {
+  if (!process.env.REDIS_URL) {
+    console.warn('⚠️ Pricing Service: Redis disabled (local dev mode)');
+    return null;
+  }
+
+  try {
+    redisClient = redis.createClient({ url: process.env.REDIS_URL });
+    redisClient.on('error', (err) => {
+      console.warn('⚠️ Pricing Service: Redis error:', err.message);
+    });
+
+    await redisClient.connect();
+    console.log('✅ Pricing Service: Redis connected');
+  } catch (error) {
+    console.warn('⚠️ Pricing Service: Redis connect failed, using in-memory store:', error.message);
+    redisClient = null;
+  }
+
+  return redisClient;
+};
+
+/**
+ * Get the Redis client if it is connected and ready, otherwise null
+ */
+const getRedisClient = () => (redisClient && redisClient.isReady ? redisClient : null);
+
+const disconnectRedis = async () => {
+  if (redisClient && redisClient.isOpen) {
+    await redisClient.quit();
+  }
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  disconnectRedis
+};
@@ -0,0 +1,63 @@
+const { getActor } = require('@cab-booking/shared');
+
+/**
+ * Fare Table Controller
+ * Admin HTTP handlers for per-city fare tables
+ */
+class FareTableController {
+  constructor({ fareTableService }) {
+    this.fareTableService = fareTableService;
+  }
+
+  // GET /api/pricing/fare-tables?city=&vehicleType=&includeInactive=
+  list = async (req, res, next) => {
+    try {
+      const fareTables = await this.fareTableService.list(req.query);
+      res.json({ count: fareTables.length, fareTables });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/fare-tables/:id (includes audit log)
+  get = async (req, res, next) => {
+    try {
+      const fareTable = await this.fareTableService.get(req.params.id);
+      res.json(fareTable);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/fare-tables
+  create = async (req, res, next) => {
+    try {
+      const fareTable = await this.fareTableService.create(req.body, getActor(req));
+      res.status(201).json(fareTable);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PUT /api/pricing/fare-tables/:id
+  update = async (req, res, next) => {
+    try {
+      const fareTable = await this.fareTableService.update(req.params.id, req.body, getActor(req));
+      res.json(fareTable);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DELETE /api/pricing/fare-tables/:id (deactivates)
+  remove = async (req, res, next) => {
+    try {
+      const fareTable = await this.fareTableService.deactivate(req.params.id, getActor(req));
+      res.json(fareTable);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = FareTableController;
@@ -0,0 +1,126 @@
+const { getActor } = require('@cab-booking/shared');
+
+/**
+ * Pricing Controller
+ * HTTP handlers for fare estimates, price quotes, surge zones and models
+ */
+class PricingController {
+  constructor({ pricingService, quoteService, surgeService, modelRegistryService }) {
+    this.pricingService = pricingService;
+    this.quoteService = quoteService;
+    this.surgeService = surgeService;
+    this.modelRegistryService = modelRegistryService;
+  }
+
+  // POST /api/pricing/estimate
+  estimate = async (req, res, next) => {
+    try {
+      const estimate = await this.pricingService.estimate(req.body);
+      res.json(estimate);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/quotes
+  createQuote = async (req, res, next) => {
+    try {
+      const quote = await this.quoteService.createQuote(req.body);
+      res.status(201).json(quote);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/quotes/:quoteId
+  getQuote = async (req, res, next) => {
+    try {
+      const quote = await this.quoteService.getQuote(req.params.quoteId);
+      res.json(quote);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/quotes/:quoteId/consume { customerId, quoteToken } (booking service)
+  consumeQuote = async (req, res, next) => {
+    try {
+      const quote = await this.quoteService.consumeQuote(req.params.quoteId, {
+        customerId: req.body.customerId,
+        token: req.body.quoteToken
+      });
+      res.json(quote);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/surge?lat=&lng=
+  getSurge = async (req, res, next) => {
+    try {
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+          lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return res.status(400).json({ error: 'lat and lng query parameters are required' });
+      }
+
+      const surge = await this.surgeService.getSurgeForLocation(lat, lng);
+      res.json(surge);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/surge/heatmap?minMultiplier=
+  getSurgeHeatmap = async (req, res, next) => {
+    try {
+      const minMultiplier = Number(req.query.minMultiplier) || 1.0;
+      const cells = await this.surgeService.getHeatmap(minMultiplier);
+      res.json({
+        count: cells.length,
+        cells,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/models
+  getModels = async (req, res, next) => {
+    try {
+      const status = await this.modelRegistryService.getStatus();
+      res.json(status);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/models/:version/promote (admin)
+  promoteModel = async (req, res, next) => {
+    try {
+      const version = parseInt(req.params.version, 10);
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ error: 'version must be a positive integer' });
+      }
+
+      const model = await this.modelRegistryService.promote(version, getActor(req), req.body?.reason);
+      res.json(model);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/models/rollback (admin)
+  rollbackModel = async (req, res, next) => {
+    try {
+      const model = await this.modelRegistryService.rollback(getActor(req), req.body?.reason);
+      res.json(model);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = PricingController;
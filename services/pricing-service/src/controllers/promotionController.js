@@ -0,0 +1,63 @@
+const { getActor } = require('@cab-booking/shared');
+
+/**
+ * Promotion Controller
+ * Admin HTTP handlers for promo codes
+ */
+class PromotionController {
+  constructor({ promotionService }) {
+    this.promotionService = promotionService;
+  }
+
+  // GET /api/pricing/promotions?active=
+  list = async (req, res, next) => {
+    try {
+      const promotions = await this.promotionService.list(req.query);
+      res.json({ count: promotions.length, promotions });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/pricing/promotions/:id (includes redemption stats)
+  get = async (req, res, next) => {
+    try {
+      const promotion = await this.promotionService.get(req.params.id);
+      res.json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/pricing/promotions
+  create = async (req, res, next) => {
+    try {
+      const promotion = await this.promotionService.create(req.body, getActor(req));
+      res.status(201).json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PUT /api/pricing/promotions/:id
+  update = async (req, res, next) => {
+    try {
+      const promotion = await this.promotionService.update(req.params.id, req.body, getActor(req));
+      res.json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DELETE /api/pricing/promotions/:id (deactivates)
+  remove = async (req, res, next) => {
+    try {
+      const promotion = await this.promotionService.deactivate(req.params.id, getActor(req));
+      res.json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = PromotionController;
@@ -0,0 +1,103 @@
+/**
+ * Promotion Event Handlers
+ * Drives the promo redemption lifecycle from booking and payment events:
+ * booking.created -> reserve, payment.succeeded -> redeem, booking.cancelled -> release
+ */
+
+const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+// Booking/payment events carry no `type`, so each routing key gets its own queue
+const PROMOTION_QUEUES = {
+  bookingCreated: `${QUEUES.PRICING_SERVICE}.promotions.booking-created`,
+  bookingCancelled: `${QUEUES.PRICING_SERVICE}.promotions.booking-cancelled`,
+  paymentSucceeded: `${QUEUES.PRICING_SERVICE}.promotions.payment-succeeded`
+};
+
+/**
+ * Find the promotion applied to a new booking: from its locked quote, or
+ * by re-pricing the trip with the promo code it was booked with
+ */
+const resolveBookingPromotion = async (event, { pricingService, quoteService }) => {
+  if (event.quoteId) {
+    const quote = await quoteService.loadQuote(event.quoteId);
+    if (!quote || !quote.promotion || !quote.promotion.applied) return null;
+    return { ...quote.promotion, fare: quote.breakdown.subtotal };
+  }
+
+  if (!event.promoCode) return null;
+
+  const estimate = await pricingService.estimate({
+    pickupLocation: event.pickupLocation,
+    dropoffLocation: event.dropoffLocation,
+    vehicleType: event.vehicleType,
+    promoCode: event.promoCode,
+    customerId: event.customerId
+  });
+  if (!estimate.promotion || !estimate.promotion.applied) return null;
+  return { ...estimate.promotion, fare: estimate.details.subtotal };
+};
+
+const createBookingCreatedHandler = (services) => async (event) => {
+  const promotion = await resolveBookingPromotion(event, services);
+  if (!promotion) return;
+
+  const redemption = await services.promotionService.reserve({
+    promotionId: promotion.promotionId,
+    code: promotion.code,
+    customerId: event.customerId,
+    bookingId: event.bookingId,
+    quoteId: event.quoteId,
+    fare: promotion.fare,
+    discount: promotion.discount
+  });
+
+  if (redemption) {
+    console.log(`🎟️ Reserved promo ${promotion.code} for booking ${event.bookingId}`);
+  } else {
+    // The booking was already priced with the discount; flag it for follow-up
+    console.warn(`⚠️ Promo ${promotion.code} limit reached when booking ${event.bookingId} was created`);
+  }
+};
+
+const createPaymentSucceededHandler = ({ promotionService }) => async (event) => {
+  if (!event.bookingId) return;
+  const redemption = await promotionService.redeem(event.bookingId);
+  if (redemption) {
+    console.log(`🎟️ Redeemed promo ${redemption.code} for booking ${event.bookingId}`);
+  }
+};
+
+const createBookingCancelledHandler = ({ promotionService }) => async (event) => {
+  if (!event.bookingId) return;
+  const redemption = await promotionService.release(event.bookingId, event.reason || 'booking_cancelled');
+  if (redemption) {
+    console.log(`🎟️ Released promo ${redemption.code} for booking ${event.bookingId}`);
+  }
+};
+
+/**
+ * Bind promotion queues and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {Object} services - { promotionService, pricingService, quoteService }
+ */
+const startPromotionEventListeners = async (rabbitMQClient, services) => {
+  const subscriptions = [
+    [PROMOTION_QUEUES.bookingCreated, EXCHANGES.BOOKING_EVENTS, ROUTING_KEYS.BOOKING_CREATED, createBookingCreatedHandler],
+    [PROMOTION_QUEUES.bookingCancelled, EXCHANGES.BOOKING_EVENTS, ROUTING_KEYS.BOOKING_CANCELLED, createBookingCancelledHandler],
+    [PROMOTION_QUEUES.paymentSucceeded, EXCHANGES.PAYMENT_EVENTS, ROUTING_KEYS.PAYMENT_SUCCEEDED, createPaymentSucceededHandler]
+  ];
+
+  for (const [queue, exchange, routingKey, createHandler] of subscriptions) {
+    await rabbitMQClient.bindQueue(queue, exchange, routingKey);
+    await rabbitMQClient.subscribeToQueue(queue, createHandler(services));
+  }
+
+  console.log('✅ Pricing Service: listening to booking/payment events for promotions');
+};
+
+module.exports = {
+  startPromotionEventListeners,
+  createBookingCreatedHandler,
+  createPaymentSucceededHandler,
+  createBookingCancelledHandler
+};
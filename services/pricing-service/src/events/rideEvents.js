@@ -0,0 +1,60 @@
+/**
+ * Ride Event Handlers
+ * Feeds ride lifecycle events into the surge subsystem
+ */
+
+const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('@cab-booking/shared');
+
+const SURGE_QUEUE = `${QUEUES.PRICING_SERVICE}.surge`;
+
+/**
+ * Build the handler for ride events
+ * @param {SurgeService} surgeService
+ */
+const createRideEventHandler = (surgeService) => async (event) => {
+  switch (event.type) {
+    case 'RideDriverSearchStarted': {
+      const location = event.pickup && event.pickup.coordinates;
+      if (!location) {
+        console.warn(`⚠️ Ride ${event.rideId} has no pickup coordinates, skipping surge demand`);
+        return;
+      }
+      const requestedAt = event.timestamp ? new Date(event.timestamp).getTime() : Date.now();
+      await surgeService.recordRideRequest(event.rideId, location, requestedAt);
+      break;
+    }
+
+    case 'RideAssigned':
+    case 'RideCancelled':
+      await surgeService.closeRideRequest(event.rideId);
+      break;
+
+    default:
+      console.log('Unknown ride event type:', event.type);
+  }
+};
+
+/**
+ * Bind the pricing surge queue to ride events and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ * @param {SurgeService} surgeService
+ */
+const startRideEventListeners = async (rabbitMQClient, surgeService) => {
+  const routingKeys = [
+    ROUTING_KEYS.RIDE_DRIVER_SEARCH_STARTED,
+    ROUTING_KEYS.RIDE_ASSIGNED,
+    ROUTING_KEYS.RIDE_CANCELLED
+  ];
+
+  for (const routingKey of routingKeys) {
+    await rabbitMQClient.bindQueue(SURGE_QUEUE, EXCHANGES.RIDE_EVENTS, routingKey);
+  }
+
+  await rabbitMQClient.subscribeToQueue(SURGE_QUEUE, createRideEventHandler(surgeService));
+  console.log('✅ Pricing Service: listening to ride events for surge');
+};
+
+module.exports = {
+  startRideEventListeners,
+  createRideEventHandler
+};
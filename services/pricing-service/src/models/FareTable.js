@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const rateField = { type: Number, required: true, min: 0 };
+
+/**
+ * Fare table for one city and vehicle type.
+ * Several tables may exist per pair; the one with the latest
+ * `effectiveFrom` not after the pickup time is used.
+ */
+const fareTableSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['standard', 'premium', 'suv', 'van'],
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  rates: {
+    baseRate: rateField,       // VND
+    perKmRate: rateField,      // VND/km
+    perMinuteRate: rateField,  // VND/min
+    vehicleMultiplier: { type: Number, required: true, min: 0.1 },
+    minimumFare: rateField     // VND
+  },
+  currency: {
+    type: String,
+    default: 'VND'
+  },
+  description: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  updatedBy: String,
+
+  // Who changed what
+  auditLog: [{
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'deactivated']
+    },
+    actor: String,
+    timestamp: { type: Date, default: Date.now },
+    changes: mongoose.Schema.Types.Mixed // { field: { from, to } }
+  }]
+}, {
+  timestamps: true,
+  collection: 'fare_tables'
+});
+
+// One active table per city, vehicle type and start date
+fareTableSchema.index(
+  { city: 1, vehicleType: 1, effectiveFrom: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+fareTableSchema.methods.addAuditEntry = function(action, actor, changes = {}) {
+  this.auditLog.push({ action, actor, changes, timestamp: new Date() });
+};
+
+module.exports = mongoose.model('FareTable', fareTableSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Versioned PricingEngine artifact with its evaluation metrics.
+ * Exactly one version is `active` at a time; promotion history is kept
+ * in `history` so a rollback knows what was live before.
+ */
+const modelVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['candidate', 'active', 'retired'],
+    default: 'candidate',
+    index: true
+  },
+  artifacts: {
+    baseFare: { type: mongoose.Schema.Types.Mixed, required: true },
+    surgeMultiplier: mongoose.Schema.Types.Mixed
+  },
+  metrics: {
+    mae: Number,          // model MAE against actual fare (test split)
+    baselineMae: Number,  // rule-based fallback MAE on the same split
+    trainingSamples: Number,
+    testSamples: Number
+  },
+  dataWindow: {
+    from: Date,
+    to: Date
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  trainedBy: String,
+  activatedAt: Date,
+  previousVersion: Number, // version that was active when this one was promoted
+  history: [{
+    action: {
+      type: String,
+      enum: ['trained', 'promoted', 'rolled_back', 'retired']
+    },
+    actor: String,
+    reason: String,
+    timestamp: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true,
+  collection: 'pricing_model_versions'
+});
+
+modelVersionSchema.methods.addHistory = function(action, actor, reason) {
+  this.history.push({ action, actor, reason, timestamp: new Date() });
+};
+
+module.exports = mongoose.model('PricingModelVersion', modelVersionSchema);
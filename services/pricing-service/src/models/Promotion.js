@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo code / voucher definition
+ */
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  }, // percent (0-100) or VND
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }, // cap for percentage discounts (VND)
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // fare before discount must reach this
+
+  // Usage limits (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // reserved + redeemed
+
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+
+  // Restrictions (empty = no restriction)
+  vehicleTypes: [{
+    type: String,
+    enum: ['standard', 'premium', 'suv', 'van']
+  }],
+  cities: [{
+    type: String,
+    lowercase: true
+  }],
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true,
+  collection: 'promotions'
+});
+
+promotionSchema.methods.isWithinValidity = function(at = new Date()) {
+  return this.active && this.validFrom <= at && at <= this.validUntil;
+};
+
+/**
+ * Discount for a fare before promotion, rounded to 1000 VND
+ */
+promotionSchema.methods.calculateDiscount = function(fare) {
+  let discount = this.discountType === 'percentage'
+    ? fare * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  discount = Math.min(discount, fare);
+  return Math.round(discount / 1000) * 1000;
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
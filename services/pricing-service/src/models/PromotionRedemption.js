@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Use of a promotion by one booking.
+ * reserved (booking created) -> redeemed (payment succeeded)
+ * reserved/redeemed -> released (booking cancelled)
+ */
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: String,
+    required: true
+  },
+  bookingId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  quoteId: String,
+  fare: Number,     // fare before discount
+  discount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  },
+  redeemedAt: Date,
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true,
+  collection: 'promotion_redemptions'
+});
+
+promotionRedemptionSchema.index({ promotionId: 1, customerId: 1, status: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Read-only view of the ride-service `rides` collection.
+ * Only the fields used to build pricing training data are declared.
+ */
+const rideSchema = new mongoose.Schema({
+  status: String,
+  route: {
+    distance: Number,       // meters (estimated)
+    duration: Number,       // seconds (estimated)
+    actualDistance: Number, // meters
+    actualDuration: Number  // seconds
+  },
+  pricing: {
+    vehicleType: String,
+    surgeMultiplier: Number,
+    estimatedFare: Number,
+    finalFare: Number
+  },
+  timing: {
+    requestedAt: Date,
+    completedAt: Date
+  }
+}, {
+  collection: 'rides',
+  strict: false
+});
+
+module.exports = mongoose.models.Ride || mongoose.model('Ride', rideSchema);
@@ -0,0 +1,30 @@
+const express = require('express');
+const { requireAdmin } = require('@cab-booking/shared');
+
+/**
+ * Build pricing routes around a PricingController instance
+ */
+const createPricingRoutes = (controller) => {
+  const router = express.Router();
+
+  /* ESTIMATE */
+  router.post('/estimate', controller.estimate);
+
+  /* QUOTES */
+  router.post('/quotes', controller.createQuote);
+  router.get('/quotes/:quoteId', controller.getQuote);
+  router.post('/quotes/:quoteId/consume', controller.consumeQuote);
+
+  /* SURGE */
+  router.get('/surge', controller.getSurge);
+  router.get('/surge/heatmap', controller.getSurgeHeatmap);
+
+  /* MODELS */
+  router.get('/models', controller.getModels);
+  router.post('/models/rollback', requireAdmin, controller.rollbackModel);
+  router.post('/models/:version/promote', requireAdmin, controller.promoteModel);
+
+  return router;
+};
+
+module.exports = createPricingRoutes;
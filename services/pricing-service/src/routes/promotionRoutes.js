@@ -0,0 +1,21 @@
+const express = require('express');
+const { requireAdmin } = require('@cab-booking/shared');
+
+/**
+ * Build admin promotion routes around a PromotionController instance
+ */
+const createPromotionRoutes = (controller) => {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  router.get('/', controller.list);
+  router.get('/:id', controller.get);
+  router.post('/', controller.create);
+  router.put('/:id', controller.update);
+  router.delete('/:id', controller.remove);
+
+  return router;
+};
+
+module.exports = createPromotionRoutes;
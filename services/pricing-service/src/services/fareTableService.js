@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const FareTable = require('../models/FareTable');
+const { CITIES, RATE_FIELDS, findCity } = require('../config/fareConfig');
+const { isMongoConnected } = require('../config/database');
+const { httpError, VEHICLE_TYPES } = require('./pricingService');
+
+const CACHE_TTL_MS = (parseInt(process.env.FARE_TABLE_CACHE_SECONDS, 10) || 60) * 1000;
+
+/**
+ * Fare Table Service
+ * Admin CRUD for per-city fare tables and resolution of the table that
+ * applies to a pickup location and time
+ */
+class FareTableService {
+  constructor() {
+    this.cache = new Map(); // `${city}:${vehicleType}` -> { tables, loadedAt }
+  }
+
+  /**
+   * Resolve the fare table for a pickup
+   * @param {Object} pickup - {lat, lng}
+   * @param {string} vehicleType
+   * @param {Date} pickupTime
+   * @returns {Object|null} Fare table, or null to use the default rates
+   */
+  async resolve(pickup, vehicleType, pickupTime = new Date()) {
+    if (!isMongoConnected()) return null;
+
+    const city = findCity(pickup);
+    if (!city) return null;
+
+    const tables = await this.getCityTables(city, vehicleType);
+    const at = new Date(pickupTime).getTime();
+
+    // Tables are sorted newest first
+    return tables.find(table => new Date(table.effectiveFrom).getTime() <= at) || null;
+  }
+
+  async list({ city, vehicleType, includeInactive } = {}) {
+    this.ensureAvailable();
+
+    const query = {};
+    if (city) query.city = String(city).toLowerCase();
+    if (vehicleType) query.vehicleType = vehicleType;
+    if (includeInactive !== 'true' && includeInactive !== true) query.active = true;
+
+    return FareTable.find(query)
+      .select('-auditLog')
+      .sort({ city: 1, vehicleType: 1, effectiveFrom: -1 })
+      .lean();
+  }
+
+  async get(id) {
+    this.ensureAvailable();
+    return this.findById(id);
+  }
+
+  async create(data, actor) {
+    this.ensureAvailable();
+
+    const fields = this.validate(data);
+    const fareTable = new FareTable({ ...fields, createdBy: actor, updatedBy: actor });
+    fareTable.addAuditEntry('created', actor, this.diff({}, fields));
+
+    await this.save(fareTable);
+    return fareTable.toObject();
+  }
+
+  async update(id, data, actor) {
+    this.ensureAvailable();
+
+    const fareTable = await this.findById(id, false);
+    if (!fareTable.active) {
+      throw httpError(409, 'Cannot update a deactivated fare table');
+    }
+
+    const current = this.snapshot(fareTable);
+    const fields = this.validate({ ...current, ...data, rates: { ...current.rates, ...(data.rates || {}) } });
+    const changes = this.diff(current, fields);
+    if (Object.keys(changes).length === 0) {
+      return fareTable.toObject();
+    }
+
+    fareTable.set(fields);
+    fareTable.updatedBy = actor;
+    fareTable.addAuditEntry('updated', actor, changes);
+
+    await this.save(fareTable);
+    return fareTable.toObject();
+  }
+
+  /**
+   * Soft delete: the table stops applying but stays for audit
+   */
+  async deactivate(id, actor) {
+    this.ensureAvailable();
+
+    const fareTable = await this.findById(id, false);
+    if (!fareTable.active) {
+      throw httpError(409, 'Fare table is already deactivated');
+    }
+
+    fareTable.active = false;
+    fareTable.updatedBy = actor;
+    fareTable.addAuditEntry('deactivated', actor, { active: { from: true, to: false } });
+
+    await this.save(fareTable);
+    return fareTable.toObject();
+  }
+
+  // Private helper methods
+
+  ensureAvailable() {
+    if (!isMongoConnected()) {
+      throw httpError(503, 'Fare tables unavailable (MongoDB not connected)');
+    }
+  }
+
+  async getCityTables(city, vehicleType) {
+    const key = `${city}:${vehicleType}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.tables;
+    }
+
+    const tables = await FareTable.find({ city, vehicleType, active: true })
+      .select('city vehicleType effectiveFrom rates currency')
+      .sort({ effectiveFrom: -1 })
+      .lean();
+
+    this.cache.set(key, { tables, loadedAt: Date.now() });
+    return tables;
+  }
+
+  async findById(id, lean = true) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw httpError(400, 'Invalid fare table id');
+    }
+
+    const query = FareTable.findById(id);
+    const fareTable = lean ? await query.lean() : await query;
+    if (!fareTable) {
+      throw httpError(404, 'Fare table not found');
+    }
+    return fareTable;
+  }
+
+  async save(fareTable) {
+    try {
+      await fareTable.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(409, 'An active fare table already exists for this city, vehicle type and effectiveFrom');
+      }
+      throw error;
+    }
+    this.cache.delete(`${fareTable.city}:${fareTable.vehicleType}`);
+  }
+
+  snapshot(fareTable) {
+    return {
+      city: fareTable.city,
+      vehicleType: fareTable.vehicleType,
+      effectiveFrom: fareTable.effectiveFrom,
+      rates: RATE_FIELDS.reduce((rates, field) => ({ ...rates, [field]: fareTable.rates[field] }), {}),
+      currency: fareTable.currency,
+      description: fareTable.description
+    };
+  }
+
+  /**
+   * Validate and normalize a full fare table payload
+   */
+  validate(data = {}) {
+    const city = String(data.city || '').toLowerCase();
+    if (!CITIES[city]) {
+      throw httpError(400, `city must be one of: ${Object.keys(CITIES).join(', ')}`);
+    }
+
+    if (!VEHICLE_TYPES.includes(data.vehicleType)) {
+      throw httpError(400, `vehicleType must be one of: ${VEHICLE_TYPES.join(', ')}`);
+    }
+
+    const effectiveFrom = new Date(data.effectiveFrom);
+    if (!data.effectiveFrom || Number.isNaN(effectiveFrom.getTime())) {
+      throw httpError(400, 'effectiveFrom must be a valid date');
+    }
+
+    const rates = {};
+    for (const field of RATE_FIELDS) {
+      const value = Number(data.rates?.[field]);
+      if (!Number.isFinite(value) || value < 0 || (field === 'vehicleMultiplier' && value <= 0)) {
+        throw httpError(400, `rates.${field} must be a positive number`);
+      }
+      rates[field] = value;
+    }
+
+    return {
+      city,
+      vehicleType: data.vehicleType,
+      effectiveFrom,
+      rates,
+      currency: data.currency || 'VND',
+      description: data.description
+    };
+  }
+
+  /**
+   * Field-level changes between two snapshots: { field: { from, to } }
+   */
+  diff(before, after) {
+    const flatten = (value = {}) => ({
+      city: value.city,
+      vehicleType: value.vehicleType,
+      effectiveFrom: value.effectiveFrom ? new Date(value.effectiveFrom).toISOString() : undefined,
+      currency: value.currency,
+      description: value.description,
+      ...RATE_FIELDS.reduce((rates, field) => ({ ...rates, [`rates.${field}`]: value.rates?.[field] }), {})
+    });
+
+    const from = flatten(before);
+    const to = flatten(after);
+    return Object.keys(to).reduce((changes, field) => {
+      if (from[field] !== to[field]) {
+        changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+      }
+      return changes;
+    }, {});
+  }
+}
+
+module.exports = FareTableService;
@@ -0,0 +1,247 @@
+const PricingEngine = require('../ai/pricingEngine');
+const Ride = require('../models/Ride');
+const ModelVersion = require('../models/ModelVersion');
+const { isMongoConnected } = require('../config/database');
+const { httpError } = require('./pricingService');
+
+const TRAINING_CONFIG = {
+  minSamples: parseInt(process.env.PRICING_MIN_TRAINING_SAMPLES, 10) || 50,
+  testRatio: 0.2,      // newest 20% of rides are held out for evaluation
+  maxSamples: 50000
+};
+
+/**
+ * Model Registry Service
+ * Trains PricingEngine models on completed rides, stores them as versioned
+ * artifacts with MAE metrics and controls which version serves traffic.
+ */
+class ModelRegistryService {
+  constructor(pricingEngine) {
+    this.pricingEngine = pricingEngine;
+  }
+
+  /**
+   * Train a new candidate version from completed rides
+   * @param {Object} options - { from, to, actor }
+   * @returns {Object} Saved version (without artifacts)
+   */
+  async train({ from, to, actor = 'system' } = {}) {
+    this.ensureAvailable();
+
+    const records = await this.loadTrainingRecords(from, to);
+    if (records.length < TRAINING_CONFIG.minSamples) {
+      throw httpError(422, `Not enough completed rides to train: ${records.length}/${TRAINING_CONFIG.minSamples}`);
+    }
+
+    // Rides are sorted by completion time, so the test split is the most recent data
+    const splitIndex = Math.floor(records.length * (1 - TRAINING_CONFIG.testRatio));
+    const trainSet = records.slice(0, splitIndex);
+    const testSet = records.slice(splitIndex);
+
+    const candidate = new PricingEngine();
+    await candidate.trainModels(trainSet);
+
+    const metrics = {
+      mae: await this.meanAbsoluteError(candidate, testSet),
+      baselineMae: await this.meanAbsoluteError(new PricingEngine(), testSet),
+      trainingSamples: trainSet.length,
+      testSamples: testSet.length
+    };
+
+    const latest = await ModelVersion.findOne().sort({ version: -1 }).select('version').lean();
+    const modelVersion = new ModelVersion({
+      version: (latest?.version || 0) + 1,
+      artifacts: candidate.exportModels(),
+      metrics,
+      dataWindow: {
+        from: records[0].completedAt,
+        to: records[records.length - 1].completedAt
+      },
+      trainedBy: actor
+    });
+    modelVersion.addHistory('trained', actor, `MAE ${metrics.mae} (baseline ${metrics.baselineMae})`);
+    await modelVersion.save();
+
+    console.log(`🧠 Trained pricing model v${modelVersion.version}: MAE ${metrics.mae}, baseline ${metrics.baselineMae}`);
+
+    return this.toSummary(modelVersion);
+  }
+
+  /**
+   * Load the active version into the live engine (called at startup)
+   * @returns {number|null} Loaded version, or null when none is active
+   */
+  async loadActiveModel() {
+    if (!isMongoConnected()) return null;
+
+    const active = await ModelVersion.findOne({ status: 'active' }).lean();
+    if (!active) {
+      console.log('ℹ️ No active pricing model, using rule-based pricing');
+      return null;
+    }
+
+    this.loadIntoEngine(active);
+    console.log(`🧠 Loaded pricing model v${active.version}`);
+    return active.version;
+  }
+
+  /**
+   * Engine status plus the registered versions
+   */
+  async getStatus() {
+    const engine = this.pricingEngine.getModelStatus();
+    if (!isMongoConnected()) {
+      return { engine, registryAvailable: false, versions: [] };
+    }
+
+    const versions = await ModelVersion.find()
+      .select('-artifacts')
+      .sort({ version: -1 })
+      .lean();
+
+    return {
+      engine,
+      registryAvailable: true,
+      activeVersion: versions.find(v => v.status === 'active')?.version ?? null,
+      versions: versions.map(v => this.toSummary(v))
+    };
+  }
+
+  /**
+   * Make a version the active one
+   */
+  async promote(version, actor, reason) {
+    this.ensureAvailable();
+
+    const target = await ModelVersion.findOne({ version });
+    if (!target) {
+      throw httpError(404, `Model version ${version} not found`);
+    }
+    if (target.status === 'active') {
+      throw httpError(409, `Model version ${version} is already active`);
+    }
+
+    const current = await ModelVersion.findOne({ status: 'active' });
+    await this.activate(target, current, actor, reason || 'Promoted', current?.version ?? null);
+
+    return this.toSummary(target);
+  }
+
+  /**
+   * Re-activate the version that was live before the current one
+   */
+  async rollback(actor, reason) {
+    this.ensureAvailable();
+
+    const current = await ModelVersion.findOne({ status: 'active' });
+    if (!current || current.previousVersion == null) {
+      throw httpError(409, 'No previous model version to roll back to');
+    }
+
+    const target = await ModelVersion.findOne({ version: current.previousVersion });
+    if (!target) {
+      throw httpError(409, `Previous model version ${current.previousVersion} no longer exists`);
+    }
+
+    // Keep the target's own previousVersion so repeated rollbacks walk further back
+    await this.activate(
+      target,
+      current,
+      actor,
+      reason || `Rolled back from v${current.version}`,
+      target.previousVersion,
+      'rolled_back'
+    );
+
+    return this.toSummary(target);
+  }
+
+  // Private helper methods
+
+  ensureAvailable() {
+    if (!isMongoConnected()) {
+      throw httpError(503, 'Model registry unavailable (MongoDB not connected)');
+    }
+  }
+
+  async activate(target, current, actor, reason, previousVersion, currentAction = 'retired') {
+    // Load first so a broken artifact never becomes active
+    this.loadIntoEngine(target);
+
+    if (current) {
+      current.status = 'retired';
+      current.addHistory(currentAction, actor, reason);
+      await current.save();
+    }
+
+    target.status = 'active';
+    target.activatedAt = new Date();
+    target.previousVersion = previousVersion;
+    target.addHistory('promoted', actor, reason);
+    await target.save();
+  }
+
+  loadIntoEngine(modelVersion) {
+    this.pricingEngine.loadModels(modelVersion.artifacts, {
+      version: modelVersion.version,
+      trainedAt: modelVersion.trainedAt,
+      trainingSamples: modelVersion.metrics?.trainingSamples
+    });
+  }
+
+  /**
+   * Build training records from completed rides with actual distance/duration
+   */
+  async loadTrainingRecords(from, to) {
+    const query = {
+      status: 'completed',
+      'pricing.finalFare': { $gt: 0 },
+      'route.actualDistance': { $gt: 0 },
+      'route.actualDuration': { $gt: 0 }
+    };
+    if (from || to) {
+      query['timing.completedAt'] = {};
+      if (from) query['timing.completedAt'].$gte = new Date(from);
+      if (to) query['timing.completedAt'].$lte = new Date(to);
+    }
+
+    const rides = await Ride.find(query)
+      .select('route pricing timing')
+      .sort({ 'timing.completedAt': 1 })
+      .limit(TRAINING_CONFIG.maxSamples)
+      .lean();
+
+    return rides.map(ride => {
+      const surgeMultiplier = ride.pricing.surgeMultiplier || 1.0;
+      return {
+        distance: ride.route.actualDistance / 1000,  // km
+        duration: ride.route.actualDuration / 60,    // minutes
+        vehicleType: ride.pricing.vehicleType || 'standard',
+        surgeMultiplier,
+        finalFare: ride.pricing.finalFare,
+        actualFare: ride.pricing.finalFare / surgeMultiplier, // fare before surge
+        pickupTime: new Date(ride.timing.requestedAt || ride.timing.completedAt),
+        completedAt: ride.timing.completedAt
+      };
+    });
+  }
+
+  /**
+   * MAE of predicted fare (base fare x actual surge) against the fare charged
+   */
+  async meanAbsoluteError(engine, records) {
+    let totalError = 0;
+    for (const record of records) {
+      const baseFare = await engine.calculateBaseFare(record.distance, record.duration, record.vehicleType);
+      totalError += Math.abs(baseFare * record.surgeMultiplier - record.finalFare);
+    }
+    return Math.round(totalError / records.length);
+  }
+
+  toSummary(modelVersion) {
+    const { artifacts, ...summary } = modelVersion.toObject ? modelVersion.toObject() : modelVersion;
+    return summary;
+  }
+}
+
+module.exports = ModelRegistryService;
@@ -0,0 +1,168 @@
+const PricingEngine = require('../ai/pricingEngine');
+const { findCity } = require('../config/fareConfig');
+
+const VEHICLE_TYPES = ['standard', 'premium', 'suv', 'van'];
+
+/**
+ * Create an error carrying an HTTP status code
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Normalize a location to {lat, lng}
+ * Accepts {lat, lng}, {latitude, longitude} or {coordinates: {lat, lng}}
+ */
+const toPoint = (location) => {
+  if (!location) return null;
+  const source = location.coordinates || location;
+  const lat = Number(source.lat ?? source.latitude);
+  const lng = Number(source.lng ?? source.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+};
+
+/**
+ * Pricing Service
+ * Validates fare requests and runs them through the PricingEngine
+ */
+class PricingService {
+  constructor(pricingEngine = new PricingEngine(), surgeService = null, promotionService = null) {
+    this.pricingEngine = pricingEngine;
+    this.surgeService = surgeService;
+    this.promotionService = promotionService;
+  }
+
+  /**
+   * Estimate the fare for a trip
+   * Market conditions and rider history never come from the request: a client
+   * could otherwise price its own trip without surge or with a loyalty discount
+   * @param {Object} request - Body of an estimate/quote request
+   * @returns {Object} Fare estimate with the engine breakdown in `details`
+   */
+  async estimate(request = {}) {
+    const {
+      pickupLocation,
+      dropoffLocation,
+      vehicleType = 'standard',
+      pickupTime,
+      specialRequests = [],
+      promoCode,
+      customerId
+    } = request;
+
+    const pickup = toPoint(pickupLocation);
+    const destination = toPoint(dropoffLocation);
+    if (!pickup || !destination) {
+      throw httpError(400, 'pickupLocation and dropoffLocation with valid coordinates are required');
+    }
+
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      throw httpError(400, `vehicleType must be one of: ${VEHICLE_TYPES.join(', ')}`);
+    }
+
+    const time = pickupTime ? new Date(pickupTime) : new Date();
+    if (Number.isNaN(time.getTime())) {
+      throw httpError(400, 'pickupTime must be a valid date');
+    }
+
+    const { distance, duration } = this.pricingEngine.estimateRoute(pickup, destination, time);
+    const market = await this.resolveMarketData(pickup);
+    const rideData = {
+      distance,
+      duration,
+      vehicleType,
+      pickupTime: time,
+      pickupLocation: pickup,
+      destination,
+      specialRequests
+    };
+
+    let breakdown;
+    try {
+      breakdown = await this.pricingEngine.calculatePrice(rideData, market);
+    } catch (error) {
+      console.error('Pricing engine failed, using fallback:', error.message);
+      breakdown = this.pricingEngine.calculateFallbackPrice(rideData);
+    }
+
+    const promotion = promoCode
+      ? await this.applyPromotion(breakdown, promoCode, { customerId, vehicleType, pickup, time })
+      : null;
+
+    return {
+      currency: breakdown.currency,
+      estimatedFare: breakdown.estimatedFare,
+      promotion,
+      distance,
+      duration,
+      vehicleType,
+      pickupTime: time,
+      pickupLocation: pickup,
+      dropoffLocation: destination,
+      details: breakdown
+    };
+  }
+
+  /**
+   * Apply a promo code to a breakdown. The discount becomes its own
+   * `promoDiscount` line; an invalid code never blocks the estimate.
+   * @returns {Object} Promotion result ({ applied, reason, discount, ... })
+   */
+  async applyPromotion(breakdown, promoCode, { customerId, vehicleType, pickup, time }) {
+    if (!this.promotionService) {
+      return { code: promoCode, applied: false, reason: 'Promotions are not enabled' };
+    }
+
+    let promotion;
+    try {
+      promotion = await this.promotionService.evaluate(promoCode, {
+        customerId,
+        fare: breakdown.estimatedFare,
+        vehicleType,
+        city: findCity(pickup),
+        at: time
+      });
+    } catch (error) {
+      console.warn('Promo code check failed, pricing without it:', error.message);
+      return { code: promoCode, applied: false, reason: 'Promotions are temporarily unavailable' };
+    }
+
+    if (promotion.applied) {
+      breakdown.subtotal = breakdown.estimatedFare;
+      breakdown.promoDiscount = promotion.discount;
+      breakdown.estimatedFare = Math.max(breakdown.estimatedFare - promotion.discount, 0);
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Market data for the pickup cell, from the live surge zones only.
+   * Surge lookup failures never block pricing.
+   */
+  async resolveMarketData(pickup) {
+    if (!this.surgeService) {
+      return {};
+    }
+
+    try {
+      const surge = await this.surgeService.getSurgeForLocation(pickup.lat, pickup.lng);
+      return {
+        surgeMultiplier: surge.multiplier,
+        surgeZone: surge.geohash
+      };
+    } catch (error) {
+      console.warn('Live surge unavailable, pricing without it:', error.message);
+      return {};
+    }
+  }
+}
+
+module.exports = PricingService;
+module.exports.httpError = httpError;
+module.exports.toPoint = toPoint;
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { CITIES } = require('../config/fareConfig');
+const { isMongoConnected } = require('../config/database');
+const { httpError, VEHICLE_TYPES } = require('./pricingService');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const ACTIVE_STATUSES = ['reserved', 'redeemed'];
+
+/**
+ * Promotion Service
+ * Promo code validation during pricing, the redemption lifecycle
+ * (reserve on booking, redeem on payment, release on cancel) and admin CRUD
+ */
+class PromotionService {
+  /**
+   * Check a code against a priced trip
+   * @param {string} code
+   * @param {Object} context - { customerId, fare, vehicleType, city, at }
+   * @returns {Object} { applied: true, discount, ... } or { applied: false, reason }
+   */
+  async evaluate(code, { customerId, fare, vehicleType, city, at = new Date() }) {
+    const normalizedCode = String(code).trim().toUpperCase();
+    const rejected = (reason) => ({ code: normalizedCode, applied: false, reason });
+
+    if (!isMongoConnected()) return rejected('Promotions are temporarily unavailable');
+
+    const promotion = await Promotion.findOne({ code: normalizedCode });
+    if (!promotion || !promotion.isWithinValidity(at)) {
+      return rejected('Promo code is invalid or expired');
+    }
+    if (promotion.vehicleTypes.length > 0 && !promotion.vehicleTypes.includes(vehicleType)) {
+      return rejected(`Promo code is not valid for ${vehicleType}`);
+    }
+    if (promotion.cities.length > 0 && !promotion.cities.includes(city)) {
+      return rejected('Promo code is not valid in this city');
+    }
+    if (fare < promotion.minFare) {
+      return rejected(`Minimum fare for this promo code is ${promotion.minFare}`);
+    }
+    if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+      return rejected('Promo code usage limit reached');
+    }
+    if (customerId && promotion.perUserLimit != null &&
+        await this.countCustomerUses(promotion._id, customerId) >= promotion.perUserLimit) {
+      return rejected('You have already used this promo code');
+    }
+
+    return {
+      code: promotion.code,
+      applied: true,
+      promotionId: String(promotion._id),
+      discountType: promotion.discountType,
+      discountValue: promotion.discountValue,
+      discount: promotion.calculateDiscount(fare)
+    };
+  }
+
+  /**
+   * Reserve a use of the promotion for a booking (idempotent per booking)
+   * @returns {Object|null} Redemption, or null when limits are exhausted
+   */
+  async reserve({ promotionId, code, customerId, bookingId, quoteId, fare, discount }) {
+    const existing = await PromotionRedemption.findOne({ bookingId: String(bookingId) });
+    if (existing) return existing;
+
+    // Atomic global limit check
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: promotionId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+    if (!promotion) return null;
+
+    if (promotion.perUserLimit != null &&
+        await this.countCustomerUses(promotion._id, customerId) >= promotion.perUserLimit) {
+      await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+      return null;
+    }
+
+    try {
+      return await PromotionRedemption.create({
+        promotionId: promotion._id,
+        code,
+        customerId: String(customerId),
+        bookingId: String(bookingId),
+        quoteId,
+        fare,
+        discount
+      });
+    } catch (error) {
+      await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+      if (error.code === 11000) {
+        return PromotionRedemption.findOne({ bookingId: String(bookingId) });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a reserved redemption as used (payment succeeded)
+   */
+  async redeem(bookingId) {
+    return PromotionRedemption.findOneAndUpdate(
+      { bookingId: String(bookingId), status: 'reserved' },
+      { status: 'redeemed', redeemedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give the use back to the promotion (booking cancelled)
+   */
+  async release(bookingId, reason) {
+    const redemption = await PromotionRedemption.findOneAndUpdate(
+      { bookingId: String(bookingId), status: { $in: ACTIVE_STATUSES } },
+      { status: 'released', releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+
+    if (redemption) {
+      await Promotion.updateOne(
+        { _id: redemption.promotionId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+      );
+    }
+
+    return redemption;
+  }
+
+  // Admin CRUD
+
+  async list({ active } = {}) {
+    this.ensureAvailable();
+
+    const query = {};
+    if (active !== undefined) query.active = active === true || active === 'true';
+    return Promotion.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Promotion with redemption counts by status
+   */
+  async get(id) {
+    this.ensureAvailable();
+
+    const promotion = await this.findById(id, true);
+    const counts = await PromotionRedemption.aggregate([
+      { $match: { promotionId: promotion._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, discount: { $sum: '$discount' } } }
+    ]);
+
+    return {
+      ...promotion,
+      redemptions: counts.reduce((stats, { _id, count, discount }) => ({
+        ...stats,
+        [_id]: { count, discount }
+      }), {})
+    };
+  }
+
+  async create(data, actor) {
+    this.ensureAvailable();
+
+    const fields = this.validate(data);
+    try {
+      const promotion = await Promotion.create({ ...fields, createdBy: actor, updatedBy: actor });
+      return promotion.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(409, `Promo code ${fields.code} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async update(id, data, actor) {
+    this.ensureAvailable();
+
+    const promotion = await this.findById(id);
+    if (data.code !== undefined && String(data.code).toUpperCase() !== promotion.code) {
+      throw httpError(400, 'Promo code cannot be changed');
+    }
+
+    const current = promotion.toObject();
+    const fields = this.validate({ ...current, ...data });
+
+    promotion.set(fields);
+    promotion.updatedBy = actor;
+    await promotion.save();
+    return promotion.toObject();
+  }
+
+  async deactivate(id, actor) {
+    this.ensureAvailable();
+
+    const promotion = await this.findById(id);
+    promotion.active = false;
+    promotion.updatedBy = actor;
+    await promotion.save();
+    return promotion.toObject();
+  }
+
+  // Private helper methods
+
+  ensureAvailable() {
+    if (!isMongoConnected()) {
+      throw httpError(503, 'Promotions unavailable (MongoDB not connected)');
+    }
+  }
+
+  countCustomerUses(promotionId, customerId) {
+    return PromotionRedemption.countDocuments({
+      promotionId,
+      customerId: String(customerId),
+      status: { $in: ACTIVE_STATUSES }
+    });
+  }
+
+  async findById(id, lean = false) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw httpError(400, 'Invalid promotion id');
+    }
+
+    const query = Promotion.findById(id);
+    const promotion = lean ? await query.lean() : await query;
+    if (!promotion) {
+      throw httpError(404, 'Promotion not found');
+    }
+    return promotion;
+  }
+
+  /**
+   * Validate and normalize a full promotion payload
+   */
+  validate(data = {}) {
+    const code = String(data.code || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+      throw httpError(400, 'code must be 3-32 characters of A-Z, 0-9, _ or -');
+    }
+
+    if (!['percentage', 'fixed'].includes(data.discountType)) {
+      throw httpError(400, 'discountType must be percentage or fixed');
+    }
+
+    const discountValue = Number(data.discountValue);
+    if (!Number.isFinite(discountValue) || discountValue <= 0 ||
+        (data.discountType === 'percentage' && discountValue > 100)) {
+      throw httpError(400, 'discountValue must be a positive number (at most 100 for percentage)');
+    }
+
+    const optionalNumber = (field, min) => {
+      const value = data[field];
+      if (value === undefined || value === null || value === '') return null;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < min) {
+        throw httpError(400, `${field} must be a number >= ${min}`);
+      }
+      return number;
+    };
+
+    const validFrom = new Date(data.validFrom);
+    const validUntil = new Date(data.validUntil);
+    if (Number.isNaN(validFrom.getTime()) || Number.isNaN(validUntil.getTime()) || validFrom >= validUntil) {
+      throw httpError(400, 'validFrom and validUntil must be valid dates with validFrom before validUntil');
+    }
+
+    const vehicleTypes = data.vehicleTypes || [];
+    if (!Array.isArray(vehicleTypes) || vehicleTypes.some(type => !VEHICLE_TYPES.includes(type))) {
+      throw httpError(400, `vehicleTypes must only contain: ${VEHICLE_TYPES.join(', ')}`);
+    }
+
+    const cities = (data.cities || []).map(city => String(city).toLowerCase());
+    if (cities.some(city => !CITIES[city])) {
+      throw httpError(400, `cities must only contain: ${Object.keys(CITIES).join(', ')}`);
+    }
+
+    return {
+      code,
+      description: data.description,
+      discountType: data.discountType,
+      discountValue,
+      maxDiscount: optionalNumber('maxDiscount', 0),
+      minFare: optionalNumber('minFare', 0) || 0,
+      usageLimit: optionalNumber('usageLimit', 1),
+      perUserLimit: data.perUserLimit === undefined ? 1 : optionalNumber('perUserLimit', 1),
+      validFrom,
+      validUntil,
+      vehicleTypes,
+      cities,
+      active: data.active !== undefined ? Boolean(data.active) : true
+    };
+  }
+}
+
+module.exports = PromotionService;
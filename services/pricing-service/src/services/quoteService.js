@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { httpError } = require('./pricingService');
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 300; // 5 minutes
+
+/**
+ * Quote Service
+ * Locks a price breakdown under a quote ID for a limited time so the fare
+ * shown to the customer is the fare used by the booking ("price snapshot").
+ */
+class QuoteService {
+  constructor(pricingService, signingSecret = process.env.QUOTE_SIGNING_SECRET) {
+    // Anyone who knows the secret can mint quotes, so there is no built-in default
+    if (!signingSecret) {
+      throw new Error('QUOTE_SIGNING_SECRET is required to sign price quotes');
+    }
+
+    this.pricingService = pricingService;
+    this.signingSecret = signingSecret;
+    this.memoryStore = new Map(); // quoteId -> quote (used when Redis is unavailable)
+    this.usedQuotes = new Set(); // quoteIds already booked (used when Redis is unavailable)
+  }
+
+  /**
+   * Price a trip and store the result as a quote
+   * @param {Object} request - Same body as /api/pricing/estimate
+   * @returns {Object} Stored quote including its signed token
+   */
+  async createQuote(request) {
+    // A quote can only be booked by the customer it was issued to
+    if (!request.customerId) {
+      throw httpError(400, 'customerId is required');
+    }
+
+    const estimate = await this.pricingService.estimate(request);
+
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + QUOTE_TTL_SECONDS * 1000);
+    const quoteId = `quote_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+
+    const quote = {
+      quoteId,
+      customerId: String(request.customerId),
+      vehicleType: estimate.vehicleType,
+      pickupLocation: estimate.pickupLocation,
+      dropoffLocation: estimate.dropoffLocation,
+      pickupTime: estimate.pickupTime,
+      distance: estimate.distance,
+      duration: estimate.duration,
+      estimatedFare: estimate.estimatedFare,
+      currency: estimate.currency,
+      promotion: estimate.promotion,
+      breakdown: estimate.details,
+      createdAt,
+      expiresAt
+    };
+    quote.token = this.signQuote(quote);
+
+    await this.saveQuote(quote);
+
+    return quote;
+  }
+
+  /**
+   * Get a quote by ID
+   * Throws 404 when unknown, 410 when expired and 409 when the stored
+   * quote no longer matches its signature
+   */
+  async getQuote(quoteId) {
+    const quote = await this.loadQuote(quoteId);
+    if (!quote) {
+      throw httpError(404, 'Quote not found or expired');
+    }
+
+    if (new Date(quote.expiresAt).getTime() <= Date.now()) {
+      throw httpError(410, 'Quote has expired');
+    }
+
+    if (!this.verifyToken(quote.token, quote)) {
+      throw httpError(409, 'Quote signature mismatch');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Mark a quote as used by a booking, exactly once
+   * Throws 403 when the token or customer doesn't match and 409 when already used
+   * @param {string} quoteId
+   * @param {Object} claim - { customerId, token } of the booking
+   * @returns {Object} The quote
+   */
+  async consumeQuote(quoteId, { customerId, token } = {}) {
+    const quote = await this.getQuote(quoteId);
+
+    if (!this.verifyToken(token, quote)) {
+      throw httpError(403, 'Quote token is invalid');
+    }
+
+    if (!customerId || quote.customerId !== String(customerId)) {
+      throw httpError(403, 'Quote belongs to another customer');
+    }
+
+    if (!(await this.markUsed(quote))) {
+      throw httpError(409, 'Quote has already been used');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Verify a quote token and return its payload
+   * @param {string} token - Token returned by createQuote
+   * @param {Object} [quote] - When given, the payload must match this quote
+   * @returns {Object|null} Decoded payload, or null when invalid
+   */
+  verifyToken(token, quote = null) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [encodedPayload, signature] = token.split('.');
+    const expected = this.sign(encodedPayload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (quote && encodedPayload !== this.encodePayload(quote)) return null;
+
+    return payload;
+  }
+
+  // Private helper methods
+
+  signQuote(quote) {
+    const encodedPayload = this.encodePayload(quote);
+    return `${encodedPayload}.${this.sign(encodedPayload)}`;
+  }
+
+  encodePayload(quote) {
+    const payload = {
+      quoteId: quote.quoteId,
+      estimatedFare: quote.estimatedFare,
+      currency: quote.currency,
+      vehicleType: quote.vehicleType,
+      pickupLocation: quote.pickupLocation,
+      dropoffLocation: quote.dropoffLocation,
+      expiresAt: new Date(quote.expiresAt).toISOString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  sign(encodedPayload) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(encodedPayload)
+      .digest('base64url');
+  }
+
+  async saveQuote(quote) {
+    const redis = getRedisClient();
+    if (redis) {
+      await redis.set(`pricing:quote:${quote.quoteId}`, JSON.stringify(quote), { EX: QUOTE_TTL_SECONDS });
+      return;
+    }
+
+    this.memoryStore.set(quote.quoteId, quote);
+    setTimeout(() => this.memoryStore.delete(quote.quoteId), QUOTE_TTL_SECONDS * 1000).unref();
+  }
+
+  // Atomic claim; the marker outlives the quote so a used quote can't come back
+  async markUsed(quote) {
+    const redis = getRedisClient();
+    if (redis) {
+      const claimed = await redis.set(`pricing:quote:${quote.quoteId}:used`, quote.customerId, {
+        NX: true,
+        EX: QUOTE_TTL_SECONDS
+      });
+      return claimed === 'OK';
+    }
+
+    if (this.usedQuotes.has(quote.quoteId)) return false;
+    this.usedQuotes.add(quote.quoteId);
+    setTimeout(() => this.usedQuotes.delete(quote.quoteId), QUOTE_TTL_SECONDS * 1000).unref();
+    return true;
+  }
+
+  async loadQuote(quoteId) {
+    const redis = getRedisClient();
+    if (redis) {
+      const data = await redis.get(`pricing:quote:${quoteId}`);
+      return data ? JSON.parse(data) : null;
+    }
+
+    return this.memoryStore.get(quoteId) || null;
+  }
+}
+
+module.exports = QuoteService;
@@ -0,0 +1,301 @@
+const cron = require('node-cron');
+const geohash = require('../utils/geohash');
+const { getRedisClient } = require('../config/redis');
+
+const SURGE_CONFIG = {
+  precision: parseInt(process.env.SURGE_GEOHASH_PRECISION, 10) || 6,
+  demandWindowSeconds: parseInt(process.env.SURGE_DEMAND_WINDOW_SECONDS, 10) || 600, // open requests older than this are stale
+  sensitivity: parseFloat(process.env.SURGE_SENSITIVITY) || 0.5,   // surge added per unit of excess demand/supply ratio
+  smoothing: parseFloat(process.env.SURGE_SMOOTHING) || 0.3,       // EMA weight of the newest sample
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 3.0,
+  refreshSchedule: process.env.SURGE_REFRESH_CRON || '*/30 * * * * *', // every 30 seconds
+  staleAfterSeconds: 90
+};
+
+const KEYS = {
+  demand: (cell) => `surge:demand:${cell}`, // ZSET rideId -> requestedAt (ms)
+  ride: (rideId) => `surge:ride:${rideId}`, // rideId -> cell
+  activeCells: 'surge:cells',               // ZSET cell -> last activity (ms)
+  state: 'surge:state',                     // HASH cell -> JSON state
+  driversGeo: 'drivers:geo',
+  driverStatus: (driverId) => `driver:${driverId}:status`
+};
+
+/**
+ * Surge Service
+ * Splits the city into geohash cells, counts open ride requests (demand)
+ * and online drivers (supply) per cell and keeps a smoothed, capped
+ * surge multiplier for each active cell.
+ */
+class SurgeService {
+  constructor(config = SURGE_CONFIG) {
+    this.config = config;
+    this.task = null;
+
+    // In-memory fallback when Redis is unavailable
+    this.memory = {
+      demand: new Map(),  // cell -> Map(rideId -> requestedAt)
+      rides: new Map(),   // rideId -> cell
+      state: new Map()    // cell -> state
+    };
+  }
+
+  /**
+   * Start periodic recomputation of active cells
+   */
+  startScheduler() {
+    if (this.task) return;
+    this.task = cron.schedule(this.config.refreshSchedule, () => {
+      this.refreshActiveCells().catch(error => {
+        console.error('Surge refresh failed:', error.message);
+      });
+    });
+    console.log('📈 Surge scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  cellFor(lat, lng) {
+    return geohash.encode(lat, lng, this.config.precision);
+  }
+
+  /**
+   * Record an open ride request (ride `driver_search_started` event)
+   */
+  async recordRideRequest(rideId, location, requestedAt = Date.now()) {
+    const cell = this.cellFor(location.lat, location.lng);
+    const redis = getRedisClient();
+
+    if (redis) {
+      await redis.multi()
+        .zAdd(KEYS.demand(cell), { score: requestedAt, value: rideId })
+        .set(KEYS.ride(rideId), cell, { EX: this.config.demandWindowSeconds })
+        .zAdd(KEYS.activeCells, { score: requestedAt, value: cell })
+        .exec();
+    } else {
+      if (!this.memory.demand.has(cell)) this.memory.demand.set(cell, new Map());
+      this.memory.demand.get(cell).set(rideId, requestedAt);
+      this.memory.rides.set(rideId, cell);
+    }
+
+    return cell;
+  }
+
+  /**
+   * Remove a ride request once a driver is assigned or the ride is cancelled
+   */
+  async closeRideRequest(rideId) {
+    const redis = getRedisClient();
+
+    if (redis) {
+      const cell = await redis.get(KEYS.ride(rideId));
+      if (!cell) return null;
+      await redis.multi()
+        .zRem(KEYS.demand(cell), rideId)
+        .del(KEYS.ride(rideId))
+        .exec();
+      return cell;
+    }
+
+    const cell = this.memory.rides.get(rideId);
+    if (!cell) return null;
+    this.memory.rides.delete(rideId);
+    const requests = this.memory.demand.get(cell);
+    if (requests) requests.delete(rideId);
+    return cell;
+  }
+
+  /**
+   * Count open ride requests in a cell within the demand window
+   */
+  async countOpenRequests(cell) {
+    const since = Date.now() - this.config.demandWindowSeconds * 1000;
+    const redis = getRedisClient();
+
+    if (redis) {
+      await redis.zRemRangeByScore(KEYS.demand(cell), '-inf', since);
+      return await redis.zCard(KEYS.demand(cell));
+    }
+
+    const requests = this.memory.demand.get(cell);
+    if (!requests) return 0;
+    for (const [rideId, requestedAt] of requests) {
+      if (requestedAt < since) {
+        requests.delete(rideId);
+        this.memory.rides.delete(rideId);
+      }
+    }
+    return requests.size;
+  }
+
+  /**
+   * Count online drivers inside a cell using the `drivers:geo` index
+   * @returns {number|null} null when supply cannot be observed (no Redis)
+   */
+  async countOnlineDrivers(cell) {
+    const redis = getRedisClient();
+    if (!redis) return null;
+
+    const { lat, lng } = geohash.center(cell);
+    const { width, height } = geohash.cellSize(cell);
+
+    const driverIds = await redis.geoSearch(
+      KEYS.driversGeo,
+      { longitude: lng, latitude: lat },
+      { width, height, unit: 'km' }
+    );
+    if (driverIds.length === 0) return 0;
+
+    const statuses = await redis.mGet(driverIds.map(KEYS.driverStatus));
+    return statuses.filter(status => status === 'online').length;
+  }
+
+  /**
+   * Compute the raw (unsmoothed) multiplier from demand and supply
+   */
+  computeRawMultiplier(demand, supply) {
+    if (supply === null) return 1.0;
+
+    const ratio = demand / Math.max(supply, 1);
+    if (ratio <= 1) return 1.0;
+
+    const raw = 1 + (ratio - 1) * this.config.sensitivity;
+    return Math.min(raw, this.config.maxMultiplier);
+  }
+
+  /**
+   * Recompute and persist the state of a single cell
+   */
+  async refreshCell(cell) {
+    const [demand, supply, previous] = await Promise.all([
+      this.countOpenRequests(cell),
+      this.countOnlineDrivers(cell),
+      this.getCellState(cell)
+    ]);
+
+    const raw = this.computeRawMultiplier(demand, supply);
+    const smoothed = previous
+      ? previous.smoothedMultiplier + this.config.smoothing * (raw - previous.smoothedMultiplier)
+      : raw;
+
+    const state = {
+      geohash: cell,
+      demand,
+      supply,
+      rawMultiplier: Math.round(raw * 100) / 100,
+      smoothedMultiplier: smoothed,
+      multiplier: Math.min(Math.max(Math.round(smoothed * 10) / 10, 1.0), this.config.maxMultiplier),
+      center: geohash.center(cell),
+      bounds: geohash.bounds(cell),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Cells that have calmed down are dropped from the active set
+    if (demand === 0 && smoothed < 1.05) {
+      await this.removeCellState(cell);
+    } else {
+      await this.saveCellState(cell, state);
+    }
+
+    return state;
+  }
+
+  /**
+   * Recompute every cell that has recent demand or a non-neutral multiplier
+   */
+  async refreshActiveCells() {
+    const cells = await this.getActiveCells();
+    const states = [];
+    for (const cell of cells) {
+      states.push(await this.refreshCell(cell));
+    }
+    return states;
+  }
+
+  /**
+   * Get the surge for a location, recomputing the cell if it is stale
+   */
+  async getSurgeForLocation(lat, lng) {
+    const cell = this.cellFor(lat, lng);
+    const state = await this.getCellState(cell);
+
+    const isStale = !state ||
+      Date.now() - new Date(state.updatedAt).getTime() > this.config.staleAfterSeconds * 1000;
+
+    return isStale ? this.refreshCell(cell) : state;
+  }
+
+  /**
+   * List active surge cells for the heatmap, highest multiplier first
+   */
+  async getHeatmap(minMultiplier = 1.0) {
+    const states = await this.getAllCellStates();
+    return states
+      .filter(state => state.multiplier >= minMultiplier)
+      .sort((a, b) => b.multiplier - a.multiplier);
+  }
+
+  // Private helper methods
+
+  async getActiveCells() {
+    const since = Date.now() - this.config.demandWindowSeconds * 1000;
+    const redis = getRedisClient();
+
+    if (redis) {
+      await redis.zRemRangeByScore(KEYS.activeCells, '-inf', since);
+      const [recent, tracked] = await Promise.all([
+        redis.zRange(KEYS.activeCells, 0, -1),
+        redis.hKeys(KEYS.state)
+      ]);
+      return [...new Set([...recent, ...tracked])];
+    }
+
+    return [...new Set([...this.memory.demand.keys(), ...this.memory.state.keys()])];
+  }
+
+  async getCellState(cell) {
+    const redis = getRedisClient();
+    if (redis) {
+      const data = await redis.hGet(KEYS.state, cell);
+      return data ? JSON.parse(data) : null;
+    }
+    return this.memory.state.get(cell) || null;
+  }
+
+  async getAllCellStates() {
+    const redis = getRedisClient();
+    if (redis) {
+      const all = await redis.hGetAll(KEYS.state);
+      return Object.values(all).map(data => JSON.parse(data));
+    }
+    return [...this.memory.state.values()];
+  }
+
+  async saveCellState(cell, state) {
+    const redis = getRedisClient();
+    if (redis) {
+      await redis.hSet(KEYS.state, cell, JSON.stringify(state));
+      return;
+    }
+    this.memory.state.set(cell, state);
+  }
+
+  async removeCellState(cell) {
+    const redis = getRedisClient();
+    if (redis) {
+      await redis.hDel(KEYS.state, cell);
+      return;
+    }
+    this.memory.state.delete(cell);
+    if (this.memory.demand.get(cell)?.size === 0) {
+      this.memory.demand.delete(cell);
+    }
+  }
+}
+
+module.exports = SurgeService;
@@ -0,0 +1,108 @@
+/**
+ * Minimal geohash helpers used to split the city into surge cells
+ * Precision 6 gives cells of roughly 1.2km x 0.6km
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a coordinate into a geohash string
+ */
+const encode = (lat, lng, precision = 6) => {
+  let minLat = -90, maxLat = 90;
+  let minLng = -180, maxLng = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (minLng + maxLng) / 2;
+      if (lng >= mid) {
+        ch = (ch << 1) | 1;
+        minLng = mid;
+      } else {
+        ch = ch << 1;
+        maxLng = mid;
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (lat >= mid) {
+        ch = (ch << 1) | 1;
+        minLat = mid;
+      } else {
+        ch = ch << 1;
+        maxLat = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash into its bounding box
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+const bounds = (hash) => {
+  let minLat = -90, maxLat = 90;
+  let minLng = -180, maxLng = 180;
+  let evenBit = true;
+
+  for (const char of hash.toLowerCase()) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid geohash: ${hash}`);
+
+    for (let n = 4; n >= 0; n--) {
+      const bitN = (idx >> n) & 1;
+      if (evenBit) {
+        const mid = (minLng + maxLng) / 2;
+        if (bitN === 1) minLng = mid; else maxLng = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (bitN === 1) minLat = mid; else maxLat = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+/**
+ * Decode a geohash into the center point of its cell
+ */
+const center = (hash) => {
+  const b = bounds(hash);
+  return {
+    lat: (b.minLat + b.maxLat) / 2,
+    lng: (b.minLng + b.maxLng) / 2
+  };
+};
+
+/**
+ * Size of a geohash cell in kilometers
+ */
+const cellSize = (hash) => {
+  const b = bounds(hash);
+  const midLat = (b.minLat + b.maxLat) / 2;
+  return {
+    width: (b.maxLng - b.minLng) * 111.32 * Math.cos(midLat * Math.PI / 180),
+    height: (b.maxLat - b.minLat) * 110.574
+  };
+};
+
+module.exports = {
+  encode,
+  bounds,
+  center,
+  cellSize
+};
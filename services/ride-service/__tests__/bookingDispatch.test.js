@@ -0,0 +1,194 @@
+const RideService = require('../src/services/rideService');
+const DispatchService = require('../src/services/dispatchService');
+const Ride = require('../src/models/Ride');
+const RideOffer = require('../src/models/RideOffer');
+
+jest.mock('../src/models/Ride');
+jest.mock('../src/models/RideOffer', () => ({
+  find: jest.fn(),
+  insertMany: jest.fn(),
+  OPEN_OFFER_STATUSES: ['sent', 'seen']
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Chainable stand-in for find().select().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+const candidate = (driverId, distanceKm) => ({ driverId, distanceKm, etaMinutes: distanceKm * 2.4, score: 1 / distanceKm });
+
+// booking.dispatch_requested as published by Booking Service's BookingScheduler
+const dispatchRequested = (overrides = {}) => ({
+  type: 'BookingDispatchRequested',
+  bookingId: 'booking_1',
+  customerId: 'user123',
+  pickupLocation: { address: '123 Main St', latitude: 10.762622, longitude: 106.660172 },
+  dropoffLocation: { address: '456 Park Ave', latitude: 10.792622, longitude: 106.690172 },
+  vehicleType: 'standard',
+  estimatedFare: 150000,
+  scheduledPickupAt: '2026-01-15T08:00:00.000Z',
+  priority: 'normal',
+  escalationLevel: 0,
+  timestamp: '2026-01-15T07:45:00.000Z',
+  ...overrides
+});
+
+describe('Scheduled booking dispatch', () => {
+  let rideService;
+  let dispatchService;
+  let rides;
+  let published;
+  let delivered;
+
+  // Hand the ride events published so far to the matching queue consumer, like RabbitMQ would
+  const drain = async () => {
+    while (delivered < published.length) {
+      const { exchange, event } = published[delivered++];
+      if (exchange === 'ride-events') {
+        await dispatchService.handleRideEvent(event);
+      }
+    }
+  };
+
+  const eventsOfType = (type) => published.filter(({ event }) => event.type === type).map(({ event }) => event);
+
+  beforeEach(() => {
+    // Offer and state machine timeouts never fire while a test runs
+    jest.useFakeTimers();
+    rides = new Map();
+    published = [];
+    delivered = 0;
+
+    Ride.mockImplementation((data) => {
+      const ride = {
+        driverId: null,
+        searchMetadata: {},
+        ...data,
+        save: jest.fn(async () => {
+          rides.set(ride.rideId, ride);
+          return ride;
+        }),
+        updateStatus: jest.fn(async (status) => {
+          ride.status = status;
+          return ride;
+        })
+      };
+      return ride;
+    });
+    Ride.findOne.mockImplementation(async (filter) => {
+      if (filter.rideId) {
+        return rides.get(filter.rideId) || null;
+      }
+      return [...rides.values()].find(ride => ride.bookingId === filter.bookingId && !filter.status.$nin.includes(ride.status)) || null;
+    });
+    Ride.findOneAndUpdate.mockImplementation(async (filter) => rides.get(filter.rideId));
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    RideOffer.find.mockReturnValue(query([]));
+    RideOffer.insertMany.mockImplementation(offers => Promise.resolve(offers));
+
+    const bus = {
+      publishEvent: jest.fn(async (exchange, routingKey, event) => {
+        published.push({ exchange, routingKey, event });
+      })
+    };
+    const matchingService = {
+      findRankedCandidates: jest.fn().mockResolvedValue({
+        ranked: [candidate('driver_1', 1), candidate('driver_2', 2), candidate('driver_3', 3)],
+        radiusKm: 3,
+        algorithm: 'weighted'
+      })
+    };
+
+    rideService = new RideService();
+    rideService.rabbitMQClient = bus;
+    dispatchService = new DispatchService(rideService, matchingService);
+    dispatchService.rabbitMQClient = bus;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should create the booking\'s ride and start the driver search', async () => {
+    await rideService.handleBookingEvent(dispatchRequested());
+
+    const [ride] = rides.values();
+    expect(ride).toMatchObject({
+      bookingId: 'booking_1',
+      userId: 'user123',
+      status: 'searching_driver',
+      pickup: { address: '123 Main St', coordinates: { lat: 10.762622, lng: 106.660172 } },
+      pricing: { vehicleType: 'standard', estimatedFare: 150000 },
+      timing: { scheduledAt: '2026-01-15T08:00:00.000Z' },
+      priority: 'normal'
+    });
+    expect(published.map(({ routingKey }) => routingKey)).toEqual(['ride.created', 'ride.driver_search_started']);
+    expect(eventsOfType('RideDriverSearchStarted')[0]).toMatchObject({
+      rideId: ride.rideId,
+      bookingId: 'booking_1',
+      priority: 'normal',
+      escalationLevel: 0
+    });
+  });
+
+  it('should offer the ride to the best driver once the search has started', async () => {
+    await rideService.handleBookingEvent(dispatchRequested());
+    await drain();
+
+    const offers = eventsOfType('RideOffered');
+    expect(offers).toHaveLength(1);
+    expect(offers[0]).toMatchObject({ driverId: 'driver_1', mode: 'sequential' });
+  });
+
+  it('should broadcast a new search when an escalation finds the previous one ran out of drivers', async () => {
+    await rideService.handleBookingEvent(dispatchRequested());
+    const [first] = rides.values();
+    first.status = 'cancelled';
+
+    await rideService.handleBookingEvent(dispatchRequested({ priority: 'high', escalationLevel: 1 }));
+    await drain();
+
+    const second = [...rides.values()].find(ride => ride.rideId !== first.rideId);
+    expect(second).toMatchObject({ status: 'searching_driver', priority: 'high', escalationLevel: 1 });
+    expect(eventsOfType('RideDriverSearchStarted').map(event => event.rideId)).toEqual([first.rideId, second.rideId]);
+    expect(eventsOfType('RideOffered').filter(offer => offer.rideId === second.rideId)).toEqual([
+      expect.objectContaining({ driverId: 'driver_1', mode: 'broadcast' }),
+      expect.objectContaining({ driverId: 'driver_2', mode: 'broadcast' }),
+      expect.objectContaining({ driverId: 'driver_3', mode: 'broadcast' })
+    ]);
+  });
+
+  it('should raise the priority of a ride still searching instead of creating another', async () => {
+    await rideService.handleBookingEvent(dispatchRequested());
+    const [ride] = rides.values();
+
+    await rideService.handleBookingEvent(dispatchRequested({ priority: 'high', escalationLevel: 1 }));
+
+    expect(rides.size).toBe(1);
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { rideId: ride.rideId, status: 'searching_driver' },
+      { $set: { priority: 'high', escalationLevel: 1 } }
+    );
+    expect(eventsOfType('RideDriverSearchStarted')).toHaveLength(1);
+  });
+
+  it('should ignore a dispatch request for a booking whose ride already has a driver', async () => {
+    await rideService.handleBookingEvent(dispatchRequested());
+    const [ride] = rides.values();
+    Object.assign(ride, { status: 'driver_assigned', driverId: 'driver_1' });
+
+    await rideService.handleBookingEvent(dispatchRequested({ priority: 'high', escalationLevel: 1 }));
+
+    expect(rides.size).toBe(1);
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+});
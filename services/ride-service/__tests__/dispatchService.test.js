@@ -0,0 +1,276 @@
+const DispatchService = require('../src/services/dispatchService');
+const Ride = require('../src/models/Ride');
+const RideOffer = require('../src/models/RideOffer');
+
+jest.mock('../src/models/Ride');
+jest.mock('../src/models/RideOffer', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  insertMany: jest.fn(),
+  countDocuments: jest.fn(),
+  OPEN_OFFER_STATUSES: ['sent', 'seen']
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Chainable stand-in for find().select().sort().lean()
+const query = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+const candidate = (driverId, distanceKm, score) => ({ driverId, distanceKm, etaMinutes: distanceKm * 2.4, score });
+
+describe('DispatchService', () => {
+  let dispatchService;
+  let rideService;
+  let matchingService;
+  let ride;
+
+  beforeEach(() => {
+    ride = {
+      rideId: 'ride_123',
+      userId: 'user123',
+      status: 'searching_driver',
+      driverId: null,
+      priority: 'normal',
+      pickup: { address: '123 Main St', coordinates: { lat: 10.762622, lng: 106.660172 } },
+      destination: { address: '456 Park Ave', coordinates: { lat: 10.792622, lng: 106.690172 } },
+      pricing: { vehicleType: 'standard', estimatedFare: 150000 },
+      searchMetadata: { driverCandidates: [], maxSearchTime: 300000, searchStartedAt: new Date() }
+    };
+
+    Ride.findOne.mockResolvedValue(ride);
+    Ride.findOneAndUpdate.mockResolvedValue(ride);
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    RideOffer.find.mockReturnValue(query([]));
+    RideOffer.insertMany.mockImplementation(offers => Promise.resolve(offers));
+
+    rideService = {
+      claimRide: jest.fn().mockResolvedValue(true),
+      assignDriverToRide: jest.fn((rideId, driver) => Promise.resolve({ rideId, status: 'driver_assigned', driver })),
+      rejectRide: jest.fn().mockResolvedValue({ rejected: true }),
+      timeoutDriverSearch: jest.fn().mockResolvedValue({ status: 'cancelled' })
+    };
+    matchingService = {
+      findRankedCandidates: jest.fn().mockResolvedValue({
+        ranked: [candidate('driver_1', 0.8, 0.9), candidate('driver_2', 1.2, 0.8), candidate('driver_3', 2.5, 0.7), candidate('driver_4', 3, 0.6)],
+        radiusKm: 5,
+        algorithm: 'weighted_score'
+      })
+    };
+
+    dispatchService = new DispatchService(rideService, matchingService);
+    dispatchService.rabbitMQClient = { publishEvent: jest.fn() };
+  });
+
+  afterEach(() => {
+    dispatchService.cleanup();
+    jest.clearAllMocks();
+  });
+
+  describe('dispatchRide', () => {
+    it('should offer the ride to the top candidate in sequential mode', async () => {
+      const result = await dispatchService.dispatchRide('ride_123');
+
+      expect(result.mode).toBe('sequential');
+      expect(result.wave).toBe(1);
+      expect(result.offers.map(offer => offer.driverId)).toEqual(['driver_1']);
+      expect(RideOffer.insertMany).toHaveBeenCalledTimes(1);
+      expect(dispatchService.rabbitMQClient.publishEvent).toHaveBeenCalledWith(
+        'ride-events',
+        'ride.offered',
+        expect.objectContaining({ type: 'RideOffered', rideId: 'ride_123', driverId: 'driver_1', expiresAt: expect.any(String) })
+      );
+      expect(dispatchService.timers.get('ride_123').wave).toBe(1);
+    });
+
+    it('should broadcast to several drivers for high priority rides', async () => {
+      ride.priority = 'high';
+
+      const result = await dispatchService.dispatchRide('ride_123');
+
+      expect(result.mode).toBe('broadcast');
+      expect(result.offers.map(offer => offer.driverId)).toEqual(['driver_1', 'driver_2', 'driver_3']);
+      expect(dispatchService.rabbitMQClient.publishEvent).toHaveBeenCalledTimes(3);
+    });
+
+    it('should exclude drivers offered in earlier waves', async () => {
+      RideOffer.find.mockReturnValue(query([{ driverId: 'driver_1', wave: 1 }]));
+
+      const result = await dispatchService.dispatchRide('ride_123');
+
+      expect(matchingService.findRankedCandidates).toHaveBeenCalledWith(ride, new Set(['driver_1']));
+      expect(result.wave).toBe(2);
+    });
+
+    it('should fire TIMEOUT when candidates run out after the search time', async () => {
+      ride.searchMetadata.searchStartedAt = new Date(Date.now() - 301000);
+      matchingService.findRankedCandidates.mockResolvedValue({ ranked: [], radiusKm: null, algorithm: null });
+
+      const result = await dispatchService.dispatchRide('ride_123');
+
+      expect(result).toBeNull();
+      expect(rideService.timeoutDriverSearch).toHaveBeenCalledWith('ride_123');
+    });
+
+    it('should retry later when nobody is eligible yet', async () => {
+      matchingService.findRankedCandidates.mockResolvedValue({ ranked: [], radiusKm: null, algorithm: null });
+
+      await dispatchService.dispatchRide('ride_123');
+
+      expect(rideService.timeoutDriverSearch).not.toHaveBeenCalled();
+      expect(dispatchService.timers.get('ride_123').wave).toBeNull();
+    });
+  });
+
+  describe('acceptOffer', () => {
+    it('should let only one of two drivers win a broadcast ride', async () => {
+      let claimedBy = null;
+      rideService.claimRide.mockImplementation(async (rideId, driverId) => {
+        if (claimedBy) return false;
+        claimedBy = driverId;
+        return true;
+      });
+      RideOffer.findOneAndUpdate.mockImplementation(filter => Promise.resolve({
+        offerId: filter.offerId,
+        rideId: 'ride_123',
+        driverId: filter.driverId,
+        wave: 1
+      }));
+
+      const results = await Promise.allSettled([
+        dispatchService.acceptOffer('driver_1', { offerId: 'offer_1' }),
+        dispatchService.acceptOffer('driver_2', { offerId: 'offer_2' })
+      ]);
+
+      const fulfilled = results.filter(result => result.status === 'fulfilled');
+      const rejected = results.filter(result => result.status === 'rejected');
+      expect(fulfilled).toHaveLength(1);
+      expect(rejected[0].reason.message).toBe('Ride already taken');
+      expect(rideService.assignDriverToRide).toHaveBeenCalledTimes(1);
+      expect(RideOffer.updateOne).toHaveBeenCalledWith(
+        { offerId: expect.any(String) },
+        { $set: { status: 'withdrawn', closedReason: 'ride_taken' } }
+      );
+    });
+
+    it('should refuse an offer that is no longer open', async () => {
+      RideOffer.findOneAndUpdate.mockResolvedValue(null);
+      RideOffer.findOne.mockResolvedValue({ offerId: 'offer_1', driverId: 'driver_1', status: 'expired' });
+
+      await expect(dispatchService.acceptOffer('driver_1', { offerId: 'offer_1' }))
+        .rejects.toThrow('Offer is no longer open');
+      expect(rideService.claimRide).not.toHaveBeenCalled();
+    });
+
+    it('should find the offer by ride for the legacy accept endpoint', async () => {
+      RideOffer.findOne.mockReturnValue(query({ offerId: 'offer_1' }));
+      RideOffer.findOneAndUpdate.mockResolvedValue({ offerId: 'offer_1', rideId: 'ride_123', driverId: 'driver_1', wave: 1 });
+
+      const result = await dispatchService.acceptOffer('driver_1', { rideId: 'ride_123' });
+
+      expect(result).toMatchObject({ rideId: 'ride_123', status: 'driver_assigned', offerId: 'offer_1' });
+    });
+  });
+
+  describe('offer expiry and rejection', () => {
+    it('should expire open offers and send the next wave', async () => {
+      await dispatchService.dispatchRide('ride_123');
+      RideOffer.find
+        .mockReturnValueOnce(query([{ offerId: 'offer_1', driverId: 'driver_1' }]))
+        .mockReturnValueOnce(query([{ driverId: 'driver_1', wave: 1 }]));
+      RideOffer.findOneAndUpdate.mockResolvedValue({ offerId: 'offer_1' });
+      matchingService.findRankedCandidates.mockResolvedValue({
+        ranked: [candidate('driver_2', 1.2, 0.8)],
+        radiusKm: 5,
+        algorithm: 'weighted_score'
+      });
+
+      await dispatchService.expireWave('ride_123', 1);
+
+      expect(RideOffer.findOneAndUpdate).toHaveBeenCalledWith(
+        { offerId: 'offer_1', status: { $in: ['sent', 'seen'] } },
+        { $set: { status: 'expired', closedReason: 'offer_timeout' } }
+      );
+      expect(dispatchService.rabbitMQClient.publishEvent).toHaveBeenCalledWith(
+        'ride-events',
+        'ride.offer_expired',
+        expect.objectContaining({ offerId: 'offer_1', driverId: 'driver_1' })
+      );
+      expect(dispatchService.timers.get('ride_123').wave).toBe(2);
+    });
+
+    it('should send the next wave once every offer of the wave is rejected', async () => {
+      await dispatchService.dispatchRide('ride_123');
+      RideOffer.findOneAndUpdate.mockResolvedValue({ offerId: 'offer_1', rideId: 'ride_123', driverId: 'driver_1', wave: 1 });
+      RideOffer.countDocuments.mockResolvedValue(0);
+      RideOffer.find.mockReturnValue(query([{ driverId: 'driver_1', wave: 1 }]));
+
+      await dispatchService.rejectOffer('driver_1', { offerId: 'offer_1' }, 'too_far');
+
+      expect(rideService.rejectRide).toHaveBeenCalledWith('ride_123', 'driver_1', 'too_far');
+      expect(dispatchService.timers.get('ride_123').wave).toBe(2);
+    });
+  });
+
+  describe('sweep', () => {
+    const now = new Date('2026-01-01T10:00:00Z');
+
+    it('should expire overdue offers left without a timer and send the next wave', async () => {
+      RideOffer.find
+        .mockReturnValueOnce(query([{ rideId: 'ride_123' }]))
+        .mockReturnValueOnce(query([{ offerId: 'offer_1', driverId: 'driver_1' }]))
+        .mockReturnValueOnce(query([]))
+        .mockReturnValueOnce(query([{ driverId: 'driver_1', wave: 1 }]));
+      RideOffer.findOneAndUpdate.mockResolvedValue({ offerId: 'offer_1' });
+      Ride.find.mockReturnValue(query([{ rideId: 'ride_123' }]));
+
+      const result = await dispatchService.sweep(now);
+
+      expect(RideOffer.find).toHaveBeenNthCalledWith(2, {
+        rideId: 'ride_123',
+        expiresAt: { $lte: now },
+        status: { $in: ['sent', 'seen'] }
+      });
+      expect(dispatchService.rabbitMQClient.publishEvent).toHaveBeenCalledWith(
+        'ride-events',
+        'ride.offer_expired',
+        expect.objectContaining({ offerId: 'offer_1', rideId: 'ride_123', driverId: 'driver_1' })
+      );
+      expect(dispatchService.timers.get('ride_123').wave).toBe(2);
+      expect(result).toEqual({ expiredRides: 1, resumedRides: 1 });
+    });
+
+    it('should re-arm the expiry of a wave that is still open', async () => {
+      RideOffer.find
+        .mockReturnValueOnce(query([]))
+        .mockReturnValueOnce(query([{ wave: 3, expiresAt: new Date(now.getTime() + 5000) }]));
+      Ride.find.mockReturnValue(query([{ rideId: 'ride_123' }]));
+
+      await dispatchService.sweep(now);
+
+      expect(dispatchService.timers.get('ride_123').wave).toBe(3);
+      expect(matchingService.findRankedCandidates).not.toHaveBeenCalled();
+    });
+
+    it('should leave rides that already have a timer alone', async () => {
+      await dispatchService.dispatchRide('ride_123');
+      matchingService.findRankedCandidates.mockClear();
+      RideOffer.find.mockReturnValueOnce(query([{ rideId: 'ride_123' }]));
+      Ride.find.mockReturnValue(query([{ rideId: 'ride_123' }]));
+
+      const result = await dispatchService.sweep(now);
+
+      expect(RideOffer.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(matchingService.findRankedCandidates).not.toHaveBeenCalled();
+      expect(result).toEqual({ expiredRides: 0, resumedRides: 0 });
+    });
+  });
+});
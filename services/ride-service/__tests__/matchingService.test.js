@@ -0,0 +1,167 @@
+const MatchingService = require('../src/services/matchingService');
+const RideOffer = require('../src/models/RideOffer');
+const { getRedisClient } = require('../src/config/redis');
+
+jest.mock('../src/models/RideOffer');
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const verifiedDriver = (overrides = {}) => ({
+  isVerified: true,
+  documents: {
+    driverLicense: { verified: true },
+    vehicleRegistration: { verified: true },
+    insurance: { verified: true }
+  },
+  vehicle: { vehicleType: 'standard', seatingCapacity: 4 },
+  averageRating: 4.8,
+  totalRatings: 120,
+  lastTripAt: new Date(Date.now() - 30 * 60000).toISOString(),
+  ...overrides
+});
+
+describe('MatchingService', () => {
+  let matchingService;
+  let mockRedis;
+  let profiles;
+  let ride;
+
+  beforeEach(() => {
+    ride = {
+      rideId: 'ride_123',
+      userId: 'user123',
+      status: 'searching_driver',
+      pickup: { address: '123 Main St', coordinates: { lat: 10.762622, lng: 106.660172 } },
+      destination: { address: '456 Park Ave', coordinates: { lat: 10.792622, lng: 106.690172 } },
+      pricing: { vehicleType: 'standard', estimatedFare: 150000 },
+      passengerCount: 1,
+      searchMetadata: { driverCandidates: [], maxSearchTime: 300000 }
+    };
+
+    mockRedis = {
+      geoSearchWith: jest.fn().mockResolvedValue([]),
+      mGet: jest.fn(keys => Promise.resolve(keys.map(() => 'online')))
+    };
+    getRedisClient.mockReturnValue(mockRedis);
+
+    profiles = {};
+    global.fetch = jest.fn(url => {
+      const driverId = decodeURIComponent(url.split('/').pop());
+      const profile = profiles[driverId];
+      return Promise.resolve({
+        ok: Boolean(profile),
+        status: profile ? 200 : 404,
+        json: () => Promise.resolve(profile)
+      });
+    });
+
+    RideOffer.aggregate.mockResolvedValue([]);
+
+    matchingService = new MatchingService();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findCandidates', () => {
+    it('should drop drivers failing hard constraints', async () => {
+      mockRedis.geoSearchWith.mockResolvedValue([
+        { member: 'offline', distance: '0.3' },
+        { member: 'suv', distance: '0.4' },
+        { member: 'unverified', distance: '0.5' },
+        { member: 'outside_area', distance: '0.6' },
+        { member: 'eligible', distance: '0.9' }
+      ]);
+      mockRedis.mGet.mockResolvedValue(['offline', 'online', 'online', 'online', 'online']);
+      profiles = {
+        offline: verifiedDriver(),
+        suv: verifiedDriver({ vehicle: { vehicleType: 'suv', seatingCapacity: 6 } }),
+        unverified: verifiedDriver({ documents: { driverLicense: { verified: true } } }),
+        outside_area: verifiedDriver({ serviceAreas: [{ coordinates: { lat: 21.0285, lng: 105.8542 }, radius: 20 }] }),
+        eligible: verifiedDriver()
+      };
+
+      const { candidates, radiusKm } = await matchingService.findCandidates(ride);
+
+      expect(candidates.map(candidate => candidate.driverId)).toEqual(['eligible']);
+      expect(radiusKm).toBe(2);
+    });
+
+    it('should widen the radius when nobody nearby is eligible', async () => {
+      mockRedis.geoSearchWith
+        .mockResolvedValueOnce([{ member: 'small_car', distance: '1.0' }])
+        .mockResolvedValueOnce([
+          { member: 'small_car', distance: '1.0' },
+          { member: 'van', distance: '4.2' }
+        ]);
+      ride.passengerCount = 6;
+      profiles = {
+        small_car: verifiedDriver(),
+        van: verifiedDriver({ vehicle: { vehicleType: 'standard', seatingCapacity: 7 } })
+      };
+
+      const { candidates, radiusKm } = await matchingService.findCandidates(ride);
+
+      expect(candidates.map(candidate => candidate.driverId)).toEqual(['van']);
+      expect(radiusKm).toBe(5);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('rankCandidates', () => {
+    const candidates = () => [
+      { driverId: 'near_low_rated', distanceKm: 0.5, profile: { averageRating: 3.2, totalRatings: 50, lastTripAt: new Date() } },
+      { driverId: 'far_top_rated', distanceKm: 1.5, profile: { averageRating: 5, totalRatings: 50, lastTripAt: null } }
+    ];
+
+    it('should rank by weighted score', async () => {
+      RideOffer.aggregate.mockResolvedValue([{ _id: 'near_low_rated', offers: 20, accepted: 4 }]);
+
+      const { ranked, algorithm } = await matchingService.rankCandidates(candidates());
+
+      expect(algorithm).toBe('weighted_score');
+      expect(ranked[0].driverId).toBe('far_top_rated');
+      expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    });
+
+    it('should fall back to nearest driver when scoring fails', async () => {
+      RideOffer.aggregate.mockRejectedValue(new Error('aggregate failed'));
+
+      const { ranked, algorithm } = await matchingService.rankCandidates(candidates());
+
+      expect(algorithm).toBe('nearest_first');
+      expect(ranked.map(candidate => candidate.driverId)).toEqual(['near_low_rated', 'far_top_rated']);
+    });
+  });
+
+  describe('findRankedCandidates', () => {
+    it('should skip drivers already offered the ride', async () => {
+      mockRedis.geoSearchWith.mockResolvedValue([
+        { member: 'driver_456', distance: '0.4' },
+        { member: 'driver_789', distance: '1.8' }
+      ]);
+      profiles = { driver_456: verifiedDriver(), driver_789: verifiedDriver() };
+
+      const { ranked, radiusKm, algorithm } = await matchingService.findRankedCandidates(ride, new Set(['driver_456']));
+
+      expect(ranked.map(candidate => candidate.driverId)).toEqual(['driver_789']);
+      expect(radiusKm).toBe(2);
+      expect(algorithm).toBe('weighted_score');
+    });
+
+    it('should return no candidates when Redis is unavailable', async () => {
+      getRedisClient.mockReturnValue(null);
+
+      const { ranked } = await matchingService.findRankedCandidates(ride);
+
+      expect(ranked).toEqual([]);
+    });
+  });
+});
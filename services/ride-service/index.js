@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const { app, rideService, rabbitmqService } = require('./src/app');
+const { app, rideService, dispatchService, rabbitmqService } = require('./src/app');
+const { connectRedis } = require('./src/config/redis');
 const logger = require('./src/utils/logger');
 
 const PORT = process.env.PORT || 3009; // Đổi từ 3005 thành 3009
@@ -40,10 +41,28 @@ const connectRabbitMQ = async () => {
         (event) => rideService.handlePaymentEvent(event)
       );
       
+      // Driver matching and offer dispatch pick up rides entering searching_driver
+      await rabbitmqService.subscribeToQueue(
+        'matching-service-queue',
+        rabbitmqService.exchanges.RIDE_EVENTS,
+        'ride.*',
+        (event) => dispatchService.handleRideEvent(event)
+      );
+
       // Initialize ride service with RabbitMQ
       rideService.rabbitMQClient = rabbitmqService;
+      dispatchService.rabbitMQClient = rabbitmqService;
       rideService.exchanges = rabbitmqService.exchanges;
       rideService.eventTypes = rabbitmqService.eventTypes;
+
+      // Scheduled bookings become rides when Booking Service's scheduler requests dispatch.
+      // Subscribed last so the ride and search events can be published right away
+      await rabbitmqService.subscribeToQueue(
+        'ride-service-booking-events',
+        rabbitmqService.exchanges.BOOKING_EVENTS,
+        'booking.dispatch_requested',
+        (event) => rideService.handleBookingEvent(event)
+      );
       
       logger.info('✅ RabbitMQ connected and subscriptions set up');
       return;
@@ -66,11 +85,15 @@ const connectRabbitMQ = async () => {
 const startServer = async () => {
   try {
     await connectDB();
+    await connectRedis();
     
     // Try to connect to RabbitMQ (non-blocking)
-    connectRabbitMQ().catch(() => {
-      logger.warn('RabbitMQ not available, running without event bus');
-    });
+    // Dispatch recovery waits for it so resumed offers reach the drivers
+    connectRabbitMQ()
+      .catch(() => {
+        logger.warn('RabbitMQ not available, running without event bus');
+      })
+      .finally(() => dispatchService.start());
     
     const server = app.listen(PORT, () => {
       logger.info(`🚕 Ride Service running on port ${PORT}`);
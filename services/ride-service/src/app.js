@@ -7,12 +7,17 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const rideRoutes = require('./routes/rideRoutes');
 const RideService = require('./services/rideService');
+const MatchingService = require('./services/matchingService');
+const DispatchService = require('./services/dispatchService');
 const rabbitmqService = require('./services/rabbitmqService');
+const { disconnectRedis } = require('./config/redis');
 
 const app = express();
 
 // Initialize services
 const rideService = new RideService();
+const matchingService = new MatchingService();
+const dispatchService = new DispatchService(rideService, matchingService);
 
 // Middleware
 app.use(cors({
@@ -37,6 +42,7 @@ app.use((req, res, next) => {
 // Make services available in request context
 app.use((req, res, next) => {
   req.rideService = rideService;
+  req.dispatchService = dispatchService;
   next();
 });
 
@@ -125,7 +131,9 @@ const gracefulShutdown = async () => {
     }
     
     // Cleanup ride service
+    dispatchService.cleanup();
     await rideService.cleanup();
+    await disconnectRedis();
     
     // Close MongoDB connection
     if (mongoose.connection.readyState === 1) {
@@ -143,4 +151,4 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-module.exports = { app, rideService, rabbitmqService };
\ No newline at end of file
+module.exports = { app, rideService, dispatchService, rabbitmqService };
\ No newline at end of file
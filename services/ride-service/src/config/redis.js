@@ -0,0 +1,48 @@
+const redis = require('redis');
+require('dotenv').config();
+
+let redisClient = null;
+
+/**
+ * Connect to Redis. Driver locations (drivers:geo) and online status
+ * (driver:{id}:status) are written there by Driver Service; without it
+ * the service runs but cannot match drivers automatically.
+ */
+const connectRedis = async () => {
+  if (!process.env.REDIS_URL) {
+    console.warn('⚠️ Ride Service: Redis disabled (local dev mode)');
+    return null;
+  }
+
+  try {
+    redisClient = redis.createClient({ url: process.env.REDIS_URL });
+    redisClient.on('error', (err) => {
+      console.warn('⚠️ Ride Service: Redis error:', err.message);
+    });
+
+    await redisClient.connect();
+    console.log('✅ Ride Service: Redis connected');
+  } catch (error) {
+    console.warn('⚠️ Ride Service: Redis connect failed, driver matching disabled:', error.message);
+    redisClient = null;
+  }
+
+  return redisClient;
+};
+
+/**
+ * Get the Redis client if it is connected and ready, otherwise null
+ */
+const getRedisClient = () => (redisClient && redisClient.isReady ? redisClient : null);
+
+const disconnectRedis = async () => {
+  if (redisClient && redisClient.isOpen) {
+    await redisClient.quit();
+  }
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  disconnectRedis
+};
@@ -1,6 +1,18 @@
 const rideService = require('../services/rideService');
 const logger = require('../utils/logger');
 
+// Offer errors from the dispatch service
+const OFFER_ERROR_STATUS = {
+  'Offer not found': 404,
+  'Offer is no longer open': 409,
+  'Ride already taken': 409
+};
+
+// Drivers act on their own offers; admins may act for a driver given in the body
+const resolveDriverId = (req) => (
+  req.user.role === 'admin' && req.body?.driverId ? req.body.driverId : req.user.userId
+);
+
 class RideController {
   // Create new ride
   async createRide(req, res) {
@@ -43,7 +55,7 @@ class RideController {
       const { rideId } = req.params;
       const userId = req.user?.userId;
 
-      const ride = await rideService.getRideDetails(rideId, userId);
+      const ride = await req.rideService.getRideDetails(rideId, userId);
 
       res.json({
         success: true,
@@ -284,18 +296,53 @@ class RideController {
     }
   }
 
-  // Driver accept ride
-  async acceptRide(req, res) {
+  // Driver open ride offers
+  async getOffers(req, res) {
     try {
-      const { rideId, driverId } = req.body;
+      const offers = await req.dispatchService.getOpenOffers(resolveDriverId(req));
 
-      // This would trigger state machine transition
-      const result = await rideService.assignDriverToRide(rideId, {
-        driverId,
-        ...req.body.driverDetails
+      res.json({
+        success: true,
+        data: offers
       });
+    } catch (error) {
+      logger.error('Get ride offers error', { userId: req.user?.userId, error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get ride offers',
+        error: error.message
+      });
+    }
+  }
 
-      logger.info('Driver accepted ride', { rideId, driverId });
+  // Driver app displayed an offer
+  async markOfferSeen(req, res) {
+    try {
+      const offer = await req.dispatchService.markSeen(req.params.offerId, resolveDriverId(req));
+
+      res.json({
+        success: true,
+        data: { offerId: offer.offerId, status: offer.status }
+      });
+    } catch (error) {
+      logger.error('Mark offer seen error', { offerId: req.params.offerId, error: error.message });
+      res.status(OFFER_ERROR_STATUS[error.message] || 400).json({
+        success: false,
+        message: 'Failed to mark offer as seen',
+        error: error.message
+      });
+    }
+  }
+
+  // Driver accept ride offer
+  async acceptRide(req, res) {
+    try {
+      const { rideId, offerId, driverDetails } = req.body;
+      const driverId = resolveDriverId(req);
+
+      const result = await req.dispatchService.acceptOffer(driverId, { offerId, rideId }, driverDetails);
+
+      logger.info('Driver accepted ride', { rideId: result.rideId, offerId: result.offerId, driverId });
 
       res.json({
         success: true,
@@ -304,7 +351,7 @@ class RideController {
       });
     } catch (error) {
       logger.error('Accept ride error', { body: req.body, error: error.message });
-      res.status(400).json({
+      res.status(OFFER_ERROR_STATUS[error.message] || 400).json({
         success: false,
         message: 'Failed to accept ride',
         error: error.message
@@ -312,15 +359,15 @@ class RideController {
     }
   }
 
-  // Driver reject ride
+  // Driver reject ride offer
   async rejectRide(req, res) {
     try {
-      const { rideId, driverId, reason } = req.body;
+      const { rideId, offerId, reason } = req.body;
+      const driverId = resolveDriverId(req);
 
-      // This would update search metadata
-      await rideService.rejectRide(rideId, driverId, reason);
+      const offer = await req.dispatchService.rejectOffer(driverId, { offerId, rideId }, reason);
 
-      logger.info('Driver rejected ride', { rideId, driverId, reason });
+      logger.info('Driver rejected ride', { rideId: offer.rideId, offerId: offer.offerId, driverId, reason });
 
       res.json({
         success: true,
@@ -328,7 +375,7 @@ class RideController {
       });
     } catch (error) {
       logger.error('Reject ride error', { body: req.body, error: error.message });
-      res.status(400).json({
+      res.status(OFFER_ERROR_STATUS[error.message] || 400).json({
         success: false,
         message: 'Failed to reject ride',
         error: error.message
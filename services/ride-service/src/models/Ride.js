@@ -7,6 +7,12 @@ const rideSchema = new mongoose.Schema({
     unique: true
   },
 
+  // Booking this ride was created for (scheduled bookings dispatched by Booking Service)
+  bookingId: {
+    type: String,
+    index: true
+  },
+
   // User Information
   userId: {
     type: String,
@@ -277,6 +283,11 @@ const rideSchema = new mongoose.Schema({
   },
 
   // Additional Services
+  passengerCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   specialRequests: [String],
   accessibilityNeeds: [String],
 
@@ -293,6 +304,13 @@ const rideSchema = new mongoose.Schema({
     default: 'normal'
   },
 
+  // How many times Booking Service re-requested dispatch for the booking
+  escalationLevel: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   tags: [String], // for analytics and filtering
 
   // Search and Matching Metadata
@@ -309,6 +327,7 @@ const rideSchema = new mongoose.Schema({
       driverId: String,
       distance: Number,
       eta: Number,
+      score: Number,
       offeredAt: Date,
       rejectedAt: Date,
       rejectionReason: String
@@ -317,7 +336,8 @@ const rideSchema = new mongoose.Schema({
       type: String,
       default: 'nearest_first'
     },
-    matchingScore: Number
+    matchingScore: Number,
+    searchStartedAt: Date
   },
 
   // Real-time Tracking
@@ -391,6 +411,7 @@ rideSchema.index({ status: 1, createdAt: -1 });
 rideSchema.index({ 'pickup.coordinates': '2dsphere' });
 rideSchema.index({ 'destination.coordinates': '2dsphere' });
 rideSchema.index({ 'timing.requestedAt': -1 });
+rideSchema.index({ 'searchMetadata.driverCandidates.driverId': 1, 'searchMetadata.driverCandidates.offeredAt': -1 });
 rideSchema.index({ 'payment.status': 1 });
 rideSchema.index({ 'emergency.isEmergency': 1 });
 
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// sent -> seen -> accepted | rejected | expired; withdrawn when the ride is taken or cancelled first
+const OFFER_STATUSES = ['sent', 'seen', 'accepted', 'rejected', 'expired', 'withdrawn'];
+const OPEN_OFFER_STATUSES = ['sent', 'seen'];
+
+/**
+ * A ride offered to one driver. Sequential dispatch sends one offer per wave,
+ * broadcast sends several at once and the first acceptance wins.
+ */
+const rideOfferSchema = new mongoose.Schema({
+  offerId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rideId: {
+    type: String,
+    required: true
+  },
+  driverId: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['sequential', 'broadcast'],
+    required: true
+  },
+  wave: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'sent'
+  },
+
+  // Matching result at the time of the offer
+  distance: Number, // meters
+  eta: Number, // seconds
+  score: Number,
+  algorithm: String,
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  seenAt: Date,
+  respondedAt: Date,
+  closedReason: String // rejection reason, or why the offer was withdrawn
+}, {
+  timestamps: true,
+  collection: 'ride_offers'
+});
+
+// A driver is offered the same ride at most once
+rideOfferSchema.index({ rideId: 1, driverId: 1 }, { unique: true });
+rideOfferSchema.index({ driverId: 1, sentAt: -1 });
+rideOfferSchema.index({ rideId: 1, status: 1 });
+
+rideOfferSchema.virtual('isOpen').get(function() {
+  return OPEN_OFFER_STATUSES.includes(this.status) && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RideOffer', rideOfferSchema);
+module.exports.OFFER_STATUSES = OFFER_STATUSES;
+module.exports.OPEN_OFFER_STATUSES = OPEN_OFFER_STATUSES;
@@ -31,6 +31,8 @@ router.get('/user/:userId/history', rideController.getRideHistory);
 
 // Driver rides
 router.get('/driver/:driverId/assigned', rideController.getAssignedRides);
+router.get('/driver/offers', rideController.getOffers);
+router.post('/driver/offers/:offerId/seen', rideController.markOfferSeen);
 router.post('/driver/accept', rideController.acceptRide);
 router.post('/driver/reject', rideController.rejectRide);
 
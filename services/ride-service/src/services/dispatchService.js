@@ -0,0 +1,526 @@
+const Ride = require('../models/Ride');
+const RideOffer = require('../models/RideOffer');
+const { RIDE_STATES } = require('../state-machine/rideStateMachine');
+const logger = require('../utils/logger');
+
+const { OPEN_OFFER_STATUSES } = RideOffer;
+
+const EXCHANGES = {
+  RIDE_EVENTS: 'ride-events'
+};
+
+const DISPATCH_MODES = {
+  SEQUENTIAL: 'sequential',
+  BROADCAST: 'broadcast'
+};
+
+const DISPATCH_CONFIG = {
+  defaultMode: process.env.DISPATCH_MODE === DISPATCH_MODES.BROADCAST ? DISPATCH_MODES.BROADCAST : DISPATCH_MODES.SEQUENTIAL,
+  // Countdown for a single driver in sequential mode
+  offerTimeoutMs: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS, 10) || 15000,
+  // Broadcast offers the ride to this many drivers at once; the first to accept wins
+  broadcastSize: parseInt(process.env.DISPATCH_BROADCAST_SIZE, 10) || 3,
+  broadcastTimeoutMs: parseInt(process.env.DISPATCH_BROADCAST_TIMEOUT_MS, 10) || 20000,
+  // Rides with these priorities are always broadcast
+  broadcastPriorities: ['high', 'urgent'],
+  // Wait before searching again when nobody is eligible yet
+  retryDelayMs: parseInt(process.env.DISPATCH_RETRY_DELAY_MS, 10) || 10000,
+  // How often overdue offers and searching rides without a timer are picked up
+  sweepIntervalMs: parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS, 10) || 30000
+};
+
+const generateOfferId = () => `offer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Dispatch Service
+ * Sends ride offers to the drivers ranked by the Matching Service, in waves:
+ * one driver per wave (sequential) or several at once (broadcast). A wave ends
+ * when all its offers are rejected or expire, then the next wave goes out.
+ * Offers reach drivers as ride.offered events pushed over the realtime channel.
+ * When no candidate is left and the ride's search time is up, the ride's
+ * state machine TIMEOUT fires.
+ * Timers only live in this process, so a periodic sweep takes over rides whose
+ * timers were lost in a restart.
+ */
+class DispatchService {
+  constructor(rideService, matchingService) {
+    this.rideService = rideService;
+    this.matchingService = matchingService;
+    this.rabbitMQClient = null;
+    this.timers = new Map(); // rideId -> { wave, timer } (wave null for a search retry)
+    this.dispatching = new Set(); // rideIds with a wave being prepared
+    this.sweepTimer = null;
+  }
+
+  // Sweep once now, then every sweepIntervalMs
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+    const run = () => this.sweep().catch(error => {
+      logger.error('Dispatch: sweep failed', { error: error.message });
+    });
+    run();
+    this.sweepTimer = setInterval(run, DISPATCH_CONFIG.sweepIntervalMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Expire offers past their deadline that no timer covers, then resume every
+   * searching ride without a timer: re-arm the expiry of its open wave, or send
+   * the next one
+   * @returns {Object} { expiredRides, resumedRides }
+   */
+  async sweep(now = new Date()) {
+    const overdue = await RideOffer.find({ status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: now } })
+      .select('rideId')
+      .lean();
+    const overdueRideIds = [...new Set(overdue.map(offer => offer.rideId))].filter(rideId => !this.timers.has(rideId));
+    for (const rideId of overdueRideIds) {
+      await this.expireOffers(rideId, { expiresAt: { $lte: now } });
+    }
+
+    const searching = await Ride.find({ status: RIDE_STATES.SEARCHING_DRIVER, driverId: null })
+      .select('rideId')
+      .lean();
+    let resumedRides = 0;
+    for (const { rideId } of searching) {
+      if (this.timers.has(rideId) || this.dispatching.has(rideId)) continue;
+
+      const open = await RideOffer.find({ rideId, status: { $in: OPEN_OFFER_STATUSES } })
+        .select('wave expiresAt')
+        .lean();
+      if (open.length > 0) {
+        const wave = open.reduce((max, offer) => Math.max(max, offer.wave || 0), 0);
+        const expiresAt = open.reduce((max, offer) => Math.max(max, new Date(offer.expiresAt).getTime()), 0);
+        this.armWaveTimer(rideId, wave, Math.max(expiresAt - now.getTime(), 0));
+      } else {
+        await this.dispatchRide(rideId);
+      }
+      resumedRides++;
+    }
+
+    if (overdueRideIds.length > 0 || resumedRides > 0) {
+      logger.info('Dispatch: sweep recovered rides', { expiredRides: overdueRideIds.length, resumedRides });
+    }
+    return { expiredRides: overdueRideIds.length, resumedRides };
+  }
+
+  // Handle ride events from the matching queue
+  async handleRideEvent(event) {
+    try {
+      switch (event.type) {
+        case 'RideDriverSearchStarted':
+          await this.dispatchRide(event.rideId);
+          break;
+
+        case 'RideAssigned':
+          await this.closeRide(event.rideId, 'ride_taken');
+          break;
+
+        case 'RideCancelled':
+          await this.closeRide(event.rideId, 'ride_cancelled');
+          break;
+
+        default:
+          break;
+      }
+    } catch (error) {
+      logger.error('Dispatch: failed to handle ride event', { type: event.type, rideId: event.rideId, error: error.message });
+    }
+  }
+
+  /**
+   * Send the next wave of offers for a ride in searching_driver
+   * @returns {Object|null} { mode, wave, offers }, or null if nothing was sent
+   */
+  async dispatchRide(rideId) {
+    // A wave or retry is already pending, or another wave is being prepared
+    if (this.timers.has(rideId) || this.dispatching.has(rideId)) {
+      return null;
+    }
+
+    this.dispatching.add(rideId);
+    try {
+      const ride = await Ride.findOne({ rideId });
+      if (!ride || ride.status !== RIDE_STATES.SEARCHING_DRIVER || ride.driverId) {
+        return null;
+      }
+
+      const searchStartedAt = ride.searchMetadata?.searchStartedAt || new Date();
+      if (!ride.searchMetadata?.searchStartedAt) {
+        await Ride.updateOne({ rideId }, { $set: { 'searchMetadata.searchStartedAt': searchStartedAt } });
+      }
+
+      const previous = await RideOffer.find({ rideId }).select('driverId wave').lean();
+      const excluded = new Set(previous.map(offer => offer.driverId));
+      const { ranked, radiusKm, algorithm } = await this.matchingService.findRankedCandidates(ride, excluded);
+
+      if (ranked.length === 0) {
+        await this.handleNoCandidates(ride, searchStartedAt);
+        return null;
+      }
+
+      const mode = this.resolveMode(ride);
+      const wave = previous.reduce((max, offer) => Math.max(max, offer.wave || 0), 0) + 1;
+      const picks = ranked.slice(0, mode === DISPATCH_MODES.BROADCAST ? DISPATCH_CONFIG.broadcastSize : 1);
+
+      return await this.sendOffers(ride, picks, { mode, wave, radiusKm, algorithm });
+    } finally {
+      this.dispatching.delete(rideId);
+    }
+  }
+
+  // Record one wave of offers and push them to the drivers
+  async sendOffers(ride, candidates, { mode, wave, radiusKm, algorithm }) {
+    const sentAt = new Date();
+    const timeoutMs = mode === DISPATCH_MODES.BROADCAST ? DISPATCH_CONFIG.broadcastTimeoutMs : DISPATCH_CONFIG.offerTimeoutMs;
+    const expiresAt = new Date(sentAt.getTime() + timeoutMs);
+
+    const offers = candidates.map(candidate => ({
+      offerId: generateOfferId(),
+      rideId: ride.rideId,
+      driverId: candidate.driverId,
+      mode,
+      wave,
+      distance: Math.round(candidate.distanceKm * 1000),
+      eta: Math.round(candidate.etaMinutes * 60),
+      score: candidate.score,
+      algorithm,
+      sentAt,
+      expiresAt
+    }));
+
+    // Conditional on status so offers never go out for a ride assigned or cancelled meanwhile
+    const updated = await Ride.findOneAndUpdate(
+      { rideId: ride.rideId, status: RIDE_STATES.SEARCHING_DRIVER, driverId: null },
+      {
+        $push: {
+          'searchMetadata.driverCandidates': {
+            $each: offers.map(({ driverId, distance, eta, score }) => ({ driverId, distance, eta, score, offeredAt: sentAt }))
+          }
+        },
+        $set: {
+          'searchMetadata.searchRadius': radiusKm * 1000,
+          'searchMetadata.matchingAlgorithm': algorithm,
+          'searchMetadata.matchingScore': offers[0].score
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    await RideOffer.insertMany(offers);
+    this.armWaveTimer(ride.rideId, wave, timeoutMs);
+
+    for (const offer of offers) {
+      await this.publish('ride.offered', {
+        type: 'RideOffered',
+        ...this.toOfferPayload(offer, ride)
+      });
+    }
+
+    logger.info('Ride offers sent', {
+      rideId: ride.rideId,
+      mode,
+      wave,
+      drivers: offers.map(offer => offer.driverId)
+    });
+
+    return { mode, wave, offers };
+  }
+
+  // Driver app displayed the offer
+  async markSeen(offerId, driverId) {
+    const offer = await RideOffer.findOneAndUpdate(
+      { offerId, driverId, status: 'sent' },
+      { $set: { status: 'seen', seenAt: new Date() } },
+      { new: true }
+    );
+    if (!offer) {
+      // Already seen or answered: nothing to record
+      return this.getDriverOffer(offerId, driverId);
+    }
+
+    await this.publish('ride.offer_seen', {
+      type: 'RideOfferSeen',
+      offerId,
+      rideId: offer.rideId,
+      driverId
+    });
+
+    return offer;
+  }
+
+  /**
+   * Accept an offer. The offer must still be open and the ride is claimed with
+   * a compare-and-set, so two drivers can never both get the same ride.
+   * @param {Object} target - { offerId } or { rideId }
+   */
+  async acceptOffer(driverId, target, driverDetails = {}) {
+    const offerId = await this.resolveOfferId(driverId, target);
+    const now = new Date();
+
+    const offer = await RideOffer.findOneAndUpdate(
+      { offerId, driverId, status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $gt: now } },
+      { $set: { status: 'accepted', respondedAt: now } },
+      { new: true }
+    );
+    if (!offer) {
+      await this.getDriverOffer(offerId, driverId);
+      throw new Error('Offer is no longer open');
+    }
+
+    const claimed = await this.rideService.claimRide(offer.rideId, driverId);
+    if (!claimed) {
+      await RideOffer.updateOne({ offerId }, { $set: { status: 'withdrawn', closedReason: 'ride_taken' } });
+      throw new Error('Ride already taken');
+    }
+
+    await this.closeRide(offer.rideId, 'ride_taken');
+
+    try {
+      const result = await this.rideService.assignDriverToRide(offer.rideId, { ...driverDetails, driverId });
+      return { ...result, offerId };
+    } catch (error) {
+      // Release the claim so the search can go on with other drivers
+      await Ride.updateOne(
+        { rideId: offer.rideId, status: RIDE_STATES.SEARCHING_DRIVER, driverId },
+        { $set: { driverId: null } }
+      );
+      await RideOffer.updateOne({ offerId }, { $set: { status: 'withdrawn', closedReason: 'assignment_failed' } });
+      this.dispatchRide(offer.rideId).catch(dispatchError => {
+        logger.error('Dispatch: redispatch after failed assignment failed', { rideId: offer.rideId, error: dispatchError.message });
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject an offer; the next wave goes out once the current one has no open offers left
+   * @param {Object} target - { offerId } or { rideId }
+   */
+  async rejectOffer(driverId, target, reason) {
+    const offerId = await this.resolveOfferId(driverId, target);
+
+    const offer = await RideOffer.findOneAndUpdate(
+      { offerId, driverId, status: { $in: OPEN_OFFER_STATUSES } },
+      { $set: { status: 'rejected', respondedAt: new Date(), closedReason: reason } },
+      { new: true }
+    );
+    if (!offer) {
+      await this.getDriverOffer(offerId, driverId);
+      throw new Error('Offer is no longer open');
+    }
+
+    await this.rideService.rejectRide(offer.rideId, driverId, reason);
+    await this.advanceIfWaveClosed(offer.rideId, offer.wave);
+
+    return offer;
+  }
+
+  // Open offers for a driver, e.g. after the app reconnects
+  async getOpenOffers(driverId) {
+    const offers = await RideOffer.find({
+      driverId,
+      status: { $in: OPEN_OFFER_STATUSES },
+      expiresAt: { $gt: new Date() }
+    }).sort({ sentAt: -1 }).lean();
+    if (offers.length === 0) {
+      return [];
+    }
+
+    const rides = await Ride.find({ rideId: { $in: offers.map(offer => offer.rideId) } })
+      .select('rideId pickup destination pricing')
+      .lean();
+    const ridesById = new Map(rides.map(ride => [ride.rideId, ride]));
+
+    return offers
+      .filter(offer => ridesById.has(offer.rideId))
+      .map(offer => ({ ...this.toOfferPayload(offer, ridesById.get(offer.rideId)), status: offer.status }));
+  }
+
+  // Expire what is still open in a wave and send the next one
+  async expireWave(rideId, wave) {
+    if (this.timers.get(rideId)?.wave !== wave) {
+      return;
+    }
+    this.clearTimer(rideId);
+
+    await this.expireOffers(rideId, { wave });
+    await this.dispatchRide(rideId);
+  }
+
+  // Expire a ride's open offers matching the filter, e.g. one wave
+  async expireOffers(rideId, filter) {
+    const open = await RideOffer.find({ rideId, ...filter, status: { $in: OPEN_OFFER_STATUSES } })
+      .select('offerId driverId')
+      .lean();
+
+    for (const { offerId, driverId } of open) {
+      // One at a time: an offer accepted in the meantime must not be expired
+      const expired = await RideOffer.findOneAndUpdate(
+        { offerId, status: { $in: OPEN_OFFER_STATUSES } },
+        { $set: { status: 'expired', closedReason: 'offer_timeout' } }
+      );
+      if (!expired) continue;
+
+      await Ride.updateOne(
+        {
+          rideId,
+          'searchMetadata.driverCandidates': { $elemMatch: { driverId, rejectedAt: { $exists: false } } }
+        },
+        {
+          $set: {
+            'searchMetadata.driverCandidates.$.rejectedAt': new Date(),
+            'searchMetadata.driverCandidates.$.rejectionReason': 'offer_timeout'
+          }
+        }
+      );
+      await this.publish('ride.offer_expired', { type: 'RideOfferExpired', offerId, rideId, driverId });
+    }
+  }
+
+  // Withdraw open offers once the ride is taken or cancelled
+  async closeRide(rideId, reason) {
+    this.clearTimer(rideId);
+
+    const open = await RideOffer.find({ rideId, status: { $in: OPEN_OFFER_STATUSES } })
+      .select('offerId driverId')
+      .lean();
+
+    for (const { offerId, driverId } of open) {
+      const withdrawn = await RideOffer.findOneAndUpdate(
+        { offerId, status: { $in: OPEN_OFFER_STATUSES } },
+        { $set: { status: 'withdrawn', closedReason: reason } }
+      );
+      if (withdrawn) {
+        await this.publish('ride.offer_withdrawn', { type: 'RideOfferWithdrawn', offerId, rideId, driverId, reason });
+      }
+    }
+  }
+
+  // Nobody eligible: search again later, or fire TIMEOUT once the ride's maxSearchTime is up
+  async handleNoCandidates(ride, searchStartedAt) {
+    const maxSearchTime = ride.searchMetadata?.maxSearchTime || 300000;
+    const elapsed = Date.now() - new Date(searchStartedAt).getTime();
+
+    if (elapsed + DISPATCH_CONFIG.retryDelayMs < maxSearchTime) {
+      const timer = setTimeout(() => {
+        this.timers.delete(ride.rideId);
+        this.dispatchRide(ride.rideId).catch(error => {
+          logger.error('Dispatch: retry failed', { rideId: ride.rideId, error: error.message });
+        });
+      }, DISPATCH_CONFIG.retryDelayMs);
+      this.timers.set(ride.rideId, { wave: null, timer });
+      logger.info('Dispatch: no eligible driver yet, retrying', { rideId: ride.rideId });
+      return;
+    }
+
+    logger.warn('Dispatch: candidates exhausted, timing out driver search', { rideId: ride.rideId, elapsed });
+    await this.rideService.timeoutDriverSearch(ride.rideId);
+  }
+
+  // Cleanup
+  cleanup() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    for (const rideId of this.timers.keys()) {
+      this.clearTimer(rideId);
+    }
+  }
+
+  // Private helper methods
+
+  resolveMode(ride) {
+    return DISPATCH_CONFIG.broadcastPriorities.includes(ride.priority)
+      ? DISPATCH_MODES.BROADCAST
+      : DISPATCH_CONFIG.defaultMode;
+  }
+
+  async advanceIfWaveClosed(rideId, wave) {
+    if (this.timers.get(rideId)?.wave !== wave) {
+      return;
+    }
+    const stillOpen = await RideOffer.countDocuments({ rideId, wave, status: { $in: OPEN_OFFER_STATUSES } });
+    if (stillOpen === 0) {
+      this.clearTimer(rideId);
+      await this.dispatchRide(rideId);
+    }
+  }
+
+  // Callers may name the offer directly or by the ride it belongs to
+  async resolveOfferId(driverId, { offerId, rideId } = {}) {
+    if (offerId) {
+      return offerId;
+    }
+    const offer = rideId ? await RideOffer.findOne({ rideId, driverId }).select('offerId').lean() : null;
+    if (!offer) {
+      throw new Error('Offer not found');
+    }
+    return offer.offerId;
+  }
+
+  async getDriverOffer(offerId, driverId) {
+    const offer = await RideOffer.findOne({ offerId, driverId });
+    if (!offer) {
+      throw new Error('Offer not found');
+    }
+    return offer;
+  }
+
+  armWaveTimer(rideId, wave, delayMs) {
+    const timer = setTimeout(() => {
+      this.expireWave(rideId, wave).catch(error => {
+        logger.error('Dispatch: offer expiry failed', { rideId, wave, error: error.message });
+      });
+    }, delayMs);
+    this.timers.set(rideId, { wave, timer });
+  }
+
+  clearTimer(rideId) {
+    const pending = this.timers.get(rideId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.timers.delete(rideId);
+    }
+  }
+
+  toOfferPayload(offer, ride) {
+    return {
+      offerId: offer.offerId,
+      rideId: offer.rideId,
+      driverId: offer.driverId,
+      mode: offer.mode,
+      pickup: ride.pickup,
+      destination: ride.destination,
+      vehicleType: ride.pricing?.vehicleType,
+      estimatedFare: ride.pricing?.estimatedFare,
+      distance: offer.distance,
+      eta: offer.eta,
+      expiresAt: new Date(offer.expiresAt).toISOString()
+    };
+  }
+
+  async publish(routingKey, event) {
+    if (!this.rabbitMQClient) {
+      return;
+    }
+    try {
+      await this.rabbitMQClient.publishEvent(EXCHANGES.RIDE_EVENTS, routingKey, {
+        ...event,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Dispatch: failed to publish event', { routingKey, error: error.message });
+    }
+  }
+}
+
+module.exports = DispatchService;
+module.exports.DISPATCH_CONFIG = DISPATCH_CONFIG;
+module.exports.DISPATCH_MODES = DISPATCH_MODES;
@@ -0,0 +1,269 @@
+const { GEO_REPLY_WITH } = require('redis');
+const RideOffer = require('../models/RideOffer');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Keys written by Driver Service
+const KEYS = {
+  driversGeo: 'drivers:geo',
+  driverStatus: (driverId) => `driver:${driverId}:status`
+};
+
+const parseRadii = (value) => value
+  .split(',')
+  .map(Number)
+  .filter(radius => radius > 0)
+  .sort((a, b) => a - b);
+
+const MATCHING_CONFIG = {
+  // Search rings around the pickup, widened only when a ring has no eligible driver
+  searchRadiiKm: parseRadii(process.env.MATCHING_SEARCH_RADII_KM || '2,5,10'),
+  maxCandidatesPerRadius: parseInt(process.env.MATCHING_MAX_CANDIDATES, 10) || 20,
+  averageSpeedKmh: parseFloat(process.env.MATCHING_AVERAGE_SPEED_KMH) || 25,
+  maxEtaMinutes: 20,
+  idleCapMinutes: 60,
+  acceptanceWindowDays: 30,
+  // Drivers with few offers are pulled towards the prior instead of 0% or 100%
+  acceptancePrior: 0.8,
+  acceptancePriorWeight: 5,
+  defaultRating: 4.5,
+  weights: {
+    eta: 0.4,
+    rating: 0.25,
+    acceptance: 0.2,
+    idle: 0.15
+  },
+  requiredDocuments: ['driverLicense', 'vehicleRegistration', 'insurance'],
+  driverServiceUrl: process.env.DRIVER_SERVICE_URL || 'http://driver-service:3007',
+  driverServiceTimeoutMs: parseInt(process.env.DRIVER_SERVICE_TIMEOUT_MS, 10) || 3000
+};
+
+const ALGORITHMS = {
+  WEIGHTED: 'weighted_score',
+  NEAREST: 'nearest_first'
+};
+
+/**
+ * Matching Service
+ * Ranks drivers for a ride: pulls nearby drivers from the Redis GEO index in
+ * widening rings, drops those failing hard constraints (online, vehicle type,
+ * seats, verified documents, service area) and orders the rest by ETA, rating,
+ * acceptance rate and idle time. Offers are sent by the Dispatch Service.
+ */
+class MatchingService {
+  /**
+   * Eligible drivers for the ride, best first
+   * @param {Set<string>} excluded - drivers already offered this ride
+   * @returns {{ ranked: Array, radiusKm: number|null, algorithm: string|null }}
+   */
+  async findRankedCandidates(ride, excluded = new Set()) {
+    const { candidates, radiusKm } = await this.findCandidates(ride, excluded);
+    if (candidates.length === 0) {
+      return { ranked: [], radiusKm: null, algorithm: null };
+    }
+
+    const { ranked, algorithm } = await this.rankCandidates(candidates);
+    return { ranked, radiusKm, algorithm };
+  }
+
+  /**
+   * Eligible drivers in the smallest ring that has any
+   * @returns {{ candidates: Array, radiusKm: number }}
+   */
+  async findCandidates(ride, excluded = new Set()) {
+    const redis = getRedisClient();
+    if (!redis) {
+      logger.warn('Matching: Redis unavailable, cannot search drivers', { rideId: ride.rideId });
+      return { candidates: [], radiusKm: null };
+    }
+
+    const { lat, lng } = ride.pickup.coordinates;
+    const checked = new Set(excluded);
+
+    for (const radiusKm of MATCHING_CONFIG.searchRadiiKm) {
+      const nearby = await redis.geoSearchWith(
+        KEYS.driversGeo,
+        { longitude: lng, latitude: lat },
+        { radius: radiusKm, unit: 'km' },
+        [GEO_REPLY_WITH.DISTANCE],
+        { SORT: 'ASC', COUNT: MATCHING_CONFIG.maxCandidatesPerRadius }
+      );
+
+      // Drivers seen in a smaller ring were already checked
+      const fresh = nearby
+        .filter(({ member }) => !checked.has(member))
+        .map(({ member, distance }) => ({ driverId: member, distanceKm: parseFloat(distance) }));
+      fresh.forEach(({ driverId }) => checked.add(driverId));
+      if (fresh.length === 0) continue;
+
+      const statuses = await redis.mGet(fresh.map(({ driverId }) => KEYS.driverStatus(driverId)));
+      const online = fresh.filter((_, index) => statuses[index] === 'online');
+
+      const profiles = await Promise.all(online.map(({ driverId }) => this.fetchDriverProfile(driverId)));
+      const candidates = online
+        .map((candidate, index) => ({ ...candidate, profile: profiles[index] }))
+        .filter(candidate => candidate.profile && this.meetsConstraints(candidate, ride));
+
+      if (candidates.length > 0) {
+        return { candidates, radiusKm };
+      }
+    }
+
+    return { candidates: [], radiusKm: null };
+  }
+
+  // Hard constraints: a driver failing any of them is never offered the ride
+  meetsConstraints({ profile }, ride) {
+    const vehicleType = ride.pricing?.vehicleType || 'standard';
+    const passengerCount = ride.passengerCount || 1;
+
+    return profile.documentsVerified
+      && profile.vehicleType === vehicleType
+      && profile.seatingCapacity >= passengerCount
+      && this.inServiceArea(profile.serviceAreas, ride.pickup.coordinates);
+  }
+
+  /**
+   * Rank candidates by weighted score, falling back to nearest-first
+   * when scoring fails so that a ride is never left unmatched
+   */
+  async rankCandidates(candidates) {
+    try {
+      const acceptanceRates = await this.getAcceptanceRates(candidates.map(candidate => candidate.driverId));
+      const ranked = candidates
+        .map(candidate => this.scoreCandidate(candidate, acceptanceRates.get(candidate.driverId)))
+        .sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm);
+      return { ranked, algorithm: ALGORITHMS.WEIGHTED };
+    } catch (error) {
+      logger.warn('Matching: scoring failed, falling back to nearest driver', { error: error.message });
+      const ranked = candidates
+        .map(candidate => ({ ...candidate, etaMinutes: this.estimateEta(candidate.distanceKm), score: null }))
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+      return { ranked, algorithm: ALGORITHMS.NEAREST };
+    }
+  }
+
+  // Weighted score in [0, 1]; each factor is normalised to [0, 1] first
+  scoreCandidate(candidate, acceptanceRate) {
+    const { weights, maxEtaMinutes, idleCapMinutes, defaultRating } = MATCHING_CONFIG;
+    const { profile } = candidate;
+
+    const etaMinutes = this.estimateEta(candidate.distanceKm);
+    const rating = profile.totalRatings > 0 ? profile.averageRating : defaultRating;
+    // Drivers who never finished a trip count as idle for the full cap
+    const idleMinutes = profile.lastTripAt
+      ? (Date.now() - new Date(profile.lastTripAt).getTime()) / 60000
+      : idleCapMinutes;
+
+    const factors = {
+      eta: 1 - Math.min(etaMinutes / maxEtaMinutes, 1),
+      rating: Math.min(Math.max(rating / 5, 0), 1),
+      acceptance: acceptanceRate ?? MATCHING_CONFIG.acceptancePrior,
+      idle: Math.min(Math.max(idleMinutes, 0) / idleCapMinutes, 1)
+    };
+
+    const score = Object.entries(weights)
+      .reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+
+    return { ...candidate, etaMinutes, factors, score: Math.round(score * 1000) / 1000 };
+  }
+
+  /**
+   * Smoothed acceptance rate per driver from answered or expired offers in the window
+   * @returns {Map<string, number>}
+   */
+  async getAcceptanceRates(driverIds) {
+    const { acceptanceWindowDays, acceptancePrior, acceptancePriorWeight } = MATCHING_CONFIG;
+    const since = new Date(Date.now() - acceptanceWindowDays * 24 * 60 * 60 * 1000);
+
+    const stats = await RideOffer.aggregate([
+      {
+        $match: {
+          driverId: { $in: driverIds },
+          sentAt: { $gte: since },
+          status: { $in: ['accepted', 'rejected', 'expired'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$driverId',
+          offers: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return new Map(stats.map(({ _id, offers, accepted }) => [
+      _id,
+      (accepted + acceptancePrior * acceptancePriorWeight) / (offers + acceptancePriorWeight)
+    ]));
+  }
+
+  // Private helper methods
+
+  estimateEta(distanceKm) {
+    return (distanceKm / MATCHING_CONFIG.averageSpeedKmh) * 60;
+  }
+
+  // Drivers without declared service areas may take rides anywhere
+  inServiceArea(serviceAreas, point) {
+    if (!serviceAreas || serviceAreas.length === 0) {
+      return true;
+    }
+    return serviceAreas.some(area => area.coordinates && area.radius
+      && this.distanceKm(area.coordinates, point) <= area.radius);
+  }
+
+  // Haversine distance between two { lat, lng } points
+  distanceKm(from, to) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Driver profile from Driver Service; null (skip the driver) if it cannot be loaded
+  async fetchDriverProfile(driverId) {
+    try {
+      const response = await fetch(
+        `${MATCHING_CONFIG.driverServiceUrl}/api/drivers/profile/${encodeURIComponent(driverId)}`,
+        { signal: AbortSignal.timeout(MATCHING_CONFIG.driverServiceTimeoutMs) }
+      );
+      if (!response.ok) {
+        if (response.status !== 404) {
+          logger.warn('Matching: driver profile request failed', { driverId, status: response.status });
+        }
+        return null;
+      }
+      return this.normalizeProfile(await response.json());
+    } catch (error) {
+      logger.warn('Matching: driver profile unavailable', { driverId, error: error.message });
+      return null;
+    }
+  }
+
+  // Driver Service may return the document (camelCase) or a database row (snake_case)
+  normalizeProfile(driver) {
+    const vehicle = driver.vehicle || {};
+    const documents = driver.documents;
+    const isVerified = driver.isVerified ?? driver.is_verified ?? false;
+    const documentsVerified = documents
+      ? isVerified && MATCHING_CONFIG.requiredDocuments.every(name => documents[name]?.verified)
+      : isVerified;
+
+    return {
+      vehicleType: vehicle.vehicleType || driver.vehicle_type || 'standard',
+      seatingCapacity: vehicle.seatingCapacity ?? driver.seating_capacity ?? 4,
+      documentsVerified,
+      serviceAreas: driver.serviceAreas || driver.service_areas || [],
+      averageRating: driver.averageRating ?? driver.average_rating ?? 0,
+      totalRatings: driver.totalRatings ?? driver.total_ratings ?? 0,
+      lastTripAt: driver.lastTripAt || driver.last_trip_at || null
+    };
+  }
+}
+
+module.exports = MatchingService;
+module.exports.MATCHING_CONFIG = MATCHING_CONFIG;
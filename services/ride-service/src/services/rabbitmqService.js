@@ -34,6 +34,7 @@ class RabbitMQService {
       await this.channel.assertExchange(this.exchanges.RIDE_EVENTS, 'topic', { durable: true });
       await this.channel.assertExchange(this.exchanges.DRIVER_EVENTS, 'topic', { durable: true });
       await this.channel.assertExchange(this.exchanges.PAYMENT_EVENTS, 'topic', { durable: true });
+      await this.channel.assertExchange(this.exchanges.BOOKING_EVENTS, 'topic', { durable: true });
 
       console.log('✅ RabbitMQ connected and exchanges declared');
       
@@ -13,10 +13,20 @@ let EXCHANGES = {
 let EVENT_TYPES = {
   RIDE_CREATED: 'RideCreated',
   RIDE_ASSIGNED: 'RideAssigned',
+  RIDE_STARTED: 'RideStarted',
   RIDE_COMPLETED: 'RideCompleted',
   RIDE_CANCELLED: 'RideCancelled'
 };
 
+// Rides past these states no longer need a driver search for their booking
+const FINISHED_STATES = [RIDE_STATES.COMPLETED, RIDE_STATES.CANCELLED, RIDE_STATES.NO_SHOW];
+
+// Booking Service locations are { address, latitude, longitude }
+const toRideLocation = (location = {}) => ({
+  address: location.address,
+  coordinates: { lat: location.latitude, lng: location.longitude }
+});
+
 class RideService {
   constructor() {
     this.rabbitMQClient = null;
@@ -59,6 +69,7 @@ class RideService {
       // Create ride document
       const ride = new Ride({
         rideId,
+        bookingId: rideData.bookingId,
         userId: rideData.userId,
         status: RIDE_STATES.REQUESTED,
         pickup: rideData.pickup,
@@ -68,8 +79,12 @@ class RideService {
           estimatedFare: rideData.estimatedFare || 0
         },
         source: rideData.source || 'mobile_app',
+        passengerCount: rideData.passengerCount || 1,
         specialRequests: rideData.specialRequests || [],
-        accessibilityNeeds: rideData.accessibilityNeeds || []
+        accessibilityNeeds: rideData.accessibilityNeeds || [],
+        priority: rideData.priority || 'normal',
+        escalationLevel: rideData.escalationLevel || 0,
+        ...(rideData.scheduledAt && { timing: { scheduledAt: rideData.scheduledAt } })
       });
 
       await ride.save();
@@ -95,6 +110,7 @@ class RideService {
           {
             type: EVENT_TYPES.RIDE_CREATED,
             rideId,
+            bookingId: rideData.bookingId,
             userId: rideData.userId,
             pickup: rideData.pickup,
             destination: rideData.destination,
@@ -145,9 +161,12 @@ class RideService {
           {
             type: 'RideDriverSearchStarted',
             rideId,
+            bookingId: ride.bookingId,
             userId: ride.userId,
             pickup: ride.pickup,
             vehicleType: ride.pricing.vehicleType,
+            priority: ride.priority,
+            escalationLevel: ride.escalationLevel,
             timestamp: new Date().toISOString()
           }
         );
@@ -161,6 +180,16 @@ class RideService {
     }
   }
 
+  // Reserve a searching ride for one driver; only one concurrent caller can win
+  async claimRide(rideId, driverId) {
+    const ride = await Ride.findOneAndUpdate(
+      { rideId, status: RIDE_STATES.SEARCHING_DRIVER, driverId: null },
+      { $set: { driverId } },
+      { new: true }
+    );
+    return Boolean(ride);
+  }
+
   // Assign driver to ride
   async assignDriverToRide(rideId, driverData) {
     try {
@@ -169,6 +198,10 @@ class RideService {
         throw new Error('Ride not found');
       }
 
+      if (ride.driverId && ride.driverId !== driverData.driverId) {
+        throw new Error('Ride already taken');
+      }
+
       // Update ride with driver information
       ride.driverId = driverData.driverId;
       ride.driverDetails = {
@@ -214,6 +247,64 @@ class RideService {
     }
   }
 
+  // No driver accepted before candidates ran out: fire the state machine TIMEOUT
+  async timeoutDriverSearch(rideId) {
+    try {
+      // Same guard as claimRide, so a ride being accepted right now is never cancelled
+      const now = new Date();
+      const ride = await Ride.findOneAndUpdate(
+        { rideId, status: RIDE_STATES.SEARCHING_DRIVER, driverId: null },
+        {
+          $set: {
+            status: RIDE_STATES.CANCELLED,
+            'timing.cancelledAt': now,
+            cancellation: { cancelledBy: 'system', reason: 'no_driver_found' }
+          },
+          $push: {
+            auditLog: {
+              action: 'status_change',
+              actor: 'system',
+              details: { from: RIDE_STATES.SEARCHING_DRIVER, to: RIDE_STATES.CANCELLED },
+              timestamp: now
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!ride) {
+        return null;
+      }
+
+      const stateMachine = this.activeRides.get(rideId);
+      if (stateMachine) {
+        stateMachine.send(RIDE_EVENTS.TIMEOUT);
+      }
+
+      this.activeRides.delete(rideId);
+
+      if (this.rabbitMQClient) {
+        await this.rabbitMQClient.publishEvent(
+          EXCHANGES.RIDE_EVENTS,
+          'ride.cancelled',
+          {
+            type: EVENT_TYPES.RIDE_CANCELLED,
+            rideId,
+            userId: ride.userId,
+            cancelledBy: 'system',
+            reason: 'no_driver_found',
+            timestamp: new Date().toISOString()
+          }
+        );
+      }
+
+      return { rideId, status: RIDE_STATES.CANCELLED };
+
+    } catch (error) {
+      console.error('Driver search timeout error:', error);
+      throw error;
+    }
+  }
+
   // Update driver arrival
   async updateDriverArrival(rideId, location) {
     try {
@@ -273,6 +364,26 @@ class RideService {
 
       await ride.save();
 
+      // Publish ride started event
+      if (this.rabbitMQClient) {
+        await this.rabbitMQClient.publishEvent(
+          EXCHANGES.RIDE_EVENTS,
+          'ride.started',
+          {
+            type: EVENT_TYPES.RIDE_STARTED,
+            rideId,
+            userId: ride.userId,
+            driverId: ride.driverId,
+            startLocation,
+            // Lets the driver service check the trip against its planned route
+            pickup: ride.pickup,
+            destination: ride.destination,
+            polyline: ride.route.polyline || null,
+            timestamp: new Date().toISOString()
+          }
+        );
+      }
+
       return { rideId, status: RIDE_STATES.STARTED };
 
     } catch (error) {
@@ -520,6 +631,64 @@ class RideService {
     }
   }
 
+  // Handle incoming booking events
+  async handleBookingEvent(event) {
+    try {
+      console.log('Ride Service received booking event:', event.type);
+
+      switch (event.type) {
+        case 'BookingDispatchRequested':
+          await this.handleBookingDispatchRequested(event);
+          break;
+
+        default:
+          console.log('Unknown booking event type:', event.type);
+      }
+    } catch (error) {
+      console.error('Handle booking event error:', error);
+    }
+  }
+
+  /**
+   * A scheduled booking is due: create its ride and start the driver search.
+   * Escalations for the same booking raise the priority of the ride still
+   * searching (high priority rides are offered as broadcast), or start a new
+   * search once the previous one ran out of drivers.
+   * @returns {Object|null} { rideId, status }, or null if the booking already has a driver
+   */
+  async handleBookingDispatchRequested(event) {
+    const bookingId = String(event.bookingId);
+    const priority = event.priority || 'normal';
+    const escalationLevel = event.escalationLevel || 0;
+
+    const existing = await Ride.findOne({ bookingId, status: { $nin: FINISHED_STATES } });
+    if (existing) {
+      if (existing.status !== RIDE_STATES.SEARCHING_DRIVER || existing.driverId) {
+        return null;
+      }
+
+      await Ride.updateOne(
+        { rideId: existing.rideId, status: RIDE_STATES.SEARCHING_DRIVER },
+        { $set: { priority, escalationLevel } }
+      );
+      return { rideId: existing.rideId, status: existing.status };
+    }
+
+    const { rideId } = await this.createRideRequest({
+      bookingId,
+      userId: event.customerId,
+      pickup: toRideLocation(event.pickupLocation),
+      destination: toRideLocation(event.dropoffLocation),
+      vehicleType: event.vehicleType,
+      estimatedFare: event.estimatedFare,
+      scheduledAt: event.scheduledPickupAt,
+      priority,
+      escalationLevel
+    });
+
+    return this.startDriverSearch(rideId);
+  }
+
   // Private helper methods
 
   async handleDriverLocationUpdate(event) {
@@ -657,12 +826,20 @@ class RideService {
         throw new Error('Ride not found');
       }
 
-      // Add to search metadata
-      ride.searchMetadata.driverCandidates.push({
-        driverId,
-        rejectedAt: new Date(),
-        rejectionReason: reason
-      });
+      // Mark the pending offer as rejected, or add the driver to search metadata
+      const offer = ride.searchMetadata.driverCandidates.find(
+        candidate => candidate.driverId === driverId && candidate.offeredAt && !candidate.rejectedAt
+      );
+      if (offer) {
+        offer.rejectedAt = new Date();
+        offer.rejectionReason = reason;
+      } else {
+        ride.searchMetadata.driverCandidates.push({
+          driverId,
+          rejectedAt: new Date(),
+          rejectionReason: reason
+        });
+      }
 
       await ride.save();
 
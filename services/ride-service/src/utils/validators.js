@@ -24,6 +24,7 @@ const rideValidators = {
     }).required(),
     vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'van').default('standard'),
     estimatedFare: Joi.number().min(0).required(),
+    passengerCount: Joi.number().integer().min(1).max(8).default(1),
     specialRequests: Joi.array().items(Joi.string()).optional(),
     accessibilityNeeds: Joi.array().items(Joi.string()).optional(),
     scheduledAt: Joi.date().optional(),
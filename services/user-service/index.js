@@ -3,6 +3,8 @@ require('dotenv').config();
 const app = require('./src/app');
 const { connectMongoDB } = require('./src/config/mongodb');
 const { connectRedis } = require('./src/config/redis');
+const { connectRabbitMQ } = require('./src/config/rabbitmq');
+const { startPaymentEventListeners } = require('./src/events/paymentEvents');
 
 const PORT = process.env.PORT || 3010;
 
@@ -13,6 +15,12 @@ async function startServer() {
 		await connectMongoDB();
 		await connectRedis();
 
+		// Refunds adjust totalSpent; the API does not depend on the event bus
+		const rabbitMQClient = await connectRabbitMQ();
+		if (rabbitMQClient) {
+			await startPaymentEventListeners(rabbitMQClient);
+		}
+
 		const server = app.listen(PORT, () => {
 			console.log('✅ User Service started successfully!');
 			console.log(`🌐 Server running on port ${PORT}`);
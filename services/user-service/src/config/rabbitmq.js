@@ -0,0 +1,28 @@
+const { RabbitMQClient } = require('@cab-booking/shared');
+
+const rabbitMQClient = new RabbitMQClient();
+
+/**
+ * Connect to RabbitMQ with a few retries
+ * The profile API keeps working without the event bus
+ */
+const connectRabbitMQ = async (maxRetries = 3) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await rabbitMQClient.connect();
+      return rabbitMQClient;
+    } catch (error) {
+      console.warn(`⚠️ User Service: RabbitMQ attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+      if (attempt < maxRetries) {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+    }
+  }
+
+  console.error('❌ User Service: RabbitMQ unavailable, running without event bus');
+  return null;
+};
+
+module.exports = {
+  connectRabbitMQ
+};
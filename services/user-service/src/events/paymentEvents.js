@@ -0,0 +1,45 @@
+/**
+ * Payment Event Handlers
+ * Keeps user spending stats in line with refunds issued by the Payment Service
+ */
+
+const { EXCHANGES, ROUTING_KEYS } = require('@cab-booking/shared');
+const UserRepository = require('../repositories/userRepository');
+
+const PAYMENT_QUEUES = {
+  paymentRefunded: 'user-service-queue.payments.refunded'
+};
+
+const userRepository = new UserRepository();
+
+/**
+ * payment.refunded -> deduct the refunded amount from totalSpent
+ */
+const handlePaymentRefunded = async (event) => {
+  const { userId, refundId, amount } = event;
+  if (!userId || !refundId || !(amount > 0)) {
+    console.warn('⚠️ User Service: ignoring malformed payment.refunded event');
+    return;
+  }
+
+  const profile = await userRepository.applyRefund(userId, refundId, amount);
+  if (profile) {
+    console.log(`💸 User ${userId}: refund ${refundId} (${amount}) deducted, totalSpent ${profile.totalSpent}`);
+  }
+};
+
+/**
+ * Bind payment queues and start consuming
+ * @param {RabbitMQClient} rabbitMQClient - Connected shared client
+ */
+const startPaymentEventListeners = async (rabbitMQClient) => {
+  await rabbitMQClient.bindQueue(PAYMENT_QUEUES.paymentRefunded, EXCHANGES.PAYMENT_EVENTS, ROUTING_KEYS.PAYMENT_REFUNDED);
+  await rabbitMQClient.subscribeToQueue(PAYMENT_QUEUES.paymentRefunded, handlePaymentRefunded);
+
+  console.log('✅ User Service: listening to payment events');
+};
+
+module.exports = {
+  startPaymentEventListeners,
+  handlePaymentRefunded
+};
@@ -126,6 +126,13 @@ const userProfileSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Refund IDs already deducted from totalSpent (dedupes redelivered payment.refunded events)
+  processedRefundIds: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
   // Ratings and Reviews
   averageRating: {
     type: Number,
@@ -350,6 +350,37 @@ class UserRepository {
     }
   }
 
+  /**
+   * Deduct a refund from totalSpent once per refundId (never below 0)
+   * @returns {Promise<Object|null>} Updated profile, or null if unknown user / already applied
+   */
+  async applyRefund(userId, refundId, amount) {
+    try {
+      const profile = await UserProfile.findOneAndUpdate(
+        { userId, processedRefundIds: { $ne: refundId } },
+        [{
+          $set: {
+            totalSpent: { $max: [0, { $subtract: ['$totalSpent', amount] }] },
+            // Keep only the most recent refund IDs
+            processedRefundIds: {
+              $slice: [{ $concatArrays: [{ $ifNull: ['$processedRefundIds', []] }, [refundId]] }, -100]
+            }
+          }
+        }],
+        { new: true }
+      );
+
+      if (profile) {
+        await cacheUtils.invalidateUserData(userId);
+      }
+
+      return profile ? profile.toObject() : null;
+    } catch (error) {
+      console.error('Error applying refund:', error);
+      throw error;
+    }
+  }
+
   async updateUserLoyaltyPoints(userId, pointsToAdd) {
     try {
       const profile = await UserProfile.findOneAndUpdate(
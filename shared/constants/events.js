@@ -11,12 +11,14 @@ const EVENT_TYPES = {
   RIDE_STARTED: 'RideStarted',
   RIDE_COMPLETED: 'RideCompleted',
   RIDE_CANCELLED: 'RideCancelled',
+  RIDE_DRIVER_SEARCH_STARTED: 'RideDriverSearchStarted',
 
   // Driver Events
   DRIVER_LOCATION_UPDATED: 'DriverLocationUpdated',
   DRIVER_STATUS_CHANGED: 'DriverStatusChanged',
   DRIVER_AVAILABLE: 'DriverAvailable',
   DRIVER_BUSY: 'DriverBusy',
+  DRIVER_SUSPICIOUS_ACTIVITY: 'DriverSuspiciousActivity',
 
   // Payment Events
   PAYMENT_COMPLETED: 'PaymentCompleted',
@@ -39,15 +41,18 @@ const ROUTING_KEYS = {
   RIDE_STARTED: 'ride.started',
   RIDE_COMPLETED: 'ride.completed',
   RIDE_CANCELLED: 'ride.cancelled',
+  RIDE_DRIVER_SEARCH_STARTED: 'ride.driver_search_started',
 
   // Driver routing keys
   DRIVER_LOCATION_UPDATED: 'driver.location.updated',
   DRIVER_STATUS_CHANGED: 'driver.status.changed',
   DRIVER_AVAILABLE: 'driver.available',
   DRIVER_BUSY: 'driver.busy',
+  DRIVER_SUSPICIOUS_ACTIVITY: 'driver.suspicious_activity',
 
   // Payment routing keys
   PAYMENT_COMPLETED: 'payment.completed',
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
   PAYMENT_FAILED: 'payment.failed',
   PAYMENT_REFUNDED: 'payment.refunded',
 
@@ -71,6 +76,7 @@ const QUEUES = {
   DRIVER_SERVICE: 'driver-service-queue',
   RIDE_SERVICE: 'ride-service-queue',
   PAYMENT_SERVICE: 'payment-service-queue',
+  PRICING_SERVICE: 'pricing-service-queue',
   NOTIFICATION_SERVICE: 'notification-service-queue',
   ETA_SERVICE: 'eta-service-queue',
   MATCHING_SERVICE: 'matching-service-queue',
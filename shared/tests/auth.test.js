@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const { authenticate, identify, requireRole, requireSelfOrRole } = require('../index');
+
+const SECRET = 'test-secret';
+
+const sign = (payload, options = {}) => jwt.sign(payload, SECRET, {
+  audience: 'cab-booking-system',
+  issuer: 'cab-booking-auth-service',
+  expiresIn: '5m',
+  ...options
+});
+
+// Mock Express response object
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Run a middleware chain the way Express does, stopping at the first handler that responds
+const run = (chain, req) => {
+  const res = mockResponse();
+  const handlers = [].concat(chain);
+  let passed = false;
+  const next = (index) => () => {
+    if (index === handlers.length) {
+      passed = true;
+      return;
+    }
+    handlers[index](req, res, next(index + 1));
+  };
+  next(0)();
+  return { res, passed };
+};
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` }, params: {} });
+
+describe('Auth middleware', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+  });
+
+  describe('authenticate', () => {
+    it('should set the caller from a valid token', () => {
+      const req = bearer(sign({ userId: 42, role: 'customer', email: 'an@example.com' }));
+
+      expect(run(authenticate, req).passed).toBe(true);
+      expect(req.user).toEqual({ userId: '42', role: 'customer', email: 'an@example.com' });
+    });
+
+    it('should reject a missing, foreign or expired token', () => {
+      const missing = run(authenticate, { headers: {}, params: {} });
+      expect(missing.res.status).toHaveBeenCalledWith(401);
+
+      const foreign = run(authenticate, bearer(sign({ userId: 'u1' }, { issuer: 'someone-else' })));
+      expect(foreign.res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid token' });
+
+      const expired = run(authenticate, bearer(sign({ userId: 'u1' }, { expiresIn: -60 })));
+      expect(expired.res.json).toHaveBeenCalledWith({ success: false, error: 'Token expired' });
+    });
+
+    it('should ignore X-User-* headers', () => {
+      const req = { headers: { 'x-user-id': 'admin_1', 'x-user-role': 'admin' }, params: {} };
+
+      expect(run(requireRole('admin'), req).res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('identify', () => {
+    it('should let anonymous requests through but still verify a token that is sent', () => {
+      expect(run(identify, { headers: {}, params: {} }).passed).toBe(true);
+      expect(run(identify, bearer('not-a-token')).res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should only allow the listed roles', () => {
+      expect(run(requireRole('admin', 'support'), bearer(sign({ userId: 'u1', role: 'support' }))).passed).toBe(true);
+      expect(run(requireRole('admin'), bearer(sign({ userId: 'u1', role: 'customer' }))).res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('requireSelfOrRole', () => {
+    it('should allow the owner of the resource or the listed roles', () => {
+      const own = { ...bearer(sign({ userId: 'u1', role: 'customer' })), params: { userId: 'u1' } };
+      const other = { ...bearer(sign({ userId: 'u2', role: 'customer' })), params: { userId: 'u1' } };
+      const admin = { ...bearer(sign({ userId: 'a1', role: 'admin' })), params: { userId: 'u1' } };
+
+      expect(run(requireSelfOrRole('userId', 'admin'), own).passed).toBe(true);
+      expect(run(requireSelfOrRole('userId', 'admin'), other).res.status).toHaveBeenCalledWith(403);
+      expect(run(requireSelfOrRole('userId', 'admin'), admin).passed).toBe(true);
+    });
+  });
+});
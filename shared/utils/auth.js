@@ -0,0 +1,100 @@
+/**
+ * JWT Authentication Middleware
+ * CAB Booking System - Shared Utilities
+ *
+ * The caller comes from the access token issued by the auth service, verified in each service.
+ * The API gateway forwards requests as they are, so X-User-* headers can't be trusted.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const TOKEN_OPTIONS = {
+  audience: 'cab-booking-system',
+  issuer: 'cab-booking-auth-service'
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {Object} Caller { userId, role, email }
+ * @throws {Error} jsonwebtoken error when the token is invalid or expired
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, TOKEN_OPTIONS);
+  return {
+    userId: String(decoded.userId || decoded.sub),
+    role: decoded.role,
+    email: decoded.email
+  };
+};
+
+/**
+ * Require a valid access token and set req.user
+ */
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+  }
+};
+
+/**
+ * Set req.user when a token is sent, let anonymous requests through
+ */
+const identify = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  authenticate(req, res, next);
+};
+
+const getRole = (req) => (req.user ? req.user.role : null);
+
+// Audit actor
+const getActor = (req) => (req.user && req.user.userId) || 'unknown';
+
+/**
+ * Allow only the listed roles, e.g. requireRole('admin', 'support')
+ * @returns {Array<Function>} Express middleware chain
+ */
+const requireRole = (...roles) => [
+  authenticate,
+  (req, res, next) => {
+    if (!roles.includes(getRole(req))) {
+      return res.status(403).json({ success: false, error: `Role required: ${roles.join(', ')}` });
+    }
+    next();
+  }
+];
+
+const requireAdmin = requireRole('admin');
+
+/**
+ * Allow the owner of the resource (token user matches req.params[param]) or one of the roles
+ * @returns {Array<Function>} Express middleware chain
+ */
+const requireSelfOrRole = (param, ...roles) => [
+  authenticate,
+  (req, res, next) => {
+    if (req.user.userId !== req.params[param] && !roles.includes(getRole(req))) {
+      return res.status(403).json({ success: false, error: 'Not allowed to access this resource' });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  verifyAccessToken,
+  authenticate,
+  identify,
+  getRole,
+  getActor,
+  requireRole,
+  requireAdmin,
+  requireSelfOrRole
+};